@@ -11,6 +11,8 @@ export default {
     author: 'BetterLooksmax',
     category: 'filter',
     tags: ['filter', 'users', 'content'],
+    permissions: ['dom:write', 'storage'],
+    matches: ['*://*.looksmax.org/*'],
     
     settings: {
       enabled: {
@@ -78,6 +80,8 @@ export default {
       isActive: false,
       button: null,
       observer: null,
+      filter: null,
+      unwatch: null,
       hiddenElements: new Set(),
       processedElements: new WeakSet(),
       hiddenCount: { threads: 0, posts: 0, members: 0 }
@@ -90,6 +94,14 @@ export default {
     async start(api) {
       const enabled = api.settings.get('enabled');
       
+      // Filter settings parsed once per change instead of for every element
+      const splitList = (text) => text.split(',').map(s => s.trim()).filter(s => s);
+      this.state.filter = api.settings.computed(['usernameStyles', 'customUsernames', 'useWhitelist'], (values) => ({
+        styleSelector: splitList(values.usernameStyles).join(', '),
+        usernames: splitList(values.customUsernames).map(s => s.toLowerCase()),
+        useWhitelist: values.useWhitelist
+      }));
+      
       // Create and inject the filter button
       this.createButton(api);
       
@@ -111,14 +123,12 @@ export default {
         this.updateButtonState(api, newVal);
       });
       
-      // Re-apply filter when filter settings change
+      // Re-apply filter once when any filter settings change together
       const filterSettings = ['hideThreads', 'hidePosts', 'hideMembers', 'usernameStyles', 'customUsernames', 'useWhitelist'];
-      filterSettings.forEach(setting => {
-        api.settings.watch(setting, () => {
-          if (this.state.isActive) {
-            this.reapplyFilter(api);
-          }
-        });
+      this.state.unwatch = api.settings.watchMany(filterSettings, () => {
+        if (this.state.isActive) {
+          this.reapplyFilter(api);
+        }
       });
       
       // Setup mutation observer for dynamic content
@@ -145,6 +155,12 @@ export default {
         this.state.observer = null;
       }
       
+      // Stop following filter settings
+      this.state.unwatch?.();
+      this.state.unwatch = null;
+      this.state.filter?.dispose();
+      this.state.filter = null;
+      
       // Clear state
       this.state.hiddenElements.clear();
       this.state.processedElements = new WeakSet();
@@ -183,9 +199,9 @@ export default {
       if (navGroup) {
         const searchButton = navGroup.querySelector('.p-navgroup-link--search');
         if (searchButton) {
-          navGroup.insertBefore(button, searchButton);
+          api.dom.inject(button, 'before', searchButton);
         } else {
-          navGroup.appendChild(button);
+          api.dom.inject(button, 'append', navGroup);
         }
         this.state.button = button;
       }
@@ -224,7 +240,7 @@ export default {
         }
       }, 300);
   
-      this.state.observer = new MutationObserver((mutations) => {
+      this.state.observer = api.observers.create((mutations) => {
         // Check if any relevant nodes were added
         let hasRelevantNodes = false;
         for (const mutation of mutations) {
@@ -291,32 +307,21 @@ export default {
   
     // Check if user should be filtered
     shouldFilterUser(api, element) {
-      const usernameStyles = api.settings.get('usernameStyles')
-        .split(',')
-        .map(s => s.trim())
-        .filter(s => s);
-      
-      const customUsernames = api.settings.get('customUsernames')
-        .split(',')
-        .map(s => s.trim().toLowerCase())
-        .filter(s => s);
-      
-      const useWhitelist = api.settings.get('useWhitelist');
+      const { styleSelector, usernames, useWhitelist } = this.state.filter.value;
       
       // Check username style
       let matchesStyle = false;
-      if (usernameStyles.length > 0) {
-        const styleSelector = usernameStyles.join(', ');
+      if (styleSelector) {
         matchesStyle = element.querySelector(styleSelector) !== null;
       }
       
       // Check custom usernames
       let matchesUsername = false;
-      if (customUsernames.length > 0) {
+      if (usernames.length > 0) {
         const usernameElement = element.querySelector('.username');
         if (usernameElement) {
           const username = usernameElement.textContent.trim().toLowerCase();
-          matchesUsername = customUsernames.includes(username);
+          matchesUsername = usernames.includes(username);
         }
       }
       
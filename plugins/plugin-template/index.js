@@ -14,14 +14,38 @@ export default {
   author: 'BetterLooksmax Team',
   
   // === DEPENDENCIES === (Optional)
-  dependencies: [],              // Other plugin IDs this plugin requires
-  optionalDependencies: [],      // Optional plugin IDs
+  dependencies: [],              // Other plugin IDs this plugin requires ('id' or 'id@^1.2')
+  optionalDependencies: [],      // Optional plugin IDs, same format
   conflicts: [],                 // Incompatible plugin IDs
   
   // === CATEGORIZATION === (Optional)
   tags: ['template', 'example'],
   category: 'other',
   
+  // === PERMISSIONS === (Optional)
+  // Capabilities the user is asked to grant on first enable:
+  // 'dom:write', 'storage', 'network', 'clipboard',
+  // 'hooks:emit:<hook name>', 'plugins:call:<plugin id>' ('*' suffix matches any)
+  permissions: ['dom:write', 'storage'],
+  
+  // === PROVIDED HOOKS === (Optional)
+  // Hooks this plugin emits, named '<plugin id>:...'. kind is 'action' or
+  // 'filter'; payload fields use the settings schema format
+  provides: {
+    'plugin-template:example': {
+      kind: 'action',
+      description: 'Example hook',
+      payload: { message: { type: 'string', required: true } }
+    }
+  },
+  
+  // === SITE RULES === (Optional)
+  // Pages the plugin runs on (every page if omitted). Match patterns like
+  // '*://*.looksmax.org/*', bare hosts like 'looksmax.org/threads/*'
+  // and path-only rules like '/members/*'. Users can override these.
+  matches: ['*://*.looksmax.org/*'],
+  excludeMatches: ['/account/*'],
+  
   // === SETTINGS SCHEMA === (Optional)
   settings: {
     // Boolean example - renders as toggle switch
@@ -97,7 +121,20 @@ export default {
       section: 'Advanced'
     }
   },
-  
+
+  // === MIGRATIONS === (Optional)
+  // Keyed by the version that changed the settings format. When a user's
+  // stored settings are older, the pending ones run in order before the
+  // plugin loads. Return the new settings; `storage` is the plugin's storage.
+  migrations: {
+    '1.0.0': (settings, { storage, from, to }) => {
+      // e.g. rename a setting
+      // const { oldName, ...rest } = settings;
+      // return { ...rest, customText: oldName ?? rest.customText };
+      return settings;
+    }
+  },
+
   // === LIFECYCLE METHODS ===
   
   /**
@@ -217,7 +254,10 @@ export default {
     
     // Clean up is automatic for:
     // - Registered hooks (unregistered automatically)
-    // - Setting watchers (need to store unwatch function to manually clean)
+    // - Anything from api.events, api.observers, api.timers, api.dom.observe,
+    //   api.dom.style and api.dom.inject (disposed on stop, but reported
+    //   as a leak in the debug panel - release them here)
+    // Setting watchers need their unwatch function stored to clean up manually
     
     api.utils.logger.info('Plugin template stopped');
   },
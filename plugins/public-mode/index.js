@@ -11,6 +11,8 @@ export default {
     author: 'BetterLooksmax',
     category: 'privacy',
     tags: ['privacy', 'security', 'blur'],
+    permissions: ['dom:write', 'storage'],
+    matches: ['*://*.looksmax.org/*'],
     
     settings: {
       enabled: {
@@ -81,7 +83,8 @@ export default {
       originalTextContent: new Map(),
       processedNodes: new WeakSet(),
       button: null,
-      keyboardHandler: null
+      removeKeyboardHandler: null,
+      removeTextObserver: null
     },
   
     async init(api) {
@@ -184,9 +187,9 @@ export default {
       if (navGroup) {
         const searchButton = navGroup.querySelector('.p-navgroup-link--search');
         if (searchButton) {
-          navGroup.insertBefore(button, searchButton);
+          api.dom.inject(button, 'before', searchButton);
         } else {
-          navGroup.appendChild(button);
+          api.dom.inject(button, 'append', navGroup);
         }
         this.state.button = button;
       }
@@ -194,23 +197,21 @@ export default {
   
     // Setup keyboard shortcut
     setupKeyboardShortcut(api) {
-      if (this.state.keyboardHandler) return;
+      if (this.state.removeKeyboardHandler) return;
       
-      this.state.keyboardHandler = (e) => {
+      this.state.removeKeyboardHandler = api.events.on(document, 'keydown', (e) => {
         if (e.ctrlKey && e.shiftKey && e.key === 'P') {
           e.preventDefault();
           this.toggle(api);
         }
-      };
-      
-      document.addEventListener('keydown', this.state.keyboardHandler);
+      });
     },
   
     // Remove keyboard shortcut
     removeKeyboardShortcut() {
-      if (this.state.keyboardHandler) {
-        document.removeEventListener('keydown', this.state.keyboardHandler);
-        this.state.keyboardHandler = null;
+      if (this.state.removeKeyboardHandler) {
+        this.state.removeKeyboardHandler();
+        this.state.removeKeyboardHandler = null;
       }
     },
   
@@ -252,11 +253,13 @@ export default {
         this.replaceText(api);
         
         // Watch for DOM changes and replace text in new content
-        api.dom.observe('body', ({ type, element }) => {
-          if (type === 'add' && this.state.isActive && api.settings.get('replaceText')) {
-            this.replaceTextInElement(api, element);
-          }
-        });
+        if (!this.state.removeTextObserver) {
+          this.state.removeTextObserver = api.dom.observe('body', ({ type, element }) => {
+            if (type === 'add' && this.state.isActive && api.settings.get('replaceText')) {
+              this.replaceTextInElement(api, element);
+            }
+          });
+        }
       }
     },
   
@@ -264,6 +267,11 @@ export default {
     removePublicMode(api) {
       api.dom.removeStyle('public-mode-styles');
       
+      if (this.state.removeTextObserver) {
+        this.state.removeTextObserver();
+        this.state.removeTextObserver = null;
+      }
+      
       if (api.settings.get('replaceText')) {
         this.restoreText(api);
       }
@@ -6,6 +6,8 @@ export default {
     version: '2.0.0',
     author: 'BetterLooksmax',
     category: 'editor',
+    permissions: ['dom:write', 'storage'],
+    matches: ['*://*.looksmax.org/*'],
     
     settings: {
       enabled: {
@@ -30,10 +32,31 @@ export default {
       }
     },
   
+    // 2.0.0 replaced two-color gradients ({start, end}) with multi-point ones ({colors})
+    migrations: {
+      async '2.0.0'(settings, { storage }) {
+        const presets = await storage.get('presets');
+        if (!presets) return settings;
+  
+        Object.values(presets).forEach(preset => {
+          ['textGradient', 'bgGradient'].forEach(key => {
+            const gradient = preset.styles?.[key];
+            if (gradient && !Array.isArray(gradient.colors) && gradient.start && gradient.end) {
+              preset.styles[key] = { colors: [gradient.start, gradient.end] };
+            }
+          });
+        });
+  
+        await storage.set('presets', presets);
+        return settings;
+      }
+    },
+  
     state: {
       presets: {},
       button: null,
       modal: null,
+      removeShortcuts: null,
       editingGradient: null // Track which gradient is being edited
     },
   
@@ -56,6 +79,10 @@ export default {
     async stop(api) {
       if (this.state.button) api.dom.remove(this.state.button);
       if (this.state.modal) api.dom.remove(this.state.modal);
+      if (this.state.removeShortcuts) {
+        this.state.removeShortcuts();
+        this.state.removeShortcuts = null;
+      }
     },
   
     // Add toolbar button
@@ -75,7 +102,7 @@ export default {
         return false;
       };
   
-      italic.after(btn);
+      api.dom.inject(btn, 'after', italic);
       this.state.button = btn;
     },
   
@@ -111,7 +138,7 @@ export default {
       const container = this.el('div', {}, [overlay, modal]);
       overlay.onclick = modal.children[3].onclick;
   
-      document.body.appendChild(container);
+      api.dom.inject(container, 'append', document.body);
       this.state.modal = container;
       this.loadPresets(modal.querySelector('#presetsList'), api);
     },
@@ -568,7 +595,7 @@ export default {
   
     // Keyboard shortcuts
     addKeyboardShortcuts(api) {
-      document.addEventListener('keydown', async (e) => {
+      this.state.removeShortcuts = api.events.on(document, 'keydown', async (e) => {
         const editor = document.querySelector('.fr-element');
         if (!editor?.contains(document.activeElement)) return;
   
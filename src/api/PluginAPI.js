@@ -3,81 +3,178 @@
  * 
  * Creates the API object that plugins receive in their lifecycle methods.
  * Provides access to settings, hooks, DOM utilities, storage, UI components, etc.
+ * Capabilities beyond the baseline (see PermissionManager) are only exposed
+ * when the plugin requested them and the user granted them.
+ * Listeners, observers, timers, styles, injected elements and DOM
+ * subscriptions handed out here are tracked (see ResourceTracker) so
+ * LifecycleManager can dispose whatever a plugin forgets on stop.
  */
 
 import SettingsStore from '../core/SettingsStore.js';
 import HookSystem from '../core/HookSystem.js';
 import StorageAdapter from '../core/StorageAdapter.js';
+import Vault from '../core/Vault.js';
+import IndexedDBStore from '../core/IndexedDBStore.js';
 import PluginRegistry from '../core/PluginRegistry.js';
+import PermissionManager from '../core/PermissionManager.js';
+import ResourceTracker from '../core/ResourceTracker.js';
+import PageContext from '../core/PageContext.js';
 import DOMUtils from '../../utils/dom.js';
 import Logger from '../../utils/logger.js';
 import Validators from '../../utils/validators.js';
 
+// Markup allowed in ui.createModal/createPanel content strings
+const UI_CONTENT = {
+  allowedTags: ['a', 'b', 'br', 'code', 'div', 'em', 'h4', 'h5', 'hr', 'i', 'li', 'ol', 'p',
+    'pre', 'small', 'span', 'strong', 'ul'],
+  allowedAttributes: { a: ['href', 'title'] }
+};
+
 class PluginAPI {
   constructor(pluginId) {
     this.pluginId = pluginId;
     this.logger = Logger.child(pluginId);
+
+    // Tracked listeners and timers, kept across permission refreshes
+    this._listeners = new Set();
+    this._timers = new Map();
     
     // Bind methods to preserve context
     this._bindMethods();
   }
 
+  /**
+   * Re-bind methods after the plugin's permissions changed
+   * Plugins holding on to this object see the new surface
+   */
+  refreshPermissions() {
+    this._bindMethods();
+  }
+
   /**
    * Bind all methods to preserve context
+   * Only methods covered by the plugin's effective permissions are exposed
    */
   _bindMethods() {
+    const manifest = PluginRegistry.getManifest(this.pluginId);
+    const granted = manifest ? PermissionManager.getEffective(manifest) : [];
+    const can = (capability) => PermissionManager.allows(granted, capability);
+
+    // Permissions API
+    this.permissions = {
+      has: (permission) => granted.includes(permission),
+      list: () => [...granted]
+    };
+    this._granted = granted;
+
     // Settings API
     this.settings = {
       get: this._settingsGet.bind(this),
       set: this._settingsSet.bind(this),
+      setMany: this._settingsSetMany.bind(this),
       watch: this._settingsWatch.bind(this),
+      watchMany: this._settingsWatchMany.bind(this),
+      computed: this._settingsComputed.bind(this),
       getAll: this._settingsGetAll.bind(this)
     };
 
-    // Hooks API
+    // Hooks API (emit requires hooks:emit:<name>)
     this.hooks = {
       register: this._hooksRegister.bind(this),
-      unregister: this._hooksUnregister.bind(this),
-      emit: this._hooksEmit.bind(this)
+      unregister: this._hooksUnregister.bind(this)
     };
+    if (can('hooks:emit')) {
+      this.hooks.emit = this._hooksEmit.bind(this);
+    }
 
-    // DOM API
+    // DOM API (read-only unless dom:write is granted)
     this.dom = {
       waitFor: DOMUtils.waitFor.bind(DOMUtils),
       waitForAll: DOMUtils.waitForAll.bind(DOMUtils),
-      observe: DOMUtils.observe.bind(DOMUtils),
-      inject: DOMUtils.inject.bind(DOMUtils),
-      remove: DOMUtils.remove.bind(DOMUtils),
-      style: DOMUtils.style.bind(DOMUtils),
-      removeStyle: DOMUtils.removeStyle.bind(DOMUtils),
+      observe: this._domObserve.bind(this),
       createElement: DOMUtils.createElement.bind(DOMUtils),
       isVisible: DOMUtils.isVisible.bind(DOMUtils),
       getPosition: DOMUtils.getPosition.bind(DOMUtils),
       scrollIntoView: DOMUtils.scrollIntoView.bind(DOMUtils),
-      addClass: DOMUtils.addClass.bind(DOMUtils),
-      removeClass: DOMUtils.removeClass.bind(DOMUtils),
-      toggleClass: DOMUtils.toggleClass.bind(DOMUtils),
-      getTextNodes: DOMUtils.getTextNodes.bind(DOMUtils),
-      replaceText: DOMUtils.replaceText.bind(DOMUtils)
+      getTextNodes: DOMUtils.getTextNodes.bind(DOMUtils)
+    };
+    if (can('dom:write')) {
+      Object.assign(this.dom, {
+        inject: this._domInject.bind(this),
+        remove: DOMUtils.remove.bind(DOMUtils),
+        style: this._domStyle.bind(this),
+        removeStyle: DOMUtils.removeStyle.bind(DOMUtils),
+        addClass: DOMUtils.addClass.bind(DOMUtils),
+        removeClass: DOMUtils.removeClass.bind(DOMUtils),
+        toggleClass: DOMUtils.toggleClass.bind(DOMUtils),
+        replaceText: DOMUtils.replaceText.bind(DOMUtils)
+      });
+    }
+
+    // Page API (what kind of XenForo page this is)
+    this.page = {
+      TYPES: PageContext.TYPES,
+      get: PageContext.get.bind(PageContext),
+      is: PageContext.is.bind(PageContext),
+      on: this._pageOn.bind(this)
+    };
+
+    // Events API (tracked addEventListener)
+    this.events = {
+      on: this._eventsOn.bind(this),
+      off: this._eventsOff.bind(this)
+    };
+
+    // Observers API (tracked MutationObserver)
+    this.observers = {
+      create: this._observersCreate.bind(this)
+    };
+
+    // Timers API (tracked setTimeout/setInterval)
+    this.timers = {
+      setTimeout: this._timersSetTimeout.bind(this),
+      clearTimeout: this._timersClear.bind(this),
+      setInterval: this._timersSetInterval.bind(this),
+      clearInterval: this._timersClear.bind(this)
     };
 
-    // Storage API (namespaced to plugin)
-    this.storage = StorageAdapter.namespace(this.pluginId);
+    // Storage API (namespaced to plugin, keys can opt into encryption)
+    this._expose('storage', can('storage'), () => StorageAdapter.namespace(this.pluginId, { vault: Vault }));
+
+    // Database API (IndexedDB, namespaced to plugin, for large datasets)
+    this._expose('db', can('storage'), () => this._createDB());
+
+    // Network API
+    this._expose('network', can('network'), () => ({
+      fetch: this._networkFetch.bind(this)
+    }));
+
+    // Clipboard API
+    this._expose('clipboard', can('clipboard'), () => ({
+      readText: this._clipboardReadText.bind(this),
+      writeText: this._clipboardWriteText.bind(this)
+    }));
 
-    // UI API
+    // UI API (components that add to the page require dom:write)
     this.ui = {
-      createButton: this._uiCreateButton.bind(this),
-      createModal: this._uiCreateModal.bind(this),
-      createNotification: this._uiCreateNotification.bind(this),
-      createPanel: this._uiCreatePanel.bind(this)
+      createButton: this._uiCreateButton.bind(this)
     };
+    if (can('dom:write')) {
+      Object.assign(this.ui, {
+        createModal: this._uiCreateModal.bind(this),
+        createNotification: this._uiCreateNotification.bind(this),
+        createPanel: this._uiCreatePanel.bind(this)
+      });
+    }
 
-    // Plugins API
+    // Plugins API (get/call require plugins:call:<id>)
     this.plugins = {
-      get: this._pluginsGet.bind(this),
-      call: this._pluginsCall.bind(this),
       isEnabled: this._pluginsIsEnabled.bind(this)
     };
+    if (can('plugins:call')) {
+      this.plugins.get = this._pluginsGet.bind(this);
+      this.plugins.call = this._pluginsCall.bind(this);
+    }
 
     // Utils API
     this.utils = {
@@ -106,6 +203,26 @@ class PluginAPI {
     }
   }
 
+  /**
+   * Set or remove a gated API namespace
+   */
+  _expose(name, granted, factory) {
+    if (granted) {
+      this[name] = factory();
+    } else {
+      delete this[name];
+    }
+  }
+
+  /**
+   * Throw unless the plugin holds a scoped permission
+   */
+  _requirePermission(capability, target) {
+    if (!PermissionManager.allows(this._granted, capability, target)) {
+      throw new Error(`Plugin ${this.pluginId} lacks permission "${capability}:${target}"`);
+    }
+  }
+
   // === SETTINGS API ===
 
   _settingsGet(key) {
@@ -116,10 +233,22 @@ class PluginAPI {
     return await SettingsStore.set(this.pluginId, key, value);
   }
 
+  async _settingsSetMany(values) {
+    return await SettingsStore.setMany(this.pluginId, values);
+  }
+
   _settingsWatch(key, callback) {
     return SettingsStore.watch(this.pluginId, key, callback);
   }
 
+  _settingsWatchMany(keys, callback) {
+    return SettingsStore.watchMany(this.pluginId, keys, callback);
+  }
+
+  _settingsComputed(keys, compute) {
+    return SettingsStore.computed(this.pluginId, keys, compute);
+  }
+
   _settingsGetAll() {
     return SettingsStore.getAll(this.pluginId);
   }
@@ -138,7 +267,232 @@ class PluginAPI {
   }
 
   async _hooksEmit(hookName, data, options) {
-    return await HookSystem.emit(hookName, data, options);
+    this._requirePermission('hooks:emit', hookName);
+    return await HookSystem.emit(hookName, data, { ...options, plugin: this.pluginId });
+  }
+
+  // === DOM API ===
+
+  _domObserve(selector, callback, options = {}) {
+    const unobserve = DOMUtils.observe(selector, callback, options);
+    const resource = ResourceTracker.track(
+      this.pluginId, 'subscription', `dom.observe('${selector}')`, unobserve
+    );
+
+    return () => resource.release();
+  }
+
+  _domInject(element, position, reference) {
+    DOMUtils.inject(element, position, reference);
+
+    // Removing the element (api.dom.remove or otherwise) releases it
+    ResourceTracker.track(
+      this.pluginId, 'element', `injected ${this._describe(element)}`,
+      () => element.remove(),
+      () => element.isConnected
+    );
+  }
+
+  _domStyle(css, id = null) {
+    const style = DOMUtils.style(css, id);
+
+    // Removing the sheet (api.dom.removeStyle or otherwise) releases it
+    ResourceTracker.track(
+      this.pluginId, 'style', id ? `style #${id}` : 'style sheet',
+      () => style.remove(),
+      () => style.isConnected
+    );
+
+    return style;
+  }
+
+  // === PAGE API ===
+
+  /**
+   * Run a handler whenever the page is of one of the given types
+   * Called right away if the current page matches, then on every
+   * page:changed that lands on a matching page. Unregistered on stop.
+   */
+  _pageOn(types, handler, options = {}) {
+    const { immediate = true } = options;
+    const matches = (page) => [].concat(types).includes(page.type);
+
+    const unregister = HookSystem.register('page:changed', async (context) => {
+      const { page, previous } = context.data;
+      if (matches(page)) {
+        await handler(page, previous);
+      }
+    }, { plugin: this.pluginId });
+
+    const page = PageContext.get();
+    if (immediate && matches(page)) {
+      Promise.resolve()
+        .then(() => handler(page, null))
+        .catch(error => this.logger.error('Page handler failed:', error));
+    }
+
+    return unregister;
+  }
+
+  // === EVENTS API ===
+
+  _eventsOn(target, type, handler, options = {}) {
+    const capture = typeof options === 'boolean' ? options : !!options.capture;
+    const once = typeof options === 'object' && !!options.once;
+    const listener = { target, type, handler, capture };
+
+    // once-listeners remove themselves, so stop tracking when they fire
+    listener.callback = once
+      ? function(event) {
+          listener.resource.untrack();
+          return handler.call(this, event);
+        }
+      : handler;
+
+    target.addEventListener(type, listener.callback, options);
+
+    listener.resource = ResourceTracker.track(
+      this.pluginId, 'listener', `'${type}' listener on ${this._describe(target)}`,
+      () => {
+        target.removeEventListener(type, listener.callback, capture);
+        this._listeners.delete(listener);
+      }
+    );
+    this._listeners.add(listener);
+
+    return () => listener.resource.release();
+  }
+
+  _eventsOff(target, type, handler, options = {}) {
+    const capture = typeof options === 'boolean' ? options : !!options.capture;
+
+    for (const listener of this._listeners) {
+      if (listener.target === target && listener.type === type &&
+          listener.handler === handler && listener.capture === capture) {
+        listener.resource.release();
+        return;
+      }
+    }
+  }
+
+  // === OBSERVERS API ===
+
+  _observersCreate(callback) {
+    const observer = new MutationObserver(callback);
+    const observe = observer.observe.bind(observer);
+    const disconnect = observer.disconnect.bind(observer);
+    let resource = null;
+
+    // Tracked from the first observe() until disconnect()
+    observer.observe = (target, options) => {
+      observe(target, options);
+      if (!resource) {
+        resource = ResourceTracker.track(
+          this.pluginId, 'observer', `MutationObserver on ${this._describe(target)}`, disconnect
+        );
+      }
+    };
+
+    observer.disconnect = () => {
+      disconnect();
+      resource?.untrack();
+      resource = null;
+    };
+
+    return observer;
+  }
+
+  // === TIMERS API ===
+
+  _timersSetTimeout(callback, delay, ...args) {
+    const id = setTimeout(() => {
+      this._timers.get(id)?.untrack();
+      this._timers.delete(id);
+      callback(...args);
+    }, delay);
+
+    this._trackTimer(id, `timeout (${delay}ms)`, () => clearTimeout(id));
+    return id;
+  }
+
+  _timersSetInterval(callback, delay, ...args) {
+    const id = setInterval(callback, delay, ...args);
+
+    this._trackTimer(id, `interval (${delay}ms)`, () => clearInterval(id));
+    return id;
+  }
+
+  _timersClear(id) {
+    const resource = this._timers.get(id);
+    if (resource) {
+      resource.release();
+    } else {
+      // Timeout and interval IDs share one pool
+      clearTimeout(id);
+    }
+  }
+
+  _trackTimer(id, label, clear) {
+    this._timers.set(id, ResourceTracker.track(this.pluginId, 'timer', label, () => {
+      clear();
+      this._timers.delete(id);
+    }));
+  }
+
+  /**
+   * Short description of an event target or element for leak reports
+   */
+  _describe(target) {
+    if (typeof window !== 'undefined' && target === window) return 'window';
+    if (typeof document !== 'undefined' && target === document) return 'document';
+    if (!target?.nodeName) return target?.constructor?.name || 'unknown target';
+
+    const tag = target.nodeName.toLowerCase();
+    if (target.id) return `<${tag}#${target.id}>`;
+
+    const className = typeof target.className === 'string' ? target.className.trim().split(/\s+/)[0] : '';
+    return className ? `<${tag}.${className}>` : `<${tag}>`;
+  }
+
+  // === DATABASE API ===
+
+  /**
+   * Namespaced IndexedDB storage whose change listeners are tracked
+   */
+  _createDB() {
+    const db = IndexedDBStore.namespace(this.pluginId);
+    const track = (label, unsubscribe) => {
+      const resource = ResourceTracker.track(this.pluginId, 'subscription', label, unsubscribe);
+      return () => resource.release();
+    };
+
+    return {
+      ...db,
+      onChanged: (callback) => track('db.onChanged', db.onChanged(callback)),
+      collection: (name, options) => {
+        const collection = db.collection(name, options);
+        return {
+          ...collection,
+          onChanged: (callback) => track(`db.collection('${name}').onChanged`, collection.onChanged(callback))
+        };
+      }
+    };
+  }
+
+  // === NETWORK API ===
+
+  async _networkFetch(url, options) {
+    return await fetch(url, options);
+  }
+
+  // === CLIPBOARD API ===
+
+  async _clipboardReadText() {
+    return await navigator.clipboard.readText();
+  }
+
+  async _clipboardWriteText(text) {
+    return await navigator.clipboard.writeText(text);
   }
 
   // === UI API ===
@@ -198,7 +552,7 @@ class PluginAPI {
     body.className = 'plugin-modal-body';
     
     if (typeof content === 'string') {
-      body.innerHTML = content;
+      body.innerHTML = Validators.sanitizeHTML(content, UI_CONTENT);
     } else if (content instanceof HTMLElement) {
       body.appendChild(content);
     }
@@ -240,7 +594,7 @@ class PluginAPI {
     const {
       message = '',
       type = 'info',
-      duration = 3000,
+      duration = SettingsStore.get('core', 'notificationDuration') ?? 3000,
       position = 'top-right'
     } = options;
 
@@ -304,7 +658,7 @@ class PluginAPI {
     body.className = 'plugin-panel-body';
     
     if (typeof content === 'string') {
-      body.innerHTML = content;
+      body.innerHTML = Validators.sanitizeHTML(content, UI_CONTENT);
     } else if (content instanceof HTMLElement) {
       body.appendChild(content);
     }
@@ -318,10 +672,13 @@ class PluginAPI {
   // === PLUGINS API ===
 
   _pluginsGet(pluginId) {
+    this._requirePermission('plugins:call', pluginId);
     return PluginRegistry.getInstance(pluginId);
   }
 
   async _pluginsCall(pluginId, method, ...args) {
+    this._requirePermission('plugins:call', pluginId);
+
     const instance = PluginRegistry.getInstance(pluginId);
     if (!instance) {
       throw new Error(`Plugin ${pluginId} not found`);
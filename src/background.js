@@ -7,6 +7,15 @@
 
 import StorageAdapter from './core/StorageAdapter.js';
 import IPCManager from './core/IPCManager.js';
+import HookSystem from './core/HookSystem.js';
+import HookBridge from './core/HookBridge.js';
+import PluginCatalog from './core/PluginCatalog.js';
+import SettingsStore from './core/SettingsStore.js';
+import ActivationScheduler from './core/ActivationScheduler.js';
+import BackupManager from './core/BackupManager.js';
+import SyncEngine from './core/SyncEngine.js';
+import Vault from './core/Vault.js';
+import IndexedDBStore from './core/IndexedDBStore.js';
 import Logger from '../utils/logger.js';
 
 class BackgroundService {
@@ -14,10 +23,34 @@ class BackgroundService {
     this.logger = Logger.child('Background');
     this.storage = StorageAdapter;
     this.ipc = IPCManager;
+    this.hooks = HookSystem;
+    this.bridge = HookBridge;
+    this.catalog = PluginCatalog;
+    this.settings = SettingsStore;
+    this.scheduler = ActivationScheduler;
+    this.backups = BackupManager;
+    this.sync = SyncEngine;
+    this.vault = Vault;
+    this.db = IndexedDBStore;
     
+    // Settle once core settings are loaded and the vault state is restored (see init)
+    this.ready = null;
+    this.vaultReady = null;
+
     // Track active tabs
     this.activeTabs = new Map();
     
+    // Plugin hot reload (dev mode). Polled through an alarm: timers stop
+    // while the worker is suspended, and alarms in an unpacked extension
+    // aren't held to the usual minimum period
+    this.hotReload = {
+      enabled: false,
+      alarm: 'hotReload:poll',
+      periodInMinutes: 1 / 60,
+      checking: false,
+      sources: new Map()  // plugin path -> last seen source
+    };
+    
     // Framework state
     this.state = {
       initialized: false,
@@ -37,18 +70,46 @@ class BackgroundService {
     try {
       this.logger.info('Initializing background service...');
 
+      // Every chrome.* listener is registered before the first await: the
+      // events that woke the worker are dispatched as soon as this script has
+      // run. Handlers that read settings wait for `ready` instead.
+
+      // Pick the storage backend and apply global settings before anything reads them
+      this.ready = this._setupCoreSettings();
+      this.ipc.holdUntil(this.ready);
+
       // Setup IPC handlers
       this._setupIPCHandlers();
 
+      // Relay shared hooks between tabs and the popup (see HookBridge)
+      this.bridge.init('background');
+
       // Setup browser action handlers
       this._setupBrowserActionHandlers();
 
+      // Hear about plugin failures in every tab
+      this._setupPluginErrorReporting();
+
       // Setup tab tracking
       this._setupTabTracking();
 
       // Setup storage sync
       this._setupStorageSync();
 
+      // Mirror data to storage.sync while that backend is chosen
+      const sync = this.sync.init(this.ready);
+
+      // Setup scheduled and context-triggered activation
+      this._setupActivationScheduler();
+
+      // Stay unlocked across worker restarts, lock when the user goes idle
+      const vault = this._setupVault();
+
+      // Setup plugin hot reload (dev mode)
+      const hotReload = this._setupHotReload();
+
+      await Promise.all([this.ready, sync, vault, hotReload]);
+
       this.state.initialized = true;
       this.logger.info('Background service initialized successfully');
     } catch (error) {
@@ -99,10 +160,176 @@ class BackgroundService {
       return { success: true };
     });
 
+    // Switch profiles here so every tab applies the same single write
+    this.ipc.on('profile:switch', async (data) => {
+      this.logger.info(`Switching to profile: ${data.name}`);
+      
+      // The popup and tabs write settings too; start from what's stored
+      await this.settings.reload();
+      const result = await this.settings.applyProfile(data.name);
+      
+      await this.ipc.broadcast('profile:switched', result);
+      return result;
+    });
+
+    // Reset and restore everything here, then tell every tab to follow
+    this.ipc.on('settings:reset-all', async () => {
+      this.logger.info('Resetting all settings and data');
+      await this.settings.resetAll();
+      await this.db.clear();
+      this._applyCoreSettings();
+
+      await this.ipc.broadcast('settings:reset', {});
+      await this._updateBadge();
+      return { success: true };
+    });
+
+    // data.selection picks the parts to restore, see BackupManager.restore
+    this.ipc.on('backup:restore', async (data) => {
+      this.logger.info('Restoring settings and data from a backup');
+      const result = await this.backups.restore(this.backups.parse(data.json), data.selection);
+      this._applyCoreSettings();
+
+      await this.ipc.broadcast('settings:restored', result);
+      await this._updateBadge();
+      return result;
+    });
+
+    // Syncing runs here; the first merge is done before answering
+    this.ipc.on('storage:backend', async (data) => {
+      this.logger.info(`Switching storage backend to ${data.backend}`);
+      await this.storage.setBackend(data.backend);
+      if (data.backend === 'sync') {
+        await this.sync.start();
+      }
+      return { backend: this.storage.getBackend(), sync: await this.sync.getStatus() };
+    });
+
+    this.ipc.on('sync:status', async () => {
+      return await this.sync.getStatus();
+    });
+
+    // IndexedDB storage lives in the extension's origin, so tabs run it here
+    this.ipc.on('db:run', async (data) => {
+      return await this.db.execute(data.op, data.args);
+    });
+
+    this.db.onAny((event) => {
+      this.ipc.broadcast('db:changed', event);
+    });
+
+    // Encrypted storage (unlocked here, tabs get the key from here). Every
+    // handler waits for the unlocked state to be restored first, so a tab
+    // isn't told it's locked and a lock isn't undone by a late restore
+    this.ipc.on('vault:status', async () => {
+      await this.vaultReady;
+      return {
+        setUp: await this.vault.isSetUp(),
+        locked: this.vault.isLocked(),
+        autoLock: this.settings.get('core', 'vaultAutoLock')
+      };
+    });
+
+    this.ipc.on('vault:setup', async (data) => {
+      await this.vaultReady;
+      await this.vault.setup(data.passphrase);
+      await this.ipc.broadcast('vault:unlocked', {});
+      return { locked: false };
+    });
+
+    this.ipc.on('vault:unlock', async (data) => {
+      await this.vaultReady;
+      await this.vault.unlock(data.passphrase);
+      await this.ipc.broadcast('vault:unlocked', {});
+      return { locked: false };
+    });
+
+    this.ipc.on('vault:lock', async () => {
+      await this.vaultReady;
+      await this._lockVault('manual');
+      return { locked: true };
+    });
+
+    this.ipc.on('vault:reset', async () => {
+      await this.vaultReady;
+      const deleted = await this.vault.reset();
+      await this.ipc.broadcast('vault:locked', {});
+      return { deleted };
+    });
+
+    this.ipc.on('vault:key', async () => {
+      await this.vaultReady;
+      return { key: await this.vault.exportKey() };
+    });
+
+    // Activation rules (evaluated here, see ActivationScheduler)
+    this.ipc.on('activation:status', async () => {
+      return this.scheduler.getStatus();
+    });
+
+    this.ipc.on('activation:evaluate', async () => {
+      return await this.scheduler.evaluate('manual');
+    });
+
     // Handle get state request
     this.ipc.on('background:getState', async () => {
       return this.state;
     });
+
+    // Marketplace of packaged plugins (tabs load or drop the plugin when notified)
+    this.ipc.on('marketplace:catalog', async () => {
+      return { catalog: await this.catalog.getCatalog() };
+    });
+
+    this.ipc.on('marketplace:install', async (data) => {
+      const { pluginId } = data;
+      this.logger.info(`Installing plugin ${pluginId}`);
+
+      const entry = await this.catalog.installPlugin(pluginId);
+      await this.ipc.broadcast('plugin:installed', { pluginId });
+
+      return { id: entry.id, version: entry.version };
+    });
+
+    this.ipc.on('marketplace:uninstall', async (data) => {
+      const { pluginId } = data;
+      this.logger.info(`Uninstalling plugin ${pluginId}`);
+
+      await this.catalog.uninstallPlugin(pluginId);
+      await this.ipc.broadcast('plugin:uninstalled', { pluginId });
+
+      return { success: true };
+    });
+  }
+
+  /**
+   * Load settings and keep the global ones applied
+   */
+  async _setupCoreSettings() {
+    await this.settings.init();
+    this._applyCoreSettings();
+
+    this.storage.onChanged((changes) => {
+      if (!changes.settings?.newValue) return;
+      this.settings.syncCore(changes.settings.newValue);
+      this._applyCoreSettings();
+
+      // Quarantines are set and lifted in tabs and the popup
+      this._updateBadge();
+    });
+  }
+
+  /**
+   * Apply the global settings the background worker depends on
+   */
+  _applyCoreSettings() {
+    Logger.setLevel(this.settings.get('core', 'logLevel'));
+    this.ipc.defaultTimeout = this.settings.get('core', 'ipcTimeout');
+
+    const autoLock = this.settings.get('core', 'vaultAutoLock');
+    if (autoLock > 0 && chrome?.idle) {
+      chrome.idle.setDetectionInterval(Math.max(15, autoLock * 60));
+    }
   }
 
   /**
@@ -123,8 +350,27 @@ class BackgroundService {
     });
   }
 
+  /**
+   * Log plugin failures and flag quarantines on the icon
+   * Both hooks are shared with the background, so they arrive from every tab.
+   */
+  _setupPluginErrorReporting() {
+    this.hooks.register('plugin:error', (context) => {
+      const { pluginId, error, source } = context.data;
+      const where = context.origin?.tabId != null ? ` in tab ${context.origin.tabId}` : '';
+      this.logger.warn(`Plugin ${pluginId} failed${where}${source ? ` (${source})` : ''}:`, error?.message ?? error);
+    }, { plugin: 'core', priority: 0 });
+
+    this.hooks.register('plugin:quarantined', (context) => {
+      const { pluginId, quarantine } = context.data;
+      this.logger.warn(`Plugin ${pluginId} quarantined:`, quarantine.reason);
+      this._updateBadge();
+    }, { plugin: 'core', priority: 0 });
+  }
+
   /**
    * Update extension icon badge
+   * Quarantined plugins show as a red "!" until they're re-enabled.
    */
   async _updateBadge() {
     if (!chrome?.action) return;
@@ -132,6 +378,18 @@ class BackgroundService {
     try {
       const settings = await this.storage.get('settings');
       if (settings.settings?.plugins) {
+        const quarantined = Object.entries(settings.settings.plugins)
+          .filter(([, p]) => p.quarantine)
+          .map(([id]) => id);
+
+        if (quarantined.length > 0) {
+          await chrome.action.setBadgeText({ text: '!' });
+          await chrome.action.setBadgeBackgroundColor({ color: '#F44336' });
+          await chrome.action.setTitle({ title: `Quarantined after repeated errors: ${quarantined.join(', ')}` });
+          return;
+        }
+        await chrome.action.setTitle({ title: '' });
+
         const enabledCount = Object.values(settings.settings.plugins)
           .filter(p => p.enabled).length;
         
@@ -197,6 +455,153 @@ class BackgroundService {
     });
   }
 
+  /**
+   * Setup scheduled and context-triggered activation
+   * The scheduler registers its listeners right away and evaluates once
+   * settings are ready.
+   */
+  _setupActivationScheduler() {
+    this.scheduler.init(this.ready).then((result) => {
+      if (result?.next) {
+        this.logger.info(`Next activation change at ${new Date(result.next).toLocaleString()}`);
+      }
+    });
+  }
+
+  /**
+   * Setup encrypted storage
+   * The unlocked data key survives worker restarts in session storage; going
+   * idle for core.vaultAutoLock minutes (or locking the screen) locks it.
+   * @returns {Promise<void>} Settles once the unlocked state is restored
+   */
+  _setupVault() {
+    this.vaultReady = this.vault.restore().then((unlocked) => {
+      if (unlocked) {
+        this.logger.info('Encrypted storage is unlocked');
+      }
+    }).catch((error) => {
+      this.logger.error('Failed to restore encrypted storage state:', error);
+    });
+
+    if (chrome?.idle) {
+      chrome.idle.onStateChanged.addListener(async (state) => {
+        if (state === 'active') return;
+        await this.vaultReady;
+        await this.ready.catch(() => {});
+        if (this.vault.isLocked()) return;
+        if (this.settings.get('core', 'vaultAutoLock') > 0) {
+          this._lockVault(state);
+        }
+      });
+    }
+
+    return this.vaultReady;
+  }
+
+  /**
+   * Lock encrypted storage here and in every tab
+   * @param {string} reason - Why it's being locked
+   */
+  async _lockVault(reason) {
+    await this.vault.lock();
+    this.logger.info(`Encrypted storage locked (${reason})`);
+    await this.ipc.broadcast('vault:locked', {});
+  }
+
+  /**
+   * Setup plugin hot reload (dev mode)
+   * While core.hotReload is enabled, plugin sources are polled and every tab
+   * is told to re-import a plugin whose index.js changed on disk.
+   */
+  async _setupHotReload() {
+    chrome?.alarms?.onAlarm.addListener((alarm) => {
+      if (alarm.name !== this.hotReload.alarm) return;
+      if (this.hotReload.enabled) {
+        this._checkPluginSources();
+      }
+    });
+
+    this.storage.onChanged((changes) => {
+      if (!changes.settings) return;
+      this._toggleHotReload(changes.settings.newValue?.core?.hotReload === true);
+    });
+
+    try {
+      await this.ready;
+      const stored = await this.storage.get('settings');
+      const enabled = stored.settings?.core?.hotReload === true;
+      this._toggleHotReload(enabled);
+
+      // Alarms outlive the worker: drop one left from when it was enabled
+      if (!enabled) {
+        await chrome?.alarms?.clear(this.hotReload.alarm);
+      }
+    } catch (error) {
+      this.logger.error('Failed to read hot reload setting:', error);
+    }
+  }
+
+  /**
+   * Start or stop watching plugin sources
+   * @param {boolean} enabled - Whether hot reload is enabled
+   */
+  _toggleHotReload(enabled) {
+    if (!chrome?.alarms) return;
+
+    if (enabled && !this.hotReload.enabled) {
+      this.logger.info('Hot reload enabled, watching plugin sources');
+      this.hotReload.enabled = true;
+      this.hotReload.sources.clear();
+      chrome.alarms.create(this.hotReload.alarm, { periodInMinutes: this.hotReload.periodInMinutes });
+      this._checkPluginSources();
+    } else if (!enabled && this.hotReload.enabled) {
+      chrome.alarms.clear(this.hotReload.alarm);
+      this.hotReload.enabled = false;
+      this.hotReload.sources.clear();
+      this.logger.info('Hot reload disabled');
+    }
+  }
+
+  /**
+   * Compare plugin sources against the last poll and broadcast changes
+   */
+  async _checkPluginSources() {
+    if (this.hotReload.checking) return;
+    this.hotReload.checking = true;
+
+    try {
+      const plugins = await this.catalog.getInstalled();
+
+      for (const plugin of plugins) {
+        const source = await this._fetchSource(`${plugin.path}/index.js`);
+        const previous = this.hotReload.sources.get(plugin.path);
+        this.hotReload.sources.set(plugin.path, source);
+
+        if (previous !== undefined && previous !== source) {
+          this.logger.info(`Plugin source changed: ${plugin.path}, reloading in all tabs`);
+          await this.ipc.broadcast('plugin:hot-reload', { path: plugin.path });
+        }
+      }
+    } catch (error) {
+      this.logger.warn('Hot reload check failed:', error.message);
+    } finally {
+      this.hotReload.checking = false;
+    }
+  }
+
+  /**
+   * Fetch an extension file bypassing the HTTP cache
+   * @param {string} path - Path relative to the extension root
+   * @returns {Promise<string>} File contents
+   */
+  async _fetchSource(path) {
+    const response = await fetch(chrome.runtime.getURL(path), { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${path}: ${response.status}`);
+    }
+    return await response.text();
+  }
+
   /**
    * Get active tab count
    * @returns {number} Number of active tabs
@@ -235,6 +640,7 @@ class BackgroundService {
     return {
       ...this.state,
       activeTabs: this.activeTabs.size,
+      hotReload: this.hotReload.enabled,
       ipc: this.ipc.getStats()
     };
   }
@@ -8,8 +8,16 @@ import PluginLoader from './core/PluginLoader.js';
 import PluginRegistry from './core/PluginRegistry.js';
 import LifecycleManager from './core/LifecycleManager.js';
 import SettingsStore from './core/SettingsStore.js';
+import BackupManager from './core/BackupManager.js';
+import Vault from './core/Vault.js';
+import IndexedDBStore from './core/IndexedDBStore.js';
 import HookSystem from './core/HookSystem.js';
+import HookBridge from './core/HookBridge.js';
 import IPCManager from './core/IPCManager.js';
+import PermissionManager from './core/PermissionManager.js';
+import SiteMatcher from './core/SiteMatcher.js';
+import PageContext from './core/PageContext.js';
+import DebugPanel from './debug/DebugPanel.js';
 import { createPluginAPI } from './api/PluginAPI.js';
 import Logger from '../utils/logger.js';
 
@@ -21,13 +29,24 @@ class FrameworkCore {
     this.lifecycle = LifecycleManager;
     this.settings = SettingsStore;
     this.hooks = HookSystem;
+    this.bridge = HookBridge;
     this.ipc = IPCManager;
+    this.permissions = PermissionManager;
+    this.sites = SiteMatcher;
+    this.page = PageContext;
+    this.debugPanel = DebugPanel;
+    this.vault = Vault;
+    this.db = IndexedDBStore;
     
     this.initialized = false;
     this.initializing = false;
     this.destroyed = false;
     this.pluginAPIs = new Map();
     
+    // Page URL plugins were last matched against (for SPA navigation)
+    this.currentUrl = location.href;
+    this._siteRulesQueue = Promise.resolve();
+    
     // Track operations in-flight to prevent feedback loops
     this._operationsInFlight = new Set();
     
@@ -36,6 +55,31 @@ class FrameworkCore {
     
     // Setup cleanup on page unload
     this._setupUnloadHandler();
+    
+    this._declareHooks();
+  }
+  
+  /**
+   * Declare the hooks the framework emits in the page
+   */
+  _declareHooks() {
+    this.hooks.declareAll({
+      'framework:ready': {
+        description: 'Enabled plugins have started',
+        payload: { discovered: { type: 'number', required: true }, enabled: { type: 'number', required: true } }
+      },
+      'dom:ready': { description: 'The page DOM settled after load', payload: {} },
+      'dom:mutated': {
+        description: 'The page DOM changed (batched per animation frame)',
+        payload: { mutations: { type: 'array', required: true } }
+      },
+      'dom:navigate': {
+        description: 'The URL changed without a page load',
+        payload: { url: { type: 'string', required: true }, previousUrl: { type: 'string', required: true } }
+      },
+      'storage:locked': { description: 'Encrypted storage was locked', payload: {} },
+      'storage:unlocked': { description: 'Encrypted storage was unlocked', payload: {} }
+    });
   }
   
   /**
@@ -106,6 +150,7 @@ class FrameworkCore {
     
     // Clear hooks
     this.hooks.clear();
+    this.page.clear();
     
     // Clear plugin APIs
     this.pluginAPIs.clear();
@@ -135,6 +180,7 @@ class FrameworkCore {
 
       // Initialize settings store
       await this.settings.init();
+      this._applyCoreSettings();
 
       // Setup IPC handlers
       this._setupIPCHandlers();
@@ -142,6 +188,21 @@ class FrameworkCore {
       // Setup core hooks
       this._setupCoreHooks();
 
+      // Emit shared hooks in the background and popup too (plugin:error, ...)
+      this.bridge.init('content');
+
+      // Count plugin hook and watcher errors against their error budget
+      this._setupErrorReporting();
+
+      // Get the encryption key if the background worker has it unlocked
+      await this._setupVault();
+
+      // IndexedDB storage is opened by the background worker (see IndexedDBStore)
+      this.db.useRemote((op, args) => this.ipc.request('db:run', { op, args }));
+
+      // Classify the page so plugins can read api.page when they start
+      this.page.refresh();
+
       // Discover available plugins
       const discovered = await this.loader.discoverPlugins();
       const pluginNames = discovered.map(id => this.registry.getPluginInfo(id)?.name || id);
@@ -150,13 +211,11 @@ class FrameworkCore {
       // Load all discovered plugins
       const loaded = await this.loader.loadPlugins(discovered);
       
-      // Register plugin schemas immediately after loading
+      // Migrate and register plugin schemas immediately after loading
       // This ensures settings entries exist BEFORE we check enabled state
       let schemasRegistered = 0;
       for (const pluginId of discovered) {
-        const instance = this.registry.getInstance(pluginId);
-        if (instance && instance.settings) {
-          this.settings.registerSchema(pluginId, instance.settings);
+        if (await this._prepareSettings(pluginId)) {
           schemasRegistered++;
         }
       }
@@ -169,12 +228,19 @@ class FrameworkCore {
         const enabledNames = enabledPlugins.map(id => this.registry.getPluginInfo(id)?.name || id);
         this.logger.info(`✅ ${enabledPlugins.length} plugins enabled in storage: ${enabledNames.join(', ')}`);
         
+        // Only plugins whose site rules match this page run here
+        const pagePlugins = enabledPlugins.filter(id => this._appliesToPage(id));
+        if (pagePlugins.length < enabledPlugins.length) {
+          const skipped = enabledPlugins.filter(id => !pagePlugins.includes(id));
+          this.logger.info(`🌐 Not running on this page: ${skipped.join(', ')}`);
+        }
+        
         // Start enabled plugins directly (don't update storage - it's already correct)
         let startedCount = 0;
-        for (let i = 0; i < enabledPlugins.length; i++) {
-          const pluginId = enabledPlugins[i];
+        for (let i = 0; i < pagePlugins.length; i++) {
+          const pluginId = pagePlugins[i];
           try {
-            this.logger.info(`[${i+1}/${enabledPlugins.length}] Starting ${pluginId}...`);
+            this.logger.info(`[${i+1}/${pagePlugins.length}] Starting ${pluginId}...`);
             const success = await this._startPluginRuntime(pluginId);
             if (success) {
               startedCount++;
@@ -185,9 +251,9 @@ class FrameworkCore {
           } catch (error) {
             this.logger.error(`✗ ${pluginId} threw error:`, error);
           }
-          this.logger.info(`Progress: ${i+1}/${enabledPlugins.length} processed`);
+          this.logger.info(`Progress: ${i+1}/${pagePlugins.length} processed`);
         }
-        this.logger.info(`Result: Started ${startedCount}/${enabledPlugins.length} plugins`);
+        this.logger.info(`Result: Started ${startedCount}/${pagePlugins.length} plugins`);
       } else {
         this.logger.info('ℹ️  No plugins currently enabled');
       }
@@ -204,9 +270,16 @@ class FrameworkCore {
       // Emit DOM ready hook only after DOM is stable
       await this.hooks.action('dom:ready', {});
 
+      if (this.settings.get('core', 'debugMode')) {
+        this.debugPanel.init();
+      }
+
       // Setup performant DOM mutation observer with throttling
       this._setupDOMObserver();
 
+      // Re-evaluate site rules on SPA-style navigations
+      this._setupNavigationWatcher();
+
       // Mark as initialized after everything is ready
       this.initialized = true;
       this.initializing = false;
@@ -241,6 +314,21 @@ class FrameworkCore {
       return await this.reloadPlugin(pluginId);
     });
 
+    // Handle hot-reload request (dev mode, sent by the background file watcher)
+    this.ipc.on('plugin:hot-reload', async (data) => {
+      const pluginId = data.pluginId || this.loader.getPluginIdByPath(data.path);
+      return await this.hotReloadPlugin(pluginId);
+    });
+
+    // Handle marketplace installs and uninstalls (broadcast by background)
+    this.ipc.on('plugin:installed', async (data) => {
+      return await this.installPlugin(data.pluginId);
+    });
+
+    this.ipc.on('plugin:uninstalled', async (data) => {
+      return await this.uninstallPlugin(data.pluginId);
+    });
+
     // Handle get plugin info request
     this.ipc.on('plugin:getInfo', async (data) => {
       const { pluginId } = data;
@@ -252,9 +340,68 @@ class FrameworkCore {
       return this.registry.getAllPluginInfo();
     });
 
+    // Handle quarantine release from the popup
+    this.ipc.on('plugin:release', async (data) => {
+      return await this.releasePlugin(data.pluginId);
+    });
+
+    // Handle permissions granted from the popup
+    this.ipc.on('plugin:permissions', async (data) => {
+      const { pluginId, permissions } = data;
+      await this.settings.setPermissions(pluginId, permissions, false);
+      this.pluginAPIs.get(pluginId)?.refreshPermissions();
+      return { success: true };
+    });
+
+    // Handle profile switches (broadcast by background once they're stored)
+    this.ipc.on('profile:switched', async (data) => {
+      return await this._applyProfileSwitch(data.appliedAt);
+    });
+
+    // Handle "reset everything" and full restores (done by background)
+    this.ipc.on('settings:reset', async () => {
+      return await this._applyFullReset();
+    });
+
+    this.ipc.on('settings:restored', async () => {
+      return await this._applyFullRestore();
+    });
+
+    // Encrypted storage was unlocked or locked (the background worker owns the key)
+    this.ipc.on('vault:unlocked', async () => {
+      return await this._fetchVaultKey();
+    });
+
+    this.ipc.on('vault:locked', async () => {
+      await this.vault.useKey(null);
+      return true;
+    });
+
+    // IndexedDB storage changed (written by any tab)
+    this.ipc.on('db:changed', async (event) => {
+      this.db.dispatch(event);
+      return true;
+    });
+
+    // Preview a restore against the settings schemas of the plugins loaded here
+    this.ipc.on('backup:plan', async (data) => {
+      return await BackupManager.plan(BackupManager.parse(data.json));
+    });
+
+    // Handle scheduled/context activation (broadcast by background once stored)
+    this.ipc.on('activation:changed', async (data) => {
+      return await this._applyActivation(data.changes);
+    });
+
     // Handle settings change request
+    // Validation errors go back to the popup so it can show them inline
     this.ipc.on('settings:change', async (data) => {
       const { pluginId, key, value } = data;
+      const { valid, errors } = this.settings.validate(pluginId, key, value);
+      if (!valid) {
+        return { success: false, errors };
+      }
+      
       await this.settings.set(pluginId, key, value);
       return { success: true };
     });
@@ -302,13 +449,58 @@ class FrameworkCore {
     const newSettings = settingsChange.newValue;
     const oldSettings = settingsChange.oldValue || {};
     
-    // Check for plugin enable/disable changes only
+    this.settings.syncProfiles(newSettings);
+    this.settings.syncActivationRules(newSettings);
+    
+    // Global settings changed in the popup
+    if (JSON.stringify(newSettings.core || {}) !== JSON.stringify(oldSettings.core || {})) {
+      this.settings.syncCore(newSettings);
+      this._applyCoreSettings();
+    }
+    
+    // A profile switch changes many plugins in one write; apply it as a whole
+    // (tabs that missed the broadcast catch up here)
+    if (newSettings.profileAppliedAt && newSettings.profileAppliedAt !== oldSettings.profileAppliedAt) {
+      await this._applyProfileSwitch(newSettings.profileAppliedAt, newSettings);
+      return;
+    }
+    
+    // Check for plugin permission and enable/disable changes only
     if (newSettings.plugins && oldSettings.plugins) {
       for (const [pluginId, newPluginData] of Object.entries(newSettings.plugins)) {
         const oldPluginData = oldSettings.plugins?.[pluginId];
+        
+        // Permissions granted from the popup apply before the plugin (re)starts
+        const newPermissions = newPluginData?.permissions;
+        if (Array.isArray(newPermissions) &&
+            JSON.stringify(newPermissions) !== JSON.stringify(this.permissions.getGranted(pluginId))) {
+          await this.settings.setPermissions(pluginId, newPermissions, false);
+          this.pluginAPIs.get(pluginId)?.refreshPermissions();
+        }
+
         const oldEnabled = oldPluginData?.enabled || false;
         const newEnabled = newPluginData?.enabled || false;
         
+        // Migrations run or rolled back elsewhere replace settings and storage;
+        // re-initialize the plugin so it doesn't keep using the old data
+        if (newPluginData?.version && newPluginData.version !== this.settings.getVersion(pluginId)) {
+          this.settings.syncVersion(pluginId, newPluginData);
+          await this._reinitPluginRuntime(pluginId);
+        }
+        
+        // Site rules edited in the popup apply right away
+        if (JSON.stringify(newPluginData?.siteRules || null) !== JSON.stringify(oldPluginData?.siteRules || null)) {
+          await this.settings.setSiteRules(pluginId, newPluginData?.siteRules || null, false);
+          await this._applySiteRules([pluginId]);
+        }
+        
+        // Quarantines set or lifted in another tab or the popup apply here too
+        const newQuarantine = newPluginData?.quarantine || null;
+        if (Boolean(oldPluginData?.quarantine) !== Boolean(newQuarantine)) {
+          await this._syncQuarantine(pluginId, newQuarantine, newEnabled);
+          continue;
+        }
+        
         // Only react to enabled state changes
         if (oldEnabled !== newEnabled) {
           // Check if this operation is already in-flight
@@ -329,6 +521,164 @@ class FrameworkCore {
     }
   }
 
+  /**
+   * Apply a profile switch stored by the background worker
+   * All settings are taken over first, then plugins the profile disables
+   * are stopped and the ones it enables started.
+   * @param {number} appliedAt - Switch timestamp (each switch is applied once)
+   * @param {object} stored - Stored settings (read from storage if omitted)
+   * @returns {Promise<boolean>} True if the switch was applied here
+   */
+  async _applyProfileSwitch(appliedAt, stored = null) {
+    if (this.destroyed || !this.initialized || !appliedAt || appliedAt === this._profileAppliedAt) {
+      return false;
+    }
+    this._profileAppliedAt = appliedAt;
+    
+    const settings = stored || (await this.settings.storage.get('settings')).settings;
+    if (!settings?.plugins) return false;
+    
+    this.settings.syncProfiles(settings);
+    this.logger.info(`👤 Switching to profile: ${settings.activeProfile}`);
+    
+    const pluginIds = this.registry.getAllPlugins().filter(id => settings.plugins[id]);
+    for (const pluginId of pluginIds) {
+      await this.settings.syncPlugin(pluginId, settings.plugins[pluginId]);
+    }
+    
+    const active = this.registry.STATES.ACTIVE;
+    for (const pluginId of pluginIds.filter(id => !settings.plugins[id].enabled)) {
+      if (this.registry.getState(pluginId) === active) {
+        await this._reconcileDisable(pluginId);
+      }
+    }
+    
+    for (const pluginId of pluginIds.filter(id => settings.plugins[id].enabled)) {
+      if (this._appliesToPage(pluginId) && !this.settings.getQuarantine(pluginId)) {
+        await this._reconcileEnable(pluginId);
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Apply the global settings this tab depends on
+   */
+  _applyCoreSettings() {
+    Logger.setLevel(this.settings.get('core', 'logLevel'));
+    this.ipc.defaultTimeout = this.settings.get('core', 'ipcTimeout');
+    this.hooks.defaultTimeout = this.settings.get('core', 'hookTimeout');
+    this.debugPanel.setShortcut(this.settings.get('core', 'debugShortcut'));
+    this.hooks.setDevMode(this.settings.get('core', 'debugMode'));
+  }
+
+  /**
+   * Follow a "reset everything" done elsewhere: stop every plugin and
+   * drop this tab's settings back to defaults
+   * @returns {Promise<boolean>} True if applied
+   */
+  async _applyFullReset() {
+    if (this.destroyed || !this.initialized) return false;
+    
+    this.logger.info('♻️ All settings were reset');
+    await this.settings.resetAll(false);
+    this._applyCoreSettings();
+    
+    for (const pluginId of this.registry.getAllPlugins()) {
+      if (this.registry.getState(pluginId) === this.registry.STATES.ACTIVE) {
+        await this._reconcileDisable(pluginId);
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Follow a full restore done elsewhere
+   * Plugin storage was replaced too, so running plugins restart. Settings
+   * from older plugin versions are migrated first.
+   * @returns {Promise<boolean>} True if applied
+   */
+  async _applyFullRestore() {
+    if (this.destroyed || !this.initialized) return false;
+    
+    this.logger.info('♻️ Settings were restored from a backup');
+    await this.settings.reload(true);
+    this._applyCoreSettings();
+    
+    const active = this.registry.STATES.ACTIVE;
+    for (const pluginId of this.registry.getAllPlugins()) {
+      await this._prepareSettings(pluginId);
+      
+      const shouldRun = this.settings.isEnabled(pluginId) &&
+        this._appliesToPage(pluginId) && !this.settings.getQuarantine(pluginId);
+      const running = this.registry.getState(pluginId) === active;
+      
+      if (running && shouldRun) {
+        await this._reinitPluginRuntime(pluginId);
+      } else if (running) {
+        await this._reconcileDisable(pluginId);
+      } else if (shouldRun) {
+        await this._reconcileEnable(pluginId);
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Start or stop plugins switched by an activation rule
+   * The background worker already stored the change; this takes it over so
+   * the tab's next settings write doesn't undo it.
+   * @param {object[]} changes - [{pluginId, enabled}]
+   * @returns {Promise<boolean>} True if applied
+   */
+  async _applyActivation(changes = []) {
+    if (this.destroyed || !this.initialized) return false;
+    
+    for (const { pluginId, enabled } of changes) {
+      if (!this.registry.has(pluginId)) continue;
+      
+      await this.settings.syncPlugin(pluginId, { enabled });
+      this.logger.info(`⏰ Activation rule ${enabled ? 'enabled' : 'disabled'} ${pluginId}`);
+      
+      if (!enabled) {
+        await this._reconcileDisable(pluginId);
+      } else if (this._appliesToPage(pluginId) && !this.settings.getQuarantine(pluginId)) {
+        await this._reconcileEnable(pluginId);
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Run a plugin's pending settings migrations, then register its schema
+   * Migrations go first so they see the stored settings, not new defaults.
+   * A failed migration leaves the old settings in place.
+   * @param {string} pluginId - Plugin ID
+   * @returns {Promise<boolean>} True if the plugin has a settings schema
+   */
+  async _prepareSettings(pluginId) {
+    const instance = this.registry.getInstance(pluginId);
+    if (!instance) return false;
+    
+    try {
+      const { from, to, migrated } = await this.settings.migratePlugin(pluginId, instance);
+      if (migrated.length > 0) {
+        this.logger.info(`🔀 Migrated ${pluginId} settings from ${from} to ${to} (${migrated.join(', ')})`);
+      }
+    } catch (error) {
+      this.logger.error(`Settings migration failed for ${pluginId}:`, error);
+    }
+    
+    if (!instance.settings) return false;
+    
+    this.settings.registerSchema(pluginId, instance.settings);
+    return true;
+  }
+
   /**
    * Setup core framework hooks
    */
@@ -339,14 +689,94 @@ class FrameworkCore {
       await this.ipc.sendEvent('settings:changed', { pluginId, key, value });
     }, { plugin: 'core', priority: 0 });
 
-    // Handle plugin errors
-    this.hooks.register('plugin:error', async (context) => {
+    // Log plugin errors (the hook is shared, so the background and popup get it too)
+    this.hooks.register('plugin:error', (context) => {
       const { pluginId, error } = context.data;
       this.logger.error(`Plugin ${pluginId} error:`, error);
-      await this.ipc.sendEvent('plugin:error', { pluginId, error: error.message });
     }, { plugin: 'core', priority: 0 });
   }
 
+  /**
+   * Tell plugins when encrypted storage locks or unlocks, and pick up
+   * the key if it's already unlocked
+   */
+  async _setupVault() {
+    this.vault.onChange((locked) => {
+      this.logger.info(locked ? '🔒 Encrypted storage locked' : '🔓 Encrypted storage unlocked');
+      this.hooks.action(locked ? 'storage:locked' : 'storage:unlocked', {});
+    });
+    
+    if (await this.vault.isSetUp()) {
+      await this._fetchVaultKey();
+    }
+  }
+
+  /**
+   * Get the encryption key from the background worker
+   * @returns {Promise<boolean>} True if unlocked
+   */
+  async _fetchVaultKey() {
+    try {
+      const { key } = await this.ipc.request('vault:key');
+      await this.vault.useKey(key);
+    } catch (error) {
+      this.logger.warn('Failed to get the encryption key:', error.message);
+    }
+    return !this.vault.isLocked();
+  }
+
+  /**
+   * Route errors thrown by plugin hook handlers and setting watchers
+   * to LifecycleManager, which quarantines plugins over their error budget
+   */
+  _setupErrorReporting() {
+    this.hooks.setErrorHandler((pluginId, error, hookName) => {
+      this._handlePluginError(pluginId, error, `hook ${hookName}`);
+    });
+
+    this.settings.setErrorHandler((pluginId, error, key) => {
+      this._handlePluginError(pluginId, error, `watcher ${key}`);
+    });
+  }
+
+  /**
+   * Report a runtime error of a plugin
+   * @param {string} pluginId - Plugin ID
+   * @param {Error} error - Error that occurred
+   * @param {string} source - Where the error came from
+   */
+  async _handlePluginError(pluginId, error, source) {
+    if (this.destroyed || !this.registry.has(pluginId)) return;
+
+    try {
+      await this.lifecycle.handleError(pluginId, error, this.pluginAPIs.get(pluginId), source);
+    } catch (handlerError) {
+      this.logger.error(`Failed to handle error of ${pluginId}:`, handlerError);
+    }
+  }
+
+  /**
+   * Apply a quarantine change made outside this tab
+   * @param {string} pluginId - Plugin ID
+   * @param {object|null} quarantine - New quarantine record, or null if lifted
+   * @param {boolean} enabled - Whether the plugin is enabled in storage
+   */
+  async _syncQuarantine(pluginId, quarantine, enabled) {
+    await this.settings.setQuarantine(pluginId, quarantine, false);
+
+    if (quarantine) {
+      await this.lifecycle.quarantinePlugin(pluginId, this.pluginAPIs.get(pluginId), quarantine, false);
+      return;
+    }
+
+    if (this.registry.getState(pluginId) !== this.registry.STATES.QUARANTINED) return;
+
+    await this.lifecycle.releaseQuarantine(pluginId, false);
+    if (enabled) {
+      await this._reconcileEnable(pluginId);
+    }
+  }
+
   /**
    * Wait for stable DOM (performance optimization)
    */
@@ -402,8 +832,14 @@ class FrameworkCore {
       rafId = requestAnimationFrame(() => {
         rafId = null;
         
+        // pushState navigations don't fire events in the content script's world
+        this._checkNavigation();
+        
+        // Page context fills in as the page renders (user menu, editor, ...)
+        this.page.refresh();
+        
         if (pendingMutations.length > 0 && !this.destroyed) {
-          // Only emit if there are hook handlers (performance)
+          // Only emit if there are hook handlers, 'dom:**' style patterns included (performance)
           if (this.hooks.hasHandlers('dom:mutated')) {
             this.hooks.action('dom:mutated', { 
               mutations: pendingMutations.splice(0)
@@ -425,6 +861,78 @@ class FrameworkCore {
     this.domObserver = observer;
   }
 
+  /**
+   * Watch for history and hash navigations
+   * pushState/replaceState are caught by the DOM observer instead,
+   * since SPA navigations always change the page content
+   */
+  _setupNavigationWatcher() {
+    const navigationHandler = () => this._checkNavigation();
+    
+    ['popstate', 'hashchange'].forEach(event => {
+      window.addEventListener(event, navigationHandler);
+      this._eventListeners.push({ target: window, event, handler: navigationHandler });
+    });
+  }
+
+  /**
+   * Refresh the page context, emit dom:navigate and re-evaluate
+   * site rules if the URL changed
+   */
+  _checkNavigation() {
+    if (this.destroyed || location.href === this.currentUrl) return;
+    
+    const previousUrl = this.currentUrl;
+    this.currentUrl = location.href;
+    
+    this.page.refresh();
+    this.hooks.action('dom:navigate', { url: this.currentUrl, previousUrl });
+    this._applySiteRules();
+  }
+
+  /**
+   * Check if a plugin's site rules match the current page
+   * @param {string} pluginId - Plugin ID
+   * @returns {boolean}
+   */
+  _appliesToPage(pluginId) {
+    const manifest = this.registry.getManifest(pluginId);
+    return manifest ? this.sites.appliesTo(manifest, this.currentUrl) : false;
+  }
+
+  /**
+   * Start enabled plugins that match the current page and stop those that don't
+   * Runs are queued so quick navigations are applied in order
+   * @param {string[]} pluginIds - Plugins to re-evaluate (defaults to all enabled ones)
+   * @returns {Promise<void>}
+   */
+  _applySiteRules(pluginIds = null) {
+    this._siteRulesQueue = this._siteRulesQueue.then(async () => {
+      if (this.destroyed) return;
+      
+      const candidates = pluginIds || this.registry.getAllPlugins();
+      for (const pluginId of candidates) {
+        const state = this.registry.getState(pluginId);
+        const active = state === this.registry.STATES.ACTIVE;
+        const shouldRun = this.settings.isPluginEnabled(pluginId) && this._appliesToPage(pluginId);
+        
+        try {
+          if (shouldRun && !active && !this.settings.getQuarantine(pluginId)) {
+            this.logger.info(`Starting ${pluginId} for ${this.currentUrl}`);
+            await this._startPluginRuntime(pluginId);
+          } else if (!shouldRun && active) {
+            this.logger.info(`Stopping ${pluginId}: not running on ${this.currentUrl}`);
+            await this._stopPluginRuntime(pluginId);
+          }
+        } catch (error) {
+          this.logger.error(`Failed to apply site rules to ${pluginId}:`, error);
+        }
+      }
+    });
+    
+    return this._siteRulesQueue;
+  }
+
   /**
    * Enable a plugin (command - updates storage AND runtime)
    * @param {string} pluginId - Plugin ID
@@ -466,6 +974,11 @@ class FrameworkCore {
       this._operationsInFlight.add(opKey);
       this.logger.info(`Enabling plugin: ${pluginId}`);
 
+      // Enabling a quarantined plugin gives it a fresh error budget
+      if (this.settings.getQuarantine(pluginId) || runtimeState === this.registry.STATES.QUARANTINED) {
+        await this.lifecycle.releaseQuarantine(pluginId);
+      }
+
       // Update storage first (source of truth)
       if (!storageEnabled) {
         await this.settings.enable(pluginId);
@@ -576,18 +1089,57 @@ class FrameworkCore {
     }
   }
 
+  /**
+   * Lift a plugin's quarantine and start it again if it is enabled
+   * @param {string} pluginId - Plugin ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async releasePlugin(pluginId) {
+    if (this.destroyed) return false;
+
+    this.logger.info(`Releasing ${pluginId} from quarantine`);
+    await this.lifecycle.releaseQuarantine(pluginId);
+
+    if (!this.settings.isPluginEnabled(pluginId)) {
+      return true;
+    }
+
+    try {
+      return await this._startPluginRuntime(pluginId);
+    } catch (error) {
+      this.logger.error(`Failed to restart ${pluginId} after quarantine:`, error);
+      return false;
+    }
+  }
+
   /**
    * Start plugin runtime (internal - does NOT update storage)
    * @param {string} pluginId - Plugin ID
    * @returns {Promise<boolean>} Success status
    */
   async _startPluginRuntime(pluginId) {
+    // Quarantined plugins stay stopped until the user re-enables them
+    if (this.settings.getQuarantine(pluginId)) {
+      this.registry.setState(pluginId, this.registry.STATES.QUARANTINED);
+      this.logger.warn(`${pluginId} is quarantined, not starting it`);
+      return false;
+    }
+
+    // Enabled plugins only run on pages their site rules match
+    if (!this._appliesToPage(pluginId)) {
+      this.logger.info(`${pluginId} doesn't run on this page`);
+      return false;
+    }
+
+    await this._checkPermissions(pluginId);
+
     // Create plugin API if not exists
     if (!this.pluginAPIs.has(pluginId)) {
       this.pluginAPIs.set(pluginId, createPluginAPI(pluginId));
     }
 
     const api = this.pluginAPIs.get(pluginId);
+    api.refreshPermissions();
 
     // Initialize plugin if needed
     const currentState = this.registry.getState(pluginId);
@@ -599,6 +1151,47 @@ class FrameworkCore {
     return await this.lifecycle.startPlugin(pluginId, api);
   }
   
+  /**
+   * Destroy and re-initialize a plugin, restarting it if it was active
+   * init() runs again, so data the plugin loaded from storage is reloaded
+   * @param {string} pluginId - Plugin ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async _reinitPluginRuntime(pluginId) {
+    const state = this.registry.getState(pluginId);
+    const api = this.pluginAPIs.get(pluginId);
+    if (!api || state === this.registry.STATES.LOADED) return true;
+
+    const wasActive = state === this.registry.STATES.ACTIVE;
+    await this.lifecycle.destroyPlugin(pluginId, api);
+    this.registry.setState(pluginId, this.registry.STATES.LOADED);
+
+    return wasActive ? await this._startPluginRuntime(pluginId) : true;
+  }
+
+  /**
+   * Check a plugin's permissions before it starts
+   * Bundled plugins enabled before permissions existed get what they request;
+   * anything else that wasn't granted is simply left out of the API
+   * @param {string} pluginId - Plugin ID
+   */
+  async _checkPermissions(pluginId) {
+    const manifest = this.registry.getManifest(pluginId);
+    if (!manifest) return;
+
+    if (this.permissions.getGranted(pluginId) === null && !this.loader.isUserInstalled(pluginId)) {
+      const requested = this.permissions.getRequested(manifest);
+      this.logger.info(`Granting ${pluginId} its requested permissions: ${requested.join(', ') || 'none'}`);
+      await this.permissions.grant(pluginId, requested);
+      return;
+    }
+
+    const missing = this.permissions.getMissing(manifest);
+    if (missing.length > 0) {
+      this.logger.warn(`${pluginId} runs without ungranted permissions: ${missing.join(', ')}`);
+    }
+  }
+
   /**
    * Stop plugin runtime (internal - does NOT update storage)
    * @param {string} pluginId - Plugin ID
@@ -661,7 +1254,9 @@ class FrameworkCore {
     const runtimeState = this.registry.getState(pluginId);
     
     // Already stopped - no-op
-    if (runtimeState === this.registry.STATES.STOPPED || runtimeState === this.registry.STATES.UNLOADED) {
+    if (runtimeState === this.registry.STATES.STOPPED ||
+        runtimeState === this.registry.STATES.UNLOADED ||
+        runtimeState === this.registry.STATES.QUARANTINED) {
       this.logger.debug(`Reconcile disable: ${pluginId} already stopped`);
       return true;
     }
@@ -709,6 +1304,114 @@ class FrameworkCore {
     }
   }
 
+  /**
+   * Hot-reload a plugin with freshly imported code (dev mode)
+   * @param {string} pluginId - Plugin ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async hotReloadPlugin(pluginId) {
+    if (this.destroyed || !this.registry.has(pluginId)) {
+      return false;
+    }
+
+    try {
+      this.logger.info(`🔥 Hot-reloading plugin: ${pluginId}`);
+
+      if (!this.pluginAPIs.has(pluginId)) {
+        this.pluginAPIs.set(pluginId, createPluginAPI(pluginId));
+      }
+
+      const success = await this.lifecycle.hotReloadPlugin(
+        pluginId,
+        this.pluginAPIs.get(pluginId),
+        (id) => this.pluginAPIs.get(id)
+      );
+
+      // Pick up version and schema changes from the new code
+      await this._prepareSettings(pluginId);
+
+      if (success) {
+        this.logger.info(`Plugin ${pluginId} hot-reloaded`);
+      }
+
+      return success;
+    } catch (error) {
+      this.logger.error(`Failed to hot-reload plugin ${pluginId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Load a plugin installed from the marketplace
+   * Starts it if enabled; a new install stays off until the user enables it
+   * @param {string} pluginId - Plugin ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async installPlugin(pluginId) {
+    if (this.destroyed) return false;
+
+    if (this.registry.has(pluginId)) {
+      this.logger.warn(`Not installing ${pluginId}: it is already loaded`);
+      return false;
+    }
+
+    try {
+      this.logger.info(`Installing plugin: ${pluginId}`);
+
+      await this.loader.installPlugin(pluginId);
+      await this._prepareSettings(pluginId);
+
+      if (this.settings.isPluginEnabled(pluginId)) {
+        await this._startPluginRuntime(pluginId);
+      }
+
+      this.logger.info(`Plugin ${pluginId} installed`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to install plugin ${pluginId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Tear down and forget a plugin uninstalled from the marketplace
+   * Storage cleanup is done by the background worker
+   * @param {string} pluginId - Plugin ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async uninstallPlugin(pluginId) {
+    if (this.destroyed || !this.registry.has(pluginId)) {
+      return false;
+    }
+
+    try {
+      this.logger.info(`Uninstalling plugin: ${pluginId}`);
+
+      await this._removePluginRuntime(pluginId);
+      await this.settings.removePlugin(pluginId);
+
+      this.logger.info(`Plugin ${pluginId} uninstalled`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to uninstall plugin ${pluginId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Destroy a plugin and remove it from the registry and loader
+   * @param {string} pluginId - Plugin ID
+   */
+  async _removePluginRuntime(pluginId) {
+    const api = this.pluginAPIs.get(pluginId) || createPluginAPI(pluginId);
+
+    await this.lifecycle.destroyPlugin(pluginId, api);
+
+    this.registry.unregister(pluginId);
+    this.loader.forgetPlugin(pluginId);
+    this.pluginAPIs.delete(pluginId);
+  }
+
   /**
    * Get framework statistics
    * @returns {object} Framework stats
@@ -0,0 +1,391 @@
+/**
+ * ActivationScheduler - Time and context based plugin/profile activation
+ *
+ * Runs in the background worker. Evaluates the activation rules stored in
+ * settings and enables/disables plugins or switches profiles when a rule
+ * starts or stops matching, then tells every tab.
+ *
+ * A rule matches while its schedule (days and a local time window) holds and
+ * any of its contexts (currently only a 'fullscreen' window) is active:
+ *   { id, enabled, target: { plugin } | { profile },
+ *     schedule: { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' },
+ *     context: ['fullscreen'] }
+ *
+ * Rules are edge-triggered: changes are only made when a target's state
+ * flips, so a plugin toggled by hand stays that way until the next
+ * transition. The worker can be suspended between transitions, so wake-ups
+ * go through chrome.alarms and the last seen states are kept in storage.
+ *
+ * The clock, alarms and context source can be injected, which lets the
+ * scheduler run deterministically without a browser:
+ *   new ActivationScheduler({ clock: { now: () => fakeNow }, alarms, getContext })
+ */
+
+import SettingsStore from './SettingsStore.js';
+import StorageAdapter from './StorageAdapter.js';
+import IPCManager from './IPCManager.js';
+
+class ActivationScheduler {
+  /**
+   * @param {object} options - Dependencies (browser defaults when omitted)
+   * @param {object} options.clock - {now()} returning epoch milliseconds
+   * @param {object} options.alarms - chrome.alarms compatible {create, clear, onAlarm}
+   * @param {Function} options.getContext - Async, returns {fullscreen}
+   */
+  constructor(options = {}) {
+    this.settings = options.settings || SettingsStore;
+    this.storage = options.storage || StorageAdapter;
+    this.ipc = options.ipc || IPCManager;
+    this.clock = options.clock || { now: () => Date.now() };
+    this.alarms = options.alarms || (typeof chrome !== 'undefined' ? chrome.alarms : null) || null;
+    this.getContext = options.getContext || (() => this._readContext());
+
+    this.CONTEXTS = {
+      FULLSCREEN: 'fullscreen'
+    };
+
+    this.ALARM = 'activation:transition';
+    this.POLL_ALARM = 'activation:poll';
+    this.POLL_MINUTES = 1;
+    this.STATE_KEY = 'activationState';
+
+    // Serializes evaluations; alarms and context events can overlap
+    this.queue = Promise.resolve();
+    this.lastRun = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Register wake-up listeners and run a first evaluation
+   * Listeners are added synchronously so alarms that woke the worker are seen.
+   * @param {Promise} ready - Evaluations wait for it (settings still loading)
+   * @returns {Promise<object>} Result of the first evaluation
+   */
+  init(ready) {
+    if (this.initialized) return this.queue;
+    this.initialized = true;
+    this.queue = Promise.resolve(ready).catch(() => {});
+
+    this.alarms?.onAlarm?.addListener((alarm) => {
+      if (alarm.name === this.ALARM || alarm.name === this.POLL_ALARM) {
+        this.evaluate('alarm');
+      }
+    });
+
+    if (typeof chrome !== 'undefined') {
+      chrome.windows?.onBoundsChanged?.addListener(() => this.evaluate('context'));
+      chrome.windows?.onFocusChanged?.addListener(() => this.evaluate('context'));
+    }
+
+    this.storage.onChanged((changes) => {
+      if (!changes.settings) return;
+      const before = JSON.stringify(changes.settings.oldValue?.activationRules || []);
+      const after = JSON.stringify(changes.settings.newValue?.activationRules || []);
+      if (before !== after) {
+        this.evaluate('rules');
+      }
+    });
+
+    return this.evaluate('init');
+  }
+
+  /**
+   * Evaluate all rules and apply the targets whose state changed
+   * @param {string} reason - What triggered the evaluation (for logs)
+   * @returns {Promise<object>} {now, reason, context, changes, next} (null if it failed)
+   */
+  evaluate(reason = 'manual') {
+    this.queue = this.queue
+      .then(() => this._evaluate(reason))
+      .catch((error) => {
+        console.error('[ActivationScheduler] Evaluation failed:', error);
+        return null;
+      });
+    return this.queue;
+  }
+
+  async _evaluate(reason) {
+    // Tabs and the popup write settings too; start from what's stored
+    await this.settings.reload();
+
+    const now = this.clock.now();
+    const rules = this.settings.getActivationRules().filter(rule => rule.enabled !== false);
+    const context = rules.some(rule => rule.context?.length)
+      ? await this.getContext()
+      : {};
+
+    const state = await this._loadState();
+    const targets = this.getTargetStates(rules, now, context);
+    const changes = [];
+
+    // Forget targets no rule points at anymore
+    Object.keys(state.targets).forEach(key => {
+      if (!targets.has(key)) delete state.targets[key];
+    });
+
+    for (const [key, { target, active }] of targets) {
+      const previous = state.targets[key];
+      state.targets[key] = active;
+
+      // A new rule that doesn't match yet leaves things as they are
+      if (previous === active || (previous === undefined && !active)) continue;
+
+      changes.push({ target, active });
+    }
+
+    // Profiles first, so plugin rules win over a profile's enabled states
+    changes.sort((a, b) => Number(!!a.target.plugin) - Number(!!b.target.plugin));
+
+    const plugins = [];
+    for (const { target, active } of changes) {
+      if (target.profile) {
+        await this._applyProfile(target.profile, active, state);
+      } else if (await this._applyPlugin(target.plugin, active)) {
+        plugins.push({ pluginId: target.plugin, enabled: active });
+      }
+    }
+
+    if (plugins.length > 0) {
+      await this.settings.flush();
+      await this.ipc.broadcast('activation:changed', { changes: plugins });
+    }
+
+    await this._saveState(state);
+    const next = await this._schedule(rules, now);
+
+    if (changes.length > 0) {
+      console.log(`[ActivationScheduler] ${changes.length} activation change(s) (${reason})`);
+    }
+
+    this.lastRun = { now, reason, context, changes, next };
+    return this.lastRun;
+  }
+
+  /**
+   * Work out which targets should be active
+   * A target is active while any of its rules matches.
+   * @param {object[]} rules - Enabled rules
+   * @param {number} now - Epoch milliseconds
+   * @param {object} context - {fullscreen}
+   * @returns {Map} Target key ('plugin:id', 'profile:name') -> {target, active}
+   */
+  getTargetStates(rules, now, context = {}) {
+    const targets = new Map();
+
+    rules.forEach(rule => {
+      const key = this._targetKey(rule.target);
+      const entry = targets.get(key) || { target: rule.target, active: false };
+      entry.active = entry.active || this.matches(rule, now, context);
+      targets.set(key, entry);
+    });
+
+    return targets;
+  }
+
+  /**
+   * Check if a rule matches
+   * @param {object} rule - Activation rule
+   * @param {number} now - Epoch milliseconds
+   * @param {object} context - {fullscreen}
+   * @returns {boolean}
+   */
+  matches(rule, now, context = {}) {
+    if (rule.schedule && !this.isScheduled(rule.schedule, now)) {
+      return false;
+    }
+
+    if (rule.context?.length && !rule.context.some(name => context[name])) {
+      return false;
+    }
+
+    return !!(rule.schedule || rule.context?.length);
+  }
+
+  /**
+   * Check if a schedule's window is open
+   * @param {object} schedule - {days, start, end}
+   * @param {number} now - Epoch milliseconds
+   * @returns {boolean}
+   */
+  isScheduled(schedule, now) {
+    return this._getWindows(schedule, now).some(({ start, end }) => start <= now && now < end);
+  }
+
+  /**
+   * Find when the next schedule window opens or closes
+   * Context rules have no known transition time; they are polled.
+   * @param {object[]} rules - Enabled rules
+   * @param {number} now - Epoch milliseconds
+   * @returns {number|null} Epoch milliseconds, or null if no rule has a schedule
+   */
+  getNextTransition(rules, now) {
+    let next = null;
+
+    rules.filter(rule => rule.schedule).forEach(rule => {
+      this._getWindows(rule.schedule, now).forEach(({ start, end }) => {
+        [start, end].forEach(time => {
+          if (time > now && (next === null || time < next)) next = time;
+        });
+      });
+    });
+
+    return next;
+  }
+
+  /**
+   * Schedule windows from yesterday to a week ahead, in local time
+   * A window opens on each listed day at `start` and closes at `end`, the
+   * next day if `end` is earlier (overnight), or 24 hours later if equal.
+   */
+  _getWindows(schedule, now) {
+    const [startHour, startMinute] = schedule.start.split(':').map(Number);
+    const [endHour, endMinute] = schedule.end.split(':').map(Number);
+    const duration = ((endHour * 60 + endMinute) - (startHour * 60 + startMinute) + 1440) % 1440 || 1440;
+    const days = schedule.days?.length ? schedule.days : [0, 1, 2, 3, 4, 5, 6];
+
+    const today = new Date(now);
+    const windows = [];
+
+    for (let offset = -1; offset <= 7; offset++) {
+      const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+      if (!days.includes(day.getDay())) continue;
+
+      const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), startHour, startMinute);
+      const end = new Date(day.getFullYear(), day.getMonth(), day.getDate(), startHour, startMinute + duration);
+      windows.push({ start: start.getTime(), end: end.getTime() });
+    }
+
+    return windows;
+  }
+
+  /**
+   * Enable or disable a plugin in settings
+   * @returns {Promise<boolean>} True if the stored state changed
+   */
+  async _applyPlugin(pluginId, enabled) {
+    if (!this.settings.settings.plugins[pluginId]) {
+      console.warn(`[ActivationScheduler] Rule targets unknown plugin: ${pluginId}`);
+      return false;
+    }
+    if (this.settings.isEnabled(pluginId) === enabled) return false;
+
+    if (enabled) {
+      await this.settings.enable(pluginId);
+    } else {
+      await this.settings.disable(pluginId);
+    }
+    return true;
+  }
+
+  /**
+   * Switch to a profile, or back to the one before it when its rule ends
+   */
+  async _applyProfile(name, active, state) {
+    const current = this.settings.getActiveProfile();
+    let switchTo = null;
+
+    if (active) {
+      if (!this.settings.getProfile(name)) {
+        console.warn(`[ActivationScheduler] Rule targets unknown profile: ${name}`);
+        return;
+      }
+      if (current === name) return;
+      state.restoreProfile = state.restoreProfile || current;
+      switchTo = name;
+    } else {
+      // Only switch back if the user hasn't picked another profile meanwhile
+      const restore = state.restoreProfile;
+      state.restoreProfile = null;
+      if (current !== name || !restore || !this.settings.getProfile(restore)) return;
+      switchTo = restore;
+    }
+
+    const result = await this.settings.applyProfile(switchTo);
+    await this.ipc.broadcast('profile:switched', result);
+  }
+
+  /**
+   * Set the alarm for the next schedule transition and the context poll
+   * @returns {Promise<number|null>} Next transition time
+   */
+  async _schedule(rules, now) {
+    const next = this.getNextTransition(rules, now);
+    if (!this.alarms) return next;
+
+    if (next !== null) {
+      await this.alarms.create(this.ALARM, { when: next });
+    } else {
+      await this.alarms.clear(this.ALARM);
+    }
+
+    // Window and capture events cover most context changes; poll for the rest
+    if (rules.some(rule => rule.context?.length)) {
+      await this.alarms.create(this.POLL_ALARM, { periodInMinutes: this.POLL_MINUTES });
+    } else {
+      await this.alarms.clear(this.POLL_ALARM);
+    }
+
+    return next;
+  }
+
+  /**
+   * Read the browser context
+   * 'fullscreen' is the focused window's state. Extensions can't tell when
+   * a page or the browser is sharing a tab (chrome.tabCapture only lists
+   * captures the extension started itself), so there's no sharing context.
+   * @returns {Promise<object>} {fullscreen}
+   */
+  async _readContext() {
+    const context = { fullscreen: false };
+    if (typeof chrome === 'undefined') return context;
+
+    try {
+      if (chrome.windows) {
+        const window = await chrome.windows.getLastFocused();
+        context.fullscreen = window?.state === 'fullscreen';
+      }
+    } catch (error) {
+      console.warn('[ActivationScheduler] Failed to read window state:', error.message);
+    }
+
+    return context;
+  }
+
+  async _loadState() {
+    const stored = await this.storage.get(this.STATE_KEY);
+    return { targets: {}, restoreProfile: null, ...stored[this.STATE_KEY] };
+  }
+
+  async _saveState(state) {
+    await this.storage.set({ [this.STATE_KEY]: state });
+  }
+
+  _targetKey(target) {
+    return target.plugin ? `plugin:${target.plugin}` : `profile:${target.profile}`;
+  }
+
+  /**
+   * Get each rule's current state and the next transition
+   * @returns {object} {rules: [{id, active}], next, lastRun}
+   */
+  getStatus() {
+    const now = this.clock.now();
+    const rules = this.settings.getActivationRules();
+    const context = this.lastRun?.context || {};
+
+    return {
+      rules: rules.map(rule => ({
+        id: rule.id,
+        active: rule.enabled !== false && this.matches(rule, now, context)
+      })),
+      next: this.getNextTransition(rules.filter(rule => rule.enabled !== false), now),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Export singleton instance
+export default new ActivationScheduler();
+
+// Export class for instances with an injected clock, alarms or context
+export { ActivationScheduler };
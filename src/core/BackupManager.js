@@ -0,0 +1,661 @@
+/**
+ * BackupManager - Versioned backups of everything the extension stores
+ *
+ * A backup holds, per plugin, its enabled state, settings, version,
+ * namespaced storage (presets, filter lists, ...) and IndexedDB data (keys
+ * and collections, see IndexedDBStore), plus global settings,
+ * profiles, activation rules and other extension data (sources, installed
+ * plugins). Older formats are upgraded when parsed. Encrypted storage is
+ * left out entirely, the wrapped key and the values it encrypts: restoring
+ * either on its own would leave values no passphrase can decrypt.
+ *
+ * Restoring is planned first: every part of the backup becomes an item with
+ * a diff against what's stored, notes on conflicts and settings that fail
+ * the plugin's schema (those are never written). Granted permissions are
+ * never restored: a plugin only comes back enabled if it was already granted
+ * here, otherwise it stays off until the user enables it and reviews the
+ * permission prompt. The user then picks which items to restore and how:
+ * - 'merge': backup wins where both have a value, extra values are kept
+ * - 'keep': only values missing here are added
+ * - 'replace': exactly what the backup has
+ */
+
+import SettingsStore from './SettingsStore.js';
+import StorageAdapter from './StorageAdapter.js';
+import HookSystem from './HookSystem.js';
+import Vault from './Vault.js';
+import IndexedDBStore from './IndexedDBStore.js';
+import Semver from '../../utils/semver.js';
+import Validators from '../../utils/validators.js';
+
+class BackupManager {
+  constructor() {
+    this.settings = SettingsStore;
+    this.storage = StorageAdapter;
+    this.hooks = HookSystem;
+    this.vault = Vault;
+    this.db = IndexedDBStore;
+
+    this.TYPE = 'betterlooksmax-backup';
+    this.VERSION = 3;
+    this.STRATEGIES = ['merge', 'keep', 'replace'];
+
+    // Stored keys that are never backed up (runtime state, the vault's wrapped key)
+    this.EXCLUDED_KEYS = ['activationState', 'syncState', this.vault.META_KEY];
+
+    // Labels for extension data grouped by key prefix
+    this.DATA_LABELS = {
+      installedPlugins: 'Installed plugins',
+      migrationBackups: 'Migration backups'
+    };
+
+    this.hooks.declare('settings:backup-restored', {
+      description: 'A backup was restored',
+      payload: { restored: { type: 'array', required: true }, skipped: { type: 'object', required: true } }
+    });
+  }
+
+  /**
+   * Create a backup
+   * @param {string[]} pluginIds - Only these plugins, without global data (all if omitted)
+   * @returns {Promise<object>} Backup
+   */
+  async create(pluginIds = null) {
+    await this.settings.flush();
+
+    const all = await this.storage.get(null);
+    const stored = all.settings || {};
+    const known = Object.keys(stored.plugins || {});
+    const ids = pluginIds || known;
+    const database = await this._readDatabase();
+
+    const plugins = {};
+    ids.forEach(pluginId => {
+      const entry = stored.plugins?.[pluginId] || {};
+      plugins[pluginId] = {
+        version: entry.version || null,
+        enabled: !!entry.enabled,
+        settings: entry.settings || {},
+        storage: this._getNamespace(all, pluginId)
+      };
+      if (entry.permissions) plugins[pluginId].permissions = entry.permissions;
+      if (entry.siteRules) plugins[pluginId].siteRules = entry.siteRules;
+      if (database) plugins[pluginId].db = this._getDatabaseNamespace(database, pluginId);
+    });
+
+    const backup = {
+      type: this.TYPE,
+      version: this.VERSION,
+      createdAt: Date.now(),
+      plugins
+    };
+
+    if (!pluginIds) {
+      backup.core = stored.core || {};
+      backup.profiles = stored.profiles || {};
+      backup.activeProfile = stored.activeProfile || null;
+      backup.activationRules = stored.activationRules || [];
+      backup.data = this._getOtherData(all, known);
+    }
+
+    return backup;
+  }
+
+  /**
+   * Create a backup as JSON
+   * @param {string[]} pluginIds - Only these plugins (all if omitted)
+   * @returns {Promise<string>} JSON string
+   */
+  async export(pluginIds = null) {
+    return JSON.stringify(await this.create(pluginIds), null, 2);
+  }
+
+  /**
+   * Parse and check a backup, upgrading older formats
+   * @param {string|object} input - JSON string or backup object
+   * @returns {object} Backup in the current format
+   */
+  parse(input) {
+    const backup = typeof input === 'string' ? JSON.parse(input) : input;
+    if (backup?.type !== this.TYPE) {
+      throw new Error('Not a backup file');
+    }
+    if (backup.version > this.VERSION) {
+      throw new Error(`Backup format ${backup.version} is newer than this extension supports (${this.VERSION})`);
+    }
+
+    let upgraded = backup;
+    if (upgraded.version === 1) upgraded = this._upgradeV1(upgraded);
+    // Version 2 had no IndexedDB data; restoring it leaves the database alone
+    if (upgraded.version === 2) upgraded = { ...upgraded, version: this.VERSION };
+
+    const definition = {
+      type: 'object',
+      properties: {
+        plugins: {
+          type: 'object',
+          required: true,
+          validator: (plugins) => Object.values(plugins).every(entry =>
+            Validators.validateValue(entry, this._pluginDefinition()).length === 0
+          ) || 'Invalid plugin entry'
+        },
+        core: { type: 'object' },
+        profiles: { type: 'object' },
+        activationRules: { type: 'array' },
+        data: { type: 'object' }
+      }
+    };
+
+    const errors = Validators.validateValue(upgraded, definition, 'backup');
+    if (errors.length > 0) {
+      throw new Error(`Invalid backup: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+    }
+
+    return upgraded;
+  }
+
+  /**
+   * Work out what restoring a backup would change
+   * Settings are checked against the schemas registered in this context;
+   * plugins without one are marked unchecked.
+   * @param {object} backup - Parsed backup
+   * @returns {Promise<object>} {createdAt, version, items}
+   */
+  async plan(backup) {
+    const all = await this.storage.get(null);
+    const stored = all.settings || {};
+    const database = await this._readDatabase();
+    const items = [];
+
+    if (backup.core) {
+      items.push(this._planRecord('core', 'core', 'Global settings', stored.core || {}, backup.core));
+    }
+
+    Object.entries(backup.plugins).forEach(([pluginId, entry]) => {
+      const currentDb = database && this._getDatabaseNamespace(database, pluginId);
+      items.push(this._planPlugin(pluginId, entry, stored.plugins?.[pluginId], this._getNamespace(all, pluginId), currentDb));
+    });
+
+    if (backup.profiles && Object.keys(backup.profiles).length > 0) {
+      const item = this._planRecord('profiles', 'profiles', 'Profiles', stored.profiles || {}, backup.profiles);
+      items.push(item);
+    }
+
+    if (backup.activationRules?.length > 0) {
+      const item = this._planRecord(
+        'activationRules',
+        'activationRules',
+        'Schedules',
+        this._byId(stored.activationRules || []),
+        this._byId(backup.activationRules)
+      );
+
+      // Invalid rules are left out
+      this.settings.validateActivationRules(backup.activationRules).forEach(error => {
+        const index = Number(error.path.match(/^rules\[(\d+)\]/)?.[1]);
+        const id = backup.activationRules[index]?.id;
+        item.errors.push({ path: id || error.path, message: error.message });
+        if (id && !item.skipKeys.includes(id)) item.skipKeys.push(id);
+      });
+      items.push(item);
+    }
+
+    const groups = this._groupData(backup.data || {});
+    const current = this._groupData(this._getOtherData(all, Object.keys(stored.plugins || {})));
+    Object.entries(groups).forEach(([group, data]) => {
+      items.push(this._planRecord(`data:${group}`, 'data', this.DATA_LABELS[group] || group, current[group] || {}, data));
+    });
+
+    return {
+      createdAt: backup.createdAt || null,
+      version: backup.version,
+      items
+    };
+  }
+
+  /**
+   * Restore the selected parts of a backup
+   * @param {object} backup - Parsed backup
+   * @param {object} selection - {items: {itemId: strategy}, skipKeys: {itemId: [keys]}}
+   *   skipKeys adds keys to leave out, e.g. settings a tab found invalid
+   * @returns {Promise<object>} {restored: itemIds, skipped: {itemId: keys}}
+   */
+  async restore(backup, selection = {}) {
+    const plan = await this.plan(backup);
+    const chosen = selection.items || {};
+
+    await this.settings.flush();
+    await this.settings.reload();
+    const next = Validators.deepClone(this.settings.settings);
+
+    const all = await this.storage.get(null);
+    const database = await this._readDatabase();
+    const writes = {};
+    const removals = [];
+    const dbWrites = { items: {}, removals: [], collections: {} };
+    const restored = [];
+    const skipped = {};
+
+    for (const item of plan.items) {
+      const strategy = chosen[item.id];
+      if (!strategy) continue;
+      if (!this.STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown restore strategy for ${item.id}: ${strategy}`);
+      }
+
+      const skip = [...new Set([...item.skipKeys, ...(selection.skipKeys?.[item.id] || [])])];
+      if (skip.length > 0) skipped[item.id] = skip;
+
+      switch (item.kind) {
+        case 'core':
+          next.core = this._merge(next.core, backup.core, strategy);
+          break;
+
+        case 'plugin':
+          this._restorePlugin(item.pluginId, backup.plugins[item.pluginId], strategy, skip, next, all, writes, removals);
+          if (database && backup.plugins[item.pluginId].db) {
+            this._restoreDatabase(item.pluginId, backup.plugins[item.pluginId].db, strategy, database, dbWrites);
+          }
+          break;
+
+        case 'profiles':
+          next.profiles = this._merge(next.profiles, backup.profiles, strategy);
+          if (strategy !== 'keep' && backup.activeProfile && next.profiles[backup.activeProfile]) {
+            next.activeProfile = backup.activeProfile;
+          }
+          break;
+
+        case 'activationRules': {
+          const rules = this._omit(this._byId(backup.activationRules), skip);
+          next.activationRules = Object.values(this._merge(this._byId(next.activationRules || []), rules, strategy));
+          break;
+        }
+
+        case 'data': {
+          const group = item.id.slice('data:'.length);
+          const current = this._groupData(this._getOtherData(all, Object.keys(next.plugins)))[group] || {};
+          const merged = this._merge(current, this._groupData(backup.data)[group], strategy);
+          Object.assign(writes, merged);
+          removals.push(...Object.keys(current).filter(key => !(key in merged)));
+          break;
+        }
+      }
+
+      restored.push(item.id);
+    }
+
+    if (restored.length === 0) {
+      return { restored, skipped };
+    }
+
+    await this.storage.set({ ...writes, settings: next });
+    if (removals.length > 0) {
+      await this.storage.remove(removals);
+    }
+    await this._writeDatabase(dbWrites);
+    await this.settings.reload(true);
+
+    await this.hooks.action('settings:backup-restored', { restored, skipped });
+    return { restored, skipped };
+  }
+
+  /**
+   * Apply one plugin of a backup to the next settings and storage writes
+   */
+  _restorePlugin(pluginId, entry, strategy, skip, next, all, writes, removals) {
+    const current = next.plugins[pluginId];
+    const settings = this._omit(entry.settings || {}, skip);
+    const takeBackup = !current || strategy !== 'keep';
+
+    next.plugins[pluginId] = {
+      ...(current || {}),
+      enabled: takeBackup ? this._getRestoredEnabled(entry, current) : !!current.enabled,
+      settings: this._merge(current?.settings || {}, settings, strategy)
+    };
+
+    // Skipped settings keep their value here, even when replacing
+    skip.forEach(key => {
+      if (current?.settings && key in current.settings) {
+        next.plugins[pluginId].settings[key] = current.settings[key];
+      }
+    });
+
+    if (takeBackup) {
+      ['version', 'siteRules'].forEach(key => {
+        if (entry[key]) next.plugins[pluginId][key] = Validators.deepClone(entry[key]);
+      });
+      // Migrations from the backup's version should run again
+      delete next.plugins[pluginId].skipMigrations;
+    }
+
+    const currentStorage = this._getNamespace(all, pluginId);
+    const storage = this._merge(currentStorage, entry.storage || {}, strategy);
+    Object.entries(storage).forEach(([key, value]) => {
+      writes[`${pluginId}.${key}`] = value;
+    });
+    Object.keys(currentStorage)
+      .filter(key => !(key in storage))
+      .forEach(key => removals.push(`${pluginId}.${key}`));
+  }
+
+  /**
+   * Apply one plugin's IndexedDB data of a backup to the next database writes
+   * Keys merge like storage; collections are restored whole.
+   */
+  _restoreDatabase(pluginId, incoming, strategy, database, dbWrites) {
+    const current = this._getDatabaseNamespace(database, pluginId);
+
+    const items = this._merge(current.items, incoming.items, strategy);
+    Object.entries(items).forEach(([key, value]) => {
+      dbWrites.items[`${pluginId}.${key}`] = value;
+    });
+    Object.keys(current.items)
+      .filter(key => !(key in items))
+      .forEach(key => dbWrites.removals.push(`${pluginId}.${key}`));
+
+    const collections = this._merge(current.collections, incoming.collections, strategy);
+    Object.entries(collections).forEach(([name, collection]) => {
+      if (!Validators.deepEqual(current.collections[name], collection)) {
+        dbWrites.collections[`${pluginId}/${name}`] = collection;
+      }
+    });
+    // Collections only stored here are emptied
+    Object.entries(current.collections)
+      .filter(([name]) => !(name in collections))
+      .forEach(([name, { spec }]) => {
+        dbWrites.collections[`${pluginId}/${name}`] = { spec, records: [] };
+      });
+  }
+
+  /**
+   * Plan one plugin: enabled state, settings (checked against its schema),
+   * site rules, storage and IndexedDB data
+   */
+  _planPlugin(pluginId, entry, current, currentStorage, currentDb) {
+    const schema = this.settings.schemas.get(pluginId);
+    const item = {
+      id: `plugin:${pluginId}`,
+      kind: 'plugin',
+      pluginId,
+      label: pluginId,
+      changes: [],
+      notes: [],
+      errors: [],
+      skipKeys: [],
+      validated: !!schema
+    };
+
+    if (schema) {
+      Object.entries(entry.settings || {}).forEach(([key, value]) => {
+        if (!schema[key]) return;
+        const errors = Validators.validateValue(value, schema[key], key);
+        if (errors.length > 0) {
+          item.errors.push(...errors);
+          item.skipKeys.push(key);
+        }
+      });
+    } else {
+      item.notes.push('Settings could not be checked: the plugin is not loaded here');
+    }
+
+    if (!current) {
+      item.notes.push('Not set up in this browser yet');
+    } else if (entry.version && current.version && entry.version !== current.version) {
+      item.notes.push(Semver.compare(entry.version, current.version) > 0
+        ? `Backup is from a newer version (${entry.version}, you have ${current.version}); some settings may not apply`
+        : `Backup is from version ${entry.version} (you have ${current.version}); its settings will be migrated`);
+    }
+
+    const enabled = this._getRestoredEnabled(entry, current);
+    if (entry.enabled && !enabled) {
+      item.notes.push('Stays off: enable it afterwards to review its permissions');
+    }
+    const ungranted = (entry.permissions || []).filter(permission => !current?.permissions?.includes(permission));
+    if (ungranted.length > 0) {
+      item.notes.push(`Permissions aren't restored (${ungranted.join(', ')}); they're asked for when the plugin is enabled`);
+    }
+
+    if (enabled !== !!current?.enabled) {
+      item.changes.push({
+        section: 'enabled',
+        key: 'enabled',
+        type: current ? 'changed' : 'added',
+        from: current ? !!current.enabled : undefined,
+        to: enabled
+      });
+    }
+
+    item.changes.push(
+      ...this._diff(current?.settings || {}, this._omit(entry.settings || {}, item.skipKeys), 'settings'),
+      ...(entry.siteRules ? this._diff(current?.siteRules || {}, entry.siteRules, 'siteRules') : []),
+      ...this._diff(currentStorage, entry.storage || {}, 'storage')
+    );
+
+    if (entry.db && currentDb) {
+      item.changes.push(
+        ...this._diff(currentDb.items, entry.db.items, 'db'),
+        ...this._diff(currentDb.collections, entry.db.collections, 'collections')
+      );
+    } else if (entry.db) {
+      item.notes.push('IndexedDB data can\'t be read here and won\'t be restored');
+    }
+
+    item.status = this._getStatus(item.changes, !current);
+    return item;
+  }
+
+  /**
+   * Whether a plugin is enabled after taking the backup's state
+   * Only plugins already granted here may be switched on; the rest wait for
+   * the popup's permission prompt
+   */
+  _getRestoredEnabled(entry, current) {
+    if (!entry.enabled) return false;
+    return !!current?.enabled || Array.isArray(current?.permissions);
+  }
+
+  /**
+   * Plan a keyed record (global settings, profiles, rules, data)
+   */
+  _planRecord(id, kind, label, current, incoming) {
+    const changes = this._diff(current, incoming, kind);
+    return {
+      id,
+      kind,
+      label,
+      changes,
+      notes: [],
+      errors: [],
+      skipKeys: [],
+      validated: true,
+      status: this._getStatus(changes, Object.keys(current).length === 0)
+    };
+  }
+
+  /**
+   * Compare two records by key
+   * @returns {object[]} Changes {section, key, type: 'added'|'changed'|'removed', from, to}
+   *   ('removed' means only stored here, which only 'replace' deletes)
+   */
+  _diff(current, incoming, section) {
+    const changes = [];
+
+    Object.entries(incoming).forEach(([key, value]) => {
+      if (!(key in current)) {
+        changes.push({ section, key, type: 'added', to: value });
+      } else if (!Validators.deepEqual(current[key], value)) {
+        changes.push({ section, key, type: 'changed', from: current[key], to: value });
+      }
+    });
+
+    Object.keys(current)
+      .filter(key => !(key in incoming))
+      .forEach(key => changes.push({ section, key, type: 'removed', from: current[key] }));
+
+    return changes;
+  }
+
+  _getStatus(changes, isNew) {
+    if (isNew) return 'new';
+    return changes.some(change => change.type !== 'removed') ? 'changed' : 'unchanged';
+  }
+
+  /**
+   * Combine a stored record with one from a backup
+   */
+  _merge(current = {}, incoming = {}, strategy) {
+    switch (strategy) {
+      case 'replace':
+        return Validators.deepClone(incoming);
+      case 'keep':
+        return { ...Validators.deepClone(incoming), ...current };
+      default:
+        return { ...current, ...Validators.deepClone(incoming) };
+    }
+  }
+
+  _omit(record, keys) {
+    const result = { ...record };
+    keys.forEach(key => delete result[key]);
+    return result;
+  }
+
+  _byId(rules) {
+    return Object.fromEntries(rules.map(rule => [rule.id, rule]));
+  }
+
+  /**
+   * A plugin's namespaced storage, with the namespace stripped
+   * Encrypted values are left out, so restoring never touches them
+   */
+  _getNamespace(all, pluginId) {
+    const prefix = `${pluginId}.`;
+    const data = {};
+    Object.entries(all).forEach(([key, value]) => {
+      if (key.startsWith(prefix) && !this.vault.isEncrypted(value)) {
+        data[key.slice(prefix.length)] = value;
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Everything in IndexedDB, or null where it can't be opened
+   */
+  async _readDatabase() {
+    return this.db.isAvailable() ? await this.db.export() : null;
+  }
+
+  /**
+   * A plugin's IndexedDB keys and collections, with the namespace stripped
+   */
+  _getDatabaseNamespace(database, pluginId) {
+    const strip = (record, separator) => {
+      const prefix = `${pluginId}${separator}`;
+      return Object.fromEntries(Object.entries(record)
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, value]) => [key.slice(prefix.length), value]));
+    };
+    return { items: strip(database.items, '.'), collections: strip(database.collections, '/') };
+  }
+
+  /**
+   * Write the IndexedDB part of a restore
+   */
+  async _writeDatabase({ items, removals, collections }) {
+    if (Object.keys(items).length > 0) {
+      await this.db.set(items);
+    }
+    if (removals.length > 0) {
+      await this.db.remove(removals);
+    }
+    for (const [store, { spec, records }] of Object.entries(collections)) {
+      await this.db.replaceCollection(store, spec, records);
+    }
+  }
+
+  /**
+   * Stored keys that belong to neither settings nor a plugin
+   */
+  _getOtherData(all, pluginIds) {
+    const data = {};
+    Object.entries(all).forEach(([key, value]) => {
+      if (key === 'settings' || key === this.storage.BACKEND_KEY || this.EXCLUDED_KEYS.includes(key)) return;
+      if (this.vault.isEncrypted(value)) return;
+      if (pluginIds.some(pluginId => key.startsWith(`${pluginId}.`))) return;
+      data[key] = value;
+    });
+    return data;
+  }
+
+  /**
+   * Group extension data by key prefix ('group.key' -> 'group')
+   */
+  _groupData(data) {
+    const groups = {};
+    Object.entries(data).forEach(([key, value]) => {
+      const group = key.split('.')[0];
+      groups[group] = groups[group] || {};
+      groups[group][key] = value;
+    });
+    return groups;
+  }
+
+  _pluginDefinition() {
+    return {
+      type: 'object',
+      properties: {
+        version: { validator: (value) => value === null || typeof value === 'string' || 'Expected a version string' },
+        enabled: { type: 'boolean' },
+        settings: { type: 'object', required: true },
+        storage: { type: 'object' },
+        permissions: { type: 'array' },
+        siteRules: { type: 'object' },
+        db: {
+          type: 'object',
+          properties: {
+            items: { type: 'object', required: true },
+            collections: { type: 'object', required: true }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Upgrade a version 1 backup (a raw storage dump)
+   */
+  _upgradeV1(backup) {
+    const data = backup.data || {};
+    const stored = data.settings || {};
+    const pluginIds = Object.keys(stored.plugins || {});
+
+    const plugins = {};
+    pluginIds.forEach(pluginId => {
+      const entry = stored.plugins[pluginId] || {};
+      plugins[pluginId] = {
+        version: entry.version || null,
+        enabled: !!entry.enabled,
+        settings: entry.settings || {},
+        storage: this._getNamespace(data, pluginId)
+      };
+      if (entry.permissions) plugins[pluginId].permissions = entry.permissions;
+      if (entry.siteRules) plugins[pluginId].siteRules = entry.siteRules;
+    });
+
+    return {
+      type: this.TYPE,
+      version: this.VERSION,
+      createdAt: backup.createdAt || null,
+      plugins,
+      core: stored.core || {},
+      profiles: stored.profiles || {},
+      activeProfile: stored.activeProfile || null,
+      activationRules: stored.activationRules || [],
+      data: this._getOtherData(data, pluginIds)
+    };
+  }
+}
+
+// Export singleton instance
+export default new BackupManager();
@@ -0,0 +1,281 @@
+/**
+ * HookBridge - Carries shared hooks between the page, popup and background
+ *
+ * HookSystem is a per-context singleton. Hooks declared with `shared` are
+ * also emitted in the other contexts they're shared with: the background
+ * worker is the hub (content scripts can only message the extension, and
+ * only the worker can message every tab), so content scripts and the popup
+ * relay through it and it delivers to the rest.
+ *
+ * Actions are delivered without waiting. Filters run through the contexts
+ * one at a time (background, popup, then tabs by ID), each getting the
+ * previous context's result, and the emitter gets the final value plus every
+ * context's response.
+ *
+ * Payloads must survive messaging: plain objects, arrays and primitives
+ * (Errors are sent as {name, message, stack}); anything else is rejected
+ * before sending.
+ */
+
+import HookSystem from './HookSystem.js';
+import IPCManager from './IPCManager.js';
+
+class HookBridge {
+  constructor() {
+    this.hooks = HookSystem;
+    this.ipc = IPCManager;
+
+    // 'background', 'popup' or 'content' once initialized
+    this.context = null;
+
+    // IPC actions: to the hub, and from the hub to a context
+    this.RELAY = 'hooks:relay';
+    this.DELIVER = 'hooks:deliver';
+  }
+
+  /**
+   * Connect this context's HookSystem to the bridge
+   * @param {string} context - 'background', 'popup' or 'content'
+   */
+  init(context) {
+    if (this.context) return;
+
+    this.context = context;
+    this.hooks.setBridge(this);
+
+    if (context === 'background') {
+      this.ipc.on(this.RELAY, (message, sender) => this._relay(message, sender));
+    } else {
+      this.ipc.on(this.DELIVER, (message) => this._deliver(message));
+    }
+  }
+
+  /**
+   * Send an emitted hook to the other contexts
+   * Called by HookSystem.emit after the local handlers ran.
+   * @param {string} hookName - Hook name
+   * @param {*} data - Payload (the local result for filters)
+   * @param {object} options - Emit details
+   * @param {string} options.kind - 'action' or 'filter'
+   * @param {string[]} options.contexts - Contexts the hook is declared shared with
+   * @param {Array<string|number>} options.targets - 'background', 'popup', 'tabs', 'active' or tab IDs
+   *   (default: every shared context)
+   * @param {string} options.plugin - Emitting plugin
+   * @param {boolean} options.cancelable - Whether handlers may cancel
+   * @param {boolean} options.failFast - Stop at the first context that fails and throw
+   * @returns {Promise<object>} {data, cancelled, responses: [{context, tabId, data|error}]}
+   */
+  async forward(hookName, data, options) {
+    const { kind, contexts, targets = contexts, plugin, cancelable = false, failFast = false } = options;
+
+    const message = {
+      hook: hookName,
+      data: this.serialize(data, hookName),
+      kind,
+      plugin,
+      cancelable,
+      failFast,
+      targets: this._checkTargets(hookName, contexts, [].concat(targets)),
+      origin: { context: this.context, tabId: null }
+    };
+
+    const reply = this.context === 'background'
+      ? await this._relay(message, null)
+      : await this.ipc.request(this.RELAY, message);
+
+    if (reply.error) {
+      throw new Error(`Hook '${hookName}' failed in another context: ${reply.error}`);
+    }
+
+    return {
+      data: kind === 'filter' ? reply.data : data,
+      cancelled: !!reply.cancelled,
+      responses: reply.responses || []
+    };
+  }
+
+  /**
+   * Make a payload safe to message, or throw naming what can't be sent
+   * @param {*} value - Payload
+   * @param {string} hookName - Hook name (for the error)
+   * @returns {*} Plain copy
+   */
+  serialize(value, hookName) {
+    const ancestors = new Set();
+    const fail = (path, problem) => {
+      throw new Error(`Hook '${hookName}' can't be shared: ${path} ${problem}`);
+    };
+
+    const convert = (item, path) => {
+      if (item === null || item === undefined || typeof item === 'string' || typeof item === 'boolean') {
+        return item;
+      }
+      if (typeof item === 'number') {
+        if (!Number.isFinite(item)) fail(path, `is ${item}`);
+        return item;
+      }
+      if (typeof item !== 'object') {
+        fail(path, `is a ${typeof item}`);
+      }
+      if (item instanceof Error) {
+        return { name: item.name, message: item.message, stack: item.stack };
+      }
+      if (ancestors.has(item)) {
+        fail(path, 'is a circular reference');
+      }
+
+      let copy;
+      ancestors.add(item);
+      if (Array.isArray(item)) {
+        copy = item.map((entry, index) => convert(entry, `${path}[${index}]`));
+      } else {
+        const proto = Object.getPrototypeOf(item);
+        if (proto !== Object.prototype && proto !== null) {
+          fail(path, `is a ${item.constructor?.name || 'class instance'}, not a plain object`);
+        }
+        copy = {};
+        Object.entries(item).forEach(([key, entry]) => {
+          const converted = convert(entry, `${path}.${key}`);
+          if (converted !== undefined) copy[key] = converted;
+        });
+      }
+      ancestors.delete(item);
+      return copy;
+    };
+
+    return convert(value, 'payload');
+  }
+
+  /**
+   * Check targets against the contexts a hook is shared with
+   * @returns {Array<string|number>} Targets
+   */
+  _checkTargets(hookName, contexts, targets) {
+    targets.forEach(target => {
+      const context = typeof target === 'number' || target === 'active' ? 'tabs' : target;
+      if (!contexts.includes(context)) {
+        throw new Error(`Hook '${hookName}' isn't shared with ${typeof target === 'number' ? `tab ${target}` : target}`);
+      }
+    });
+    return targets;
+  }
+
+  /**
+   * Hub: deliver a hook from any context to its targets
+   * @param {object} message - Forwarded hook (see forward)
+   * @param {object|null} sender - Message sender (null when emitted in the background)
+   * @returns {Promise<object>} {data, cancelled, responses, error}
+   */
+  async _relay(message, sender) {
+    const origin = { context: message.origin?.context || 'content', tabId: sender?.tab?.id ?? null };
+    const delivery = { ...message, origin };
+    const stops = await this._resolveStops(message.targets, origin);
+
+    if (message.kind !== 'filter') {
+      stops.forEach(stop => {
+        this._send(stop, delivery, false).catch(error => {
+          console.warn(`[HookBridge] Failed to deliver '${message.hook}' to ${this._label(stop)}:`, error.message);
+        });
+      });
+      return { responses: stops.map(stop => ({ ...stop })) };
+    }
+
+    let data = message.data;
+    const responses = [];
+    for (const stop of stops) {
+      try {
+        const reply = await this._send(stop, { ...delivery, data }, true);
+        if (!reply) continue; // Closed popup, tab without the framework
+
+        data = reply.data;
+        responses.push({ ...stop, data });
+        if (reply.cancelled) {
+          return { data, cancelled: true, responses };
+        }
+      } catch (error) {
+        responses.push({ ...stop, error: error.message });
+        if (message.failFast) {
+          return { data, cancelled: false, responses, error: `${this._label(stop)}: ${error.message}` };
+        }
+      }
+    }
+
+    return { data, cancelled: false, responses };
+  }
+
+  /**
+   * Turn targets into contexts to deliver to, leaving out the origin
+   * @returns {Promise<object[]>} [{context, tabId}] in delivery order
+   */
+  async _resolveStops(targets, origin) {
+    const stops = ['background', 'popup']
+      .filter(context => targets.includes(context) && origin.context !== context)
+      .map(context => ({ context, tabId: null }));
+
+    const tabIds = new Set(targets.filter(target => typeof target === 'number'));
+    if (targets.includes('tabs')) {
+      (await this.ipc.getAllTabs()).forEach(tab => tab.id && tabIds.add(tab.id));
+    }
+    if (targets.includes('active')) {
+      const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      if (tab?.id) tabIds.add(tab.id);
+    }
+    tabIds.delete(origin.tabId);
+
+    return stops.concat([...tabIds].sort((a, b) => a - b).map(tabId => ({ context: 'content', tabId })));
+  }
+
+  /**
+   * Deliver to one context
+   * @param {boolean} wait - Wait for the reply (filters)
+   * @returns {Promise<object|null>} Reply, or null if the context isn't there
+   */
+  async _send(stop, message, wait) {
+    try {
+      if (stop.context === 'background') {
+        return await this._deliver(message);
+      }
+      if (stop.context === 'popup') {
+        if (!wait) {
+          await this.ipc.sendEvent(this.DELIVER, message);
+          return null;
+        }
+        return await this.ipc.request(this.DELIVER, message);
+      }
+      return await this.ipc.requestTab(stop.tabId, this.DELIVER, message);
+    } catch (error) {
+      if (error.message === 'Context no longer available') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Emit a delivered hook in this context
+   * @param {object} message - Forwarded hook
+   * @returns {Promise<object>} {data, cancelled} for filters
+   */
+  async _deliver(message) {
+    const result = await this.hooks.emit(message.hook, message.data, {
+      plugin: message.plugin,
+      remote: message.origin,
+      usedAs: message.kind,
+      cancelable: message.cancelable,
+      failFast: message.failFast
+    });
+
+    if (message.kind !== 'filter') {
+      return {};
+    }
+    return { data: this.serialize(result.data, message.hook), cancelled: result.cancelled };
+  }
+
+  _label(stop) {
+    return stop.tabId !== null ? `tab ${stop.tabId}` : stop.context;
+  }
+}
+
+// Export singleton instance
+export default new HookBridge();
+export { HookBridge };
@@ -3,31 +3,251 @@
  * 
  * Provides a priority-based event emitter that allows plugins to register
  * handlers for various lifecycle and application events.
+ *
+ * Hooks are declared by whoever emits them (the core, or a plugin through
+ * its `provides` manifest field): kind (action or filter), payload schema
+ * (same keywords as settings schemas) and whether handlers may cancel.
+ * Declarations pick emit's defaults; in dev mode (core.debugMode) emit also
+ * checks payloads and warns about hooks nobody declared.
  */
 
+import Validators from '../../utils/validators.js';
+
 class HookSystem {
   constructor() {
     // Map of hook name to array of handlers
     this.hooks = new Map();
     // Track plugin registrations for cleanup
     this.pluginHooks = new Map();
+    // Called with (pluginId, error, hookName) when a plugin's handler throws or times out
+    this.errorHandler = null;
+    // Per-handler time limit in ms when the emit doesn't set one (core.hookTimeout, 0 for none)
+    this.defaultTimeout = 0;
+    // Handed to handlers when nothing can interrupt them
+    this.NEVER_ABORTED = new AbortController().signal;
+    // Registration counter, the tie-break between handlers of equal priority
+    this.registrations = 0;
+
+    // Registered names containing wildcards ('plugin:*', 'dom:**')
+    this.patterns = new Set();
+    // Compiled patterns, by pattern
+    this.compiled = new Map();
+    // Handlers for a hook name including pattern matches: name -> {version, handlers}
+    this.resolved = new Map();
+    // Bumped on every register/unregister to invalidate resolved
+    this.version = 0;
+
+    this.KINDS = ['action', 'filter'];
+    // Contexts a hook can be shared with (see HookBridge)
+    this.CONTEXTS = ['background', 'popup', 'tabs'];
+    // Declared hooks: name -> {name, kind, payload, cancelable, description, provider}
+    // Names ending in ':*' cover every hook with that prefix
+    this.declarations = new Map();
+    // Who emitted each hook (plugin IDs, 'core' for the framework)
+    this.emitters = new Map();
+    this.devMode = false;
+    // Undeclared hooks already warned about
+    this.warned = new Set();
+
+    // Called with a trace of every emit while set (see setTracer)
+    this.tracer = null;
+    this.traceId = 0;
+    // Handler whose synchronous part is running, parent of emits it makes
+    this.activeSpan = null;
+
+    // Carries shared hooks to other contexts (HookBridge, once initialized)
+    this.bridge = null;
+  }
+
+  /**
+   * Declare a hook
+   * Plugins may only declare hooks in their own namespace ('<plugin-id>:...');
+   * declaring again from the same provider replaces the declaration.
+   * @param {string} hookName - Hook name ('prefix:*' for a family of hooks)
+   * @param {object} definition - Declaration
+   * @param {string} definition.kind - 'action' (notify) or 'filter' (handlers transform data)
+   * @param {object} definition.payload - Payload fields, as in a settings schema
+   * @param {boolean} definition.cancelable - Whether handlers may call context.cancel()
+   * @param {string} definition.description - What the hook is for
+   * @param {boolean|string[]} definition.shared - Also emit it in other contexts: true for all,
+   *   or some of 'background', 'popup' and 'tabs' (see HookBridge)
+   * @param {string} provider - Plugin ID, or 'core'
+   */
+  declare(hookName, definition = {}, provider = 'core') {
+    const { kind = 'action', payload = null, cancelable = false, description = '', shared = false } = definition;
+    const contexts = shared === true ? [...this.CONTEXTS] : shared ? [].concat(shared) : null;
+
+    if (!this.KINDS.includes(kind)) {
+      throw new Error(`Hook '${hookName}' has an unknown kind: ${kind}`);
+    }
+    if (payload !== null && !Validators.validateType(payload, 'object')) {
+      throw new Error(`Hook '${hookName}' payload must be an object of field definitions`);
+    }
+    const unknown = (contexts || []).filter(context => !this.CONTEXTS.includes(context));
+    if (unknown.length > 0) {
+      throw new Error(`Hook '${hookName}' is shared with unknown contexts: ${unknown.join(', ')}`);
+    }
+    if (provider !== 'core' && !hookName.startsWith(`${provider}:`)) {
+      throw new Error(`Plugin ${provider} can only declare hooks starting with '${provider}:', not '${hookName}'`);
+    }
+
+    const existing = this.declarations.get(hookName);
+    if (existing && existing.provider !== provider) {
+      throw new Error(`Hook '${hookName}' is already declared by ${existing.provider}`);
+    }
+
+    this.declarations.set(hookName, {
+      name: hookName,
+      kind,
+      payload,
+      cancelable: !!cancelable,
+      description,
+      shared: contexts,
+      provider
+    });
+  }
+
+  /**
+   * Declare several hooks
+   * @param {object} definitions - Hook name -> declaration (see declare)
+   * @param {string} provider - Plugin ID, or 'core'
+   */
+  declareAll(definitions, provider = 'core') {
+    Object.entries(definitions).forEach(([hookName, definition]) => {
+      this.declare(hookName, definition, provider);
+    });
+  }
+
+  /**
+   * Drop the hooks a plugin declared
+   * @param {string} pluginId - Plugin ID
+   */
+  undeclarePlugin(pluginId) {
+    this.declarations.forEach((declaration, hookName) => {
+      if (declaration.provider === pluginId) {
+        this.declarations.delete(hookName);
+      }
+    });
+  }
+
+  /**
+   * Get a hook's declaration
+   * @param {string} hookName - Hook name
+   * @returns {object|null} Declaration, or null if undeclared
+   */
+  getDeclaration(hookName) {
+    if (this.declarations.has(hookName)) {
+      return this.declarations.get(hookName);
+    }
+
+    for (const [name, declaration] of this.declarations) {
+      if (this.isPattern(name) && this.matches(name, hookName)) {
+        return declaration;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a hook name is a pattern
+   * @param {string} hookName - Hook name
+   * @returns {boolean}
+   */
+  isPattern(hookName) {
+    return hookName.includes('*');
+  }
+
+  /**
+   * Match a hook name against a pattern
+   * Names are ':'-separated segments; '*' matches one whole segment and
+   * '**' one or more ('plugin:*' matches 'plugin:enabled', 'dom:**' matches
+   * 'dom:mutated' and 'dom:a:b').
+   * @param {string} pattern - Pattern (or plain name)
+   * @param {string} hookName - Hook name
+   * @returns {boolean}
+   */
+  matches(pattern, hookName) {
+    if (!this.isPattern(pattern)) {
+      return pattern === hookName;
+    }
+
+    let regex = this.compiled.get(pattern);
+    if (!regex) {
+      const source = pattern.split(':').map(segment => {
+        if (segment === '**') return '.+';
+        if (segment === '*') return '[^:]+';
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }).join(':');
+      regex = new RegExp(`^${source}$`);
+      this.compiled.set(pattern, regex);
+    }
+    return regex.test(hookName);
+  }
+
+  /**
+   * Get every declared hook
+   * @returns {object[]} Declarations, sorted by name
+   */
+  getDeclarations() {
+    return Array.from(this.declarations.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Check payloads and warn about undeclared hooks on emit
+   * @param {boolean} enabled - Whether dev mode is on
+   */
+  setDevMode(enabled) {
+    this.devMode = !!enabled;
+  }
+
+  /**
+   * Warn about an undeclared hook, an invalid payload or a kind mismatch (dev mode)
+   */
+  _checkEmit(hookName, data, declaration, usedAs) {
+    if (!declaration) {
+      if (!this.warned.has(hookName)) {
+        this.warned.add(hookName);
+        console.warn(`[HookSystem] Hook '${hookName}' is emitted but not declared`);
+      }
+      return;
+    }
+
+    if (usedAs && usedAs !== declaration.kind) {
+      console.warn(`[HookSystem] Hook '${hookName}' is declared as ${declaration.kind} but emitted as ${usedAs}`);
+    }
+
+    if (declaration.payload) {
+      const errors = Validators.validateValue(data, { type: 'object', properties: declaration.payload }, 'payload');
+      if (errors.length > 0) {
+        console.warn(
+          `[HookSystem] Invalid payload for hook '${hookName}':`,
+          errors.map(e => `${e.path}: ${e.message}`).join('; ')
+        );
+      }
+    }
   }
 
   /**
    * Register a hook handler
-   * @param {string} hookName - Name of the hook (e.g., 'dom:ready')
-   * @param {Function} handler - Async function to call when hook fires
+   * @param {string} hookName - Name of the hook (e.g., 'dom:ready'), or a pattern ('plugin:*', 'my-plugin:**')
+   * @param {Function} handler - Async function to call when hook fires (context.hook is the emitted name)
    * @param {object} options - Configuration options
    * @param {number} options.priority - Execution order (0-100, lower runs first)
    * @param {boolean} options.once - Run only once then unregister
    * @param {string} options.plugin - Plugin ID for tracking
+   * @param {number} options.timeout - Time limit in ms for this handler (the emit's when omitted)
+   * @param {string|string[]} options.before - Plugin IDs whose handlers for this hook must run after this one
+   * @param {string|string[]} options.after - Plugin IDs whose handlers for this hook must run before this one
    * @returns {Function} Unregister function
    */
   register(hookName, handler, options = {}) {
     const {
       priority = 50,
       once = false,
-      plugin = null
+      plugin = null,
+      timeout = 0,
+      before = [],
+      after = []
     } = options;
 
     if (typeof handler !== 'function') {
@@ -40,6 +260,10 @@ class HookSystem {
       priority,
       once,
       plugin,
+      timeout,
+      before: [].concat(before),
+      after: [].concat(after),
+      order: ++this.registrations,
       id: Symbol('handler')
     };
 
@@ -51,8 +275,13 @@ class HookSystem {
     const handlers = this.hooks.get(hookName);
     handlers.push(entry);
 
-    // Sort by priority (lower priority runs first)
-    handlers.sort((a, b) => a.priority - b.priority);
+    // Lower priority runs first, then earlier registrations, within before/after constraints
+    handlers.splice(0, handlers.length, ...this._orderHandlers(hookName, handlers));
+
+    if (this.isPattern(hookName)) {
+      this.patterns.add(hookName);
+    }
+    this.version++;
 
     // Track for plugin cleanup
     if (plugin) {
@@ -94,7 +323,9 @@ class HookSystem {
     // Clean up empty hook arrays
     if (handlers.length === 0) {
       this.hooks.delete(hookName);
+      this.patterns.delete(hookName);
     }
+    this.version++;
   }
 
   /**
@@ -120,8 +351,8 @@ class HookSystem {
     const pluginHookList = this.pluginHooks.get(pluginId);
     if (!pluginHookList) return;
 
-    // Unregister all hooks for this plugin
-    pluginHookList.forEach(({ hookName, id }) => {
+    // Unregister all hooks for this plugin (_unregister edits the list, so iterate a copy)
+    [...pluginHookList].forEach(({ hookName, id }) => {
       this._unregister(hookName, id);
     });
 
@@ -130,60 +361,101 @@ class HookSystem {
 
   /**
    * Emit a hook event
+   * Each handler gets context.signal, aborted when it times out or the emit
+   * is aborted. A handler still running after its timeout is abandoned and
+   * reported as its plugin's error. Time limits are opt-in: without one (and
+   * without a signal or failFast) handlers are simply awaited.
    * @param {string} hookName - Hook name to emit
    * @param {*} data - Data to pass to handlers
    * @param {object} options - Emission options
-   * @param {boolean} options.parallel - Run handlers in parallel (default: true)
-   * @param {boolean} options.cancelable - Allow handlers to cancel propagation
-   * @returns {Promise<object>} Result with data and cancelled status
+   * @param {boolean} options.parallel - Run each priority group's handlers in parallel (default: true;
+   *   ignored for filters, which always run one handler at a time in a stable order)
+   * @param {boolean} options.cancelable - Allow handlers to cancel propagation (default: as declared)
+   * @param {number} options.timeout - Per-handler time limit in ms (0 for none; a shorter registration timeout wins)
+   * @param {boolean} options.failFast - Stop at the first failing handler and reject with its error
+   *   (default: best-effort, failures are reported and the remaining handlers still run)
+   * @param {AbortSignal} options.signal - Abort the emit (it rejects with the signal's reason)
+   * @param {string} options.plugin - Emitting plugin's ID (the core when omitted)
+   * @param {Array<string|number>} options.targets - Shared hooks only: 'background', 'popup', 'tabs',
+   *   'active' or tab IDs to send it to (default: every context it's shared with)
+   * @param {object} options.remote - Set by HookBridge for hooks from another context ({context, tabId})
+   * @param {string} options.usedAs - Kind the caller expects (set by filter() and action())
+   * @returns {Promise<object>} Result with data and cancelled status (and, for shared
+   *   filters, responses from the other contexts)
    */
   async emit(hookName, data = null, options = {}) {
+    if (typeof hookName !== 'string' || hookName === '') {
+      throw new Error(`Invalid hook name: ${hookName}`);
+    }
+
+    const declaration = this.getDeclaration(hookName);
+    // Filters always run as a pipeline: one handler at a time, each getting the previous result
+    const pipeline = declaration?.kind === 'filter' || options.usedAs === 'filter';
+    const parallel = pipeline ? false : options.parallel ?? true;
     const {
-      parallel = true,
-      cancelable = false
+      cancelable = declaration?.cancelable || false,
+      timeout = this.defaultTimeout,
+      failFast = false,
+      signal = null,
+      plugin = 'core'
     } = options;
 
-    const handlers = this.hooks.get(hookName);
+    if (this.isPattern(hookName)) {
+      throw new Error(`Cannot emit '${hookName}': patterns are only for subscribing`);
+    }
+
+    if (!this.emitters.has(hookName)) {
+      this.emitters.set(hookName, new Set());
+    }
+    this.emitters.get(hookName).add(plugin);
+
+    // Hooks arriving from other contexts were checked where they were emitted
+    if (this.devMode && !options.remote) {
+      this._checkEmit(hookName, data, declaration, options.usedAs);
+    }
+    signal?.throwIfAborted();
+
+    const handlers = this._getHandlers(hookName);
+    const trace = this.tracer
+      ? this._startTrace(hookName, { emitter: plugin, parallel, cancelable, pipeline, handlers, data })
+      : null;
     if (!handlers || handlers.length === 0) {
-      return { data, cancelled: false };
+      if (trace) this._finishTrace(trace, false, data);
+      return this._share(hookName, { data, cancelled: false }, { declaration, pipeline, cancelable, failFast, plugin, options });
     }
 
     let currentData = data;
     let cancelled = false;
     const handlersToRemove = [];
 
+    // Aborted by the emitter's signal or, with failFast, by the first failure
+    const controller = signal || failFast ? new AbortController() : null;
+    const forwardAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', forwardAbort, { once: true });
+    const run = { hookName, trace, pipeline, timeout, failFast, controller, failed: null };
+
     // Group handlers by priority
     const priorityGroups = this._groupByPriority(handlers);
 
     try {
       // Execute each priority group sequentially
-      for (const group of priorityGroups) {
-        if (cancelled && cancelable) break;
+      for (const [groupIndex, group] of priorityGroups.entries()) {
+        if ((cancelled && cancelable) || controller?.signal.aborted) break;
 
         // Create context object for handlers
-        const context = {
-          data: currentData,
-          cancel: () => {
-            if (cancelable) cancelled = true;
-          }
+        const cancel = () => {
+          if (cancelable) cancelled = true;
         };
+        const context = { hook: hookName, origin: options.remote || null, data: currentData, cancel };
 
         if (parallel) {
-          // Run handlers in this priority group in parallel
+          // Run handlers in this priority group in parallel (failures are reported as they happen)
           const results = await Promise.allSettled(
-            group.map(entry => this._executeHandler(entry, context))
+            group.map(entry => this._executeHandler(entry, context, run, groupIndex))
           );
 
-          // Check for errors
+          // Mark once handlers for removal
           results.forEach((result, index) => {
-            if (result.status === 'rejected') {
-              console.error(
-                `Error in hook '${hookName}' handler (plugin: ${group[index].plugin}):`,
-                result.reason
-              );
-            }
-            
-            // Mark once handlers for removal
             if (group[index].once) {
               handlersToRemove.push({ hookName, id: group[index].id });
             }
@@ -200,10 +472,15 @@ class HookSystem {
         } else {
           // Run handlers in this priority group sequentially
           for (const entry of group) {
-            if (cancelled && cancelable) break;
+            if ((cancelled && cancelable) || controller?.signal.aborted) break;
 
             try {
-              const result = await this._executeHandler(entry, context);
+              const result = await this._executeHandler(
+                entry,
+                { hook: hookName, origin: options.remote || null, data: currentData, cancel },
+                run,
+                groupIndex
+              );
               if (result !== undefined) {
                 currentData = result;
               }
@@ -212,49 +489,344 @@ class HookSystem {
                 handlersToRemove.push({ hookName, id: entry.id });
               }
             } catch (error) {
-              console.error(
-                `Error in hook '${hookName}' handler (plugin: ${entry.plugin}):`,
-                error
-              );
+              // Already reported by _executeHandler
             }
           }
         }
       }
     } finally {
+      signal?.removeEventListener('abort', forwardAbort);
+
       // Remove once handlers
       handlersToRemove.forEach(({ hookName, id }) => {
         this._unregister(hookName, id);
       });
+
+      if (trace) this._finishTrace(trace, cancelled, currentData);
     }
 
-    return { data: currentData, cancelled };
+    if (controller?.signal.aborted) {
+      throw controller.signal.reason;
+    }
+
+    return this._share(hookName, { data: currentData, cancelled }, { declaration, pipeline, cancelable, failFast, plugin, options });
   }
 
   /**
-   * Execute a single handler
+   * Connect the bridge that carries shared hooks to other contexts
+   * @param {object} bridge - HookBridge
    */
-  async _executeHandler(entry, context) {
-    const result = await entry.handler(context);
-    return result;
+  setBridge(bridge) {
+    this.bridge = bridge;
+  }
+
+  /**
+   * Send a shared hook on to other contexts after the local handlers ran
+   * Filters wait for the other contexts and return their final value (with
+   * each context's response); actions are sent without waiting.
+   * @param {object} result - Local result {data, cancelled}
+   * @returns {Promise<object>} Result
+   */
+  async _share(hookName, result, { declaration, pipeline, cancelable, failFast, plugin, options }) {
+    // Hooks from other contexts aren't sent on again
+    if (!this.bridge || !declaration?.shared || options.remote || result.cancelled) {
+      return result;
+    }
+
+    const forwarding = this.bridge.forward(hookName, result.data, {
+      kind: pipeline ? 'filter' : 'action',
+      contexts: declaration.shared,
+      targets: options.targets,
+      plugin,
+      cancelable,
+      failFast
+    });
+
+    if (!pipeline) {
+      forwarding.catch(error => {
+        console.error(`[HookSystem] Failed to share hook '${hookName}':`, error);
+      });
+      return result;
+    }
+
+    const shared = await forwarding;
+    return { data: shared.data, cancelled: shared.cancelled, responses: shared.responses };
+  }
+
+  /**
+   * Trace every emit (the debug panel's profiler)
+   * Traces look like {id, hook, emitter, parent, parallel, cancelable, pipeline,
+   * cancelled, time, start, duration, total, input, output, handlers}; each
+   * handler span is {plugin, priority, group, start, duration, status,
+   * returned, cancelled, error, input, output} with status 'ok', 'error',
+   * 'timeout' or 'aborted' (stopped with the emit). input and output are
+   * previews of the value passing through filter pipelines (null otherwise).
+   * parent is {traceId, handler} for emits made synchronously by a handler.
+   * @param {Function|null} tracer - Called with each finished trace (null stops tracing)
+   */
+  setTracer(tracer) {
+    this.tracer = tracer;
+  }
+
+  _startTrace(hookName, { emitter, parallel, cancelable, pipeline, handlers, data }) {
+    return {
+      id: ++this.traceId,
+      hook: hookName,
+      emitter,
+      parent: this.activeSpan,
+      parallel,
+      cancelable,
+      pipeline,
+      cancelled: false,
+      time: Date.now(),
+      start: performance.now(),
+      duration: 0,
+      // Handlers registered when emitted (some may be skipped by a cancel)
+      total: handlers ? handlers.length : 0,
+      input: pipeline ? this._preview(data) : null,
+      output: null,
+      handlers: []
+    };
+  }
+
+  _finishTrace(trace, cancelled, data) {
+    trace.cancelled = cancelled;
+    trace.duration = performance.now() - trace.start;
+    if (trace.pipeline) {
+      trace.output = this._preview(data);
+    }
+
+    try {
+      this.tracer?.(trace);
+    } catch (error) {
+      console.error('[HookSystem] Tracer failed:', error);
+    }
+  }
+
+  /**
+   * Short JSON preview of a value for traces (traces must not keep the value itself alive)
+   */
+  _preview(value, maxLength = 200) {
+    let text;
+    try {
+      text = value === undefined ? 'undefined' : JSON.stringify(value);
+    } catch (error) {
+      text = Object.prototype.toString.call(value);
+    }
+    text = text ?? String(value);
+    return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+  }
+
+  /**
+   * Set the handler notified when a plugin's hook handler throws
+   * @param {Function} handler - Called with (pluginId, error, hookName)
+   */
+  setErrorHandler(handler) {
+    this.errorHandler = handler;
+  }
+
+  /**
+   * Forward a handler error to the error handler (plugin handlers only)
+   */
+  _reportError(pluginId, error, hookName) {
+    if (!pluginId || !this.errorHandler) return;
+
+    try {
+      this.errorHandler(pluginId, error, hookName);
+    } catch (handlerError) {
+      console.error('[HookSystem] Error handler failed:', handlerError);
+    }
+  }
+
+  /**
+   * Execute a single handler with its own abort signal and time limit
+   * Failures are reported here (before the emit moves on); with failFast the
+   * first one aborts the emit and every handler still running. Without a time
+   * limit the handler gets the emit's signal and no timer is set.
+   * @param {object} context - Group context ({data, cancel})
+   * @param {object} run - Emit state: {hookName, trace, pipeline, timeout, failFast, controller, failed}
+   *   (controller is null when the emit can't be aborted)
+   * @param {number} group - Index of the handler's priority group
+   */
+  async _executeHandler(entry, context, run, group = 0) {
+    const { hookName, trace } = run;
+    const emitSignal = run.controller?.signal || null;
+    const timeout = this._getTimeout(entry.timeout, run.timeout);
+    const controller = timeout > 0 ? new AbortController() : null;
+
+    const span = trace ? {
+      plugin: entry.plugin || 'core',
+      priority: entry.priority,
+      group,
+      start: performance.now(),
+      duration: 0,
+      status: 'ok',
+      returned: false,
+      cancelled: false,
+      error: null,
+      input: run.pipeline ? this._preview(context.data) : null,
+      output: null
+    } : null;
+    if (span) trace.handlers.push(span);
+
+    const handlerContext = {
+      hook: context.hook,
+      origin: context.origin,
+      data: context.data,
+      cancel: () => {
+        if (span && trace.cancelable) span.cancelled = true;
+        context.cancel();
+      },
+      signal: controller?.signal || emitSignal || this.NEVER_ABORTED
+    };
+
+    // Settles (rejects) when the handler runs out of time or the emit is aborted
+    let timer = null;
+    let onAbort = null;
+    let interrupted = null;
+    if (controller || emitSignal) {
+      interrupted = new Promise((resolve, reject) => {
+        if (controller) {
+          timer = setTimeout(() => {
+            const error = new Error(`Handler for hook '${hookName}' timed out after ${timeout} ms`);
+            error.timeout = true;
+            controller.abort(error);
+            reject(error);
+          }, timeout);
+        }
+
+        if (emitSignal) {
+          onAbort = () => {
+            controller?.abort(emitSignal.reason);
+            reject(emitSignal.reason);
+          };
+          emitSignal.addEventListener('abort', onAbort, { once: true });
+        }
+      });
+      // A handler that throws synchronously never gets to the race below
+      interrupted.catch(() => {});
+    }
+
+    const previous = this.activeSpan;
+    if (span) {
+      this.activeSpan = { traceId: trace.id, handler: trace.handlers.length - 1 };
+    }
+    try {
+      let pending;
+      try {
+        pending = Promise.resolve(entry.handler(handlerContext));
+      } finally {
+        // Only emits made before the handler's first await are its children
+        this.activeSpan = previous;
+      }
+      let result;
+      if (interrupted) {
+        // An abandoned handler may still reject later
+        pending.catch(() => {});
+        result = await Promise.race([pending, interrupted]);
+      } else {
+        result = await pending;
+      }
+      if (span) {
+        span.returned = result !== undefined;
+        if (run.pipeline && span.returned) span.output = this._preview(result);
+      }
+      return result;
+    } catch (error) {
+      const abandoned = !!emitSignal?.aborted && error === emitSignal.reason && run.failed !== entry;
+      if (span) {
+        span.status = abandoned ? 'aborted' : error?.timeout ? 'timeout' : 'error';
+        span.error = abandoned ? null : error?.message || String(error);
+      }
+      if (!abandoned) {
+        this._handleFailure(entry, error, run);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (onAbort) emitSignal.removeEventListener('abort', onAbort);
+      if (span) span.duration = performance.now() - span.start;
+    }
+  }
+
+  /**
+   * Log and report a handler failure, aborting the emit if it's fail-fast
+   */
+  _handleFailure(entry, error, run) {
+    console.error(
+      `Error in hook '${run.hookName}' handler (plugin: ${entry.plugin}):`,
+      error
+    );
+    this._reportError(entry.plugin, error, run.hookName);
+
+    if (run.failFast && !run.controller.signal.aborted) {
+      run.failed = entry;
+      run.controller.abort(error);
+    }
+  }
+
+  /**
+   * Effective time limit: the shorter of the registration's and the emit's (0 means none)
+   */
+  _getTimeout(registered, emitted) {
+    const limits = [registered, emitted].filter(limit => limit > 0);
+    return limits.length > 0 ? Math.min(...limits) : 0;
   }
 
   /**
    * Group handlers by priority for sequential execution
    */
   _groupByPriority(handlers) {
-    const groups = new Map();
+    const groups = [];
     
+    // Handlers are already ordered; a before/after constraint splits a group
     handlers.forEach(handler => {
-      if (!groups.has(handler.priority)) {
-        groups.set(handler.priority, []);
+      const group = groups[groups.length - 1];
+      if (group && group[0].priority === handler.priority &&
+          !group.some(other => this._mustPrecede(other, handler))) {
+        group.push(handler);
+      } else {
+        groups.push([handler]);
       }
-      groups.get(handler.priority).push(handler);
     });
 
-    // Return sorted priority groups
-    return Array.from(groups.entries())
-      .sort(([a], [b]) => a - b)
-      .map(([, handlers]) => handlers);
+    return groups;
+  }
+
+  /**
+   * Order handlers by priority, then registration, moving handlers as little
+   * as needed to satisfy before/after constraints (cycles fall back to priority)
+   */
+  _orderHandlers(hookName, handlers) {
+    const remaining = [...handlers].sort((a, b) => a.priority - b.priority || a.order - b.order);
+    const ordered = [];
+    let warned = false;
+
+    while (remaining.length > 0) {
+      // First handler in priority order that no remaining handler has to precede
+      let index = remaining.findIndex(candidate =>
+        !remaining.some(other => other !== candidate && this._mustPrecede(other, candidate))
+      );
+
+      if (index === -1) {
+        if (!warned) {
+          console.warn(`[HookSystem] Handlers for hook '${hookName}' have circular before/after constraints, ordering them by priority`);
+          warned = true;
+        }
+        index = 0;
+      }
+      ordered.push(remaining.splice(index, 1)[0]);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Whether handler a has to run before handler b
+   */
+  _mustPrecede(a, b) {
+    if (!a.plugin || !b.plugin || a.plugin === b.plugin) return false;
+    return a.before.includes(b.plugin) || b.after.includes(a.plugin);
   }
 
   /**
@@ -263,8 +835,8 @@ class HookSystem {
    * @returns {boolean}
    */
   hasHandlers(hookName) {
-    const handlers = this.hooks.get(hookName);
-    return handlers && handlers.length > 0;
+    const handlers = this._getHandlers(hookName);
+    return !!handlers && handlers.length > 0;
   }
 
   /**
@@ -273,18 +845,81 @@ class HookSystem {
    * @returns {number}
    */
   getHandlerCount(hookName) {
-    const handlers = this.hooks.get(hookName);
+    const handlers = this._getHandlers(hookName);
     return handlers ? handlers.length : 0;
   }
 
+  /**
+   * Handlers that run for a hook name: its own plus those of matching patterns
+   * Without patterns registered this is a plain lookup; otherwise the merged,
+   * ordered list is cached until handlers change, so hot hooks stay cheap.
+   * @returns {object[]|undefined} Handler entries
+   */
+  _getHandlers(hookName) {
+    const own = this.hooks.get(hookName);
+    if (this.patterns.size === 0) {
+      return own;
+    }
+
+    const cached = this.resolved.get(hookName);
+    if (cached && cached.version === this.version) {
+      return cached.handlers;
+    }
+
+    const matched = [];
+    this.patterns.forEach(pattern => {
+      if (pattern !== hookName && this.matches(pattern, hookName)) {
+        matched.push(...this.hooks.get(pattern));
+      }
+    });
+    const handlers = matched.length > 0 ? this._orderHandlers(hookName, [...(own || []), ...matched]) : own;
+
+    // Emitted names are few, but don't let a stream of one-off names grow this forever
+    if (this.resolved.size > 500) {
+      this.resolved.clear();
+    }
+    this.resolved.set(hookName, { version: this.version, handlers });
+    return handlers;
+  }
+
   /**
    * Get all registered hooks
-   * @returns {string[]} Array of hook names
+   * @returns {string[]} Array of hook names (and patterns)
    */
   getRegisteredHooks() {
     return Array.from(this.hooks.keys());
   }
 
+  /**
+   * Get who registered handlers for a hook, pattern subscriptions included
+   * @param {string} hookName - Hook name or pattern (covering the names it matches)
+   * @returns {string[]} Plugin IDs ('core' for framework handlers)
+   */
+  getConsumers(hookName) {
+    const consumers = new Set();
+    const names = Array.from(this.hooks.keys())
+      .filter(name => this.matches(hookName, name) || this.matches(name, hookName));
+    names.forEach(name => {
+      this.hooks.get(name).forEach(entry => consumers.add(entry.plugin || 'core'));
+    });
+    return Array.from(consumers);
+  }
+
+  /**
+   * Get who emitted a hook so far
+   * @param {string} hookName - Hook name or pattern (covering the names it matches)
+   * @returns {string[]} Plugin IDs ('core' for the framework)
+   */
+  getEmitters(hookName) {
+    const emitters = new Set();
+    this.emitters.forEach((plugins, name) => {
+      if (this.matches(hookName, name)) {
+        plugins.forEach(plugin => emitters.add(plugin));
+      }
+    });
+    return Array.from(emitters);
+  }
+
   /**
    * Get all hooks for a specific plugin
    * @param {string} pluginId - Plugin ID
@@ -300,6 +935,11 @@ class HookSystem {
   clear() {
     this.hooks.clear();
     this.pluginHooks.clear();
+    this.patterns.clear();
+    this.resolved.clear();
+    this.version++;
+    this.emitters.clear();
+    this.warned.clear();
   }
 
   /**
@@ -310,7 +950,7 @@ class HookSystem {
    * @returns {Promise<*>} Filtered data
    */
   async filter(hookName, initialData) {
-    const result = await this.emit(hookName, initialData, { parallel: false });
+    const result = await this.emit(hookName, initialData, { parallel: false, usedAs: 'filter' });
     return result.data;
   }
 
@@ -322,9 +962,10 @@ class HookSystem {
    * @returns {Promise<void>}
    */
   async action(hookName, data) {
-    await this.emit(hookName, data, { parallel: true });
+    await this.emit(hookName, data, { parallel: true, usedAs: 'action' });
   }
 }
 
 // Export singleton instance
 export default new HookSystem();
+export { HookSystem };
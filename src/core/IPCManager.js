@@ -26,6 +26,14 @@ class IPCManager {
     
     // Message handlers
     this.handlers = new Map();
+
+    // Whether requests without a handler get an error reply. Extension pages
+    // like the popup turn this off: they receive the same runtime messages as
+    // the background, and the first reply wins
+    this.answerUnhandled = true;
+
+    // Settles once handlers can run (see holdUntil)
+    this.ready = null;
     
     // Lifecycle state
     this.destroyed = false;
@@ -65,6 +73,12 @@ class IPCManager {
         return false; // Don't keep channel open
       }
       
+      // Leave requests this context has no handler for to the one that does
+      if (message?.type === this.MESSAGE_TYPES.REQUEST && !this.answerUnhandled &&
+          !this.handlers.has(message.action)) {
+        return false;
+      }
+
       // Handle message async
       this._handleMessage(message, sender, sendResponse);
       return true; // Keep channel open for async response
@@ -84,6 +98,12 @@ class IPCManager {
       return;
     }
 
+    // Responses are left alone: startup itself may be waiting on them
+    if (this.ready && message.type !== this.MESSAGE_TYPES.RESPONSE) {
+      await this.ready;
+      if (this.destroyed) return;
+    }
+
     // Wrap sendResponse to check context validity
     const safeSendResponse = (response) => {
       if (this.destroyed) {
@@ -258,11 +278,18 @@ class IPCManager {
         timestamp: Date.now()
       });
 
+      // Responses come back through the sendMessage reply channel
+      const handleReply = (response) => {
+        if (response) {
+          this._handleResponse({ ...response, requestId });
+        }
+      };
+
       // Send message
       try {
         if (target) {
           // Send to specific tab/context
-          this.runtime.sendMessage(target, message).catch(error => {
+          this.runtime.sendMessage(target, message).then(handleReply).catch(error => {
             // Handle send failures
             clearTimeout(timeoutId);
             this.pendingRequests.delete(requestId);
@@ -277,7 +304,7 @@ class IPCManager {
           });
         } else {
           // Send to background/extension
-          this.runtime.sendMessage(message).catch(error => {
+          this.runtime.sendMessage(message).then(handleReply).catch(error => {
             clearTimeout(timeoutId);
             this.pendingRequests.delete(requestId);
             
@@ -402,6 +429,16 @@ class IPCManager {
     this.handlers.delete(actionOrEvent);
   }
 
+  /**
+   * Hold incoming requests and events until a promise settles
+   * For a context whose handlers are registered before its setup finishes
+   * (the background worker registers everything before its first await).
+   * @param {Promise} promise - Settles when handlers can run
+   */
+  holdUntil(promise) {
+    this.ready = Promise.resolve(promise).catch(() => {});
+  }
+
   /**
    * Send message to specific tab
    * @param {number} tabId - Tab ID
@@ -428,6 +465,61 @@ class IPCManager {
     }
   }
 
+  /**
+   * Send a request to a specific tab and wait for its response
+   * @param {number} tabId - Tab ID
+   * @param {string} action - Action to perform
+   * @param {*} data - Data to send
+   * @param {object} options - Request options
+   * @param {number} options.timeout - Milliseconds to wait
+   * @returns {Promise<*>} Response data
+   */
+  async requestTab(tabId, action, data = null, options = {}) {
+    if (!chrome?.tabs) {
+      throw new Error('Tabs API not available');
+    }
+    if (this.destroyed) {
+      throw new Error('IPC destroyed - cannot send request');
+    }
+
+    const { timeout = this.defaultTimeout } = options;
+
+    const message = {
+      type: this.MESSAGE_TYPES.REQUEST,
+      action,
+      data,
+      requestId: ++this.requestId,
+      timestamp: Date.now()
+    };
+
+    let timeoutId;
+    const timer = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => reject(new Error(`Request timeout: ${action}`)), timeout);
+    });
+
+    let response;
+    try {
+      response = await Promise.race([chrome.tabs.sendMessage(tabId, message), timer]);
+    } catch (error) {
+      if (error.message?.includes('Receiving end does not exist') ||
+          error.message?.includes('message port closed')) {
+        throw new Error('Context no longer available');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    // No reply: nothing in the tab handles this action
+    if (!response) {
+      throw new Error('Context no longer available');
+    }
+    if (!response.success) {
+      throw new Error(response.error || 'Request failed');
+    }
+    return response.data;
+  }
+
   /**
    * Get all active tabs
    * @returns {Promise<object[]>} Array of tabs
@@ -542,3 +634,4 @@ class IPCManager {
 
 // Export singleton instance
 export default new IPCManager();
+export { IPCManager };
@@ -0,0 +1,840 @@
+/**
+ * IndexedDBStore - IndexedDB-backed storage for large plugin datasets
+ *
+ * Offers the get/set/remove/namespace/onChanged interface of StorageAdapter
+ * for data that outgrows JSON blobs in storage.local: every key is its own
+ * record, so a write only touches that key. Namespaces add collections of
+ * records with indexes that can be queried by range and walked with a cursor,
+ * page by page, so plugins can keep thousands of records.
+ *
+ * IndexedDB belongs to the origin that opens it and content scripts run with
+ * the page's origin, so the database lives in the extension's origin: the
+ * background worker opens it and content scripts send every call there over
+ * IPC (see useRemote), getting changes back the same way (see dispatch).
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+import Vault from './Vault.js';
+
+class IndexedDBStore {
+  /**
+   * @param {object} options - Dependencies (browser defaults when omitted)
+   * @param {IDBFactory} options.indexedDB - IndexedDB implementation
+   * @param {Function} options.IDBKeyRange - IDBKeyRange implementation
+   * @param {object} options.storage - StorageAdapter to import data from
+   * @param {string} options.name - Database name
+   */
+  constructor(options = {}) {
+    this.indexedDB = options.indexedDB || globalThis.indexedDB || null;
+    this.KeyRange = options.IDBKeyRange || globalThis.IDBKeyRange || null;
+    this.storage = options.storage || StorageAdapter;
+    this.name = options.name || 'betterlooksmax';
+
+    // Key-value records, one per key
+    this.KV_STORE = 'kv';
+    // Collection names become part of object store names
+    this.COLLECTION_PATTERN = /^[A-Za-z0-9_.-]+$/;
+    // Records fetched per round trip while iterating
+    this.PAGE_SIZE = 100;
+    this.OPERATIONS = ['get', 'set', 'remove', 'clear', 'getAll', 'put', 'getRecord', 'delete', 'query', 'count', 'clearStore', 'import', 'export'];
+
+    this.opening = null;
+    this.version = undefined;
+    this.upgrading = Promise.resolve();
+    // Stores to create on the next upgrade: name -> spec
+    this.pendingStores = new Map();
+    // Stores known to match their spec in the open database
+    this.readyStores = new Set();
+
+    // Sends operations to the background worker instead (content scripts)
+    this.remote = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Send every operation through another context, e.g. the background worker
+   * @param {Function|null} send - Called with (op, args), resolves to the result
+   */
+  useRemote(send) {
+    this.remote = send;
+  }
+
+  /**
+   * Run an operation here; the background worker calls this for content scripts
+   * @param {string} op - Operation name (one of OPERATIONS)
+   * @param {object} args - Operation arguments
+   * @returns {Promise<*>} Result
+   */
+  async execute(op, args = {}) {
+    if (!this.OPERATIONS.includes(op)) {
+      throw new Error(`Unknown IndexedDB operation: ${op}`);
+    }
+    if (!this.indexedDB) {
+      throw new Error('IndexedDB is not available here');
+    }
+
+    switch (op) {
+      case 'get': return this._getItems(args.keys);
+      case 'set': return this._setItems(args.items);
+      case 'remove': return this._removeItems(args.keys);
+      case 'clear': return this._clear(args.namespace);
+      case 'getAll': return this._getPrefixed(args.prefix);
+      case 'put': return this._putRecords(args.store, args.spec, args.records);
+      case 'getRecord': return this._getRecord(args.store, args.spec, args.key);
+      case 'delete': return this._deleteRecords(args.store, args.spec, args.keys);
+      case 'query': return this._queryRecords(args.store, args.spec, args.query);
+      case 'count': return this._countRecords(args.store, args.spec, args.query);
+      case 'clearStore': return this._clearStore(args.store, args.spec);
+      case 'import': return this._import(args.namespace, args.keys);
+      case 'export': return this._export(args.namespace);
+    }
+  }
+
+  /**
+   * Whether operations can run here or through a remote context
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!(this.remote || this.indexedDB);
+  }
+
+  _run(op, args) {
+    return this.remote ? this.remote(op, args) : this.execute(op, args);
+  }
+
+  // === KEY-VALUE API (same as StorageAdapter) ===
+
+  /**
+   * Get value(s)
+   * @param {string|string[]|object|null} keys - Key(s), an object with defaults, or null for everything
+   * @returns {Promise<object>} Object containing the stored key-value pairs
+   */
+  async get(keys) {
+    let defaults = {};
+    let queryKeys = keys;
+
+    if (keys === null || keys === undefined) {
+      queryKeys = null;
+    } else if (typeof keys === 'string') {
+      queryKeys = [keys];
+    } else if (!Array.isArray(keys)) {
+      defaults = keys;
+      queryKeys = Object.keys(keys);
+    }
+
+    const result = await this._run('get', { keys: queryKeys });
+    return { ...defaults, ...result };
+  }
+
+  /**
+   * Set value(s)
+   * @param {object} items - Key-value pairs to store
+   */
+  async set(items) {
+    await this._run('set', { items });
+  }
+
+  /**
+   * Remove key(s)
+   * @param {string|string[]} keys - Key(s) to remove
+   */
+  async remove(keys) {
+    await this._run('remove', { keys: [].concat(keys) });
+  }
+
+  /**
+   * Delete everything, collections included
+   */
+  async clear() {
+    await this._run('clear', {});
+  }
+
+  /**
+   * Register a change listener, called with chrome.storage style changes
+   * ({ key: { oldValue, newValue } })
+   * @param {Function} callback - Called when keys change
+   * @returns {Function} Unsubscribe function
+   */
+  onChanged(callback) {
+    return this._listen((event) => {
+      if (event.type === 'kv') callback(event.changes);
+    });
+  }
+
+  /**
+   * Register a listener for every change event (key-value and collections)
+   * The background worker forwards these to content scripts.
+   * @param {Function} listener - Called with the event
+   * @returns {Function} Unsubscribe function
+   */
+  onAny(listener) {
+    return this._listen(listener);
+  }
+
+  /**
+   * Deliver a change event received from the context running the operations
+   * @param {object} event - Event passed to onAny listeners there
+   */
+  dispatch(event) {
+    this._emit(event);
+  }
+
+  /**
+   * Read a namespace's keys and collections (everything when omitted), for backups
+   * @param {string|null} namespace - Plugin ID
+   * @returns {Promise<object>} {items: {key: value}, collections: {store: {spec, records}}}
+   */
+  async export(namespace = null) {
+    return this._run('export', { namespace });
+  }
+
+  /**
+   * Replace every record of a collection, for restoring backups
+   * @param {string} store - Object store name (`<namespace>/<name>` for plugins)
+   * @param {object} spec - Store spec as returned by export()
+   * @param {object[]} records - Records (none to empty it)
+   */
+  async replaceCollection(store, spec, records = []) {
+    await this._run('clearStore', { store, spec });
+    if (records.length > 0) {
+      await this._run('put', { store, spec, records });
+    }
+  }
+
+  // === COLLECTIONS ===
+
+  /**
+   * Open a collection of records
+   * Index keys should be strings, numbers or arrays of them; dates don't
+   * survive the trip from content scripts.
+   * @param {string} name - Collection name (letters, digits, _ . -)
+   * @param {object} options - {keyPath = 'id', autoIncrement = true, indexes}
+   *   indexes: field names or { name, keyPath, unique, multiEntry }
+   * @returns {object} Collection interface
+   */
+  collection(name, options = {}) {
+    this._checkCollectionName(name);
+    return this._collection(name, options);
+  }
+
+  /**
+   * Create a collection interface for an object store
+   */
+  _collection(store, options) {
+    const spec = this._normalizeSpec(options);
+    const run = (op, args = {}) => this._run(op, { store, spec, ...args });
+
+    const collection = {
+      /**
+       * Add or replace record(s)
+       * @returns {Promise<*>} Key, or keys when given an array
+       */
+      put: async (records) => {
+        const keys = await run('put', { records: [].concat(records) });
+        return Array.isArray(records) ? keys : keys[0];
+      },
+      get: async (key) => run('getRecord', { key }),
+      delete: async (keys) => {
+        await run('delete', { keys: [].concat(keys) });
+      },
+      /**
+       * Get a page of records
+       * @param {object} query - { index, only | prefix | lower/upper/lowerOpen/upperOpen,
+       *   direction: 'next'|'prev', limit, after }
+       * @returns {Promise<{records: object[], next: object|null}>} Pass next as
+       *   query.after for the following page; null once there are no more
+       */
+      query: async (query = {}) => run('query', { query }),
+      count: async (query = {}) => run('count', { query }),
+      /**
+       * Walk matching records with a cursor; return false from the callback to stop
+       * @param {object} query - As for query(); limit caps the total
+       * @param {Function} callback - Called with each record
+       * @returns {Promise<number>} Records visited
+       */
+      iterate: async (query, callback) => {
+        const total = query.limit > 0 ? query.limit : Infinity;
+        let visited = 0;
+        let after = query.after || null;
+
+        do {
+          const limit = Math.min(this.PAGE_SIZE, total - visited);
+          const page = await run('query', { query: { ...query, limit, after } });
+          for (const record of page.records) {
+            visited++;
+            if (await callback(record) === false) return visited;
+          }
+          after = page.next;
+        } while (after && visited < total);
+
+        return visited;
+      },
+      clear: async () => {
+        await run('clearStore');
+      },
+      /**
+       * Register a change listener, called with { put, deleted, cleared }
+       * @returns {Function} Unsubscribe function
+       */
+      onChanged: (callback) => this._listen((event) => {
+        if (event.type === 'records' && event.store === store) callback(event.change);
+      })
+    };
+
+    return collection;
+  }
+
+  /**
+   * Create a namespaced interface for a plugin
+   * Keys share StorageAdapter's naming (`<namespace>.<key>`), so data moves
+   * over from storage.local with importFromStorage.
+   * @param {string} namespace - Plugin ID
+   * @returns {object} Namespaced storage interface
+   */
+  namespace(namespace) {
+    const prefix = `${namespace}.`;
+    const strip = (items) => {
+      const result = {};
+      Object.entries(items).forEach(([key, value]) => {
+        result[key.substring(prefix.length)] = value;
+      });
+      return result;
+    };
+
+    return {
+      get: async (key) => {
+        const result = await this.get(prefix + key);
+        return result[prefix + key];
+      },
+      set: async (key, value) => {
+        await this.set({ [prefix + key]: value });
+      },
+      remove: async (key) => {
+        await this.remove(prefix + key);
+      },
+      getAll: async () => strip(await this._run('getAll', { prefix })),
+      // Deletes the namespace's collections too
+      clear: async () => {
+        await this._run('clear', { namespace });
+      },
+      onChanged: (callback) => this.onChanged((changes) => {
+        const own = Object.keys(changes).filter(key => key.startsWith(prefix));
+        if (own.length > 0) {
+          callback(strip(Object.fromEntries(own.map(key => [key, changes[key]]))));
+        }
+      }),
+      collection: (name, options = {}) => {
+        this._checkCollectionName(name);
+        return this._collection(`${namespace}/${name}`, options);
+      },
+      /**
+       * Move keys stored with StorageAdapter.namespace over (all when omitted)
+       * Safe to call on every start: moved keys are gone from storage.local.
+       * Encrypted keys stay where they are.
+       * @param {string[]} keys - Keys to move
+       * @returns {Promise<{imported: string[], skipped: string[]}>}
+       */
+      importFromStorage: async (keys = null) => this._run('import', { namespace, keys })
+    };
+  }
+
+  // === OPERATIONS ===
+
+  async _getItems(keys) {
+    const result = {};
+    await this._transaction(this.KV_STORE, 'readonly', (tx) => {
+      const store = tx.objectStore(this.KV_STORE);
+
+      if (keys === null) {
+        this._collectEntries(store, null, result);
+        return;
+      }
+      keys.forEach(key => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          if (request.result !== undefined) result[key] = request.result;
+        };
+      });
+    });
+    return result;
+  }
+
+  async _setItems(items) {
+    const changes = {};
+    await this._transaction(this.KV_STORE, 'readwrite', (tx) => {
+      const store = tx.objectStore(this.KV_STORE);
+
+      Object.entries(items).forEach(([key, value]) => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          changes[key] = { oldValue: request.result, newValue: value };
+        };
+        store.put(value, key);
+      });
+    });
+    this._emitChanges(changes);
+  }
+
+  async _removeItems(keys) {
+    const changes = {};
+    await this._transaction(this.KV_STORE, 'readwrite', (tx) => {
+      const store = tx.objectStore(this.KV_STORE);
+
+      keys.forEach(key => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          if (request.result !== undefined) changes[key] = { oldValue: request.result };
+        };
+        store.delete(key);
+      });
+    });
+    this._emitChanges(changes);
+  }
+
+  async _getPrefixed(prefix) {
+    const result = {};
+    await this._transaction(this.KV_STORE, 'readonly', (tx) => {
+      this._collectEntries(tx.objectStore(this.KV_STORE), this._prefixRange(prefix), result);
+    });
+    return result;
+  }
+
+  /**
+   * Delete a namespace's keys and collections, or everything
+   */
+  async _clear(namespace) {
+    const db = await this._open();
+    const collections = Array.from(db.objectStoreNames).filter(name => name !== this.KV_STORE &&
+      (!namespace || name.startsWith(`${namespace}/`)));
+    const prefix = namespace ? `${namespace}.` : null;
+    const removed = {};
+
+    await this._transaction([this.KV_STORE, ...collections], 'readwrite', (tx) => {
+      const store = tx.objectStore(this.KV_STORE);
+      const range = prefix ? this._prefixRange(prefix) : null;
+
+      this._collectEntries(store, range, removed);
+      if (range) {
+        store.delete(range);
+      } else {
+        store.clear();
+      }
+      collections.forEach(name => tx.objectStore(name).clear());
+    });
+
+    const changes = {};
+    Object.entries(removed).forEach(([key, oldValue]) => {
+      changes[key] = { oldValue };
+    });
+    this._emitChanges(changes);
+    collections.forEach(store => this._emit({ type: 'records', store, change: { put: [], deleted: [], cleared: true } }));
+  }
+
+  async _putRecords(name, spec, records) {
+    await this._ensureStore(name, spec);
+    const keys = [];
+    await this._transaction(name, 'readwrite', (tx) => {
+      const store = tx.objectStore(name);
+      records.forEach((record, i) => {
+        const request = store.put(record);
+        request.onsuccess = () => {
+          keys[i] = request.result;
+        };
+      });
+    });
+    this._emit({ type: 'records', store: name, change: { put: keys, deleted: [], cleared: false } });
+    return keys;
+  }
+
+  async _getRecord(name, spec, key) {
+    await this._ensureStore(name, spec);
+    let record;
+    await this._transaction(name, 'readonly', (tx) => {
+      const request = tx.objectStore(name).get(key);
+      request.onsuccess = () => {
+        record = request.result;
+      };
+    });
+    return record;
+  }
+
+  async _deleteRecords(name, spec, keys) {
+    await this._ensureStore(name, spec);
+    await this._transaction(name, 'readwrite', (tx) => {
+      const store = tx.objectStore(name);
+      keys.forEach(key => store.delete(key));
+    });
+    this._emit({ type: 'records', store: name, change: { put: [], deleted: keys, cleared: false } });
+  }
+
+  async _clearStore(name, spec) {
+    await this._ensureStore(name, spec);
+    await this._transaction(name, 'readwrite', (tx) => {
+      tx.objectStore(name).clear();
+    });
+    this._emit({ type: 'records', store: name, change: { put: [], deleted: [], cleared: true } });
+  }
+
+  async _countRecords(name, spec, query) {
+    await this._ensureStore(name, spec);
+    let count = 0;
+    await this._transaction(name, 'readonly', (tx) => {
+      const request = this._source(tx.objectStore(name), query).count(this._keyRange(this._bounds(query)));
+      request.onsuccess = () => {
+        count = request.result;
+      };
+    });
+    return count;
+  }
+
+  /**
+   * Read one page of records with a cursor
+   * query.after is the position of the previous page's last record; index
+   * cursors can't start past a record directly, so they start at its index
+   * key and skip ahead to it by primary key.
+   */
+  async _queryRecords(name, spec, query) {
+    await this._ensureStore(name, spec);
+
+    const direction = query.direction === 'prev' ? 'prev' : 'next';
+    const limit = query.limit > 0 ? query.limit : Infinity;
+    const { after } = query;
+    const bounds = this._bounds(query);
+
+    if (after) {
+      const side = direction === 'next' ? 'lower' : 'upper';
+      bounds[side] = after.key;
+      bounds[`${side}Open`] = !query.index;
+    }
+
+    const records = [];
+    let next = null;
+    await this._transaction(name, 'readonly', (tx) => {
+      const request = this._source(tx.objectStore(name), query).openCursor(this._keyRange(bounds), direction);
+      let positioning = !!(after && query.index);
+      let last = null;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        if (positioning) {
+          if (this.indexedDB.cmp(cursor.key, after.key) === 0) {
+            const order = this.indexedDB.cmp(cursor.primaryKey, after.primaryKey) * (direction === 'next' ? 1 : -1);
+            if (order < 0) {
+              cursor.continuePrimaryKey(after.key, after.primaryKey);
+              return;
+            }
+            if (order === 0) {
+              positioning = false;
+              cursor.continue();
+              return;
+            }
+          }
+          positioning = false;
+        }
+
+        // One more record than fits means there's another page
+        if (records.length === limit) {
+          next = last;
+          return;
+        }
+        records.push(cursor.value);
+        last = { key: cursor.key, primaryKey: cursor.primaryKey };
+        cursor.continue();
+      };
+    });
+
+    return { records, next };
+  }
+
+  /**
+   * Move a namespace's keys from storage.local into the key-value store
+   */
+  async _import(namespace, keys) {
+    const prefix = `${namespace}.`;
+    const stored = await this.storage.get(keys ? keys.map(key => prefix + key) : null);
+    const items = {};
+    const skipped = [];
+
+    Object.entries(stored).forEach(([key, value]) => {
+      if (!key.startsWith(prefix)) return;
+      if (Vault.isEncrypted(value)) {
+        skipped.push(key.substring(prefix.length));
+      } else {
+        items[key] = value;
+      }
+    });
+
+    const moved = Object.keys(items);
+    if (moved.length > 0) {
+      await this._setItems(items);
+      await this.storage.remove(moved);
+    }
+
+    return { imported: moved.map(key => key.substring(prefix.length)), skipped };
+  }
+
+  /**
+   * Read keys and collections with their specs in one transaction
+   */
+  async _export(namespace) {
+    const db = await this._open();
+    const names = Array.from(db.objectStoreNames).filter(name => name !== this.KV_STORE &&
+      (!namespace || name.startsWith(`${namespace}/`)));
+    const items = {};
+    const collections = {};
+
+    await this._transaction([this.KV_STORE, ...names], 'readonly', (tx) => {
+      const range = namespace ? this._prefixRange(`${namespace}.`) : null;
+      this._collectEntries(tx.objectStore(this.KV_STORE), range, items);
+
+      names.forEach(name => {
+        const store = tx.objectStore(name);
+        const request = store.getAll();
+        request.onsuccess = () => {
+          collections[name] = { spec: this._readSpec(store), records: request.result };
+        };
+      });
+    });
+
+    return { items, collections };
+  }
+
+  // === DATABASE ===
+
+  /**
+   * Open the database (once), creating pending stores on upgrade
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (this.opening) return this.opening;
+
+    this.opening = new Promise((resolve, reject) => {
+      const request = this.indexedDB.open(this.name, this.version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.KV_STORE)) {
+          db.createObjectStore(this.KV_STORE);
+        }
+        this.pendingStores.forEach((spec, name) => {
+          this._createStore(db, request.transaction, name, spec);
+        });
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        this.version = db.version;
+
+        // Another connection needs to upgrade; reopen on the next call
+        db.onversionchange = () => {
+          db.close();
+          this._forget(db);
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        this.opening = null;
+        reject(request.error);
+      };
+      request.onblocked = () => {
+        console.warn('[IndexedDBStore] Upgrade waits for another connection to close');
+      };
+    });
+
+    return this.opening;
+  }
+
+  _forget(db) {
+    if (this.opening) {
+      this.opening.then(current => {
+        if (current === db) this.opening = null;
+      });
+    }
+    this.version = undefined;
+    this.readyStores.clear();
+  }
+
+  _createStore(db, tx, name, spec) {
+    const store = db.objectStoreNames.contains(name)
+      ? tx.objectStore(name)
+      : db.createObjectStore(name, { keyPath: spec.keyPath, autoIncrement: spec.autoIncrement });
+
+    spec.indexes.forEach(index => {
+      if (!store.indexNames.contains(index.name)) {
+        store.createIndex(index.name, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry });
+      }
+    });
+  }
+
+  /**
+   * Make sure an object store with the spec's indexes exists
+   * Missing stores and indexes need a version upgrade; upgrades run one at a time.
+   */
+  async _ensureStore(name, spec) {
+    const id = `${name}:${JSON.stringify(spec)}`;
+    if (this.readyStores.has(id)) return;
+
+    const upgrade = this.upgrading.then(async () => {
+      const db = await this._open();
+      if (!this._hasStore(db, name, spec)) {
+        this.pendingStores.set(name, spec);
+        try {
+          db.close();
+          this.opening = null;
+          this.version = db.version + 1;
+          await this._open();
+        } finally {
+          this.pendingStores.delete(name);
+        }
+      }
+      this.readyStores.add(id);
+    });
+
+    this.upgrading = upgrade.catch(() => {});
+    await upgrade;
+  }
+
+  _hasStore(db, name, spec) {
+    if (!db.objectStoreNames.contains(name)) return false;
+    const indexNames = db.transaction(name, 'readonly').objectStore(name).indexNames;
+    return spec.indexes.every(index => indexNames.contains(index.name));
+  }
+
+  /**
+   * Run requests in a transaction
+   * @param {string|string[]} stores - Object store names
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Called with the transaction; issues requests synchronously
+   * @returns {Promise<void>} Resolves once the transaction completes
+   */
+  async _transaction(stores, mode, work) {
+    const db = await this._open();
+    let tx;
+    try {
+      tx = db.transaction(stores, mode);
+    } catch (error) {
+      // The connection closed for an upgrade in the meantime
+      if (error.name !== 'InvalidStateError') throw error;
+      this._forget(db);
+      tx = (await this._open()).transaction(stores, mode);
+    }
+
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+      work(tx);
+    });
+  }
+
+  _collectEntries(store, range, result) {
+    const request = store.openCursor(range);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      result[cursor.key] = cursor.value;
+      cursor.continue();
+    };
+  }
+
+  // === HELPERS ===
+
+  _normalizeSpec(options) {
+    const indexes = (options.indexes || []).map(index => {
+      if (typeof index === 'string') {
+        return { name: index, keyPath: index, unique: false, multiEntry: false };
+      }
+      if (!index.name || !index.keyPath) {
+        throw new Error('Collection indexes need a name and a keyPath');
+      }
+      return { name: index.name, keyPath: index.keyPath, unique: !!index.unique, multiEntry: !!index.multiEntry };
+    });
+
+    return {
+      keyPath: options.keyPath || 'id',
+      autoIncrement: options.autoIncrement !== false,
+      indexes
+    };
+  }
+
+  /**
+   * The spec an existing object store was created with
+   */
+  _readSpec(store) {
+    return {
+      keyPath: store.keyPath,
+      autoIncrement: store.autoIncrement,
+      indexes: Array.from(store.indexNames).map(name => {
+        const index = store.index(name);
+        return { name, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+      })
+    };
+  }
+
+  _checkCollectionName(name) {
+    if (typeof name !== 'string' || !this.COLLECTION_PATTERN.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+  }
+
+  _source(store, query) {
+    return query.index ? store.index(query.index) : store;
+  }
+
+  /**
+   * Turn query options into range bounds
+   */
+  _bounds(query) {
+    if (query.only !== undefined) {
+      return { lower: query.only, upper: query.only, lowerOpen: false, upperOpen: false };
+    }
+    if (query.prefix !== undefined) {
+      return { lower: query.prefix, upper: `${query.prefix}\uffff`, lowerOpen: false, upperOpen: false };
+    }
+    return {
+      lower: query.lower,
+      upper: query.upper,
+      lowerOpen: !!query.lowerOpen,
+      upperOpen: !!query.upperOpen
+    };
+  }
+
+  _keyRange({ lower, upper, lowerOpen, upperOpen }) {
+    if (lower !== undefined && upper !== undefined) {
+      return this.KeyRange.bound(lower, upper, lowerOpen, upperOpen);
+    }
+    if (lower !== undefined) return this.KeyRange.lowerBound(lower, lowerOpen);
+    if (upper !== undefined) return this.KeyRange.upperBound(upper, upperOpen);
+    return null;
+  }
+
+  _prefixRange(prefix) {
+    return this.KeyRange.bound(prefix, `${prefix}\uffff`);
+  }
+
+  _listen(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emitChanges(changes) {
+    if (Object.keys(changes).length > 0) {
+      this._emit({ type: 'kv', changes });
+    }
+  }
+
+  _emit(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('[IndexedDBStore] Change listener failed:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new IndexedDBStore();
+export { IndexedDBStore };
@@ -3,20 +3,63 @@
  * 
  * Controls plugin lifecycle (init → start → stop → destroy),
  * handles enable/disable operations, and provides error recovery.
+ * Plugins that exceed their error budget are stopped and quarantined.
  */
 
 import PluginRegistry from './PluginRegistry.js';
+import PluginLoader from './PluginLoader.js';
 import HookSystem from './HookSystem.js';
 import SettingsStore from './SettingsStore.js';
+import ResourceTracker from './ResourceTracker.js';
 
 class LifecycleManager {
   constructor() {
     this.registry = PluginRegistry;
+    this.loader = PluginLoader;
     this.hooks = HookSystem;
     this.settings = SettingsStore;
+    this.resources = ResourceTracker;
     
     // Track state snapshots for rollback
     this.stateSnapshots = new Map();
+    
+    // Error timestamps per plugin, for the error budget
+    this.errorLog = new Map();
+    
+    // Plugins whose init() has run (to know where quarantine release returns to)
+    this.initialized = new Set();
+    
+    // Plugins currently being quarantined
+    this._quarantining = new Set();
+
+    // Failed hot reloads: pluginId -> {wasActive, dependents} left stopped,
+    // picked up by the next successful reload
+    this.failedReloads = new Map();
+
+    // Hooks this manager emits
+    const plugin = { pluginId: { type: 'string', required: true } };
+    this.hooks.declareAll({
+      'plugin:before-enable': { description: 'A plugin is about to start', payload: plugin },
+      'plugin:enabled': { description: 'A plugin started', payload: plugin },
+      'plugin:before-disable': { description: 'A plugin is about to stop', payload: plugin },
+      'plugin:disabled': { description: 'A plugin stopped', payload: plugin },
+      'plugin:reloaded': { description: 'A plugin was reloaded', payload: plugin },
+      'plugin:error': {
+        description: 'A plugin failed (source says where, if known)',
+        shared: ['background', 'popup'],
+        payload: { ...plugin, error: { required: true }, source: { type: 'string' } }
+      },
+      'plugin:quarantined': {
+        description: 'A plugin went over its error budget and was quarantined',
+        shared: ['background', 'popup'],
+        payload: { ...plugin, quarantine: { type: 'object', required: true } }
+      },
+      'plugin:released': { description: "A plugin's quarantine was lifted", payload: plugin },
+      'plugin:resources-leaked': {
+        description: 'A plugin stopped without releasing everything it created',
+        payload: { ...plugin, resources: { type: 'array', required: true } }
+      }
+    });
   }
 
   /**
@@ -45,10 +88,12 @@ class LifecycleManager {
         await instance.init(api);
       }
 
+      this.initialized.add(pluginId);
       return true;
     } catch (error) {
       console.error(`[LifecycleManager] Failed to initialize ${pluginId}:`, error);
       this.registry.setError(pluginId, error);
+      await this._checkErrorBudget(pluginId, error, api);
       return false;
     }
   }
@@ -76,7 +121,7 @@ class LifecycleManager {
     const depCheck = this.registry.checkDependencies(pluginId);
     if (!depCheck.met) {
       throw new Error(
-        `Cannot start ${pluginId}: missing dependencies ${depCheck.missing.join(', ')}`
+        `Cannot start ${pluginId}: ${depCheck.reasons.join('; ')}`
       );
     }
 
@@ -112,6 +157,11 @@ class LifecycleManager {
         this.settings.registerSchema(pluginId, instance.settings);
       }
 
+      // Declare the hooks the plugin emits
+      if (instance.provides) {
+        this.hooks.declareAll(instance.provides, pluginId);
+      }
+
       // Run start lifecycle method
       if (typeof instance.start === 'function') {
         await instance.start(api);
@@ -134,7 +184,8 @@ class LifecycleManager {
       await this._rollback(pluginId, api);
       
       this.registry.setError(pluginId, error);
-      await this.hooks.action('plugin:error', { pluginId, error });
+      await this.hooks.action('plugin:error', { pluginId, error, source: 'start' });
+      await this._checkErrorBudget(pluginId, error, api);
       
       return false;
     }
@@ -149,7 +200,7 @@ class LifecycleManager {
   async stopPlugin(pluginId, api) {
     const state = this.registry.getState(pluginId);
     
-    if (state === this.registry.STATES.STOPPED) {
+    if (state === this.registry.STATES.STOPPED || state === this.registry.STATES.QUARANTINED) {
       return true; // Already stopped
     }
 
@@ -190,6 +241,9 @@ class LifecycleManager {
       // Unregister all plugin hooks
       this.hooks.unregisterPlugin(pluginId);
 
+      // Dispose tracked resources stop() didn't release
+      await this._disposeResources(pluginId);
+
       this.registry.setState(pluginId, this.registry.STATES.STOPPED);
       
       // DON'T update settings here - that's the framework's job
@@ -201,7 +255,9 @@ class LifecycleManager {
       return true;
     } catch (error) {
       console.error(`[LifecycleManager] Failed to stop ${pluginId}:`, error);
+      this.resources.disposeAll(pluginId);
       this.registry.setError(pluginId, error);
+      await this._checkErrorBudget(pluginId, error, api);
       return false;
     }
   }
@@ -232,6 +288,8 @@ class LifecycleManager {
       }
 
       this.registry.setState(pluginId, this.registry.STATES.DESTROYED);
+      this.initialized.delete(pluginId);
+      this.hooks.undeclarePlugin(pluginId);
       
       return true;
     } catch (error) {
@@ -297,6 +355,139 @@ class LifecycleManager {
     return true;
   }
 
+  /**
+   * Hot-reload a plugin from freshly imported code (dev mode)
+   * Stops and destroys the old instance, re-imports the module,
+   * migrates its state and restarts it if it was active. Active plugins
+   * that depend on it are stopped first and restarted afterwards. When the
+   * reload fails they stay stopped until a later reload succeeds.
+   * @param {string} pluginId - Plugin ID
+   * @param {object} api - Plugin API object
+   * @param {Function} getAPI - Returns the API object of another plugin (its dependents)
+   * @returns {Promise<boolean>} Success status
+   */
+  async hotReloadPlugin(pluginId, api, getAPI = () => null) {
+    const failed = this.failedReloads.get(pluginId);
+    const wasActive = this.registry.getState(pluginId) === this.registry.STATES.ACTIVE || !!failed?.wasActive;
+    const oldInstance = this.registry.getInstance(pluginId);
+    const active = this._getActiveDependents(pluginId);
+    // Active dependents can't depend on stopped ones, so they start first
+    const dependents = [...(failed?.dependents || []).filter(depId => !active.includes(depId)), ...active];
+    this.failedReloads.set(pluginId, { wasActive, dependents });
+
+    try {
+      for (const depId of active) {
+        await this.stopPlugin(depId, getAPI(depId));
+      }
+
+      if (oldInstance) {
+        await this.destroyPlugin(pluginId, api);
+      }
+
+      const newInstance = await this.loader.reloadPlugin(pluginId);
+
+      if (oldInstance && newInstance !== oldInstance) {
+        this._migrateState(pluginId, oldInstance, newInstance, api);
+      }
+
+      const initialized = await this.initPlugin(pluginId, api);
+      if (!initialized) {
+        return false;
+      }
+
+      await this.hooks.action('plugin:reloaded', { pluginId });
+
+      if (!wasActive) {
+        this.failedReloads.delete(pluginId);
+        return true;
+      }
+
+      const started = await this.startPlugin(pluginId, api);
+      if (started) {
+        this.failedReloads.delete(pluginId);
+        await this._restartDependents(dependents, getAPI);
+      }
+      return started;
+    } catch (error) {
+      console.error(`[LifecycleManager] Hot reload failed for ${pluginId}:`, error);
+      this.registry.setError(pluginId, error);
+      await this.hooks.action('plugin:error', { pluginId, error });
+      return false;
+    }
+  }
+
+  /**
+   * Get the active plugins that depend on a plugin, directly or not
+   * Ordered so every plugin comes before the plugins it depends on.
+   * @param {string} pluginId - Plugin ID
+   * @returns {string[]} Plugin IDs, in the order they can be stopped
+   */
+  _getActiveDependents(pluginId, seen = new Set()) {
+    const order = [];
+
+    this.registry.getDependents(pluginId).forEach(depId => {
+      if (seen.has(depId) || this.registry.getState(depId) !== this.registry.STATES.ACTIVE) return;
+      seen.add(depId);
+      order.push(...this._getActiveDependents(depId, seen), depId);
+    });
+
+    return order;
+  }
+
+  /**
+   * Start dependents stopped for a hot reload again, dependencies first
+   * One that fails to start (e.g. the new version is out of its range)
+   * doesn't keep the others stopped.
+   * @param {string[]} dependents - Plugin IDs from _getActiveDependents
+   * @param {Function} getAPI - Returns a plugin's API object
+   */
+  async _restartDependents(dependents, getAPI) {
+    for (const depId of [...dependents].reverse()) {
+      try {
+        await this.startPlugin(depId, getAPI(depId));
+      } catch (error) {
+        console.error(`[LifecycleManager] Failed to restart ${depId} after hot reload:`, error);
+        this.registry.setError(depId, error);
+      }
+    }
+  }
+
+  /**
+   * Carry state over from the old plugin instance to the reloaded one
+   * Plugins can define migrateState(oldState, api) to take control;
+   * otherwise keys present in both states are copied when their kind matches.
+   * Empty values, DOM nodes and functions are left behind since they belong to the old code.
+   */
+  _migrateState(pluginId, oldInstance, newInstance, api) {
+    const oldState = oldInstance.state;
+    if (!oldState || typeof oldState !== 'object') return;
+
+    try {
+      if (typeof newInstance.migrateState === 'function') {
+        newInstance.migrateState(oldState, api);
+        return;
+      }
+
+      if (!newInstance.state || typeof newInstance.state !== 'object') return;
+
+      Object.entries(oldState).forEach(([key, value]) => {
+        if (!(key in newInstance.state)) return;
+        if (value === null || value === undefined || typeof value === 'function') return;
+        if (typeof Node !== 'undefined' && value instanceof Node) return;
+
+        const current = newInstance.state[key];
+        if (current !== null && current !== undefined &&
+            (typeof current !== typeof value || current.constructor !== value.constructor)) {
+          return;
+        }
+
+        newInstance.state[key] = value;
+      });
+    } catch (error) {
+      console.warn(`[LifecycleManager] State migration failed for ${pluginId}, starting fresh:`, error);
+    }
+  }
+
   /**
    * Register plugin's hooks
    */
@@ -312,6 +503,20 @@ class LifecycleManager {
     });
   }
 
+  /**
+   * Dispose a stopped plugin's remaining resources and report them as leaks
+   */
+  async _disposeResources(pluginId) {
+    const leaked = this.resources.disposeAll(pluginId);
+    if (leaked.length === 0) return;
+
+    console.warn(
+      `[LifecycleManager] ${pluginId} leaked ${leaked.length} resource(s) on stop:`,
+      leaked.map(resource => resource.label).join(', ')
+    );
+    await this.hooks.action('plugin:resources-leaked', { pluginId, resources: leaked });
+  }
+
   /**
    * Take a state snapshot for rollback
    */
@@ -335,6 +540,9 @@ class LifecycleManager {
     try {
       // Unregister any hooks that were registered
       this.hooks.unregisterPlugin(pluginId);
+
+      // Release anything start() set up before failing
+      this.resources.disposeAll(pluginId);
       
       // Restore state
       this.registry.setState(pluginId, snapshot.state);
@@ -347,27 +555,136 @@ class LifecycleManager {
 
   /**
    * Handle plugin error during runtime
+   * The plugin keeps running until it exceeds its error budget,
+   * then it is stopped and quarantined.
    * @param {string} pluginId - Plugin ID
    * @param {Error} error - Error that occurred
    * @param {object} api - Plugin API object
+   * @param {string} source - Where the error came from (e.g. 'hook dom:mutated')
    */
-  async handleError(pluginId, error, api) {
-    console.error(`[LifecycleManager] Runtime error in ${pluginId}:`, error);
+  async handleError(pluginId, error, api, source = 'runtime') {
+    const state = this.registry.getState(pluginId);
+    if (state === this.registry.STATES.QUARANTINED || this._quarantining.has(pluginId)) {
+      return;
+    }
+
+    console.error(`[LifecycleManager] Runtime error in ${pluginId} (${source}):`, error);
     
-    this.registry.setError(pluginId, error);
-    await this.hooks.action('plugin:error', { pluginId, error });
+    this.registry.recordError(pluginId, error);
+    await this.hooks.action('plugin:error', { pluginId, error, source });
 
-    // Optionally stop the plugin on error
-    const state = this.registry.getState(pluginId);
-    if (state === this.registry.STATES.ACTIVE) {
-      try {
-        await this.stopPlugin(pluginId, api);
-      } catch (stopError) {
-        console.error(`[LifecycleManager] Failed to stop errored plugin ${pluginId}:`, stopError);
+    await this._checkErrorBudget(pluginId, error, api);
+  }
+
+  /**
+   * Get the global error budget
+   * @returns {object} {maxErrors, windowSeconds}
+   */
+  getErrorBudget() {
+    const budget = this.settings.get('core', 'errorBudget') || {};
+    return {
+      maxErrors: budget.maxErrors ?? 5,
+      windowSeconds: budget.windowSeconds ?? 60
+    };
+  }
+
+  /**
+   * Count an error against the plugin's budget and quarantine it when exceeded
+   */
+  async _checkErrorBudget(pluginId, error, api) {
+    const { maxErrors, windowSeconds } = this.getErrorBudget();
+    if (maxErrors <= 0) return;
+
+    const now = Date.now();
+    const recent = (this.errorLog.get(pluginId) || [])
+      .filter(timestamp => now - timestamp < windowSeconds * 1000);
+    recent.push(now);
+    this.errorLog.set(pluginId, recent);
+
+    if (recent.length >= maxErrors) {
+      await this.quarantinePlugin(pluginId, api, {
+        reason: error?.message || String(error),
+        errors: recent.length,
+        windowSeconds
+      });
+    }
+  }
+
+  /**
+   * Stop a plugin and move it to QUARANTINED until the user re-enables it
+   * @param {string} pluginId - Plugin ID
+   * @param {object} api - Plugin API object
+   * @param {object} details - {reason, errors, windowSeconds}
+   * @param {boolean} persist - Record the quarantine in settings (false when syncing from storage)
+   * @returns {Promise<boolean>} Success status
+   */
+  async quarantinePlugin(pluginId, api, details = {}, persist = true) {
+    if (this._quarantining.has(pluginId) ||
+        this.registry.getState(pluginId) === this.registry.STATES.QUARANTINED) {
+      return true;
+    }
+
+    this._quarantining.add(pluginId);
+
+    try {
+      console.warn(
+        `[LifecycleManager] Quarantining ${pluginId} after ${details.errors ?? 'repeated'} errors:`,
+        details.reason
+      );
+
+      let stopped = false;
+      if (this.registry.getState(pluginId) === this.registry.STATES.ACTIVE && api) {
+        try {
+          stopped = await this.stopPlugin(pluginId, api);
+        } catch (error) {
+          console.error(`[LifecycleManager] Failed to stop quarantined plugin ${pluginId}:`, error);
+        }
+      }
+
+      // Cut the plugin off even if stop() failed or dependents kept it alive
+      if (!stopped) {
+        this.hooks.unregisterPlugin(pluginId);
+        this.resources.disposeAll(pluginId);
+      }
+
+      this.registry.setState(pluginId, this.registry.STATES.QUARANTINED);
+      this.errorLog.delete(pluginId);
+
+      const quarantine = { ...details, at: Date.now() };
+      if (persist) {
+        await this.settings.setQuarantine(pluginId, quarantine);
       }
+
+      await this.hooks.action('plugin:quarantined', { pluginId, quarantine });
+      return true;
+    } finally {
+      this._quarantining.delete(pluginId);
     }
   }
 
+  /**
+   * Lift a plugin's quarantine so it can be started again
+   * @param {string} pluginId - Plugin ID
+   * @param {boolean} persist - Clear the quarantine in settings (false when syncing from storage)
+   */
+  async releaseQuarantine(pluginId, persist = true) {
+    this.errorLog.delete(pluginId);
+
+    if (this.registry.getState(pluginId) === this.registry.STATES.QUARANTINED) {
+      this.registry.setState(
+        pluginId,
+        this.initialized.has(pluginId) ? this.registry.STATES.STOPPED : this.registry.STATES.LOADED
+      );
+      this.registry.clearError(pluginId);
+    }
+
+    if (persist && this.settings.getQuarantine(pluginId)) {
+      await this.settings.setQuarantine(pluginId, null);
+    }
+
+    await this.hooks.action('plugin:released', { pluginId });
+  }
+
   /**
    * Get lifecycle statistics
    * @returns {object} Lifecycle stats
@@ -384,8 +701,11 @@ class LifecycleManager {
    */
   clear() {
     this.stateSnapshots.clear();
+    this.errorLog.clear();
+    this.initialized.clear();
   }
 }
 
 // Export singleton instance
 export default new LifecycleManager();
+export { LifecycleManager };
@@ -0,0 +1,207 @@
+/**
+ * PageContext - Classifies the current XenForo page
+ *
+ * Works out what kind of page the tab shows (thread list, thread, member
+ * profile, ...) and parses its context (thread ID, forum node ID, page
+ * number, viewing user). XenForo tags the <html> element with the template
+ * and content keys; the URL is used when those are missing.
+ *
+ * The framework refreshes the context on navigation and DOM changes, and
+ * emits 'page:changed' with {page, previous} whenever it differs.
+ */
+
+import HookSystem from './HookSystem.js';
+import Validators from '../../utils/validators.js';
+
+class PageContext {
+  constructor() {
+    this.hooks = HookSystem;
+    this.hooks.declare('page:changed', {
+      description: 'The detected page context changed',
+      payload: { page: { type: 'object', required: true }, previous: {} }
+    });
+
+    this.TYPES = {
+      THREAD_LIST: 'threadList',
+      THREAD: 'thread',
+      MEMBER: 'member',
+      CONVERSATION: 'conversation',
+      SEARCH: 'search',
+      EDITOR: 'editor',
+      NOTIFICATIONS: 'notifications',
+      OTHER: 'other'
+    };
+
+    // XenForo template name -> page type
+    this.TEMPLATES = {
+      forum_view: this.TYPES.THREAD_LIST,
+      whats_new_posts: this.TYPES.THREAD_LIST,
+      find_threads_list: this.TYPES.THREAD_LIST,
+      watched_threads_list: this.TYPES.THREAD_LIST,
+      tag_view: this.TYPES.THREAD_LIST,
+      thread_view: this.TYPES.THREAD,
+      member_view: this.TYPES.MEMBER,
+      conversation_view: this.TYPES.CONVERSATION,
+      search_results: this.TYPES.SEARCH,
+      forum_post_thread: this.TYPES.EDITOR,
+      thread_reply: this.TYPES.EDITOR,
+      post_edit: this.TYPES.EDITOR,
+      conversation_add: this.TYPES.EDITOR,
+      conversation_message_edit: this.TYPES.EDITOR,
+      account_alerts: this.TYPES.NOTIFICATIONS
+    };
+
+    // URL path -> page type, checked in order when the template is unknown
+    this.PATHS = [
+      [/\/threads\/[^/]+\/(reply|edit)\b/, this.TYPES.EDITOR],
+      [/\/posts\/\d+\/edit\b/, this.TYPES.EDITOR],
+      [/\/forums\/[^/]+\/post-thread\b/, this.TYPES.EDITOR],
+      [/\/conversations\/add\b/, this.TYPES.EDITOR],
+      [/\/threads\//, this.TYPES.THREAD],
+      [/\/(forums|tags)\/[^/]+|\/whats-new\/posts\b|\/watched\/threads\b|\/find-threads\//, this.TYPES.THREAD_LIST],
+      [/\/members\/[^/]*\.?\d+/, this.TYPES.MEMBER],
+      [/\/conversations\/[^/]*\.?\d+/, this.TYPES.CONVERSATION],
+      [/\/search\/\d+/, this.TYPES.SEARCH],
+      [/\/account\/alerts\b/, this.TYPES.NOTIFICATIONS]
+    ];
+
+    this.current = null;
+  }
+
+  /**
+   * Get the current page context (detecting it on first use)
+   * @returns {object} Page context
+   */
+  get() {
+    if (!this.current) {
+      this.current = this.detect();
+    }
+    return this.current;
+  }
+
+  /**
+   * Check if the current page is of one of the given types
+   * @param {string|string[]} types - Page type(s)
+   * @returns {boolean}
+   */
+  is(types) {
+    return [].concat(types).includes(this.get().type);
+  }
+
+  /**
+   * Re-detect the page and emit page:changed if the context changed
+   * @returns {boolean} True if the context changed
+   */
+  refresh() {
+    const previous = this.current;
+    const page = this.detect();
+
+    if (previous && Validators.deepEqual(previous, page)) {
+      return false;
+    }
+
+    this.current = page;
+    this.hooks.action('page:changed', { page, previous });
+    return true;
+  }
+
+  /**
+   * Classify a document
+   * @param {Document} doc - Document to inspect
+   * @param {string} url - Page URL
+   * @returns {object} {type, template, url, threadId, nodeId, memberId, conversationId, page, user, hasEditor}
+   */
+  detect(doc = document, url = location.href) {
+    const root = doc.documentElement;
+    const parsed = this._url(url);
+    const path = parsed ? parsed.pathname : '';
+    const template = root?.getAttribute('data-template') || null;
+
+    return {
+      type: this._getType(template, path),
+      template,
+      url,
+      threadId: this._keyId(root, 'data-content-key', 'thread') ?? this._pathId(path, 'threads'),
+      nodeId: this._keyId(root, 'data-container-key', 'node') ?? this._pathId(path, 'forums'),
+      memberId: this._pathId(path, 'members'),
+      conversationId: this._pathId(path, 'conversations'),
+      page: this._getPageNumber(doc, path),
+      user: this._getUser(doc),
+      hasEditor: !!doc.querySelector('.fr-element')
+    };
+  }
+
+  /**
+   * Resolve the page type from the template, falling back to the URL
+   */
+  _getType(template, path) {
+    if (template) {
+      // Forum and thread templates have per-type variants (forum_view_type_article, ...)
+      const base = template.replace(/_type_\w+$/, '');
+      if (this.TEMPLATES[base]) return this.TEMPLATES[base];
+    }
+
+    const match = this.PATHS.find(([pattern]) => pattern.test(path));
+    return match ? match[1] : this.TYPES.OTHER;
+  }
+
+  /**
+   * Read a numeric ID from a XenForo key attribute ('thread-123', 'node-12')
+   */
+  _keyId(root, attribute, prefix) {
+    const match = root?.getAttribute(attribute)?.match(new RegExp(`^${prefix}-(\\d+)$`));
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Read a numeric ID from a route segment ('/threads/title.123/', '/members/456/')
+   */
+  _pathId(path, route) {
+    const match = path.match(new RegExp(`/${route}/(?:[^/]*\\.)?(\\d+)(?:/|$)`));
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Current page of a paginated view (1 if not paginated)
+   */
+  _getPageNumber(doc, path) {
+    const match = path.match(/\/page-(\d+)(?:\/|$)/);
+    if (match) return Number(match[1]);
+
+    const current = Number(doc.querySelector('.pageNav-page--current')?.textContent.trim());
+    return current > 0 ? current : 1;
+  }
+
+  /**
+   * Viewing user from the navigation bar
+   * @returns {object|null} {id, name}, or null for guests
+   */
+  _getUser(doc) {
+    const link = doc.querySelector('.p-navgroup-link--user');
+    if (!link) return null;
+
+    const id = Number(link.querySelector('[data-user-id]')?.getAttribute('data-user-id'));
+    const name = link.querySelector('.p-navgroup-linkText')?.textContent.trim() ||
+      link.getAttribute('title') || null;
+
+    return { id: id > 0 ? id : null, name };
+  }
+
+  _url(url) {
+    try {
+      return new URL(url);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Forget the detected context
+   */
+  clear() {
+    this.current = null;
+  }
+}
+
+// Export singleton instance
+export default new PageContext();
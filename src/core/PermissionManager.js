@@ -0,0 +1,175 @@
+/**
+ * PermissionManager - Capability-based plugin permissions
+ *
+ * Plugins declare the capabilities they need in their manifest:
+ *
+ *   permissions: ['dom:write', 'storage', 'hooks:emit:my-plugin:*', 'plugins:call:other-plugin']
+ *
+ * The user grants them on first enable, and PluginAPI only exposes the
+ * methods covered by permissions that were both requested and granted.
+ * Grants are stored alongside the plugin's settings.
+ */
+
+import SettingsStore from './SettingsStore.js';
+
+class PermissionManager {
+  constructor() {
+    this.settings = SettingsStore;
+
+    // Known capabilities. Scoped capabilities are followed by ':<target>'
+    // (a hook name or plugin ID), where a trailing '*' matches any suffix.
+    this.CAPABILITIES = {
+      'dom:write': {
+        title: 'Modify pages',
+        description: 'Inject elements and styles, remove content and change classes on pages'
+      },
+      'storage': {
+        title: 'Store data',
+        description: 'Save its own data in extension storage'
+      },
+      'network': {
+        title: 'Access the network',
+        description: 'Send requests to other websites'
+      },
+      'clipboard': {
+        title: 'Use the clipboard',
+        description: 'Read from and write to your clipboard'
+      },
+      'hooks:emit': {
+        scoped: true,
+        title: 'Trigger events',
+        description: target => target === '*'
+          ? 'Trigger any framework or plugin event'
+          : `Trigger the "${target}" event`
+      },
+      'plugins:call': {
+        scoped: true,
+        title: 'Control other plugins',
+        description: target => target === '*'
+          ? 'Call into any other plugin'
+          : `Call into the "${target}" plugin`
+      }
+    };
+  }
+
+  /**
+   * Split a permission into capability and target
+   * @param {string} permission - Permission string (e.g. 'hooks:emit:page:changed')
+   * @returns {object|null} {capability, target} or null if unknown
+   */
+  parse(permission) {
+    if (typeof permission !== 'string') return null;
+
+    if (this.CAPABILITIES[permission] && !this.CAPABILITIES[permission].scoped) {
+      return { capability: permission, target: null };
+    }
+
+    for (const [capability, definition] of Object.entries(this.CAPABILITIES)) {
+      if (definition.scoped && permission.startsWith(`${capability}:`)) {
+        const target = permission.substring(capability.length + 1);
+        return target ? { capability, target } : null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the valid permissions a manifest requests
+   * Unknown permissions are ignored (the loader warns about them)
+   * @param {object} manifest - Plugin manifest
+   * @returns {string[]} Requested permissions (deduplicated)
+   */
+  getRequested(manifest) {
+    const requested = Array.isArray(manifest?.permissions) ? manifest.permissions : [];
+    return [...new Set(requested.filter(permission => this.parse(permission)))];
+  }
+
+  /**
+   * Get permissions the user granted to a plugin
+   * @param {string} pluginId - Plugin ID
+   * @returns {string[]|null} Granted permissions, or null if never asked
+   */
+  getGranted(pluginId) {
+    return this.settings.getPermissions(pluginId);
+  }
+
+  /**
+   * Get requested permissions that haven't been granted yet
+   * @param {object} manifest - Plugin manifest
+   * @returns {string[]} Missing permissions
+   */
+  getMissing(manifest) {
+    const granted = this.getGranted(manifest.id) || [];
+    return this.getRequested(manifest).filter(permission => !granted.includes(permission));
+  }
+
+  /**
+   * Get permissions a plugin can actually use (requested and granted)
+   * @param {object} manifest - Plugin manifest
+   * @returns {string[]} Effective permissions
+   */
+  getEffective(manifest) {
+    const granted = this.getGranted(manifest.id) || [];
+    return this.getRequested(manifest).filter(permission => granted.includes(permission));
+  }
+
+  /**
+   * Grant permissions to a plugin (added to existing grants)
+   * @param {string} pluginId - Plugin ID
+   * @param {string[]} permissions - Permissions to grant
+   */
+  async grant(pluginId, permissions) {
+    const granted = this.getGranted(pluginId) || [];
+    await this.settings.setPermissions(pluginId, [...new Set([...granted, ...permissions])]);
+  }
+
+  /**
+   * Revoke all permissions of a plugin
+   * @param {string} pluginId - Plugin ID
+   */
+  async revoke(pluginId) {
+    await this.settings.setPermissions(pluginId, []);
+  }
+
+  /**
+   * Check if a permission list covers a capability (and target)
+   * @param {string[]} permissions - Effective permissions
+   * @param {string} capability - Capability name (e.g. 'storage', 'hooks:emit')
+   * @param {string} target - Hook name or plugin ID for scoped capabilities
+   * @returns {boolean}
+   */
+  allows(permissions, capability, target = null) {
+    return permissions.some(permission => {
+      const parsed = this.parse(permission);
+      if (!parsed || parsed.capability !== capability) return false;
+      if (parsed.target === null) return true;
+      if (target === null) return true; // Any target of a scoped capability
+
+      return parsed.target.endsWith('*')
+        ? target.startsWith(parsed.target.slice(0, -1))
+        : parsed.target === target;
+    });
+  }
+
+  /**
+   * Describe a permission for the permission prompt
+   * @param {string} permission - Permission string
+   * @returns {object} {title, description}
+   */
+  describe(permission) {
+    const parsed = this.parse(permission);
+    if (!parsed) {
+      return { title: permission, description: 'Unknown permission' };
+    }
+
+    const { title, description } = this.CAPABILITIES[parsed.capability];
+    return {
+      title,
+      description: typeof description === 'function' ? description(parsed.target) : description
+    };
+  }
+}
+
+// Export singleton instance
+export default new PermissionManager();
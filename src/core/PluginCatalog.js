@@ -0,0 +1,145 @@
+/**
+ * PluginCatalog - The marketplace's catalog of packaged plugins
+ *
+ * plugins/plugins.json lists every plugin packaged with the extension, with
+ * what the marketplace shows about it. Entries with "enabled": true are
+ * installed by default; the user installs and uninstalls plugins from the
+ * marketplace and PluginLoader only discovers installed ones. Plugin code
+ * always comes from the package (MV3 runs no other code), so plugins are
+ * updated with the extension.
+ *
+ * Catalog format:
+ * {
+ *   "plugins": [
+ *     {
+ *       "id": "my-plugin", "path": "plugins/my-plugin", "enabled": false,
+ *       "name": "My Plugin", "version": "1.0.0", "description": "...",
+ *       "author": "...", "category": "filter", "tags": ["..."],
+ *       "changelog": [{ "version": "1.0.0", "changes": ["Initial release"] }]
+ *     }
+ *   ]
+ * }
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+import IndexedDBStore from './IndexedDBStore.js';
+
+class PluginCatalog {
+  constructor() {
+    this.storage = StorageAdapter;
+    this.db = IndexedDBStore;
+
+    this.CATALOG_PATH = 'plugins/plugins.json';
+
+    // Storage key for install choices made in the marketplace: pluginId -> installed
+    this.INSTALLED_KEY = 'installedPlugins';
+
+    // Fetch implementation (replaceable when testing against a local server)
+    this.fetch = (...args) => fetch(...args);
+  }
+
+  /**
+   * Get the catalog with each plugin's install state
+   * @returns {Promise<object[]>} Entries with installed and userInstalled
+   *   (installed from the marketplace rather than by default)
+   */
+  async getCatalog() {
+    const [entries, choices] = await Promise.all([this._getEntries(), this._getChoices()]);
+    return entries.map(entry => ({
+      ...entry,
+      installed: this._isInstalled(entry, choices),
+      userInstalled: choices[entry.id] === true
+    }));
+  }
+
+  /**
+   * Get the installed plugins
+   * @returns {Promise<object[]>} Catalog entries, as from getCatalog
+   */
+  async getInstalled() {
+    return (await this.getCatalog()).filter(entry => entry.installed);
+  }
+
+  /**
+   * Install a plugin from the catalog
+   * Tabs load it when notified; it starts once the user enables it.
+   * @param {string} pluginId - Plugin ID
+   * @returns {Promise<object>} Catalog entry
+   */
+  async installPlugin(pluginId) {
+    const entry = await this._getEntry(pluginId);
+    const choices = await this._getChoices();
+
+    if (this._isInstalled(entry, choices)) {
+      throw new Error(`Plugin ${pluginId} is already installed`);
+    }
+
+    await this._saveChoice(pluginId, true, choices);
+    return entry;
+  }
+
+  /**
+   * Uninstall a plugin and delete its namespaced storage
+   * Settings are removed by SettingsStore.removePlugin
+   * @param {string} pluginId - Plugin ID
+   */
+  async uninstallPlugin(pluginId) {
+    const entry = await this._getEntry(pluginId);
+    const choices = await this._getChoices();
+
+    if (!this._isInstalled(entry, choices)) {
+      throw new Error(`Plugin ${pluginId} is not installed`);
+    }
+
+    await this._saveChoice(pluginId, false, choices);
+    await this.storage.namespace(pluginId).clear();
+    await this.db.namespace(pluginId).clear();
+  }
+
+  /**
+   * Read plugins/plugins.json
+   */
+  async _getEntries() {
+    // Not cached, so edits show up while developing
+    const response = await this.fetch(chrome.runtime.getURL(this.CATALOG_PATH), { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Failed to load plugin catalog: ${response.status}`);
+    }
+
+    const catalog = await response.json();
+    return (catalog.plugins || [])
+      .filter(entry => entry && typeof entry.id === 'string' && typeof entry.path === 'string')
+      .map(entry => ({
+        ...entry,
+        name: entry.name || entry.id,
+        description: entry.description || '',
+        category: entry.category || 'other',
+        tags: Array.isArray(entry.tags) ? entry.tags : []
+      }));
+  }
+
+  async _getEntry(pluginId) {
+    const entry = (await this._getEntries()).find(candidate => candidate.id === pluginId);
+    if (!entry) {
+      throw new Error(`Plugin ${pluginId} is not in the catalog`);
+    }
+    return entry;
+  }
+
+  async _getChoices() {
+    const stored = await this.storage.get({ [this.INSTALLED_KEY]: {} });
+    return stored[this.INSTALLED_KEY];
+  }
+
+  async _saveChoice(pluginId, installed, choices) {
+    await this.storage.set({ [this.INSTALLED_KEY]: { ...choices, [pluginId]: installed } });
+  }
+
+  _isInstalled(entry, choices) {
+    return typeof choices[entry.id] === 'boolean' ? choices[entry.id] : entry.enabled !== false;
+  }
+}
+
+// Export singleton instance
+export default new PluginCatalog();
+export { PluginCatalog };
@@ -6,12 +6,20 @@
  */
 
 import PluginRegistry from './PluginRegistry.js';
+import PluginCatalog from './PluginCatalog.js';
+import PermissionManager from './PermissionManager.js';
+import MatchPattern from '../../utils/matchpattern.js';
+import Semver from '../../utils/semver.js';
 
 class PluginLoader {
   constructor() {
     this.registry = PluginRegistry;
+    this.catalog = PluginCatalog;
     this.pluginModules = new Map();
     this.loadedPaths = new Set();
+
+    // Module import (replaceable when testing outside the extension)
+    this.import = (path) => import(path);
   }
 
   /**
@@ -19,16 +27,16 @@ class PluginLoader {
    * @returns {Promise<string[]>} Array of discovered plugin IDs
    */
   async discoverPlugins() {
-    // Get list of plugin directories
+    // Get the installed plugins' catalog entries
     const pluginList = await this._getPluginList();
     const discovered = [];
 
-    for (const pluginPath of pluginList) {
+    for (const { path: pluginPath, userInstalled } of pluginList) {
       try {
         const manifest = await this._loadManifest(pluginPath);
         if (this._validateManifest(manifest)) {
           this.registry.register(manifest);
-          this.pluginModules.set(manifest.id, { path: pluginPath, loaded: false });
+          this.pluginModules.set(manifest.id, { path: pluginPath, userInstalled, loaded: false });
           discovered.push(manifest.id);
         }
       } catch (error) {
@@ -40,28 +48,70 @@ class PluginLoader {
   }
 
   /**
-   * Get list of plugin paths to load
-   * Dynamically loads from plugins registry
+   * Register and load a plugin installed from the marketplace while the page is open
+   * The module is imported afresh, so a plugin uninstalled earlier starts clean.
+   * @param {string} pluginId - Plugin ID
+   * @returns {Promise<object>} Plugin instance/manifest
+   */
+  async installPlugin(pluginId) {
+    if (this.registry.has(pluginId)) {
+      throw new Error(`Plugin ${pluginId} is already registered`);
+    }
+
+    const entry = (await this.catalog.getInstalled()).find(candidate => candidate.id === pluginId);
+    if (!entry) {
+      throw new Error(`Plugin ${pluginId} is not installed`);
+    }
+
+    const manifest = await this._loadManifest(entry.path);
+    if (manifest.id !== pluginId || !this._validateManifest(manifest)) {
+      throw new Error(`Invalid plugin manifest in ${entry.path}`);
+    }
+
+    this.registry.register(manifest);
+    this.pluginModules.set(pluginId, {
+      path: entry.path,
+      userInstalled: entry.userInstalled,
+      loaded: false,
+      revision: Date.now()
+    });
+
+    return await this.loadPlugin(pluginId);
+  }
+
+  /**
+   * Drop a plugin's module so it can be reinstalled or removed
+   * The caller is responsible for destroying and unregistering it
+   * @param {string} pluginId - Plugin ID
+   */
+  forgetPlugin(pluginId) {
+    const pluginInfo = this.pluginModules.get(pluginId);
+    if (!pluginInfo) return;
+
+    this.loadedPaths.delete(this._getModulePath(pluginInfo));
+    this.pluginModules.delete(pluginId);
+  }
+
+  /**
+   * Check if a plugin was installed from the marketplace rather than by default
+   * @param {string} pluginId - Plugin ID
+   * @returns {boolean}
+   */
+  isUserInstalled(pluginId) {
+    return this.pluginModules.get(pluginId)?.userInstalled || false;
+  }
+
+  /**
+   * Get the plugins to load
+   * Installed plugins from the plugins.json catalog (see PluginCatalog)
+   * @returns {Promise<object[]>} Catalog entries
    */
   async _getPluginList() {
     try {
-      // Load plugin registry from plugins.json
-      const registryUrl = chrome.runtime.getURL('plugins/plugins.json');
-      const response = await fetch(registryUrl);
-      
-      if (!response.ok) {
-        throw new Error(`Failed to load plugin registry: ${response.status}`);
-      }
+      const installed = await this.catalog.getInstalled();
       
-      const registry = await response.json();
-      
-      // Filter enabled plugins and return their paths
-      const enabledPlugins = registry.plugins
-        .filter(plugin => plugin.enabled !== false)
-        .map(plugin => plugin.path);
-      
-      console.log(`[PluginLoader] Discovered ${enabledPlugins.length} plugins from registry`);
-      return enabledPlugins;
+      console.log(`[PluginLoader] Discovered ${installed.length} plugins from registry`);
+      return installed;
       
     } catch (error) {
       console.error('[PluginLoader] Failed to load plugin registry:', error);
@@ -79,7 +129,7 @@ class PluginLoader {
     try {
       // Try to load index.js as the plugin module
       const modulePath = `/${pluginPath}/index.js`;
-      const module = await import(modulePath);
+      const module = await this.import(modulePath);
       
       // Plugin should export default manifest
       if (module.default) {
@@ -119,12 +169,51 @@ class PluginLoader {
       return false;
     }
 
+    // Unknown permissions are never granted, but shouldn't block loading
+    if (manifest.permissions !== undefined && !Array.isArray(manifest.permissions)) {
+      console.error(`[PluginLoader] Permissions of ${manifest.id} must be an array`);
+      return false;
+    }
+    (manifest.permissions || []).forEach(permission => {
+      if (!PermissionManager.parse(permission)) {
+        console.warn(`[PluginLoader] ${manifest.id} requests unknown permission: ${permission}`);
+      }
+    });
+
+    // Invalid site patterns are ignored
+    for (const field of ['matches', 'excludeMatches']) {
+      if (manifest[field] !== undefined && !Array.isArray(manifest[field])) {
+        console.error(`[PluginLoader] ${field} of ${manifest.id} must be an array`);
+        return false;
+      }
+      (manifest[field] || []).forEach(pattern => {
+        if (!MatchPattern.isValid(pattern)) {
+          console.warn(`[PluginLoader] ${manifest.id} has an invalid ${field} pattern: ${pattern}`);
+        }
+      });
+    }
+
+    // Migrations are keyed by the version that introduced them
+    if (manifest.migrations !== undefined) {
+      if (typeof manifest.migrations !== 'object' || manifest.migrations === null || Array.isArray(manifest.migrations)) {
+        console.error(`[PluginLoader] Migrations of ${manifest.id} must be an object keyed by version`);
+        return false;
+      }
+      Object.entries(manifest.migrations).forEach(([version, migration]) => {
+        if (!Semver.parse(version) || typeof migration !== 'function') {
+          console.warn(`[PluginLoader] ${manifest.id} has an invalid migration for version ${version}, ignoring it`);
+        }
+      });
+    }
+
     return true;
   }
 
   /**
    * Resolve load order based on dependencies
-   * Uses topological sort to determine correct initialization sequence
+   * Uses topological sort to determine correct initialization sequence.
+   * Plugins whose required dependencies are missing or fall outside the
+   * declared version range are left out and marked as errored.
    * @param {string[]} pluginIds - Array of plugin IDs to load
    * @returns {string[]} Sorted array of plugin IDs
    */
@@ -132,22 +221,26 @@ class PluginLoader {
     const graph = new Map();
     const inDegree = new Map();
 
+    const loadable = this._filterLoadable(pluginIds);
+
     // Build graph and calculate in-degrees
-    pluginIds.forEach(id => {
+    loadable.forEach(id => {
       graph.set(id, []);
       inDegree.set(id, 0);
     });
 
     // Build edges (dependency -> dependent)
-    pluginIds.forEach(id => {
-      const deps = this.registry.getDependencies(id);
-      deps.forEach(depId => {
-        if (pluginIds.includes(depId)) {
-          if (!graph.has(depId)) {
-            graph.set(depId, []);
-          }
+    loadable.forEach(id => {
+      const { required, optional } = this.registry.getDependencyRanges(id);
+      const { unsatisfied } = this.registry.checkDependencies(id, { requireActive: false });
+
+      [...required, ...optional].forEach(({ id: depId }) => {
+        // Optional dependencies with a mismatched version are treated as absent
+        if (unsatisfied.some(dep => dep.id === depId)) return;
+
+        if (loadable.includes(depId)) {
           graph.get(depId).push(id);
-          inDegree.set(id, (inDegree.get(id) || 0) + 1);
+          inDegree.set(id, inDegree.get(id) + 1);
         }
       });
     });
@@ -177,14 +270,55 @@ class PluginLoader {
     }
 
     // Check for circular dependencies
-    if (result.length !== pluginIds.length) {
-      const missing = pluginIds.filter(id => !result.includes(id));
+    if (result.length !== loadable.length) {
+      const missing = loadable.filter(id => !result.includes(id));
       throw new Error(`Circular dependency detected in plugins: ${missing.join(', ')}`);
     }
 
     return result;
   }
 
+  /**
+   * Drop plugins whose required dependencies can't be satisfied
+   * Repeats until stable so dependents of dropped plugins are dropped too
+   * @param {string[]} pluginIds - Candidate plugin IDs
+   * @returns {string[]} Plugin IDs that can be loaded
+   */
+  _filterLoadable(pluginIds) {
+    let loadable = [...pluginIds];
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+
+      for (const id of loadable) {
+        const depCheck = this.registry.checkDependencies(id, { requireActive: false });
+        const { required } = this.registry.getDependencyRanges(id);
+        const notLoading = required
+          .filter(dep => this.registry.has(dep.id) && !loadable.includes(dep.id) && !this.isLoaded(dep.id))
+          .map(dep => `Requires ${dep.id}, which failed to load`);
+
+        const reasons = [...depCheck.reasons, ...notLoading];
+
+        if (reasons.length > 0) {
+          console.error(`[PluginLoader] Cannot load ${id}: ${reasons.join('; ')}`);
+          this.registry.setError(id, new Error(`Unsatisfied dependencies: ${reasons.join('; ')}`));
+          loadable = loadable.filter(pluginId => pluginId !== id);
+          changed = true;
+          break;
+        }
+      }
+    }
+
+    loadable.forEach(id => {
+      this.registry.checkDependencies(id, { requireActive: false }).warnings.forEach(warning => {
+        console.warn(`[PluginLoader] ${id}: ${warning}`);
+      });
+    });
+
+    return loadable;
+  }
+
   /**
    * Load a plugin module
    * @param {string} pluginId - Plugin ID to load
@@ -202,11 +336,11 @@ class PluginLoader {
     }
 
     try {
-      // Check dependencies are loaded
-      const depCheck = this.registry.checkDependencies(pluginId);
+      // Check dependencies are registered with compatible versions
+      const depCheck = this.registry.checkDependencies(pluginId, { requireActive: false });
       if (!depCheck.met) {
         throw new Error(
-          `Missing required dependencies: ${depCheck.missing.join(', ')}`
+          `Unsatisfied dependencies: ${depCheck.reasons.join('; ')}`
         );
       }
 
@@ -220,11 +354,19 @@ class PluginLoader {
 
       this.registry.setState(pluginId, this.registry.STATES.LOADING);
 
-      // Load the module (it's already imported during discovery)
-      const modulePath = `/${pluginInfo.path}/index.js`;
-      const module = await import(modulePath);
+      // Load the module (it's already imported during discovery,
+      // unless a reload bumped the revision to bypass the module cache)
+      const modulePath = this._getModulePath(pluginInfo);
+      const module = await this.import(this._getModuleUrl(pluginInfo));
       const manifest = module.default;
 
+      if (pluginInfo.revision) {
+        if (!manifest || !this._validateManifest(manifest) || manifest.id !== pluginId) {
+          throw new Error(`Reloaded module for ${pluginId} has an invalid manifest`);
+        }
+        this.registry.updateManifest(manifest);
+      }
+
       // Store instance (the manifest itself contains lifecycle methods)
       this.registry.setInstance(pluginId, manifest);
       pluginInfo.loaded = true;
@@ -264,6 +406,7 @@ class PluginLoader {
 
   /**
    * Reload a plugin (for hot-reload in dev mode)
+   * Re-imports the module with a cache-busting query so edited code is picked up
    * @param {string} pluginId - Plugin ID to reload
    * @returns {Promise<object>} Reloaded plugin instance
    */
@@ -276,17 +419,33 @@ class PluginLoader {
 
     // Mark as not loaded to force reimport
     pluginInfo.loaded = false;
+    pluginInfo.revision = Date.now();
     
     // Clear from loaded paths
-    const modulePath = `/${pluginInfo.path}/index.js`;
-    this.loadedPaths.delete(modulePath);
-
-    // Note: True hot reload would require cache busting
-    // For now, this marks it for reload on next load attempt
+    this.loadedPaths.delete(this._getModulePath(pluginInfo));
     
     return await this.loadPlugin(pluginId);
   }
 
+  /**
+   * Get the import URL for a plugin module
+   * @param {object} pluginInfo - Entry from pluginModules
+   * @returns {string} Module URL, cache-busted after a reload
+   */
+  _getModuleUrl(pluginInfo) {
+    const modulePath = this._getModulePath(pluginInfo);
+    return pluginInfo.revision ? `${modulePath}?v=${pluginInfo.revision}` : modulePath;
+  }
+
+  /**
+   * Get the path a plugin module is tracked under
+   * @param {object} pluginInfo - Entry from pluginModules
+   * @returns {string} Module path
+   */
+  _getModulePath(pluginInfo) {
+    return `/${pluginInfo.path}/index.js`;
+  }
+
   /**
    * Unload a plugin
    * @param {string} pluginId - Plugin ID to unload
@@ -296,8 +455,7 @@ class PluginLoader {
     
     if (pluginInfo) {
       pluginInfo.loaded = false;
-      const modulePath = `/${pluginInfo.path}/index.js`;
-      this.loadedPaths.delete(modulePath);
+      this.loadedPaths.delete(this._getModulePath(pluginInfo));
     }
 
     // Note: We don't remove from registry to preserve metadata
@@ -350,6 +508,20 @@ class PluginLoader {
     return loaded;
   }
 
+  /**
+   * Find the plugin loaded from a directory
+   * @param {string} pluginPath - Plugin directory (as listed in plugins.json)
+   * @returns {string|null} Plugin ID
+   */
+  getPluginIdByPath(pluginPath) {
+    for (const [pluginId, info] of this.pluginModules) {
+      if (info.path === pluginPath) {
+        return pluginId;
+      }
+    }
+    return null;
+  }
+
   /**
    * Check if plugin is loaded
    * @param {string} pluginId - Plugin ID
@@ -383,3 +555,4 @@ class PluginLoader {
 
 // Export singleton instance
 export default new PluginLoader();
+export { PluginLoader };
@@ -5,6 +5,8 @@
  * states, dependencies, and metadata.
  */
 
+import Semver from '../../utils/semver.js';
+
 class PluginRegistry {
   constructor() {
     // Plugin states enum
@@ -17,6 +19,7 @@ class PluginRegistry {
       STOPPING: 'STOPPING',
       STOPPED: 'STOPPED',
       ERROR: 'ERROR',
+      QUARANTINED: 'QUARANTINED', // Stopped after exceeding its error budget
       DESTROYED: 'DESTROYED'
     };
 
@@ -30,6 +33,7 @@ class PluginRegistry {
     // Dependency graph (adjacency list)
     this.dependencies = new Map();   // pluginId -> [dependent plugin IDs]
     this.dependents = new Map();     // pluginId -> [plugins that depend on this]
+    this.dependencyRanges = new Map(); // pluginId -> {required: [{id, range}], optional: [{id, range}]}
   }
 
   /**
@@ -58,18 +62,25 @@ class PluginRegistry {
     this.metadata.set(id, {
       registeredAt: Date.now(),
       loadTime: null,
-      lastError: null
+      lastError: null,
+      errorCount: 0
     });
   }
 
   /**
    * Build dependency relationships
+   * Dependencies may be declared as 'plugin-id', 'plugin-id@^1.2'
+   * or as an object mapping plugin IDs to version ranges
    */
   _buildDependencies(manifest) {
     const { id, dependencies = [], optionalDependencies = [] } = manifest;
     
-    // Store all dependencies (required and optional)
-    const allDeps = [...dependencies, ...optionalDependencies];
+    const required = Semver.parseDependencies(dependencies);
+    const optional = Semver.parseDependencies(optionalDependencies);
+    this.dependencyRanges.set(id, { required, optional });
+
+    // Store all dependency IDs (required and optional)
+    const allDeps = [...required, ...optional].map(dep => dep.id);
     this.dependencies.set(id, allDeps);
     
     // Update dependents map
@@ -82,11 +93,9 @@ class PluginRegistry {
   }
 
   /**
-   * Unregister a plugin
-   * @param {string} pluginId - Plugin ID
+   * Remove a plugin from the dependents lists of its dependencies
    */
-  unregister(pluginId) {
-    // Clean up dependencies
+  _removeDependencies(pluginId) {
     const deps = this.dependencies.get(pluginId) || [];
     deps.forEach(depId => {
       const dependentsList = this.dependents.get(depId);
@@ -97,6 +106,33 @@ class PluginRegistry {
         }
       }
     });
+  }
+
+  /**
+   * Replace the manifest of an already registered plugin (hot reload)
+   * Keeps state, errors and metadata, rebuilds the dependency graph
+   * @param {object} manifest - New plugin manifest
+   */
+  updateManifest(manifest) {
+    const { id } = manifest;
+
+    if (!this.manifests.has(id)) {
+      this.register(manifest);
+      return;
+    }
+
+    this._removeDependencies(id);
+    this.manifests.set(id, manifest);
+    this._buildDependencies(manifest);
+  }
+
+  /**
+   * Unregister a plugin
+   * @param {string} pluginId - Plugin ID
+   */
+  unregister(pluginId) {
+    // Clean up dependencies
+    this._removeDependencies(pluginId);
 
     // Remove from all maps
     this.manifests.delete(pluginId);
@@ -106,6 +142,7 @@ class PluginRegistry {
     this.metadata.delete(pluginId);
     this.dependencies.delete(pluginId);
     this.dependents.delete(pluginId);
+    this.dependencyRanges.delete(pluginId);
   }
 
   /**
@@ -179,8 +216,18 @@ class PluginRegistry {
    * @param {Error} error - Error object
    */
   setError(pluginId, error) {
-    this.errors.set(pluginId, error);
+    this.recordError(pluginId, error);
     this.setState(pluginId, this.STATES.ERROR);
+  }
+
+  /**
+   * Record a plugin error without changing its state
+   * Used for runtime errors of plugins that keep running
+   * @param {string} pluginId - Plugin ID
+   * @param {Error} error - Error object
+   */
+  recordError(pluginId, error) {
+    this.errors.set(pluginId, error);
     
     const meta = this.metadata.get(pluginId);
     if (meta) {
@@ -189,6 +236,7 @@ class PluginRegistry {
         stack: error.stack,
         timestamp: Date.now()
       };
+      meta.errorCount = (meta.errorCount || 0) + 1;
     }
   }
 
@@ -307,30 +355,86 @@ class PluginRegistry {
     return this.dependents.get(pluginId) || [];
   }
 
+  /**
+   * Get declared dependency version ranges for a plugin
+   * @param {string} pluginId - Plugin ID
+   * @returns {object} {required: [{id, range}], optional: [{id, range}]}
+   */
+  getDependencyRanges(pluginId) {
+    return this.dependencyRanges.get(pluginId) || { required: [], optional: [] };
+  }
+
   /**
    * Check if a plugin has required dependencies met
+   * Required dependencies must be present and satisfy their declared range.
+   * Optional dependencies are only reported when present with a wrong version.
    * @param {string} pluginId - Plugin ID
-   * @returns {object} {met: boolean, missing: string[]}
+   * @param {object} options - Check options
+   * @param {boolean} options.requireActive - Dependencies must be ACTIVE (default: true),
+   *   otherwise being registered is enough (used when resolving load order)
+   * @returns {object} {met, missing, unsatisfied, reasons, warnings}
+   *   reasons are human-readable blockers, warnings cover ignored optional dependencies
    */
-  checkDependencies(pluginId) {
+  checkDependencies(pluginId, options = {}) {
+    const { requireActive = true } = options;
+
     const manifest = this.getManifest(pluginId);
     if (!manifest) {
-      return { met: false, missing: [] };
+      return { met: false, missing: [], unsatisfied: [], reasons: [], warnings: [] };
     }
 
-    const required = manifest.dependencies || [];
+    const { required, optional } = this.getDependencyRanges(pluginId);
     const missing = [];
+    const unsatisfied = [];
+
+    const isPresent = (depId) => requireActive
+      ? this.getState(depId) === this.STATES.ACTIVE
+      : this.has(depId);
+
+    const checkRange = ({ id: depId, range }, isOptional) => {
+      const depVersion = this.getManifest(depId)?.version;
+      if (!Semver.satisfies(depVersion, range)) {
+        unsatisfied.push({ id: depId, range, version: depVersion, optional: isOptional });
+      }
+    };
 
-    required.forEach(depId => {
-      const depState = this.getState(depId);
-      if (depState !== this.STATES.ACTIVE) {
-        missing.push(depId);
+    required.forEach(dep => {
+      if (!isPresent(dep.id)) {
+        missing.push(dep.id);
+      } else {
+        checkRange(dep, false);
       }
     });
 
+    optional.forEach(dep => {
+      if (this.has(dep.id)) {
+        checkRange(dep, true);
+      }
+    });
+
+    const describe = ({ id: depId, range, version }) => `${depId}@${range}, found ${version}`;
+
+    const reasons = [
+      ...missing.map(depId => {
+        const { range } = required.find(dep => dep.id === depId);
+        const label = range === '*' ? depId : `${depId}@${range}`;
+        return this.has(depId)
+          ? `Requires ${label} to be enabled`
+          : `Requires ${label}, which is not installed`;
+      }),
+      ...unsatisfied.filter(dep => !dep.optional).map(dep => `Requires ${describe(dep)}`)
+    ];
+
+    const warnings = unsatisfied
+      .filter(dep => dep.optional)
+      .map(dep => `Optional dependency ${describe(dep)} will be ignored`);
+
     return {
-      met: missing.length === 0,
-      missing
+      met: reasons.length === 0,
+      missing,
+      unsatisfied,
+      reasons,
+      warnings
     };
   }
 
@@ -399,6 +503,8 @@ class PluginRegistry {
       error: this.getError(pluginId),
       metadata: this.getMetadata(pluginId),
       dependencies: this.getDependencies(pluginId),
+      dependencyRanges: this.getDependencyRanges(pluginId),
+      dependencyStatus: this.checkDependencies(pluginId),
       dependents: this.getDependents(pluginId)
     };
   }
@@ -459,6 +565,7 @@ class PluginRegistry {
     this.metadata.clear();
     this.dependencies.clear();
     this.dependents.clear();
+    this.dependencyRanges.clear();
   }
 }
 
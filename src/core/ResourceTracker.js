@@ -0,0 +1,114 @@
+/**
+ * ResourceTracker - Per-plugin bookkeeping of live page resources
+ *
+ * PluginAPI registers every listener, observer, timer, style sheet,
+ * injected element and DOM subscription it hands out. Plugins release
+ * them as usual; whatever is still alive when a plugin stops is disposed
+ * by LifecycleManager and reported as a leak.
+ */
+
+class ResourceTracker {
+  constructor() {
+    // pluginId -> Set of resource entries
+    this.resources = new Map();
+  }
+
+  /**
+   * Track a resource for a plugin
+   * @param {string} pluginId - Plugin ID
+   * @param {string} kind - Resource kind ('listener', 'observer', 'timer', 'style', 'element', 'subscription')
+   * @param {string} label - Human-readable description for leak reports
+   * @param {Function} dispose - Releases the resource
+   * @param {Function} isAlive - Optional check; resources reporting false are dropped silently
+   * @returns {object} Entry with release() (dispose + untrack) and untrack()
+   */
+  track(pluginId, kind, label, dispose, isAlive = null) {
+    if (!this.resources.has(pluginId)) {
+      this.resources.set(pluginId, new Set());
+    }
+
+    const entries = this.resources.get(pluginId);
+    const entry = {
+      kind,
+      label,
+      createdAt: Date.now(),
+      dispose,
+      isAlive,
+      untrack: () => entries.delete(entry),
+      release: () => {
+        entries.delete(entry);
+        this._dispose(pluginId, entry, dispose);
+      }
+    };
+
+    entries.add(entry);
+    return entry;
+  }
+
+  /**
+   * Get a plugin's live resources
+   * @param {string} pluginId - Plugin ID
+   * @returns {object[]} {kind, label, createdAt}
+   */
+  getResources(pluginId) {
+    return this._getAlive(pluginId).map(({ kind, label, createdAt }) => ({ kind, label, createdAt }));
+  }
+
+  /**
+   * Count a plugin's live resources by kind
+   * @param {string} pluginId - Plugin ID
+   * @returns {object} kind -> count
+   */
+  getCounts(pluginId) {
+    const counts = {};
+    this._getAlive(pluginId).forEach(({ kind }) => {
+      counts[kind] = (counts[kind] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * Dispose every resource a plugin still holds
+   * @param {string} pluginId - Plugin ID
+   * @returns {object[]} The resources that were still alive ({kind, label, createdAt})
+   */
+  disposeAll(pluginId) {
+    const alive = this._getAlive(pluginId);
+    this.resources.delete(pluginId);
+
+    alive.forEach(entry => this._dispose(pluginId, entry, entry.dispose));
+
+    return alive.map(({ kind, label, createdAt }) => ({ kind, label, createdAt }));
+  }
+
+  /**
+   * Get live entries, dropping ones that went away on their own
+   * (e.g. an injected element the page removed)
+   */
+  _getAlive(pluginId) {
+    const entries = this.resources.get(pluginId);
+    if (!entries) return [];
+
+    entries.forEach(entry => {
+      if (entry.isAlive && !entry.isAlive()) {
+        entries.delete(entry);
+      }
+    });
+
+    return [...entries];
+  }
+
+  /**
+   * Run a disposer without letting it throw
+   */
+  _dispose(pluginId, entry, dispose) {
+    try {
+      dispose();
+    } catch (error) {
+      console.error(`[ResourceTracker] Failed to dispose ${entry.kind} for ${pluginId}:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+export default new ResourceTracker();
@@ -7,33 +7,161 @@
 
 import StorageAdapter from './StorageAdapter.js';
 import HookSystem from './HookSystem.js';
+import Semver from '../../utils/semver.js';
+import Validators from '../../utils/validators.js';
 
 class SettingsStore {
   constructor() {
     this.storage = StorageAdapter;
     this.hooks = HookSystem;
     
-    // Current settings state
-    this.settings = {
-      version: '1.0.0',
-      core: {
-        theme: 'dark',
-        debugMode: false
+    // Extension-wide settings shown in the popup's global settings view
+    this.CORE_SCHEMA = {
+      logLevel: {
+        type: 'select',
+        default: 'INFO',
+        title: 'Log Level',
+        description: 'Least severe messages written to the console',
+        enum: ['DEBUG', 'INFO', 'WARN', 'ERROR', 'NONE'],
+        section: 'Logging'
+      },
+      notificationDuration: {
+        type: 'number',
+        default: 3000,
+        title: 'Notification Duration (ms)',
+        description: 'How long plugin notifications stay up unless they set their own duration',
+        min: 500,
+        max: 30000,
+        step: 500,
+        section: 'Plugins'
+      },
+      debugMode: {
+        type: 'boolean',
+        default: false,
+        title: 'Debug Panel',
+        description: 'Load the debug panel on every page (reload tabs to apply)',
+        section: 'Developer'
+      },
+      debugShortcut: {
+        type: 'string',
+        default: 'Ctrl+Shift+D',
+        title: 'Debug Panel Shortcut',
+        description: 'Keys that toggle the debug panel',
+        pattern: /^((Ctrl|Alt|Shift|Meta)\+)+[A-Z0-9]$/,
+        patternMessage: 'Use modifiers and a key, e.g. Ctrl+Shift+D',
+        section: 'Developer'
+      },
+      hotReload: {
+        type: 'boolean',
+        default: false,
+        title: 'Hot Reload',
+        description: 'Reload plugins in open tabs when their source files change',
+        section: 'Developer'
       },
-      plugins: {}
+      vaultAutoLock: {
+        type: 'number',
+        default: 15,
+        title: 'Auto-Lock (minutes)',
+        description: 'Lock encrypted storage after this long without input (0 = only when the browser closes)',
+        min: 0,
+        max: 1440,
+        step: 5,
+        section: 'Privacy'
+      },
+      ipcTimeout: {
+        type: 'number',
+        default: 5000,
+        title: 'Message Timeout (ms)',
+        description: 'How long to wait for a reply between the popup, tabs and background',
+        min: 1000,
+        max: 60000,
+        step: 1000,
+        section: 'Advanced'
+      },
+      hookTimeout: {
+        type: 'number',
+        default: 0,
+        title: 'Hook Handler Timeout (ms)',
+        description: 'How long a hook handler may run before it is abandoned and counted as a plugin error (0, the default, for no limit)',
+        min: 0,
+        max: 120000,
+        step: 1000,
+        section: 'Advanced'
+      }
     };
+    
+    // Current settings state
+    this.settings = this._getInitialSettings();
 
     // Plugin schemas for validation
-    this.schemas = new Map();
+    this.schemas = new Map([['core', this.CORE_SCHEMA]]);
     
     // Watchers for setting changes
     this.watchers = new Map();
+    // Watchers of several keys, called once per batch: pluginId -> Set<{keys, callback}>
+    this.batchWatchers = new Map();
+    
+    // Called with (pluginId, error, key) when a watcher throws
+    this.errorHandler = null;
     
-    // Batch update queue
+    // Changes made in the open batch (see batch), delivered when it ends
     this.batchQueue = [];
+    this.batchDepth = 0;
     this.batchTimeout = null;
     
     this.initialized = false;
+
+    // Hooks this store emits
+    const plugin = { pluginId: { type: 'string', required: true } };
+    const migration = { ...plugin, from: { type: 'string' }, to: { type: 'string' } };
+    const profile = { name: { type: 'string', required: true } };
+    this.hooks.declareAll({
+      'settings:changed': {
+        description: 'A plugin setting changed',
+        payload: { ...plugin, key: { type: 'string', required: true }, value: {}, oldValue: {} }
+      },
+      'settings:plugin-changed:*': {
+        description: 'A setting of the plugin named in the hook changed',
+        payload: { key: { type: 'string', required: true }, value: {}, oldValue: {} }
+      },
+      'settings:batch-changed': {
+        description: "A plugin's settings changed, once per batch",
+        payload: { ...plugin, changes: { type: 'object', required: true } }
+      },
+      'settings:reset': { description: "A plugin's settings were reset", payload: plugin },
+      'settings:permissions-changed': {
+        description: "A plugin's granted permissions changed",
+        payload: { ...plugin, permissions: { type: 'array', required: true } }
+      },
+      'settings:site-rules-changed': {
+        description: "A plugin's site rules changed (rules is null when back to the manifest's)",
+        payload: { ...plugin, rules: {} }
+      },
+      'settings:quarantine-changed': {
+        description: 'A plugin was quarantined or released (quarantine is null)',
+        payload: { ...plugin, quarantine: {} }
+      },
+      'settings:migration-failed': { description: "A plugin's settings migration failed", payload: { ...migration, error: {} } },
+      'settings:migrated': {
+        description: "A plugin's settings were migrated",
+        payload: { ...migration, migrated: { type: 'array' } }
+      },
+      'settings:migration-rolled-back': { description: 'A settings migration was rolled back', payload: migration },
+      'settings:profile-saved': { description: 'A settings profile was saved', payload: profile },
+      'settings:profile-deleted': { description: 'A settings profile was deleted', payload: profile },
+      'settings:profile-applied': { description: 'A settings profile was applied', payload: profile },
+      'settings:profiles-imported': {
+        description: 'Settings profiles were imported',
+        payload: { names: { type: 'array', items: { type: 'string' }, required: true } }
+      },
+      'settings:activation-rules-changed': {
+        description: 'The activation rules changed',
+        payload: { rules: { type: 'array', required: true } }
+      },
+      'settings:removed': { description: "A plugin's settings were removed", payload: plugin },
+      'settings:reset-all': { description: 'Every setting was reset', payload: {} },
+      'settings:imported': { description: 'Settings were imported', payload: { merge: { type: 'boolean' } } }
+    });
   }
 
   /**
@@ -43,6 +171,7 @@ class SettingsStore {
     if (this.initialized) return;
 
     try {
+      await this.storage.init();
       const stored = await this.storage.get('settings');
       if (stored.settings) {
         this.settings = this._mergeSettings(this.settings, stored.settings);
@@ -53,6 +182,31 @@ class SettingsStore {
     }
   }
 
+  /**
+   * Fresh settings with every default filled in
+   */
+  _getInitialSettings() {
+    return {
+      version: '1.0.0',
+      core: {
+        theme: 'dark',
+        ...this._getDefaults(this.CORE_SCHEMA),
+        // Plugins exceeding maxErrors within windowSeconds are quarantined (0 disables)
+        errorBudget: {
+          maxErrors: 5,
+          windowSeconds: 60
+        }
+      },
+      plugins: {},
+      // Named snapshots of plugin settings (see saveProfile)
+      profiles: {},
+      activeProfile: null,
+      profileAppliedAt: null,
+      // Time and context rules run by ActivationScheduler
+      activationRules: []
+    };
+  }
+
   /**
    * Merge stored settings with defaults
    */
@@ -61,10 +215,29 @@ class SettingsStore {
       ...defaults,
       ...stored,
       core: { ...defaults.core, ...stored.core },
-      plugins: { ...defaults.plugins, ...stored.plugins }
+      plugins: { ...defaults.plugins, ...stored.plugins },
+      profiles: { ...defaults.profiles, ...stored.profiles }
     };
   }
 
+  /**
+   * Re-read settings from storage
+   * For long-lived contexts (the background worker) about to write
+   * settings that other contexts may have changed
+   * @param {boolean} replace - Drop values that aren't stored (after a restore)
+   */
+  async reload(replace = false) {
+    await this.storage.init();
+    const stored = await this.storage.get('settings');
+    if (replace) {
+      this._resetState();
+    }
+    if (stored.settings) {
+      this.settings = this._mergeSettings(this.settings, stored.settings);
+    }
+    this.initialized = true;
+  }
+
   /**
    * Register a plugin's settings schema
    * @param {string} pluginId - Plugin identifier
@@ -153,12 +326,69 @@ class SettingsStore {
   async set(pluginId, key, value, skipValidation = false) {
     // Validate if schema exists
     if (!skipValidation) {
-      const isValid = this._validate(pluginId, key, value);
-      if (!isValid) {
-        throw new Error(`Invalid value for ${pluginId}.${key}`);
+      this._assertValid(pluginId, { [key]: value });
+    }
+
+    await this.batch(() => this._write(pluginId, key, value));
+  }
+
+  /**
+   * Set multiple settings at once
+   * All values are validated first and nothing is written if any is invalid;
+   * watchers and hooks see the changes as one batch.
+   * @param {string} pluginId - Plugin ID
+   * @param {object} settings - Key-value pairs to set
+   */
+  async setMany(pluginId, settings) {
+    this._assertValid(pluginId, settings);
+
+    await this.batch(() => {
+      Object.entries(settings).forEach(([key, value]) => this._write(pluginId, key, value));
+    });
+  }
+
+  /**
+   * Group changes so they're delivered together
+   * Key watchers and hooks still fire for every changed key, but only after
+   * fn finishes, and watchMany watchers (and computed values) run once.
+   * Changes made anywhere while a batch is open are delivered with it.
+   * @param {Function} fn - Makes the changes (may be async)
+   * @returns {Promise<*>} What fn returned
+   */
+  async batch(fn) {
+    this.batchDepth++;
+    try {
+      return await fn();
+    } finally {
+      this.batchDepth--;
+      if (this.batchDepth === 0) {
+        await this._deliverChanges();
       }
     }
+  }
+
+  /**
+   * Throw if any value fails the plugin's schema
+   */
+  _assertValid(pluginId, settings) {
+    const invalid = Object.entries(settings)
+      .map(([key, value]) => [key, this._validate(pluginId, key, value)])
+      .filter(([, errors]) => errors.length > 0);
+    if (invalid.length === 0) return;
+
+    const errors = invalid.flatMap(([, keyErrors]) => keyErrors);
+    const details = errors.map(e => `${e.path}: ${e.message}`).join('; ');
+    const error = new Error(invalid.length === 1
+      ? `Invalid value for ${pluginId}.${invalid[0][0]}: ${details}`
+      : `Invalid settings for ${pluginId}: ${details}`);
+    error.errors = errors;
+    throw error;
+  }
 
+  /**
+   * Change a value in memory, queue the write and record the change
+   */
+  _write(pluginId, key, value) {
     const oldValue = this.get(pluginId, key);
     
     // Update in memory
@@ -179,71 +409,72 @@ class SettingsStore {
     // Batch persist to storage
     this._queuePersist();
 
-    // Notify watchers
-    this._notifyWatchers(pluginId, key, value, oldValue);
+    this._recordChange(pluginId, key, value, oldValue);
+  }
 
-    // Emit hooks
-    await this.hooks.action('settings:changed', { pluginId, key, value, oldValue });
-    await this.hooks.action(`settings:plugin-changed:${pluginId}`, { key, value, oldValue });
+  /**
+   * Queue a change for the open batch (a key changed twice keeps its first oldValue)
+   */
+  _recordChange(pluginId, key, value, oldValue) {
+    const pending = this.batchQueue.find(change => change.pluginId === pluginId && change.key === key);
+    if (pending) {
+      pending.value = value;
+    } else {
+      this.batchQueue.push({ pluginId, key, value, oldValue });
+    }
   }
 
   /**
-   * Set multiple settings at once
-   * @param {string} pluginId - Plugin ID
-   * @param {object} settings - Key-value pairs to set
+   * Notify watchers and emit hooks for the changes of the batch that ended
    */
-  async setMany(pluginId, settings) {
-    for (const [key, value] of Object.entries(settings)) {
-      await this.set(pluginId, key, value);
+  async _deliverChanges() {
+    const changes = this.batchQueue;
+    this.batchQueue = [];
+    if (changes.length === 0) return;
+
+    const byPlugin = new Map();
+    changes.forEach(({ pluginId, key, value, oldValue }) => {
+      this._notifyWatchers(pluginId, key, value, oldValue);
+
+      if (!byPlugin.has(pluginId)) {
+        byPlugin.set(pluginId, {});
+      }
+      byPlugin.get(pluginId)[key] = { value, oldValue };
+    });
+    byPlugin.forEach((pluginChanges, pluginId) => this._notifyBatchWatchers(pluginId, pluginChanges));
+
+    for (const { pluginId, key, value, oldValue } of changes) {
+      await this.hooks.action('settings:changed', { pluginId, key, value, oldValue });
+      await this.hooks.action(`settings:plugin-changed:${pluginId}`, { key, value, oldValue });
     }
+    for (const [pluginId, pluginChanges] of byPlugin) {
+      await this.hooks.action('settings:batch-changed', { pluginId, changes: pluginChanges });
+    }
+  }
+
+  /**
+   * Validate a setting value against the plugin's schema
+   * @param {string} pluginId - Plugin ID
+   * @param {string} key - Setting key
+   * @param {*} value - Value to check
+   * @returns {object} {valid, errors} with errors as {path, message}
+   */
+  validate(pluginId, key, value) {
+    const errors = this._validate(pluginId, key, value);
+    return { valid: errors.length === 0, errors };
   }
 
   /**
    * Validate a setting value against schema
+   * @returns {object[]} Errors (empty if valid or there's no schema for the key)
    */
   _validate(pluginId, key, value) {
     const schema = this.schemas.get(pluginId);
     if (!schema || !schema[key]) {
-      return true; // No schema, allow any value
-    }
-
-    const definition = schema[key];
-    const { type, enum: enumValues, min, max, validator } = definition;
-
-    // Type validation
-    if (type) {
-      switch (type) {
-        case 'boolean':
-          if (typeof value !== 'boolean') return false;
-          break;
-        case 'string':
-          if (typeof value !== 'string') return false;
-          break;
-        case 'number':
-          if (typeof value !== 'number') return false;
-          if (min !== undefined && value < min) return false;
-          if (max !== undefined && value > max) return false;
-          break;
-        case 'array':
-          if (!Array.isArray(value)) return false;
-          break;
-        case 'object':
-          if (typeof value !== 'object' || value === null) return false;
-          break;
-      }
-    }
-
-    // Enum validation
-    if (enumValues && !enumValues.includes(value)) {
-      return false;
-    }
-
-    // Custom validator
-    if (validator && typeof validator === 'function') {
-      return validator(value);
+      return []; // No schema, allow any value
     }
 
-    return true;
+    return Validators.validateValue(value, schema[key], key);
   }
 
   /**
@@ -264,6 +495,645 @@ class SettingsStore {
     await this.hooks.action('settings:reset', { pluginId });
   }
 
+  /**
+   * Get permissions granted to a plugin
+   * @param {string} pluginId - Plugin ID
+   * @returns {string[]|null} Granted permissions, or null if never granted
+   */
+  getPermissions(pluginId) {
+    const permissions = this.settings.plugins[pluginId]?.permissions;
+    return Array.isArray(permissions) ? [...permissions] : null;
+  }
+
+  /**
+   * Set permissions granted to a plugin
+   * @param {string} pluginId - Plugin ID
+   * @param {string[]} permissions - Granted permissions
+   * @param {boolean} persist - Write to storage (false when syncing from storage)
+   */
+  async setPermissions(pluginId, permissions, persist = true) {
+    if (!this.settings.plugins[pluginId]) {
+      this.settings.plugins[pluginId] = { enabled: false, settings: {} };
+    }
+
+    this.settings.plugins[pluginId].permissions = [...permissions];
+
+    if (persist) {
+      await this._persist();
+    }
+
+    await this.hooks.action('settings:permissions-changed', { pluginId, permissions });
+  }
+
+  /**
+   * Get site rules a user set for a plugin
+   * @param {string} pluginId - Plugin ID
+   * @returns {object|null} {matches, excludeMatches} or null if not customized
+   */
+  getSiteRules(pluginId) {
+    const rules = this.settings.plugins[pluginId]?.siteRules;
+    return rules ? { matches: [...(rules.matches || [])], excludeMatches: [...(rules.excludeMatches || [])] } : null;
+  }
+
+  /**
+   * Set a plugin's site rules (overrides the manifest's)
+   * @param {string} pluginId - Plugin ID
+   * @param {object|null} rules - {matches, excludeMatches}, or null to use the manifest's
+   * @param {boolean} persist - Write to storage (false when syncing from storage)
+   */
+  async setSiteRules(pluginId, rules, persist = true) {
+    if (!this.settings.plugins[pluginId]) {
+      this.settings.plugins[pluginId] = { enabled: false, settings: {} };
+    }
+
+    const matches = rules?.matches || [];
+    const excludeMatches = rules?.excludeMatches || [];
+
+    if (matches.length > 0 || excludeMatches.length > 0) {
+      this.settings.plugins[pluginId].siteRules = { matches: [...matches], excludeMatches: [...excludeMatches] };
+    } else {
+      delete this.settings.plugins[pluginId].siteRules;
+    }
+
+    if (persist) {
+      await this._persist();
+    }
+
+    await this.hooks.action('settings:site-rules-changed', { pluginId, rules: this.getSiteRules(pluginId) });
+  }
+
+  /**
+   * Get a plugin's quarantine record
+   * @param {string} pluginId - Plugin ID
+   * @returns {object|null} {reason, errors, windowSeconds, at} or null if not quarantined
+   */
+  getQuarantine(pluginId) {
+    return this.settings.plugins[pluginId]?.quarantine || null;
+  }
+
+  /**
+   * Get IDs of all quarantined plugins
+   * @returns {string[]}
+   */
+  getQuarantinedPlugins() {
+    return Object.entries(this.settings.plugins)
+      .filter(([, data]) => data.quarantine)
+      .map(([id]) => id);
+  }
+
+  /**
+   * Quarantine a plugin or lift its quarantine
+   * @param {string} pluginId - Plugin ID
+   * @param {object|null} quarantine - Quarantine record, or null to lift it
+   * @param {boolean} persist - Write to storage (false when syncing from storage)
+   */
+  async setQuarantine(pluginId, quarantine, persist = true) {
+    if (!this.settings.plugins[pluginId]) {
+      this.settings.plugins[pluginId] = { enabled: false, settings: {} };
+    }
+
+    if (quarantine) {
+      this.settings.plugins[pluginId].quarantine = { ...quarantine };
+    } else {
+      delete this.settings.plugins[pluginId].quarantine;
+    }
+
+    if (persist) {
+      await this._persist();
+    }
+
+    await this.hooks.action('settings:quarantine-changed', { pluginId, quarantine });
+  }
+
+  /**
+   * Get the version a plugin's stored settings belong to
+   * @param {string} pluginId - Plugin ID
+   * @returns {string|null} Version, or null if never recorded
+   */
+  getVersion(pluginId) {
+    return this.settings.plugins[pluginId]?.version || null;
+  }
+
+  /**
+   * Run a plugin's pending settings migrations
+   *
+   * Manifests declare migrations keyed by the version that introduced them:
+   *
+   *   migrations: {
+   *     '2.0.0': async (settings, { storage, from, to }) => ({ ...settings })
+   *   }
+   *
+   * Migrations newer than the stored version, up to the manifest version,
+   * run in order. Settings recorded before versions were tracked count as
+   * 0.0.0, so every migration runs once for them. The plugin's settings and
+   * storage are backed up first (see rollbackMigration) and the storage is
+   * restored if a migration throws.
+   * @param {string} pluginId - Plugin ID
+   * @param {object} manifest - Plugin manifest
+   * @returns {Promise<object>} {from, to, migrated} (versions that ran)
+   */
+  async migratePlugin(pluginId, manifest) {
+    const to = manifest.version;
+    const entry = this.settings.plugins[pluginId];
+
+    // Fresh installs start at the current version
+    if (!entry) {
+      this.settings.plugins[pluginId] = { enabled: false, settings: {}, version: to };
+      return { from: null, to, migrated: [] };
+    }
+
+    const from = entry.version || '0.0.0';
+    if (from === to || entry.skipMigrations === to) {
+      return { from, to, migrated: [] };
+    }
+
+    const pending = this._getPendingMigrations(manifest, from, to);
+    if (pending.length === 0) {
+      entry.version = to;
+      delete entry.skipMigrations;
+      await this._persist();
+      return { from, to, migrated: [] };
+    }
+
+    const storage = this.storage.namespace(pluginId);
+    const backup = {
+      from,
+      to,
+      at: Date.now(),
+      settings: Validators.deepClone(entry.settings || {}),
+      storage: await storage.getAll()
+    };
+    await this._setMigrationBackup(pluginId, backup);
+
+    let settings = Validators.deepClone(entry.settings || {});
+    try {
+      for (const version of pending) {
+        const result = await manifest.migrations[version](settings, { storage, from, to: version });
+        if (result !== undefined) {
+          settings = result;
+        }
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+          throw new Error(`Migration ${version} of ${pluginId} did not return a settings object`);
+        }
+      }
+    } catch (error) {
+      console.error(`[SettingsStore] Migrating ${pluginId} from ${from} to ${to} failed, restoring backup:`, error);
+      await this._restoreStorage(storage, backup.storage);
+      await this._setMigrationBackup(pluginId, null);
+      await this.hooks.action('settings:migration-failed', { pluginId, from, to, error });
+      throw error;
+    }
+
+    entry.settings = settings;
+    entry.version = to;
+    delete entry.skipMigrations;
+    await this._persist();
+
+    await this.hooks.action('settings:migrated', { pluginId, from, to, migrated: pending });
+    return { from, to, migrated: pending };
+  }
+
+  /**
+   * Get migration versions in (from, to], oldest first
+   */
+  _getPendingMigrations(manifest, from, to) {
+    const migrations = manifest.migrations || {};
+
+    return Object.keys(migrations)
+      .filter(version => Semver.parse(version) && typeof migrations[version] === 'function')
+      .filter(version => Semver.compare(version, from) > 0 && Semver.compare(version, to) <= 0)
+      .sort((a, b) => Semver.compare(a, b));
+  }
+
+  /**
+   * Get the backup taken before a plugin's last migration
+   * @param {string} pluginId - Plugin ID
+   * @returns {Promise<object|null>} {from, to, at, settings, storage} or null
+   */
+  async getMigrationBackup(pluginId) {
+    const { migrationBackups } = await this.storage.get('migrationBackups');
+    return migrationBackups?.[pluginId] || null;
+  }
+
+  /**
+   * Restore the settings and storage a plugin had before its last migration
+   * The migrations won't run again until the plugin's version changes.
+   * @param {string} pluginId - Plugin ID
+   */
+  async rollbackMigration(pluginId) {
+    const backup = await this.getMigrationBackup(pluginId);
+    if (!backup) {
+      throw new Error(`No migration backup for plugin: ${pluginId}`);
+    }
+
+    if (!this.settings.plugins[pluginId]) {
+      this.settings.plugins[pluginId] = { enabled: false, settings: {} };
+    }
+
+    const entry = this.settings.plugins[pluginId];
+    entry.settings = Validators.deepClone(backup.settings);
+    entry.version = backup.from;
+    entry.skipMigrations = backup.to;
+
+    await this._restoreStorage(this.storage.namespace(pluginId), backup.storage);
+    await this._setMigrationBackup(pluginId, null);
+    await this._persist();
+
+    await this.hooks.action('settings:migration-rolled-back', { pluginId, from: backup.to, to: backup.from });
+  }
+
+  /**
+   * Adopt a migration or rollback done in another context (tab or popup)
+   * @param {string} pluginId - Plugin ID
+   * @param {object} data - Stored plugin entry
+   */
+  syncVersion(pluginId, data) {
+    if (!this.settings.plugins[pluginId]) {
+      this.settings.plugins[pluginId] = { enabled: false, settings: {} };
+    }
+
+    const entry = this.settings.plugins[pluginId];
+    entry.settings = Validators.deepClone(data.settings || {});
+    entry.version = data.version;
+
+    if (data.skipMigrations) {
+      entry.skipMigrations = data.skipMigrations;
+    } else {
+      delete entry.skipMigrations;
+    }
+  }
+
+  /**
+   * Store or delete a plugin's migration backup
+   */
+  async _setMigrationBackup(pluginId, backup) {
+    const { migrationBackups = {} } = await this.storage.get('migrationBackups');
+
+    if (backup) {
+      migrationBackups[pluginId] = backup;
+    } else {
+      delete migrationBackups[pluginId];
+    }
+
+    await this.storage.set({ migrationBackups });
+  }
+
+  /**
+   * Replace a plugin's namespaced storage with a snapshot
+   */
+  async _restoreStorage(storage, snapshot) {
+    await storage.clear();
+    for (const [key, value] of Object.entries(snapshot || {})) {
+      await storage.set(key, value);
+    }
+  }
+
+  /**
+   * List saved profiles
+   * @returns {object[]} {name, plugins (count), enabled (count), updatedAt}, sorted by name
+   */
+  getProfiles() {
+    return Object.values(this.settings.profiles || {})
+      .map(({ name, plugins, updatedAt }) => ({
+        name,
+        plugins: Object.keys(plugins).length,
+        enabled: Object.values(plugins).filter(plugin => plugin.enabled).length,
+        updatedAt
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a saved profile
+   * @param {string} name - Profile name
+   * @returns {object|null} {name, plugins: {id: {enabled, settings}}, createdAt, updatedAt}
+   */
+  getProfile(name) {
+    const profile = this.settings.profiles?.[name];
+    return profile ? Validators.deepClone(profile) : null;
+  }
+
+  /**
+   * Get the name of the profile applied last
+   * @returns {string|null}
+   */
+  getActiveProfile() {
+    return this.settings.activeProfile && this.settings.profiles?.[this.settings.activeProfile]
+      ? this.settings.activeProfile
+      : null;
+  }
+
+  /**
+   * Save which plugins are enabled and all their settings as a profile
+   * Overwrites an existing profile with the same name.
+   * @param {string} name - Profile name
+   */
+  async saveProfile(name) {
+    const profileName = this._checkProfileName(name);
+    const existing = this.settings.profiles[profileName];
+
+    const plugins = {};
+    Object.entries(this.settings.plugins).forEach(([pluginId, data]) => {
+      plugins[pluginId] = {
+        enabled: !!data.enabled,
+        settings: Validators.deepClone(data.settings || {})
+      };
+    });
+
+    this.settings.profiles[profileName] = {
+      name: profileName,
+      plugins,
+      createdAt: existing?.createdAt || Date.now(),
+      updatedAt: Date.now()
+    };
+    this.settings.activeProfile = profileName;
+
+    await this._persist();
+    await this.hooks.action('settings:profile-saved', { name: profileName });
+  }
+
+  /**
+   * Delete a profile
+   * @param {string} name - Profile name
+   */
+  async deleteProfile(name) {
+    if (!this.settings.profiles[name]) return;
+
+    delete this.settings.profiles[name];
+    if (this.settings.activeProfile === name) {
+      this.settings.activeProfile = null;
+    }
+
+    await this._persist();
+    await this.hooks.action('settings:profile-deleted', { name });
+  }
+
+  /**
+   * Apply a profile in one write
+   * Plugins in the profile get its enabled state and settings; plugins
+   * installed after it was saved are left as they are. Open tabs follow
+   * via the 'profile:switched' broadcast (see BackgroundService).
+   * @param {string} name - Profile name
+   * @returns {Promise<object>} {name, appliedAt, plugins} (IDs of plugins the profile covers)
+   */
+  async applyProfile(name) {
+    const profile = this.settings.profiles[name];
+    if (!profile) {
+      throw new Error(`Profile not found: ${name}`);
+    }
+
+    Object.entries(profile.plugins).forEach(([pluginId, data]) => {
+      const entry = this.settings.plugins[pluginId] || { enabled: false, settings: {} };
+      this.settings.plugins[pluginId] = {
+        ...entry,
+        enabled: !!data.enabled,
+        settings: { ...entry.settings, ...Validators.deepClone(data.settings || {}) }
+      };
+    });
+
+    this.settings.activeProfile = name;
+    this.settings.profileAppliedAt = Date.now();
+
+    await this._persist();
+    await this.hooks.action('settings:profile-applied', { name });
+
+    return { name, appliedAt: this.settings.profileAppliedAt, plugins: Object.keys(profile.plugins) };
+  }
+
+  /**
+   * Take over a plugin's enabled state and settings written by another context
+   * Watchers and hooks fire for every value that changed; nothing is persisted.
+   * @param {string} pluginId - Plugin ID
+   * @param {object} data - Stored plugin entry {enabled, settings}
+   * @returns {string[]} Keys that changed ('enabled' included)
+   */
+  async syncPlugin(pluginId, data) {
+    return this.batch(() => this._syncPlugin(pluginId, data));
+  }
+
+  _syncPlugin(pluginId, data) {
+    if (!this.settings.plugins[pluginId]) {
+      this.settings.plugins[pluginId] = { enabled: false, settings: {} };
+    }
+
+    const entry = this.settings.plugins[pluginId];
+    const changes = [];
+
+    if (!!data.enabled !== !!entry.enabled) {
+      changes.push(['enabled', !!data.enabled, !!entry.enabled]);
+      entry.enabled = !!data.enabled;
+    }
+
+    Object.entries(data.settings || {}).forEach(([key, value]) => {
+      if (!Validators.deepEqual(value, entry.settings[key])) {
+        changes.push([key, Validators.deepClone(value), entry.settings[key]]);
+        entry.settings[key] = Validators.deepClone(value);
+      }
+    });
+
+    changes.forEach(([key, value, oldValue]) => this._recordChange(pluginId, key, value, oldValue));
+
+    return changes.map(([key]) => key);
+  }
+
+  /**
+   * Take over profiles written by another context
+   * Keeps this context's next write from restoring stale profiles
+   * @param {object} stored - Stored settings
+   */
+  syncProfiles(stored) {
+    this.settings.profiles = Validators.deepClone(stored.profiles || {});
+    this.settings.activeProfile = stored.activeProfile || null;
+    this.settings.profileAppliedAt = stored.profileAppliedAt || null;
+  }
+
+  /**
+   * Export profiles as JSON
+   * @param {string[]} names - Profiles to export (all if omitted)
+   * @returns {string} JSON string
+   */
+  exportProfiles(names = null) {
+    const profiles = {};
+    Object.values(this.settings.profiles)
+      .filter(profile => !names || names.includes(profile.name))
+      .forEach(profile => {
+        profiles[profile.name] = Validators.deepClone(profile);
+      });
+
+    return JSON.stringify({ type: 'betterlooksmax-profiles', version: 1, profiles }, null, 2);
+  }
+
+  /**
+   * Import profiles exported with exportProfiles
+   * Profiles with the same name are replaced.
+   * @param {string} json - JSON string
+   * @returns {Promise<string[]>} Names of the imported profiles
+   */
+  async importProfiles(json) {
+    const data = JSON.parse(json);
+    if (data?.type !== 'betterlooksmax-profiles' || !data.profiles || typeof data.profiles !== 'object') {
+      throw new Error('Not a profiles export');
+    }
+
+    const definition = {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 40 },
+        plugins: { type: 'object' }
+      },
+      required: ['name', 'plugins']
+    };
+
+    // Check everything before importing anything
+    const profiles = Object.entries(data.profiles).map(([key, profile]) => {
+      const errors = Validators.validateValue(profile, definition, `profiles.${key}`);
+      if (errors.length > 0) {
+        throw new Error(`Invalid profile: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+      }
+      return profile;
+    });
+
+    profiles.forEach(profile => {
+      const name = this._checkProfileName(profile.name);
+      const plugins = {};
+      Object.entries(profile.plugins).forEach(([pluginId, plugin]) => {
+        plugins[pluginId] = {
+          enabled: !!plugin?.enabled,
+          settings: Validators.deepClone(plugin?.settings || {})
+        };
+      });
+
+      this.settings.profiles[name] = {
+        name,
+        plugins,
+        createdAt: profile.createdAt || Date.now(),
+        updatedAt: Date.now()
+      };
+    });
+
+    await this._persist();
+
+    const names = profiles.map(profile => profile.name.trim());
+    await this.hooks.action('settings:profiles-imported', { names });
+    return names;
+  }
+
+  /**
+   * Check and normalize a profile name
+   */
+  _checkProfileName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > 40) {
+      throw new Error('Profile names must be 1-40 characters');
+    }
+    return trimmed;
+  }
+
+  /**
+   * Get activation rules
+   * @returns {object[]} Rules (see ActivationScheduler)
+   */
+  getActivationRules() {
+    return this.settings.activationRules || [];
+  }
+
+  /**
+   * Check activation rules
+   * @param {object[]} rules - Rules {id, enabled, target, schedule?, context?}
+   * @returns {object[]} Errors as {path, message} (paths start with rules[index])
+   */
+  validateActivationRules(rules) {
+    const definition = {
+      type: 'object',
+      properties: {
+        id: { type: 'string', minLength: 1, required: true },
+        enabled: { type: 'boolean' },
+        target: {
+          type: 'object',
+          required: true,
+          properties: {
+            plugin: { type: 'string', minLength: 1 },
+            profile: { type: 'string', minLength: 1 }
+          },
+          validator: (target) => !target.plugin !== !target.profile || 'Must name either a plugin or a profile'
+        },
+        schedule: {
+          type: 'object',
+          properties: {
+            days: { type: 'array', items: { type: 'number', min: 0, max: 6 } },
+            start: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternMessage: 'Must be a time (HH:MM)', required: true },
+            end: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternMessage: 'Must be a time (HH:MM)', required: true }
+          }
+        },
+        context: { type: 'array', options: ['fullscreen'] }
+      },
+      validator: (rule) => !!(rule.schedule || rule.context?.length) || 'Needs a schedule or a context'
+    };
+
+    const errors = [];
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+      errors.push(...Validators.validateValue(rule, definition, `rules[${index}]`));
+      if (ids.has(rule.id)) {
+        errors.push({ path: `rules[${index}].id`, message: 'Duplicate rule ID' });
+      }
+      ids.add(rule.id);
+    });
+    return errors;
+  }
+
+  /**
+   * Replace the activation rules
+   * The background worker picks the change up from storage.
+   * @param {object[]} rules - Rules {id, enabled, target, schedule?, context?}
+   */
+  async setActivationRules(rules) {
+    const errors = this.validateActivationRules(rules);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid activation rules: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    this.settings.activationRules = Validators.deepClone(rules);
+    await this._persist();
+    await this.hooks.action('settings:activation-rules-changed', { rules: this.getActivationRules() });
+  }
+
+  /**
+   * Take over core settings written by another context
+   * @param {object} stored - Stored settings
+   */
+  syncCore(stored) {
+    this.settings.core = { ...this.settings.core, ...Validators.deepClone(stored.core || {}) };
+  }
+
+  /**
+   * Take over activation rules written by another context
+   * @param {object} stored - Stored settings
+   */
+  syncActivationRules(stored) {
+    this.settings.activationRules = Validators.deepClone(stored.activationRules || []);
+  }
+
+  /**
+   * Forget a plugin's settings and schema (after uninstall)
+   * @param {string} pluginId - Plugin ID
+   */
+  async removePlugin(pluginId) {
+    if (!this.settings.plugins[pluginId] && !this.schemas.has(pluginId)) {
+      return;
+    }
+
+    delete this.settings.plugins[pluginId];
+    this.schemas.delete(pluginId);
+
+    await this._persist();
+    await this._setMigrationBackup(pluginId, null);
+
+    await this.hooks.action('settings:removed', { pluginId });
+  }
+
   /**
    * Watch for changes to a specific setting
    * @param {string} pluginId - Plugin ID
@@ -289,6 +1159,108 @@ class SettingsStore {
     };
   }
 
+  /**
+   * Watch several settings, called once per batch of changes
+   * @param {string} pluginId - Plugin ID
+   * @param {string[]} keys - Setting keys
+   * @param {Function} callback - Called with (changes, values): changes maps the
+   *   changed keys to {value, oldValue}, values holds every watched key
+   * @returns {Function} Unwatch function
+   */
+  watchMany(pluginId, keys, callback) {
+    if (!this.batchWatchers.has(pluginId)) {
+      this.batchWatchers.set(pluginId, new Set());
+    }
+
+    const watcher = { keys: new Set(keys), callback };
+    this.batchWatchers.get(pluginId).add(watcher);
+
+    return () => {
+      this.batchWatchers.get(pluginId)?.delete(watcher);
+    };
+  }
+
+  /**
+   * Derive a value from several settings, recomputed once per batch that
+   * changes one of them
+   * @param {string} pluginId - Plugin ID
+   * @param {string[]} keys - Setting keys the value depends on
+   * @param {Function} compute - Called with the keys' values, returns the derived value
+   * @returns {object} {value, watch(listener(value, oldValue)), dispose()}
+   */
+  computed(pluginId, keys, compute) {
+    const read = () => {
+      const values = {};
+      keys.forEach(key => {
+        values[key] = this.get(pluginId, key);
+      });
+      return compute(values);
+    };
+
+    let value = read();
+    const listeners = new Set();
+
+    // A throwing compute keeps the last value and is reported like a watcher error
+    const unwatch = this.watchMany(pluginId, keys, () => {
+      const next = read();
+      if (Validators.deepEqual(next, value)) return;
+
+      const previous = value;
+      value = next;
+      listeners.forEach(listener => {
+        try {
+          listener(next, previous);
+        } catch (error) {
+          console.error('[SettingsStore] Error in computed watcher:', error);
+          this._reportError(pluginId, error, keys.join(', '));
+        }
+      });
+    });
+
+    return {
+      get value() {
+        return value;
+      },
+      watch: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+      dispose: () => {
+        unwatch();
+        listeners.clear();
+      }
+    };
+  }
+
+  /**
+   * Notify watchMany watchers of a batch of changes to a plugin's settings
+   */
+  _notifyBatchWatchers(pluginId, changes) {
+    const watchers = this.batchWatchers.get(pluginId);
+    if (!watchers) return;
+
+    watchers.forEach(({ keys, callback }) => {
+      const changed = Object.keys(changes).filter(key => keys.has(key));
+      if (changed.length === 0) return;
+
+      const own = {};
+      changed.forEach(key => {
+        own[key] = changes[key];
+      });
+      const values = {};
+      keys.forEach(key => {
+        values[key] = this.get(pluginId, key);
+      });
+
+      try {
+        callback(own, values);
+      } catch (error) {
+        console.error('[SettingsStore] Error in watcher:', error);
+        this._reportError(pluginId, error, changed.join(', '));
+      }
+    });
+  }
+
   /**
    * Notify watchers of a change
    */
@@ -302,6 +1274,7 @@ class SettingsStore {
           callback(value, oldValue);
         } catch (error) {
           console.error('[SettingsStore] Error in watcher:', error);
+          this._reportError(pluginId, error, key);
         }
       });
     }
@@ -314,11 +1287,33 @@ class SettingsStore {
           callback({ key, value, oldValue });
         } catch (error) {
           console.error('[SettingsStore] Error in watcher:', error);
+          this._reportError(pluginId, error, key);
         }
       });
     }
   }
 
+  /**
+   * Set the handler notified when a watcher throws
+   * @param {Function} handler - Called with (pluginId, error, key)
+   */
+  setErrorHandler(handler) {
+    this.errorHandler = handler;
+  }
+
+  /**
+   * Forward a watcher error to the error handler
+   */
+  _reportError(pluginId, error, key) {
+    if (pluginId === 'core' || !this.errorHandler) return;
+
+    try {
+      this.errorHandler(pluginId, error, key);
+    } catch (handlerError) {
+      console.error('[SettingsStore] Error handler failed:', handlerError);
+    }
+  }
+
   /**
    * Queue a persist operation (batched)
    */
@@ -333,6 +1328,18 @@ class SettingsStore {
     }, 500); // Batch writes within 500ms window
   }
 
+  /**
+   * Write pending batched changes now
+   * For the background worker, which can be suspended before the batch runs
+   */
+  async flush() {
+    if (!this.batchTimeout) return;
+
+    clearTimeout(this.batchTimeout);
+    this.batchTimeout = null;
+    await this._persist();
+  }
+
   /**
    * Persist settings to storage
    */
@@ -344,6 +1351,45 @@ class SettingsStore {
     }
   }
 
+  /**
+   * Reset every setting, profile and rule to defaults
+   * With persist, all stored data goes too: plugin storage, installed
+   * plugins and sources included. Contexts that just follow a reset made
+   * elsewhere pass persist = false.
+   * @param {boolean} persist - Clear storage and write the defaults
+   */
+  async resetAll(persist = true) {
+    if (this.batchTimeout) {
+      clearTimeout(this.batchTimeout);
+      this.batchTimeout = null;
+    }
+
+    this._resetState();
+
+    if (persist) {
+      // Stop syncing first so the reset stays on this device
+      await this.storage.setBackend('local');
+      await this.storage.clear();
+      await this._persist();
+    }
+
+    await this.hooks.action('settings:reset-all', {});
+  }
+
+  /**
+   * Replace settings with defaults, keeping registered schemas
+   */
+  _resetState() {
+    this.settings = this._getInitialSettings();
+    this.schemas.forEach((schema, pluginId) => {
+      if (pluginId === 'core') return;
+      this.settings.plugins[pluginId] = {
+        enabled: false,
+        settings: this._getDefaults(schema)
+      };
+    });
+  }
+
   /**
    * Export all settings as JSON
    * @returns {string} JSON string of settings
@@ -0,0 +1,88 @@
+/**
+ * SiteMatcher - Decides which plugins run on which pages
+ *
+ * Plugins declare where they run in their manifest:
+ *
+ *   matches: ['*://*.looksmax.org/*'],
+ *   excludeMatches: ['*://*.looksmax.org/account/*']
+ *
+ * Users can override these per plugin. User `matches` replace the
+ * manifest's when set; user `excludeMatches` are added to the manifest's.
+ * A plugin without any `matches` runs everywhere.
+ */
+
+import SettingsStore from './SettingsStore.js';
+import MatchPattern from '../../utils/matchpattern.js';
+
+class SiteMatcher {
+  constructor() {
+    this.settings = SettingsStore;
+  }
+
+  /**
+   * Get the rules declared in a manifest
+   * @param {object} manifest - Plugin manifest
+   * @returns {object} {matches, excludeMatches} (valid patterns only)
+   */
+  getManifestRules(manifest) {
+    return {
+      matches: this._validPatterns(manifest?.matches),
+      excludeMatches: this._validPatterns(manifest?.excludeMatches)
+    };
+  }
+
+  /**
+   * Get the rules a user set for a plugin
+   * @param {string} pluginId - Plugin ID
+   * @returns {object} {matches, excludeMatches}
+   */
+  getUserRules(pluginId) {
+    const rules = this.settings.getSiteRules(pluginId) || {};
+    return {
+      matches: this._validPatterns(rules.matches),
+      excludeMatches: this._validPatterns(rules.excludeMatches)
+    };
+  }
+
+  /**
+   * Get the rules that apply to a plugin
+   * @param {object} manifest - Plugin manifest
+   * @returns {object} {matches, excludeMatches}
+   */
+  getRules(manifest) {
+    const declared = this.getManifestRules(manifest);
+    const user = this.getUserRules(manifest.id);
+
+    return {
+      matches: user.matches.length > 0 ? user.matches : declared.matches,
+      excludeMatches: [...new Set([...declared.excludeMatches, ...user.excludeMatches])]
+    };
+  }
+
+  /**
+   * Check if a plugin should run on a page
+   * @param {object} manifest - Plugin manifest
+   * @param {string} url - Page URL (defaults to the current page)
+   * @returns {boolean}
+   */
+  appliesTo(manifest, url = location.href) {
+    const { matches, excludeMatches } = this.getRules(manifest);
+    return MatchPattern.test(url, matches, excludeMatches);
+  }
+
+  /**
+   * Get patterns that are not valid
+   * @param {string[]} patterns - Match patterns
+   * @returns {string[]} Invalid patterns
+   */
+  getInvalid(patterns) {
+    return (patterns || []).filter(pattern => !MatchPattern.isValid(pattern));
+  }
+
+  _validPatterns(patterns) {
+    return Array.isArray(patterns) ? patterns.filter(pattern => MatchPattern.isValid(pattern)) : [];
+  }
+}
+
+// Export singleton instance
+export default new SiteMatcher();
@@ -7,10 +7,105 @@
 
 class StorageAdapter {
   constructor() {
+    // 'sync' also mirrors data to the browser account (see SyncEngine);
+    // either way every context reads and writes the local area
+    this.BACKENDS = ['local', 'sync'];
+    // Where the backend choice is kept
+    this.BACKEND_KEY = 'storageBackend';
+    this.backend = 'local';
+    
     // Detect browser API
     this.storage = this._getBrowserAPI();
     this.changeListeners = new Set();
     this._setupChangeListener();
+    this.initialized = false;
+  }
+
+  /**
+   * Read the backend chosen in the global settings
+   * Data an older version moved into the sync area is moved back first.
+   */
+  async init() {
+    if (this.initialized) return;
+    this.initialized = true;
+
+    const sync = this._getArea('sync');
+    if (!this._getArea('local')) return;
+
+    const stored = await this.get(this.BACKEND_KEY);
+    this.backend = stored[this.BACKEND_KEY] || 'local';
+
+    if (this.backend === 'sync' && sync) {
+      const legacy = await this._call(sync, 'get', 'settings');
+      if (legacy.settings) {
+        const data = await this._call(sync, 'get', null);
+        await this.set(data);
+        await this._call(sync, 'clear');
+      }
+    }
+  }
+
+  /**
+   * Get the active backend
+   * @returns {string} 'local' or 'sync'
+   */
+  getBackend() {
+    return this.backend;
+  }
+
+  /**
+   * Turn syncing across devices on or off
+   * The background worker's SyncEngine follows the stored choice.
+   * @param {string} backend - 'local' or 'sync'
+   */
+  async setBackend(backend) {
+    if (!this.BACKENDS.includes(backend)) {
+      throw new Error(`Unknown storage backend: ${backend}`);
+    }
+    if (backend === 'sync' && !this._getArea('sync')) {
+      throw new Error(`Storage backend not available: ${backend}`);
+    }
+    if (backend === this.backend) return;
+
+    if (backend === 'local') {
+      await this.remove(this.BACKEND_KEY);
+    } else {
+      await this.set({ [this.BACKEND_KEY]: backend });
+    }
+    this.backend = backend;
+  }
+
+  /**
+   * Get a browser storage area by name
+   * @returns {object|null} Storage area
+   */
+  _getArea(name) {
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      return chrome.storage[name] || null;
+    } else if (typeof browser !== 'undefined' && browser.storage) {
+      return browser.storage[name] || null;
+    }
+    return null;
+  }
+
+  /**
+   * Call a callback-style storage area method
+   */
+  _call(area, method, arg) {
+    return new Promise((resolve, reject) => {
+      const callback = (result) => {
+        if (chrome?.runtime?.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(result);
+      };
+      if (arg === undefined) {
+        area[method](callback);
+      } else {
+        area[method](arg, callback);
+      }
+    });
   }
 
   /**
@@ -35,7 +130,9 @@ class StorageAdapter {
       get: (keys) => {
         return new Promise((resolve) => {
           const result = {};
-          const keyArray = Array.isArray(keys) ? keys : [keys];
+          const keyArray = keys === null
+            ? Object.keys(localStorage)
+            : Array.isArray(keys) ? keys : [keys];
           
           keyArray.forEach(key => {
             const value = localStorage.getItem(key);
@@ -80,11 +177,16 @@ class StorageAdapter {
    */
   _setupChangeListener() {
     const handler = (changes, areaName) => {
-      if (areaName === 'local') {
-        this.changeListeners.forEach(listener => {
-          listener(changes);
-        });
+      if (areaName !== 'local') return;
+
+      // Another context switched syncing on or off
+      if (changes[this.BACKEND_KEY]) {
+        this.backend = changes[this.BACKEND_KEY].newValue || 'local';
       }
+
+      this.changeListeners.forEach(listener => {
+        listener(changes);
+      });
     };
 
     if (typeof chrome !== 'undefined' && chrome.storage) {
@@ -105,7 +207,10 @@ class StorageAdapter {
       let queryKeys = keys;
       let defaults = {};
 
-      if (typeof keys === 'object' && !Array.isArray(keys)) {
+      if (keys === null || keys === undefined) {
+        // Null fetches everything
+        queryKeys = null;
+      } else if (typeof keys === 'object' && !Array.isArray(keys)) {
         // Keys is an object with default values
         defaults = keys;
         queryKeys = Object.keys(keys);
@@ -162,18 +267,15 @@ class StorageAdapter {
 
   /**
    * Clear all data from storage
+   * The backend choice is kept.
    * @returns {Promise<void>}
    */
   async clear() {
-    return new Promise((resolve, reject) => {
-      this.storage.clear(() => {
-        if (chrome?.runtime?.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
-        resolve();
-      });
-    });
+    const data = await this.get(null);
+    const keys = Object.keys(data).filter(key => key !== this.BACKEND_KEY);
+    if (keys.length > 0) {
+      await this.remove(keys);
+    }
   }
 
   /**
@@ -185,7 +287,7 @@ class StorageAdapter {
       if (this.storage.getBytesInUse) {
         this.storage.getBytesInUse(null, (bytesInUse) => {
           // Chrome has a 10MB limit for local storage
-          const quota = chrome?.storage?.local?.QUOTA_BYTES || 10485760;
+          const quota = this.storage.QUOTA_BYTES || 10485760;
           resolve({ bytesInUse, quota });
         });
       } else {
@@ -217,19 +319,39 @@ class StorageAdapter {
 
   /**
    * Create a namespaced storage interface for a plugin
+   * With a vault, keys can opt into encryption: set(key, value, { encrypted: true }).
+   * Encrypted keys stay encrypted on later writes, are decrypted on read,
+   * and reads and writes throw (error.locked) while the vault is locked.
    * @param {string} namespace - Plugin ID to namespace storage
+   * @param {object} options - {vault} to support encrypted keys (see Vault)
    * @returns {object} Namespaced storage interface
    */
-  namespace(namespace) {
-    return {
+  namespace(namespace, options = {}) {
+    const { vault } = options;
+    const namespacePrefix = `${namespace}.`;
+    const read = async (value) => {
+      return vault && vault.isEncrypted(value) ? await vault.decrypt(value) : value;
+    };
+
+    const storage = {
       get: async (key) => {
         const namespacedKey = `${namespace}.${key}`;
         const result = await this.get(namespacedKey);
-        return result[namespacedKey];
+        return await read(result[namespacedKey]);
       },
-      set: async (key, value) => {
+      set: async (key, value, setOptions = {}) => {
         const namespacedKey = `${namespace}.${key}`;
-        await this.set({ [namespacedKey]: value });
+        let encrypted = setOptions.encrypted;
+
+        if (encrypted && !vault) {
+          throw new Error('Encrypted storage is not available here');
+        }
+        if (vault && encrypted === undefined) {
+          const current = await this.get(namespacedKey);
+          encrypted = vault.isEncrypted(current[namespacedKey]);
+        }
+
+        await this.set({ [namespacedKey]: encrypted ? await vault.encrypt(value) : value });
       },
       remove: async (key) => {
         const namespacedKey = `${namespace}.${key}`;
@@ -237,19 +359,37 @@ class StorageAdapter {
       },
       getAll: async () => {
         const allData = await this.get(null);
-        const namespacePrefix = `${namespace}.`;
         const result = {};
         
-        Object.entries(allData).forEach(([key, value]) => {
+        for (const [key, value] of Object.entries(allData)) {
           if (key.startsWith(namespacePrefix)) {
             const shortKey = key.substring(namespacePrefix.length);
-            result[shortKey] = value;
+            result[shortKey] = await read(value);
           }
-        });
+        }
         
         return result;
+      },
+      clear: async () => {
+        const allData = await this.get(null);
+        const keys = Object.keys(allData).filter(key => key.startsWith(namespacePrefix));
+
+        if (keys.length > 0) {
+          await this.remove(keys);
+        }
       }
     };
+
+    if (vault) {
+      storage.isEncrypted = async (key) => {
+        const namespacedKey = `${namespace}.${key}`;
+        const result = await this.get(namespacedKey);
+        return vault.isEncrypted(result[namespacedKey]);
+      };
+      storage.isLocked = () => vault.isLocked();
+    }
+
+    return storage;
   }
 }
 
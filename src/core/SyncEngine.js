@@ -0,0 +1,573 @@
+/**
+ * SyncEngine - Mirrors extension data to chrome.storage.sync
+ *
+ * Runs in the background worker while the storage backend is 'sync'. The
+ * local area stays the source of truth for every context; the engine
+ * pushes local changes to the sync area and writes changes from other
+ * devices back to the local area, where tabs pick them up as usual.
+ *
+ * Conflicts are resolved per storage key, last writer wins: every key has a
+ * stamp {t: time, d: device} and the higher one (device ID breaks ties)
+ * wins. Deletions are written as tombstones so they win over older values
+ * instead of being resurrected; tombstones are pruned after a month.
+ *
+ * Sync area layout:
+ *   'i:<key>'            -> {t, d, v} (value inline) | {t, d, n} (n chunks) | {t, d, del: 1}
+ *   'c:<key>:<t><d>:<i>' -> chunk i of the value's JSON
+ * Chunks are stamped, so a value is swapped in by writing its chunks before
+ * its index entry and removing the previous chunks afterwards.
+ *
+ * Sync storage is small (about 100 KB, 8 KB per item, 512 items) and rate
+ * limited, so writes are batched and keys that don't fit are left local
+ * and reported in getStatus(). Machine-specific data (installed plugins,
+ * migration backups, scheduler state) never syncs.
+ *
+ * Storage areas, the change event and the clock can be injected, which
+ * lets the engine run against in-memory areas without a browser:
+ *   new SyncEngine({ local, remote, onChanged, clock, flushDelay: 0 })
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+
+class SyncEngine {
+  /**
+   * @param {object} options - Dependencies (browser defaults when omitted)
+   * @param {object} options.local - chrome.storage area holding the data
+   * @param {object} options.remote - chrome.storage area to sync through
+   * @param {object} options.onChanged - chrome.storage.onChanged compatible event
+   * @param {object} options.clock - {now()} returning epoch milliseconds
+   * @param {number} options.flushDelay - Milliseconds to batch local changes
+   */
+  constructor(options = {}) {
+    const storage = typeof chrome !== 'undefined' ? chrome.storage : null;
+    this.local = options.local || storage?.local || null;
+    this.remote = options.remote || storage?.sync || null;
+    this.onChanged = options.onChanged || storage?.onChanged || null;
+    this.clock = options.clock || { now: () => Date.now() };
+    this.flushDelay = options.flushDelay ?? 2000;
+
+    // Local key holding the device ID and per-key stamps
+    this.STATE_KEY = 'syncState';
+    this.INDEX_PREFIX = 'i:';
+    this.CHUNK_PREFIX = 'c:';
+    this.RETRY_DELAY = 60000;
+    this.TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+    // Keys that stay on this device
+    this.EXCLUDED_KEYS = [StorageAdapter.BACKEND_KEY, this.STATE_KEY, 'activationState', 'migrationBackups', 'installedPlugins'];
+
+    const remote = this.remote || {};
+    this.limits = {
+      quotaBytes: options.quotaBytes || remote.QUOTA_BYTES || 102400,
+      quotaBytesPerItem: options.quotaBytesPerItem || remote.QUOTA_BYTES_PER_ITEM || 8192,
+      maxItems: options.maxItems || remote.MAX_ITEMS || 512,
+      // Larger values would crowd out everything else
+      maxValueBytes: options.maxValueBytes || 32768
+    };
+
+    this.encoder = new TextEncoder();
+    this.state = null;
+    this.enabled = false;
+    this.dirty = new Set();
+    this.skipped = new Map();
+    this.flushTimer = null;
+    this.lastSync = null;
+    this.lastError = null;
+
+    // Serializes pulls and pushes
+    this.queue = Promise.resolve();
+    this.initialized = false;
+  }
+
+  /**
+   * Follow the storage backend setting: sync while it's 'sync'
+   * The change listener goes in right away; nothing is read or written
+   * before `ready` settles (StorageAdapter.init may still be moving data
+   * out of the sync area). Changes made meanwhile are picked up by the
+   * first reconcile.
+   * @param {Promise} ready - Settles when the storage backend is set up
+   * @returns {Promise<void>}
+   */
+  async init(ready) {
+    if (this.initialized) return;
+    this.initialized = true;
+
+    if (!this.local || !this.remote || !this.onChanged) {
+      console.warn('[SyncEngine] storage.sync is not available');
+      return;
+    }
+
+    this.onChanged.addListener((changes, areaName) => this._handleChange(changes, areaName));
+
+    this.queue = Promise.resolve(ready).catch(() => {});
+    await this.queue;
+
+    const stored = await this._call(this.local, 'get', StorageAdapter.BACKEND_KEY);
+    if (stored[StorageAdapter.BACKEND_KEY] === 'sync') {
+      await this.start();
+    }
+  }
+
+  /**
+   * Start syncing: merge both sides, then follow changes
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (this.enabled) return this.queue;
+    this.enabled = true;
+    return this._enqueue(() => this._reconcile());
+  }
+
+  /**
+   * Stop syncing; data already synced stays in the sync area
+   */
+  stop() {
+    this.enabled = false;
+    this.dirty.clear();
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Push pending local changes now
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    return this._enqueue(() => this._push());
+  }
+
+  /**
+   * Current sync state, for the popup
+   * @returns {Promise<object>} {enabled, deviceId, lastSync, lastError, pending, bytesInUse, quota, skipped}
+   */
+  async getStatus() {
+    let bytesInUse = null;
+    if (this.remote?.getBytesInUse) {
+      bytesInUse = await this._call(this.remote, 'getBytesInUse', null).catch(() => null);
+    }
+
+    return {
+      enabled: this.enabled,
+      deviceId: this.state?.deviceId || null,
+      lastSync: this.lastSync,
+      lastError: this.lastError,
+      pending: this.dirty.size,
+      bytesInUse,
+      quota: this.limits.quotaBytes,
+      skipped: Array.from(this.skipped, ([key, reason]) => ({ key, reason }))
+    };
+  }
+
+  /**
+   * Whether a storage key syncs
+   * @param {string} key - Storage key
+   * @returns {boolean}
+   */
+  isSyncable(key) {
+    return !this.EXCLUDED_KEYS.includes(key);
+  }
+
+  _enqueue(task) {
+    this.queue = this.queue.then(task).catch(error => {
+      this.lastError = error.message;
+      console.error('[SyncEngine] Sync failed:', error);
+    });
+    return this.queue;
+  }
+
+  /**
+   * Route storage changes: local edits are pushed, remote ones pulled
+   */
+  _handleChange(changes, areaName) {
+    if (areaName === 'local' && changes[StorageAdapter.BACKEND_KEY]) {
+      // Stop before anything else in this change is pushed (e.g. a full reset)
+      if (changes[StorageAdapter.BACKEND_KEY].newValue === 'sync') {
+        this.start();
+      } else {
+        this.stop();
+      }
+    }
+
+    if (!this.enabled) return;
+
+    if (areaName === 'local') {
+      const keys = Object.keys(changes).filter(key => this.isSyncable(key));
+      if (keys.length > 0) {
+        this._enqueue(() => this._stampLocal(keys.map(key => [key, changes[key].newValue])));
+      }
+    } else if (areaName === 'sync') {
+      const keys = Object.keys(changes)
+        .filter(key => key.startsWith(this.INDEX_PREFIX))
+        .map(key => key.slice(this.INDEX_PREFIX.length));
+      if (keys.length > 0) {
+        this._enqueue(() => this._pull(keys));
+      }
+    }
+  }
+
+  /**
+   * Stamp locally changed keys and schedule a push
+   * Writes the engine made itself carry a matching hash and are skipped.
+   */
+  async _stampLocal(entries) {
+    await this._loadState();
+    const now = this.clock.now();
+    let changed = false;
+
+    entries.forEach(([key, value]) => {
+      const stamp = this.state.keys[key];
+      if (value === undefined) {
+        if (!stamp || stamp.del) return;
+        this.state.keys[key] = { t: now, d: this.state.deviceId, del: 1 };
+      } else {
+        const hash = this._hash(JSON.stringify(value));
+        if (stamp?.h === hash) return;
+        this.state.keys[key] = { t: now, d: this.state.deviceId, h: hash };
+      }
+      this.dirty.add(key);
+      changed = true;
+    });
+
+    if (!changed) return;
+    await this._saveState();
+    this._scheduleFlush(this.flushDelay);
+  }
+
+  _scheduleFlush(delay) {
+    if (this.flushTimer) clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this._enqueue(() => this._push());
+    }, delay);
+  }
+
+  /**
+   * Merge both sides after starting: newer stamps win, unstamped local data
+   * loses to anything already synced. Edits made while sync was off count
+   * as made now.
+   */
+  async _reconcile() {
+    await this._loadState();
+    const [local, remote] = await Promise.all([
+      this._call(this.local, 'get', null),
+      this._call(this.remote, 'get', null)
+    ]);
+
+    const now = this.clock.now();
+    const deviceId = this.state.deviceId;
+    Object.entries(local).forEach(([key, value]) => {
+      if (!this.isSyncable(key)) return;
+      const stamp = this.state.keys[key];
+      const hash = this._hash(JSON.stringify(value));
+      if (!stamp) {
+        this.state.keys[key] = { t: 0, d: deviceId, h: hash };
+      } else if (stamp.h !== hash) {
+        this.state.keys[key] = { t: now, d: deviceId, h: hash };
+      }
+    });
+    Object.entries(this.state.keys).forEach(([key, stamp]) => {
+      if (!(key in local) && !stamp.del) {
+        this.state.keys[key] = { t: now, d: deviceId, del: 1 };
+      }
+    });
+
+    const remoteKeys = Object.keys(remote)
+      .filter(key => key.startsWith(this.INDEX_PREFIX))
+      .map(key => key.slice(this.INDEX_PREFIX.length));
+    await this._pull(remoteKeys, remote);
+
+    // Whatever is newer here (or not synced yet) goes up
+    Object.entries(this.state.keys).forEach(([key, stamp]) => {
+      const entry = remote[this.INDEX_PREFIX + key];
+      if (!entry || this._compare(stamp, entry) > 0) {
+        if (stamp.t === 0) stamp.t = now;
+        this.dirty.add(key);
+      }
+    });
+
+    await this._saveState();
+    await this._push();
+  }
+
+  /**
+   * Apply remote entries that are newer than what's stored here
+   * @param {string[]} keys - Storage keys with a changed index entry
+   * @param {object} remote - Sync area contents, if already read
+   */
+  async _pull(keys, remote = null) {
+    await this._loadState();
+    const data = remote || await this._call(this.remote, 'get', null);
+
+    const sets = {};
+    const removals = [];
+
+    keys.forEach(key => {
+      const entry = data[this.INDEX_PREFIX + key];
+      const stamp = this.state.keys[key];
+      if (!entry || !this.isSyncable(key)) return;
+      if (stamp && this._compare(entry, stamp) <= 0) return;
+
+      if (entry.del) {
+        removals.push(key);
+        this.state.keys[key] = { t: entry.t, d: entry.d, del: 1 };
+      } else {
+        const json = this._readValue(key, entry, data);
+        // Chunks still on their way; the next change event brings them
+        if (json === null) return;
+        sets[key] = JSON.parse(json);
+        this.state.keys[key] = { t: entry.t, d: entry.d, h: this._hash(json) };
+      }
+      this.dirty.delete(key);
+      this.skipped.delete(key);
+    });
+
+    if (Object.keys(sets).length === 0 && removals.length === 0) return;
+
+    // Save stamps first so the resulting local change is recognized
+    await this._saveState();
+    if (Object.keys(sets).length > 0) await this._call(this.local, 'set', sets);
+    if (removals.length > 0) await this._call(this.local, 'remove', removals);
+    this.lastSync = this.clock.now();
+  }
+
+  /**
+   * Write dirty keys to the sync area in one batch
+   * Keys that don't fit the quota stay dirty-free but are reported as skipped.
+   */
+  async _push() {
+    if (!this.enabled || this.dirty.size === 0) return;
+    await this._loadState();
+
+    const keys = Array.from(this.dirty);
+    this.dirty.clear();
+
+    const [local, remote] = await Promise.all([
+      this._call(this.local, 'get', keys),
+      this._call(this.remote, 'get', null)
+    ]);
+
+    // Settings first, then smaller values
+    const entries = keys
+      .map(key => {
+        const json = key in local ? JSON.stringify(local[key]) : null;
+        return { key, json, bytes: json === null ? 0 : this._bytes(json) };
+      })
+      .sort((a, b) => (b.key === 'settings') - (a.key === 'settings') || a.bytes - b.bytes);
+
+    let items = { ...remote };
+    const sets = {};
+    const removals = new Set();
+    const now = this.clock.now();
+
+    // Old tombstones have reached every device by now
+    Object.entries(remote).forEach(([itemKey, entry]) => {
+      if (itemKey.startsWith(this.INDEX_PREFIX) && entry.del && now - entry.t > this.TOMBSTONE_TTL) {
+        removals.add(itemKey);
+        delete items[itemKey];
+      }
+    });
+
+    for (const { key, json, bytes } of entries) {
+      const stamp = this.state.keys[key];
+      const indexKey = this.INDEX_PREFIX + key;
+      const current = remote[indexKey];
+
+      // Another device wrote a newer value meanwhile; pulling handles it
+      if (!stamp || (current && this._compare(current, stamp) >= 0)) continue;
+
+      if (json !== null && bytes > this.limits.maxValueBytes) {
+        this._skip(key, 'too-large');
+        continue;
+      }
+
+      const written = json === null
+        ? { [indexKey]: { t: stamp.t, d: stamp.d, del: 1 } }
+        : this._writeValue(key, stamp, json);
+      const stale = this._chunkKeys(key, current);
+
+      // Check the quota with this key swapped in
+      const next = { ...items, ...written };
+      stale.forEach(itemKey => delete next[itemKey]);
+      if (!this._fits(next)) {
+        this._skip(key, 'quota');
+        continue;
+      }
+
+      items = next;
+      Object.assign(sets, written);
+      stale.forEach(itemKey => removals.add(itemKey));
+      this.skipped.delete(key);
+    }
+
+    try {
+      if (Object.keys(sets).length > 0) {
+        await this._call(this.remote, 'set', sets);
+      }
+      if (removals.size > 0) {
+        await this._call(this.remote, 'remove', Array.from(removals));
+      }
+      this.lastSync = now;
+      this.lastError = null;
+    } catch (error) {
+      // Over the write rate or quota; try again later
+      keys.forEach(key => this.dirty.add(key));
+      this.lastError = error.message;
+      console.warn('[SyncEngine] Failed to push changes, retrying later:', error.message);
+      this._scheduleFlush(this.RETRY_DELAY);
+    }
+  }
+
+  _skip(key, reason) {
+    if (this.skipped.get(key) !== reason) {
+      console.warn(`[SyncEngine] Not syncing ${key}: ${reason === 'quota' ? 'sync storage is full' : 'value is too large'}`);
+    }
+    this.skipped.set(key, reason);
+  }
+
+  /**
+   * Build the sync items for a value: inline if it fits one item, else chunks
+   * @returns {object} Sync items
+   */
+  _writeValue(key, stamp, json) {
+    const indexKey = this.INDEX_PREFIX + key;
+    const inline = { t: stamp.t, d: stamp.d, v: JSON.parse(json) };
+    if (this._itemBytes(indexKey, inline) <= this.limits.quotaBytesPerItem) {
+      return { [indexKey]: inline };
+    }
+
+    const items = {};
+    let offset = 0;
+    let index = 0;
+    while (offset < json.length) {
+      const chunkKey = this._chunkKey(key, stamp, index);
+      const chunk = this._takeChunk(json, offset, chunkKey);
+      items[chunkKey] = chunk;
+      offset += chunk.length;
+      index++;
+    }
+
+    items[indexKey] = { t: stamp.t, d: stamp.d, n: index };
+    return items;
+  }
+
+  /**
+   * Longest slice from offset that fits one item once JSON-encoded
+   */
+  _takeChunk(json, offset, chunkKey) {
+    const budget = this.limits.quotaBytesPerItem;
+    let length = Math.min(json.length - offset, budget);
+
+    while (length > 1 && this._itemBytes(chunkKey, json.slice(offset, offset + length)) > budget) {
+      length = Math.floor(length * 0.9);
+    }
+
+    // Don't split a surrogate pair
+    const last = json.charCodeAt(offset + length - 1);
+    if (length > 1 && offset + length < json.length && last >= 0xd800 && last <= 0xdbff) {
+      length--;
+    }
+    return json.slice(offset, offset + length);
+  }
+
+  /**
+   * Reassemble a value's JSON from the sync area
+   * @returns {string|null} JSON, or null if chunks are missing
+   */
+  _readValue(key, entry, data) {
+    if ('v' in entry) return JSON.stringify(entry.v);
+
+    let json = '';
+    for (let i = 0; i < entry.n; i++) {
+      const chunk = data[this._chunkKey(key, entry, i)];
+      if (typeof chunk !== 'string') return null;
+      json += chunk;
+    }
+    return json;
+  }
+
+  _chunkKey(key, stamp, index) {
+    return `${this.CHUNK_PREFIX}${key}:${stamp.t.toString(36)}${stamp.d}:${index}`;
+  }
+
+  _chunkKeys(key, entry) {
+    if (!entry?.n) return [];
+    return Array.from({ length: entry.n }, (_, i) => this._chunkKey(key, entry, i));
+  }
+
+  /**
+   * Whether sync items stay within the total and item count quotas
+   */
+  _fits(items) {
+    const keys = Object.keys(items);
+    if (keys.length > this.limits.maxItems) return false;
+    const bytes = keys.reduce((sum, key) => sum + this._itemBytes(key, items[key]), 0);
+    return bytes <= this.limits.quotaBytes;
+  }
+
+  /**
+   * Size of an item as the sync quota counts it (key plus JSON value)
+   */
+  _itemBytes(key, value) {
+    return this._bytes(key) + this._bytes(JSON.stringify(value));
+  }
+
+  _bytes(text) {
+    return this.encoder.encode(text).length;
+  }
+
+  /**
+   * Order two stamps: later time wins, device ID breaks ties
+   * @returns {number} > 0 if a is newer
+   */
+  _compare(a, b) {
+    if (a.t !== b.t) return a.t - b.t;
+    return a.d === b.d ? 0 : a.d > b.d ? 1 : -1;
+  }
+
+  _hash(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return `${text.length.toString(36)}.${(hash >>> 0).toString(36)}`;
+  }
+
+  async _loadState() {
+    if (this.state) return;
+    const stored = await this._call(this.local, 'get', this.STATE_KEY);
+    this.state = stored[this.STATE_KEY] || {
+      deviceId: Math.random().toString(36).slice(2, 10),
+      keys: {}
+    };
+  }
+
+  async _saveState() {
+    await this._call(this.local, 'set', { [this.STATE_KEY]: this.state });
+  }
+
+  /**
+   * Call a callback-style storage area method
+   */
+  _call(area, method, arg) {
+    return new Promise((resolve, reject) => {
+      area[method](arg, (result) => {
+        const error = typeof chrome !== 'undefined' ? chrome.runtime?.lastError : null;
+        if (error) {
+          reject(new Error(error.message));
+          return;
+        }
+        resolve(result);
+      });
+    });
+  }
+}
+
+// Export singleton instance
+export default new SyncEngine();
+export { SyncEngine };
@@ -2,14 +2,20 @@
  * UIGenerator - Automatic settings UI generation
  * 
  * Generates settings interface from plugin schemas with proper
- * input types, validation, and live updates.
+ * input types, validation, and live updates. Values are checked with
+ * the same engine as SettingsStore (Validators.validateValue).
  */
 
 import Validators from '../../utils/validators.js';
+import PermissionManager from './PermissionManager.js';
+import SiteMatcher from './SiteMatcher.js';
 
 class UIGenerator {
   constructor() {
     this.inputHandlers = new Map();
+    
+    // Indexed like Date#getDay()
+    this.DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
   }
 
   /**
@@ -124,18 +130,41 @@ class UIGenerator {
     const control = document.createElement('div');
     control.className = 'setting-control';
 
-    const input = this._createInput(setting, currentValues[key], (value) => {
-      if (onChange) {
-        onChange(key, value);
+    const error = document.createElement('p');
+    error.className = 'setting-error';
+
+    // Invalid values are shown inline and never passed on. onChange may
+    // return (or resolve to) errors found elsewhere, shown the same way.
+    const input = this._createInput(setting, currentValues[key], async (value) => {
+      const errors = Validators.validateValue(value, setting, key);
+      if (errors.length === 0 && onChange) {
+        errors.push(...(await onChange(key, value) || []));
       }
+      this._showErrors(row, error, errors);
     });
 
     control.appendChild(input);
     row.appendChild(control);
+    row.appendChild(error);
 
     return row;
   }
 
+  /**
+   * Show validation errors under a setting row
+   * @param {HTMLElement} row - Setting row
+   * @param {HTMLElement} element - Error message element
+   * @param {object[]} errors - Errors as {path, message}
+   */
+  _showErrors(row, element, errors) {
+    const key = row.dataset.key;
+
+    element.textContent = errors
+      .map(({ path, message }) => (path && path !== key ? `${path.slice(key.length).replace(/^\./, '')}: ${message}` : message))
+      .join('\n');
+    row.classList.toggle('invalid', errors.length > 0);
+  }
+
   /**
    * Create input element based on type
    */
@@ -306,10 +335,11 @@ class UIGenerator {
     });
 
     display.addEventListener('input', () => {
-      if (Validators.validateColor(display.value)) {
+      // The picker only takes hex colors; anything else is reported inline
+      if (Validators.validateColor(display.value) && display.value.length === 7) {
         input.value = display.value;
-        onChange(display.value);
       }
+      onChange(display.value);
     });
 
     container.appendChild(input);
@@ -446,6 +476,23 @@ class UIGenerator {
       body.appendChild(tagsContainer);
     }
 
+    const problems = this._getPluginProblems(pluginInfo);
+    if (problems.length > 0) {
+      const status = document.createElement('div');
+      status.className = 'plugin-status plugin-status-error';
+      problems.forEach(problem => {
+        const line = document.createElement('p');
+        line.textContent = problem;
+        status.appendChild(line);
+      });
+      body.appendChild(status);
+    } else if (enabled && pluginInfo.runsOnPage === false) {
+      const status = document.createElement('div');
+      status.className = 'plugin-status plugin-status-info';
+      status.textContent = 'Not active on this page (site rules)';
+      body.appendChild(status);
+    }
+
     const footer = document.createElement('div');
     footer.className = 'plugin-card-footer';
 
@@ -478,6 +525,661 @@ class UIGenerator {
     return card;
   }
 
+  /**
+   * Generate a permission prompt shown before a plugin is first enabled
+   * @param {object} pluginInfo - Plugin information
+   * @param {string[]} permissions - Permissions to ask for
+   * @param {Function} onDecision - Called with true (allow) or false (cancel)
+   * @returns {HTMLElement} Overlay element (caller inserts and removes it)
+   */
+  generatePermissionPrompt(pluginInfo, permissions, onDecision) {
+    const overlay = document.createElement('div');
+    overlay.className = 'permission-prompt-overlay';
+
+    const prompt = document.createElement('div');
+    prompt.className = 'permission-prompt';
+
+    const title = document.createElement('h3');
+    title.textContent = `Enable ${pluginInfo.name}?`;
+    prompt.appendChild(title);
+
+    const intro = document.createElement('p');
+    intro.className = 'permission-prompt-intro';
+    intro.textContent = 'This plugin is asking to:';
+    prompt.appendChild(intro);
+
+    const list = document.createElement('ul');
+    list.className = 'permission-list';
+    permissions.forEach(permission => {
+      const { title: label, description } = PermissionManager.describe(permission);
+
+      const item = document.createElement('li');
+      const name = document.createElement('strong');
+      name.textContent = label;
+      const detail = document.createElement('span');
+      detail.textContent = description;
+
+      item.appendChild(name);
+      item.appendChild(detail);
+      list.appendChild(item);
+    });
+    prompt.appendChild(list);
+
+    const actions = document.createElement('div');
+    actions.className = 'permission-prompt-actions';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => onDecision(false));
+
+    const allowBtn = document.createElement('button');
+    allowBtn.className = 'btn btn-primary';
+    allowBtn.textContent = 'Allow';
+    allowBtn.addEventListener('click', () => onDecision(true));
+
+    actions.appendChild(cancelBtn);
+    actions.appendChild(allowBtn);
+    prompt.appendChild(actions);
+
+    overlay.appendChild(prompt);
+    return overlay;
+  }
+
+  /**
+   * Generate the "Sites" section where users override a plugin's site rules
+   * @param {object} pluginInfo - Plugin info (manifest matches/excludeMatches)
+   * @param {object|null} userRules - User rules {matches, excludeMatches} or null
+   * @param {Function} onSave - Called with {matches, excludeMatches}; null restores the plugin's defaults
+   * @returns {HTMLElement} Section element
+   */
+  generateSiteRulesSection(pluginInfo, userRules, onSave) {
+    const declared = SiteMatcher.getManifestRules(pluginInfo);
+
+    const section = document.createElement('div');
+    section.className = 'settings-section site-rules';
+
+    const header = document.createElement('h3');
+    header.className = 'settings-section-header';
+    header.textContent = 'Sites';
+    section.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'settings-section-body';
+
+    const intro = document.createElement('p');
+    intro.className = 'setting-description';
+    intro.textContent = declared.matches.length > 0
+      ? `By default this plugin runs on: ${declared.matches.join(', ')}`
+      : 'By default this plugin runs on every site.';
+    body.appendChild(intro);
+
+    const fields = [
+      {
+        key: 'matches',
+        title: 'Run on',
+        description: 'One pattern per line, e.g. *://*.looksmax.org/* or looksmax.org/threads/*. Leave empty for the default.'
+      },
+      {
+        key: 'excludeMatches',
+        title: 'Never run on',
+        description: 'Added to the plugin\'s own exclusions. Path rules like /members/* apply on every site.'
+      }
+    ];
+
+    const inputs = {};
+    fields.forEach(({ key, title, description }) => {
+      const row = document.createElement('div');
+      row.className = 'site-rules-row';
+
+      const label = document.createElement('label');
+      label.className = 'setting-label';
+      label.textContent = title;
+      label.htmlFor = `site-rules-${key}`;
+
+      const desc = document.createElement('span');
+      desc.className = 'setting-description';
+      desc.textContent = description;
+
+      const textarea = document.createElement('textarea');
+      textarea.id = `site-rules-${key}`;
+      textarea.className = 'text-input site-rules-input';
+      textarea.rows = 3;
+      textarea.value = (userRules?.[key] || []).join('\n');
+      textarea.placeholder = key === 'matches' ? declared.matches.join('\n') : declared.excludeMatches.join('\n');
+
+      row.appendChild(label);
+      row.appendChild(desc);
+      row.appendChild(textarea);
+      body.appendChild(row);
+      inputs[key] = textarea;
+    });
+
+    const error = document.createElement('p');
+    error.className = 'site-rules-error';
+    body.appendChild(error);
+
+    const actions = document.createElement('div');
+    actions.className = 'site-rules-actions';
+
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'btn';
+    resetBtn.textContent = 'Use Defaults';
+    resetBtn.addEventListener('click', () => {
+      inputs.matches.value = '';
+      inputs.excludeMatches.value = '';
+      error.textContent = '';
+      onSave(null);
+    });
+
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'btn btn-primary';
+    saveBtn.textContent = 'Save Sites';
+    saveBtn.addEventListener('click', () => {
+      const rules = {};
+      Object.entries(inputs).forEach(([key, textarea]) => {
+        rules[key] = textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+      });
+
+      const invalid = SiteMatcher.getInvalid([...rules.matches, ...rules.excludeMatches]);
+      if (invalid.length > 0) {
+        error.textContent = `Invalid pattern${invalid.length > 1 ? 's' : ''}: ${invalid.join(', ')}`;
+        return;
+      }
+
+      error.textContent = '';
+      onSave(rules);
+    });
+
+    actions.appendChild(resetBtn);
+    actions.appendChild(saveBtn);
+    body.appendChild(actions);
+
+    section.appendChild(body);
+    return section;
+  }
+
+  /**
+   * Generate the "Schedule" section listing activation rules with a form to add one
+   * @param {object} options
+   * @param {object[]} options.targets - Choices for a new rule's target [{label, target}]
+   * @param {object[]} options.rules - Existing rules for these targets
+   * @param {object} options.status - Rule ID -> whether it matches right now
+   * @param {string} options.description - Intro text
+   * @param {Function} options.onAdd - Called with a new rule (without ID)
+   * @param {Function} options.onRemove - Called with a rule ID
+   * @returns {HTMLElement} Section element
+   */
+  generateActivationSection({ targets, rules, status = {}, description, onAdd, onRemove }) {
+    const section = document.createElement('div');
+    section.className = 'settings-section activation-rules';
+
+    const header = document.createElement('h3');
+    header.className = 'settings-section-header';
+    header.textContent = 'Schedule';
+    section.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'settings-section-body';
+
+    const intro = document.createElement('p');
+    intro.className = 'setting-description';
+    intro.textContent = description;
+    body.appendChild(intro);
+
+    const labels = new Map(targets.map(({ label, target }) => [JSON.stringify(target), label]));
+    rules.forEach(rule => {
+      const item = document.createElement('div');
+      item.className = `activation-rule ${status[rule.id] ? 'active' : ''}`;
+
+      const text = document.createElement('span');
+      text.className = 'activation-rule-text';
+      const label = targets.length > 1 ? `${labels.get(JSON.stringify(rule.target)) || Object.values(rule.target)[0]}: ` : '';
+      text.textContent = `${label}${this._describeActivationRule(rule)}${status[rule.id] ? ' (now)' : ''}`;
+      item.appendChild(text);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => onRemove(rule.id));
+      item.appendChild(removeBtn);
+
+      body.appendChild(item);
+    });
+
+    const form = document.createElement('div');
+    form.className = 'activation-form';
+
+    let targetSelect = null;
+    if (targets.length > 1) {
+      targetSelect = document.createElement('select');
+      targetSelect.className = 'select-input';
+      targets.forEach(({ label }, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = label;
+        targetSelect.appendChild(option);
+      });
+      form.appendChild(targetSelect);
+    }
+
+    const days = document.createElement('div');
+    days.className = 'activation-days';
+    const dayInputs = [1, 2, 3, 4, 5, 6, 0].map(day => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = String(day);
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(this.DAY_NAMES[day]));
+      days.appendChild(label);
+      return input;
+    });
+    form.appendChild(days);
+
+    const time = document.createElement('label');
+    time.className = 'activation-time';
+    const useTime = document.createElement('input');
+    useTime.type = 'checkbox';
+    useTime.checked = true;
+    const start = document.createElement('input');
+    start.type = 'time';
+    start.className = 'text-input';
+    start.value = '09:00';
+    const end = document.createElement('input');
+    end.type = 'time';
+    end.className = 'text-input';
+    end.value = '17:00';
+    time.appendChild(useTime);
+    time.appendChild(document.createTextNode(' Between '));
+    time.appendChild(start);
+    time.appendChild(document.createTextNode(' and '));
+    time.appendChild(end);
+    form.appendChild(time);
+
+    const contextInputs = [
+      ['fullscreen', 'While the window is fullscreen']
+    ].map(([value, text]) => {
+      const label = document.createElement('label');
+      label.className = 'activation-context';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = value;
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${text}`));
+      form.appendChild(label);
+      return input;
+    });
+
+    const error = document.createElement('p');
+    error.className = 'site-rules-error';
+    form.appendChild(error);
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'btn btn-primary';
+    addBtn.textContent = 'Add Rule';
+    addBtn.addEventListener('click', () => {
+      const rule = {
+        enabled: true,
+        target: targets[targetSelect ? Number(targetSelect.value) : 0].target
+      };
+
+      if (useTime.checked) {
+        if (!start.value || !end.value) {
+          error.textContent = 'Enter a start and end time';
+          return;
+        }
+        rule.schedule = {
+          days: dayInputs.filter(input => input.checked).map(input => Number(input.value)).sort(),
+          start: start.value,
+          end: end.value
+        };
+      }
+
+      const context = contextInputs.filter(input => input.checked).map(input => input.value);
+      if (context.length > 0) {
+        rule.context = context;
+      }
+
+      if (!rule.schedule && !rule.context) {
+        error.textContent = 'Pick a time window or a condition';
+        return;
+      }
+
+      error.textContent = '';
+      onAdd(rule);
+    });
+    form.appendChild(addBtn);
+
+    body.appendChild(form);
+    section.appendChild(body);
+    return section;
+  }
+
+  /**
+   * Describe an activation rule, e.g. "Weekdays 09:00-17:00, while fullscreen"
+   */
+  _describeActivationRule(rule) {
+    const parts = [];
+
+    if (rule.schedule) {
+      const days = [...(rule.schedule.days || [])].sort().join(',');
+      const dayText = {
+        '': 'Every day',
+        '0,1,2,3,4,5,6': 'Every day',
+        '1,2,3,4,5': 'Weekdays',
+        '0,6': 'Weekends'
+      }[days] ?? rule.schedule.days.map(day => this.DAY_NAMES[day]).join(', ');
+      parts.push(`${dayText} ${rule.schedule.start}-${rule.schedule.end}`);
+    }
+
+    if (rule.context?.length) {
+      const contexts = rule.context.map(name => ({
+        fullscreen: 'fullscreen'
+      })[name] || name);
+      parts.push(`while ${contexts.join(' or ')}`);
+    }
+
+    const text = parts.join(', ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Generate the settings section offering to undo a plugin's last migration
+   * @param {object} pluginInfo - Plugin info (name)
+   * @param {object} backup - Migration backup {from, to, at}
+   * @param {Function} onRollback - Called when the user rolls back
+   * @returns {HTMLElement} Section element
+   */
+  generateMigrationSection(pluginInfo, backup, onRollback) {
+    const section = document.createElement('div');
+    section.className = 'settings-section migration';
+
+    const header = document.createElement('h3');
+    header.className = 'settings-section-header';
+    header.textContent = 'Migration';
+    section.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'settings-section-body';
+
+    const from = backup.from === '0.0.0' ? 'an earlier version' : backup.from;
+    const detail = document.createElement('p');
+    detail.className = 'setting-description';
+    detail.textContent = `Settings were migrated from ${from} to ${backup.to} on ${new Date(backup.at).toLocaleString()}. ` +
+      'If something broke, roll back to restore the settings and data from before the migration.';
+    body.appendChild(detail);
+
+    const button = document.createElement('button');
+    button.className = 'btn';
+    button.textContent = 'Roll Back';
+    button.addEventListener('click', () => onRollback(pluginInfo.id));
+    body.appendChild(button);
+
+    section.appendChild(body);
+    return section;
+  }
+
+  /**
+   * Generate a banner for a quarantined plugin
+   * @param {object} pluginInfo - Plugin info (name)
+   * @param {object} quarantine - Quarantine record {reason, errors, windowSeconds}
+   * @param {Function} onReenable - Called when the user re-enables the plugin
+   * @returns {HTMLElement} Banner element
+   */
+  generateQuarantineBanner(pluginInfo, quarantine, onReenable) {
+    const banner = document.createElement('div');
+    banner.className = 'quarantine-banner';
+
+    const text = document.createElement('div');
+    text.className = 'quarantine-text';
+
+    const title = document.createElement('strong');
+    title.textContent = `⚠ ${pluginInfo.name} was stopped`;
+    text.appendChild(title);
+
+    const detail = document.createElement('p');
+    detail.textContent = quarantine.errors && quarantine.windowSeconds
+      ? `It threw ${quarantine.errors} errors within ${quarantine.windowSeconds}s and was quarantined.`
+      : 'It kept throwing errors and was quarantined.';
+    text.appendChild(detail);
+
+    if (quarantine.reason) {
+      const reason = document.createElement('p');
+      reason.className = 'quarantine-reason';
+      reason.textContent = quarantine.reason;
+      text.appendChild(reason);
+    }
+
+    const button = document.createElement('button');
+    button.className = 'btn';
+    button.textContent = 'Re-enable';
+    button.addEventListener('click', () => {
+      button.disabled = true;
+      onReenable(pluginInfo.id);
+    });
+
+    banner.appendChild(text);
+    banner.appendChild(button);
+
+    return banner;
+  }
+
+  /**
+   * Generate the banner asking for the passphrase while encrypted storage is locked
+   * @param {Function} onUnlock - Called with the passphrase; resolves to an error message or null
+   * @returns {HTMLElement} Banner element
+   */
+  generateVaultPrompt(onUnlock) {
+    const banner = document.createElement('form');
+    banner.className = 'vault-banner';
+
+    const text = document.createElement('div');
+    text.className = 'quarantine-text';
+
+    const title = document.createElement('strong');
+    title.textContent = '🔒 Encrypted storage is locked';
+    text.appendChild(title);
+
+    const detail = document.createElement('p');
+    detail.textContent = 'Plugins can\'t read their protected data until you unlock it.';
+    text.appendChild(detail);
+
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.className = 'text-input';
+    input.placeholder = 'Passphrase';
+    input.autocomplete = 'current-password';
+    text.appendChild(input);
+
+    const error = document.createElement('p');
+    error.className = 'setting-error';
+    text.appendChild(error);
+
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.className = 'btn';
+    button.textContent = 'Unlock';
+
+    banner.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!input.value) return;
+
+      button.disabled = true;
+      error.textContent = await onUnlock(input.value) || '';
+      button.disabled = false;
+      input.value = '';
+      input.focus();
+    });
+
+    banner.appendChild(text);
+    banner.appendChild(button);
+
+    return banner;
+  }
+
+  /**
+   * Generate a marketplace card for a catalog entry
+   * @param {object} entry - Catalog entry (from PluginCatalog.getCatalog)
+   * @param {object} actions - {onInstall, onUninstall} callbacks, called with the entry
+   * @returns {HTMLElement} Card element
+   */
+  generateMarketplaceCard(entry, actions) {
+    const { id, name, description, version, author, category, tags, installed } = entry;
+
+    const card = document.createElement('div');
+    card.className = `plugin-card marketplace-card ${installed ? 'enabled' : ''}`;
+    card.dataset.pluginId = id;
+    card.dataset.category = category || 'other';
+
+    const header = document.createElement('div');
+    header.className = 'plugin-card-header';
+
+    const title = document.createElement('h3');
+    title.className = 'plugin-card-title';
+    title.textContent = name;
+
+    const version_badge = document.createElement('span');
+    version_badge.className = 'plugin-version';
+    version_badge.textContent = version || '';
+
+    header.appendChild(title);
+    header.appendChild(version_badge);
+
+    const body = document.createElement('div');
+    body.className = 'plugin-card-body';
+
+    const desc = document.createElement('p');
+    desc.className = 'plugin-description';
+    desc.textContent = description;
+    body.appendChild(desc);
+
+    const meta = [author && `by ${author}`, category].filter(Boolean).join(' • ');
+    if (meta) {
+      const metaEl = document.createElement('p');
+      metaEl.className = 'plugin-author';
+      metaEl.textContent = meta;
+      body.appendChild(metaEl);
+    }
+
+    if (tags && tags.length > 0) {
+      const tagsContainer = document.createElement('div');
+      tagsContainer.className = 'plugin-tags';
+      tags.forEach(tag => {
+        const tagEl = document.createElement('span');
+        tagEl.className = 'plugin-tag';
+        tagEl.textContent = tag;
+        tagsContainer.appendChild(tagEl);
+      });
+      body.appendChild(tagsContainer);
+    }
+
+    const changelog = this._generateChangelog(entry.changelog);
+    if (changelog) {
+      body.appendChild(changelog);
+    }
+
+    const footer = document.createElement('div');
+    footer.className = 'plugin-card-footer';
+
+    const status = document.createElement('span');
+    status.className = 'plugin-source';
+    status.textContent = installed ? 'Installed' : 'Not installed';
+    footer.appendChild(status);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'marketplace-actions';
+
+    const addButton = (text, onClick) => {
+      const button = document.createElement('button');
+      button.className = 'plugin-settings-btn';
+      button.textContent = text;
+      button.addEventListener('click', () => onClick(entry));
+      buttons.appendChild(button);
+    };
+
+    if (installed) {
+      addButton('Uninstall', actions.onUninstall);
+    } else {
+      addButton('Install', actions.onInstall);
+    }
+
+    footer.appendChild(buttons);
+
+    card.appendChild(header);
+    card.appendChild(body);
+    card.appendChild(footer);
+
+    return card;
+  }
+
+  /**
+   * Generate a collapsible changelog
+   * Accepts a string or an array of {version, date, changes}
+   * @param {string|object[]} changelog - Changelog from the catalog
+   * @returns {HTMLElement|null} Details element
+   */
+  _generateChangelog(changelog) {
+    if (!changelog || (Array.isArray(changelog) && changelog.length === 0)) {
+      return null;
+    }
+
+    const details = document.createElement('details');
+    details.className = 'plugin-changelog';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Changelog';
+    details.appendChild(summary);
+
+    if (typeof changelog === 'string') {
+      const text = document.createElement('p');
+      text.textContent = changelog;
+      details.appendChild(text);
+      return details;
+    }
+
+    changelog.forEach(release => {
+      const heading = document.createElement('p');
+      heading.className = 'plugin-changelog-version';
+      heading.textContent = release.date ? `${release.version} (${release.date})` : release.version;
+      details.appendChild(heading);
+
+      const changes = Array.isArray(release.changes) ? release.changes : [release.changes].filter(Boolean);
+      const list = document.createElement('ul');
+      changes.forEach(change => {
+        const item = document.createElement('li');
+        item.textContent = change;
+        list.appendChild(item);
+      });
+      details.appendChild(list);
+    });
+
+    return details;
+  }
+
+  /**
+   * Collect reasons a plugin can't run (load errors, unmet dependencies)
+   * @param {object} pluginInfo - Plugin information
+   * @returns {string[]} Human-readable problems
+   */
+  _getPluginProblems(pluginInfo) {
+    const { state, metadata, dependencyStatus } = pluginInfo;
+
+    if (state === 'ERROR' && metadata?.lastError?.message) {
+      return [metadata.lastError.message];
+    }
+
+    if (state === 'QUARANTINED') {
+      return ['Quarantined after repeated errors'];
+    }
+
+    if (dependencyStatus && !dependencyStatus.met) {
+      return dependencyStatus.reasons;
+    }
+
+    return [];
+  }
+
   /**
    * Update input value programmatically
    * @param {HTMLElement} container - Settings panel container
@@ -0,0 +1,330 @@
+/**
+ * Vault - Passphrase-protected encryption for plugin storage
+ *
+ * Values plugins opt into (api.storage.set(key, value, { encrypted: true }))
+ * are stored as AES-GCM ciphertext. They're encrypted with a random data
+ * key, which is itself stored wrapped with a key derived from the user's
+ * passphrase (PBKDF2-SHA-256); the wrapped key syncs like any other data,
+ * so the same passphrase unlocks it on every device. Backups leave the
+ * wrapped key and encrypted values out.
+ *
+ * The background worker owns the unlocked state: it unwraps the data key,
+ * keeps it in session storage (memory only, gone when the browser closes)
+ * so a suspended worker stays unlocked, locks after the user goes idle and
+ * tells every tab. Tabs get the data key from it while unlocked.
+ *
+ * Stored values look like { $encrypted: 1, iv, data } (base64).
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+
+class Vault {
+  /**
+   * @param {object} options - Dependencies (browser defaults when omitted)
+   * @param {object} options.storage - StorageAdapter compatible storage
+   * @param {object} options.session - chrome.storage.session compatible area
+   * @param {Crypto} options.crypto - WebCrypto implementation
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || StorageAdapter;
+    this.session = options.session !== undefined
+      ? options.session
+      : (typeof chrome !== 'undefined' ? chrome.storage?.session : null) || null;
+    this.crypto = options.crypto || globalThis.crypto;
+
+    // Wrapped data key, salt and PBKDF2 parameters
+    this.META_KEY = 'vault';
+    // Unwrapped data key while unlocked (session storage only)
+    this.SESSION_KEY = 'vaultKey';
+    this.MARKER = '$encrypted';
+    this.ITERATIONS = 310000;
+    this.MIN_PASSPHRASE = 8;
+
+    this.key = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Whether a passphrase has been set
+   * @returns {Promise<boolean>}
+   */
+  async isSetUp() {
+    return !!(await this._getMeta());
+  }
+
+  /**
+   * Whether encrypted values can't be read or written right now
+   * @returns {boolean}
+   */
+  isLocked() {
+    return !this.key;
+  }
+
+  /**
+   * Whether a stored value is encrypted
+   * @param {*} value - Stored value
+   * @returns {boolean}
+   */
+  isEncrypted(value) {
+    return !!value && typeof value === 'object' && value[this.MARKER] === 1;
+  }
+
+  /**
+   * Set the passphrase and create the data key, leaving the vault unlocked
+   * @param {string} passphrase - New passphrase
+   */
+  async setup(passphrase) {
+    if (await this.isSetUp()) {
+      throw new Error('Encrypted storage is already set up');
+    }
+    this._checkPassphrase(passphrase);
+
+    const key = await this.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    await this.storage.set({ [this.META_KEY]: await this._wrap(key, passphrase) });
+    await this._setKey(key);
+  }
+
+  /**
+   * Unlock with the passphrase
+   * @param {string} passphrase - Passphrase
+   */
+  async unlock(passphrase) {
+    const meta = await this._getMeta();
+    if (!meta) {
+      throw new Error('Encrypted storage is not set up');
+    }
+
+    const wrappingKey = await this._deriveKey(passphrase, this._decode(meta.salt), meta.iterations);
+    let raw;
+    try {
+      raw = await this.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this._decode(meta.iv) },
+        wrappingKey,
+        this._decode(meta.wrappedKey)
+      );
+    } catch (error) {
+      throw new Error('Wrong passphrase');
+    }
+
+    await this._setKey(await this._importKey(raw, true));
+  }
+
+  /**
+   * Forget the data key
+   */
+  async lock() {
+    if (!this.key) return;
+    this.key = null;
+    await this._callSession('remove', this.SESSION_KEY);
+    this._notify();
+  }
+
+  /**
+   * Delete the passphrase and every encrypted value (for a forgotten passphrase)
+   * @returns {Promise<number>} Number of values deleted
+   */
+  async reset() {
+    const all = await this.storage.get(null);
+    const keys = Object.keys(all).filter(key => key === this.META_KEY || this.isEncrypted(all[key]));
+
+    await this.storage.remove(keys);
+    await this.lock();
+    return keys.filter(key => key !== this.META_KEY).length;
+  }
+
+  /**
+   * Pick the unlocked state up from session storage (background worker restarts)
+   * @returns {Promise<boolean>} True if unlocked
+   */
+  async restore() {
+    const stored = await this._callSession('get', this.SESSION_KEY);
+    if (stored?.[this.SESSION_KEY]) {
+      this.key = await this._importKey(this._decode(stored[this.SESSION_KEY]), true);
+      this._notify();
+    }
+    return !this.isLocked();
+  }
+
+  /**
+   * Export the data key to hand to a tab
+   * @returns {Promise<string|null>} Base64 key, or null while locked
+   */
+  async exportKey() {
+    if (!this.key) return null;
+    return this._encode(await this.crypto.subtle.exportKey('raw', this.key));
+  }
+
+  /**
+   * Use a data key exported by the background worker (null locks)
+   * @param {string|null} exported - Base64 key
+   */
+  async useKey(exported) {
+    // Tabs can't reach session storage, so this only ever touches memory
+    const wasLocked = this.isLocked();
+    this.key = exported ? await this._importKey(this._decode(exported), false) : null;
+    if (!(wasLocked && !exported)) {
+      this._notify();
+    }
+  }
+
+  /**
+   * Encrypt a value for storage
+   * @param {*} value - JSON-serializable value
+   * @returns {Promise<object>} Encrypted value
+   */
+  async encrypt(value) {
+    this._requireKey();
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const data = new TextEncoder().encode(JSON.stringify(value));
+    const encrypted = await this.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, data);
+
+    return { [this.MARKER]: 1, iv: this._encode(iv), data: this._encode(encrypted) };
+  }
+
+  /**
+   * Decrypt a stored value
+   * @param {object} stored - Encrypted value
+   * @returns {Promise<*>} Value
+   */
+  async decrypt(stored) {
+    this._requireKey();
+    let data;
+    try {
+      data = await this.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this._decode(stored.iv) },
+        this.key,
+        this._decode(stored.data)
+      );
+    } catch (error) {
+      throw new Error('Failed to decrypt value: it was encrypted with a different key or is damaged');
+    }
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  /**
+   * Listen for lock state changes
+   * @param {Function} listener - Called with (locked)
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _notify() {
+    const locked = this.isLocked();
+    this.listeners.forEach(listener => {
+      try {
+        listener(locked);
+      } catch (error) {
+        console.error('[Vault] Lock listener failed:', error);
+      }
+    });
+  }
+
+  _requireKey() {
+    if (!this.key) {
+      const error = new Error('Encrypted storage is locked');
+      error.locked = true;
+      throw error;
+    }
+  }
+
+  _checkPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < this.MIN_PASSPHRASE) {
+      throw new Error(`Passphrase must be at least ${this.MIN_PASSPHRASE} characters`);
+    }
+  }
+
+  async _setKey(key) {
+    this.key = key;
+    const exported = this._encode(await this.crypto.subtle.exportKey('raw', key));
+    await this._callSession('set', { [this.SESSION_KEY]: exported });
+    this._notify();
+  }
+
+  /**
+   * Wrap the data key with a passphrase-derived key
+   * @returns {Promise<object>} Vault metadata
+   */
+  async _wrap(key, passphrase) {
+    const salt = this.crypto.getRandomValues(new Uint8Array(16));
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await this._deriveKey(passphrase, salt, this.ITERATIONS);
+    const raw = await this.crypto.subtle.exportKey('raw', key);
+    const wrapped = await this.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, raw);
+
+    return {
+      version: 1,
+      iterations: this.ITERATIONS,
+      salt: this._encode(salt),
+      iv: this._encode(iv),
+      wrappedKey: this._encode(wrapped)
+    };
+  }
+
+  async _deriveKey(passphrase, salt, iterations) {
+    const material = await this.crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return this.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  _importKey(raw, extractable) {
+    return this.crypto.subtle.importKey('raw', raw, 'AES-GCM', extractable, ['encrypt', 'decrypt']);
+  }
+
+  async _getMeta() {
+    const stored = await this.storage.get(this.META_KEY);
+    return stored[this.META_KEY] || null;
+  }
+
+  /**
+   * Call a session storage method; without session storage nothing persists
+   */
+  _callSession(method, arg) {
+    if (!this.session) return Promise.resolve(null);
+    return new Promise((resolve, reject) => {
+      this.session[method](arg, (result) => {
+        const error = typeof chrome !== 'undefined' ? chrome.runtime?.lastError : null;
+        if (error) {
+          reject(new Error(error.message));
+          return;
+        }
+        resolve(result);
+      });
+    });
+  }
+
+  _encode(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  _decode(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
+
+// Export singleton instance
+export default new Vault();
+export { Vault };
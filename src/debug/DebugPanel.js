@@ -8,17 +8,33 @@
 import PluginRegistry from '../core/PluginRegistry.js';
 import HookSystem from '../core/HookSystem.js';
 import SettingsStore from '../core/SettingsStore.js';
+import ResourceTracker from '../core/ResourceTracker.js';
+import HookTracer from './HookTracer.js';
+import Validators from '../../utils/validators.js';
 
 class DebugPanel {
   constructor() {
     this.registry = PluginRegistry;
     this.hooks = HookSystem;
     this.settings = SettingsStore;
+    this.resources = ResourceTracker;
+    this.tracer = HookTracer;
     
     this.panel = null;
     this.visible = false;
+    this.currentTab = 'plugins';
     this.logs = [];
     this.maxLogs = 100;
+    this.shortcut = this._parseShortcut('Ctrl+Shift+D');
+
+    // Resources disposed on stop, by plugin ID (last report only)
+    this.leaks = new Map();
+
+    // Hooks tab profiler state
+    this.traceFilters = { plugin: '', hook: '' };
+    this.selectedTrace = null;
+    this.TIMELINE_SIZE = 40;
+    this.FLAME_ROW_HEIGHT = 18;
   }
 
   /**
@@ -31,15 +47,53 @@ class DebugPanel {
     this._setupHooks();
     this._injectStyles();
     
-    // Add keyboard shortcut (Ctrl+Shift+D)
+    // Add keyboard shortcut (core.debugShortcut, Ctrl+Shift+D by default)
     document.addEventListener('keydown', (e) => {
-      if (e.ctrlKey && e.shiftKey && e.key === 'D') {
+      if (this._matchesShortcut(e)) {
         e.preventDefault();
         this.toggle();
       }
     });
   }
 
+  /**
+   * Set the keys that toggle the panel
+   * @param {string} combo - e.g. 'Ctrl+Shift+D'
+   */
+  setShortcut(combo) {
+    const shortcut = this._parseShortcut(combo);
+    if (shortcut) {
+      this.shortcut = shortcut;
+    } else {
+      console.warn(`[DebugPanel] Invalid shortcut: ${combo}`);
+    }
+  }
+
+  /**
+   * Parse 'Ctrl+Shift+D' into {ctrl, alt, shift, meta, key}
+   * @returns {object|null} Null if there's no key or modifier
+   */
+  _parseShortcut(combo) {
+    const parts = String(combo || '').split('+').map(part => part.trim());
+    const key = parts.pop()?.toUpperCase();
+    const modifiers = parts.map(part => part.toLowerCase());
+    if (!key || modifiers.length === 0) return null;
+
+    return {
+      ctrl: modifiers.includes('ctrl'),
+      alt: modifiers.includes('alt'),
+      shift: modifiers.includes('shift'),
+      meta: modifiers.includes('meta'),
+      key
+    };
+  }
+
+  _matchesShortcut(e) {
+    const { ctrl, alt, shift, meta, key } = this.shortcut;
+    return e.ctrlKey === ctrl && e.altKey === alt && e.shiftKey === shift &&
+      e.metaKey === meta && e.key?.toUpperCase() === key;
+  }
+
   /**
    * Create debug panel element
    */
@@ -65,6 +119,19 @@ class DebugPanel {
         </div>
         
         <div class="debug-tab-content" data-content="hooks">
+          <div class="debug-trace-controls">
+            <select id="debugTracePlugin"><option value="">All plugins</option></select>
+            <input id="debugTraceHook" type="text" placeholder="Hook name">
+            <button id="debugTraceRefresh">Refresh</button>
+            <button id="debugTracePause">Pause</button>
+            <button id="debugTraceClear">Clear</button>
+          </div>
+          <h4 class="debug-section-title">Timeline</h4>
+          <div id="debugTraceTimeline"></div>
+          <div id="debugTraceFlame"></div>
+          <h4 class="debug-section-title">Slowest Handlers</h4>
+          <div id="debugTraceSlowest"></div>
+          <h4 class="debug-section-title">Declared Hooks</h4>
           <div id="debugHooksList"></div>
         </div>
         
@@ -96,6 +163,39 @@ class DebugPanel {
       this.clearLogs();
     });
 
+    // Profiler (refreshed on demand: re-rendering live would trace the panel's own DOM writes)
+    this.panel.querySelector('#debugTracePlugin').addEventListener('change', (e) => {
+      this.traceFilters.plugin = e.target.value;
+      this._refreshTraces();
+    });
+
+    this.panel.querySelector('#debugTraceHook').addEventListener('input', (e) => {
+      this.traceFilters.hook = e.target.value.trim();
+      this._refreshTraces();
+    });
+
+    this.panel.querySelector('#debugTraceRefresh').addEventListener('click', () => {
+      this._refreshHooks();
+    });
+
+    this.panel.querySelector('#debugTracePause').addEventListener('click', (e) => {
+      this.tracer.setPaused(!this.tracer.paused);
+      e.target.textContent = this.tracer.paused ? 'Resume' : 'Pause';
+    });
+
+    this.panel.querySelector('#debugTraceClear').addEventListener('click', () => {
+      this.tracer.clear();
+      this.selectedTrace = null;
+      this._refreshTraces();
+    });
+
+    this.panel.querySelector('#debugTraceTimeline').addEventListener('click', (e) => {
+      const row = e.target.closest('[data-trace-id]');
+      if (!row) return;
+      this.selectedTrace = Number(row.dataset.traceId);
+      this._refreshTraces();
+    });
+
     document.body.appendChild(this.panel);
   }
 
@@ -211,6 +311,146 @@ class DebugPanel {
         border-color: #f44336;
       }
       
+      .debug-plugin-item.quarantined {
+        border-color: #FFA500;
+      }
+      
+      .debug-hook-item.undeclared {
+        border-color: #FFA500;
+      }
+      
+      .debug-hook-tag {
+        margin-left: 6px;
+        padding: 0 4px;
+        font-size: 10px;
+        background: #404040;
+        border-radius: 3px;
+      }
+      
+      .debug-section-title {
+        margin: 12px 0 6px;
+        color: #4CAF50;
+      }
+      
+      .debug-trace-controls {
+        display: flex;
+        gap: 4px;
+        margin-bottom: 8px;
+      }
+      
+      .debug-trace-controls input,
+      .debug-trace-controls select {
+        flex: 1;
+        min-width: 0;
+      }
+      
+      .debug-trace-row {
+        padding: 4px 6px;
+        margin-bottom: 4px;
+        background: #2a2a2a;
+        border: 1px solid #404040;
+        border-radius: 4px;
+        color: #fff;
+        cursor: pointer;
+      }
+      
+      .debug-trace-row.selected {
+        border-color: #4CAF50;
+      }
+      
+      .debug-trace-label {
+        display: flex;
+        justify-content: space-between;
+      }
+      
+      .debug-trace-bar {
+        height: 4px;
+        margin: 3px 0;
+        background: #4CAF50;
+        border-radius: 2px;
+      }
+      
+      .debug-trace-bar.error,
+      .debug-flame-bar.error {
+        background: #f44336;
+      }
+      
+      .debug-flame {
+        position: relative;
+        margin: 8px 0 4px;
+        background: #2a2a2a;
+        border: 1px solid #404040;
+        border-radius: 4px;
+        overflow: hidden;
+      }
+      
+      .debug-flame-bar {
+        position: absolute;
+        height: 16px;
+        line-height: 16px;
+        padding: 0 3px;
+        box-sizing: border-box;
+        overflow: hidden;
+        white-space: nowrap;
+        font-size: 10px;
+        color: #fff;
+        background: #2e7d32;
+        border-right: 1px solid #1a1a1a;
+      }
+      
+      .debug-flame-bar.emit {
+        background: #1565c0;
+      }
+      
+      .debug-flame-bar.cancelled {
+        background: #FFA500;
+      }
+      
+      .debug-stage {
+        padding: 4px 6px;
+        border-left: 3px solid #4CAF50;
+        margin-bottom: 4px;
+        background: #2a2a2a;
+        color: #fff;
+      }
+      
+      .debug-stage.unchanged {
+        border-left-color: #404040;
+      }
+      
+      .debug-stage.error {
+        border-left-color: #f44336;
+      }
+      
+      .debug-stage code {
+        display: block;
+        word-break: break-all;
+        color: #b0b0b0;
+      }
+      
+      .debug-trace-table {
+        width: 100%;
+        border-collapse: collapse;
+        color: #fff;
+        font-size: 11px;
+      }
+      
+      .debug-trace-table th,
+      .debug-trace-table td {
+        padding: 3px 4px;
+        border-bottom: 1px solid #404040;
+        text-align: left;
+      }
+      
+      .debug-trace-error {
+        color: #f44336;
+      }
+      
+      .debug-plugin-leak {
+        margin-top: 4px;
+        color: #FFA500;
+      }
+      
       .debug-logs-controls {
         margin-bottom: 8px;
       }
@@ -268,12 +508,18 @@ class DebugPanel {
    * Setup hooks for debugging
    */
   _setupHooks() {
-    // Log all hook emissions
-    const originalEmit = this.hooks.emit.bind(this.hooks);
-    this.hooks.emit = async (hookName, data, options) => {
-      this.log('info', `Hook emitted: ${hookName}`, data);
-      return await originalEmit(hookName, data, options);
-    };
+    // Trace every emit for the Hooks tab
+    this.hooks.setTracer(trace => this.tracer.record(trace));
+
+    // Record resources plugins left behind on stop
+    this.hooks.register('plugin:resources-leaked', (context) => {
+      const { pluginId, resources } = context.data;
+      this.leaks.set(pluginId, resources);
+
+      if (this.visible) {
+        this._refreshPlugins();
+      }
+    }, { plugin: 'debug-panel' });
 
     // Intercept console methods
     ['log', 'info', 'warn', 'error'].forEach(method => {
@@ -289,6 +535,8 @@ class DebugPanel {
    * Switch tab
    */
   _switchTab(tabName) {
+    this.currentTab = tabName;
+
     // Update tab buttons
     this.panel.querySelectorAll('.debug-tab').forEach(tab => {
       tab.classList.toggle('active', tab.dataset.tab === tabName);
@@ -330,12 +578,25 @@ class DebugPanel {
     const container = this.panel.querySelector('#debugPluginsList');
     const plugins = this.registry.getAllPluginInfo();
 
-    container.innerHTML = plugins.map(p => `
-      <div class="debug-plugin-item ${p.state.toLowerCase()}">
-        <strong>${p.name}</strong> (${p.id})<br>
-        <small>State: ${p.state} | Version: ${p.version}</small>
-      </div>
-    `).join('');
+    container.innerHTML = plugins.map(p => {
+      const live = Object.entries(this.resources.getCounts(p.id))
+        .map(([kind, count]) => `${count} ${kind}`)
+        .join(', ');
+      const leaked = this.leaks.get(p.id);
+
+      return `
+        <div class="debug-plugin-item ${p.state.toLowerCase()}">
+          <strong>${p.name}</strong> (${p.id})<br>
+          <small>State: ${p.state} | Version: ${p.version}</small>
+          ${live ? `<br><small>Resources: ${live}</small>` : ''}
+          ${leaked ? `
+            <div class="debug-plugin-leak">
+              <small>⚠ Leaked on last stop: ${Validators.escapeHTML(leaked.map(r => r.label).join(', '))}</small>
+            </div>
+          ` : ''}
+        </div>
+      `;
+    }).join('');
   }
 
   /**
@@ -343,14 +604,224 @@ class DebugPanel {
    */
   _refreshHooks() {
     const container = this.panel.querySelector('#debugHooksList');
-    const hooks = this.hooks.getRegisteredHooks();
-
-    container.innerHTML = hooks.map(hookName => `
-      <div class="debug-hook-item">
-        <strong>${hookName}</strong><br>
-        <small>Handlers: ${this.hooks.getHandlerCount(hookName)}</small>
+    const declared = this.hooks.getDeclarations();
+    // Hooks with handlers that nobody declared, and pattern subscriptions
+    const undeclared = this.hooks.getRegisteredHooks()
+      .filter(hookName => !this.hooks.getDeclaration(hookName))
+      .sort();
+    const list = (ids) => ids.length > 0 ? Validators.escapeHTML(ids.join(', ')) : 'none';
+
+    container.innerHTML = declared.map(hook => {
+      const providers = [...new Set([hook.provider, ...this.hooks.getEmitters(hook.name)])];
+      const handlers = this.hooks.getConsumers(hook.name);
+
+      return `
+        <div class="debug-hook-item">
+          <strong>${Validators.escapeHTML(hook.name)}</strong>
+          <span class="debug-hook-tag">${hook.kind}</span>
+          ${hook.cancelable ? '<span class="debug-hook-tag">cancelable</span>' : ''}
+          ${hook.shared ? `<span class="debug-hook-tag">shared: ${hook.shared.join(', ')}</span>` : ''}
+          ${hook.description ? `<br><small>${Validators.escapeHTML(hook.description)}</small>` : ''}
+          <br><small>Providers: ${list(providers)}</small>
+          <br><small>Consumers: ${list(handlers)}</small>
+        </div>
+      `;
+    }).join('') + undeclared.map(hookName => `
+      <div class="debug-hook-item ${this.hooks.isPattern(hookName) ? '' : 'undeclared'}">
+        <strong>${Validators.escapeHTML(hookName)}</strong>
+        <span class="debug-hook-tag">${this.hooks.isPattern(hookName) ? 'pattern' : 'undeclared'}</span>
+        <br><small>Providers: ${list(this.hooks.getEmitters(hookName))}</small>
+        <br><small>Consumers: ${list(this.hooks.getConsumers(hookName))}</small>
       </div>
     `).join('');
+
+    this._refreshTraces();
+  }
+
+  /**
+   * Refresh the profiler: timeline, flame chart of the selected emit and slowest handlers
+   */
+  _refreshTraces() {
+    const filters = this.traceFilters;
+
+    // Plugin filter options follow what's been recorded
+    const select = this.panel.querySelector('#debugTracePlugin');
+    const plugins = this.tracer.getPlugins();
+    if (filters.plugin && !plugins.includes(filters.plugin)) {
+      plugins.push(filters.plugin);
+    }
+    select.innerHTML = '<option value="">All plugins</option>' + plugins.map(id => `
+      <option value="${Validators.escapeHTML(id)}" ${id === filters.plugin ? 'selected' : ''}>${Validators.escapeHTML(id)}</option>
+    `).join('');
+
+    // Timeline: newest emits first, bars scaled to the slowest shown
+    const traces = this.tracer.getTraces(filters).slice(-this.TIMELINE_SIZE).reverse();
+    const longest = Math.max(...traces.map(trace => trace.duration), 0.001);
+    this.panel.querySelector('#debugTraceTimeline').innerHTML = traces.length === 0
+      ? '<small>No hooks recorded yet</small>'
+      : traces.map(trace => {
+        const errors = trace.handlers.filter(span => span.error).length;
+        return `
+          <div class="debug-trace-row ${trace.id === this.selectedTrace ? 'selected' : ''}" data-trace-id="${trace.id}">
+            <div class="debug-trace-label">
+              <span>${trace.parent ? '↳ ' : ''}${Validators.escapeHTML(trace.hook)}</span>
+              <small>${this._formatMs(trace.duration)}</small>
+            </div>
+            <div class="debug-trace-bar ${errors > 0 ? 'error' : ''}" style="width: ${Math.max(1, trace.duration / longest * 100)}%"></div>
+            <small>
+              ${new Date(trace.time).toLocaleTimeString()} · ${Validators.escapeHTML(trace.emitter)} ·
+              ${trace.handlers.length}/${trace.total} handlers
+              ${errors > 0 ? ` · ${errors} failed` : ''}${trace.cancelled ? ' · cancelled' : ''}
+            </small>
+          </div>
+        `;
+      }).join('');
+
+    this._renderFlame();
+
+    const slowest = this.tracer.getSlowest(filters);
+    this.panel.querySelector('#debugTraceSlowest').innerHTML = slowest.length === 0
+      ? '<small>No handlers recorded yet</small>'
+      : `
+        <table class="debug-trace-table">
+          <tr><th>Plugin</th><th>Hook</th><th>Calls</th><th>Avg</th><th>Max</th><th>Total</th></tr>
+          ${slowest.map(row => `
+            <tr>
+              <td>${Validators.escapeHTML(row.plugin)}</td>
+              <td>${Validators.escapeHTML(row.hook)}${row.errors > 0 ? ` <span class="debug-trace-error">(${row.errors} failed)</span>` : ''}</td>
+              <td>${row.calls}</td>
+              <td>${this._formatMs(row.average)}</td>
+              <td>${this._formatMs(row.max)}</td>
+              <td>${this._formatMs(row.total)}</td>
+            </tr>
+          `).join('')}
+        </table>
+      `;
+  }
+
+  /**
+   * Render the selected emit as a flame chart: the emit on top, its handlers
+   * below it and emits those handlers made below them
+   */
+  _renderFlame() {
+    const container = this.panel.querySelector('#debugTraceFlame');
+    const tree = this.selectedTrace ? this.tracer.getTree(this.selectedTrace) : [];
+    if (tree.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const bars = this._layoutFlame(tree);
+    const start = tree[0].start;
+    const end = Math.max(...bars.map(bar => bar.start + bar.duration));
+    const range = Math.max(end - start, 0.001);
+    const rows = Math.max(...bars.map(bar => bar.row)) + 1;
+
+    container.innerHTML = `
+      <div class="debug-flame" style="height: ${rows * this.FLAME_ROW_HEIGHT}px">
+        ${bars.map(bar => `
+          <div class="debug-flame-bar ${bar.kind}"
+            style="left: ${(bar.start - start) / range * 100}%; width: ${Math.max(0.5, bar.duration / range * 100)}%; top: ${bar.row * this.FLAME_ROW_HEIGHT}px"
+            title="${Validators.escapeHTML(bar.title)}">${Validators.escapeHTML(bar.label)}</div>
+        `).join('')}
+      </div>
+      <small>${this._formatMs(range)} · hover a bar for details</small>
+      ${tree[0].pipeline ? this._renderStages(tree[0]) : ''}
+    `;
+  }
+
+  /**
+   * Show a filter pipeline's value after each handler
+   */
+  _renderStages(trace) {
+    const stage = (label, value, className = '') => `
+      <div class="debug-stage ${className}">
+        <small>${Validators.escapeHTML(label)}</small>
+        <code>${Validators.escapeHTML(value)}</code>
+      </div>
+    `;
+
+    return `
+      <h4 class="debug-section-title">Pipeline</h4>
+      ${stage('Input', trace.input)}
+      ${trace.handlers.map(span => {
+        const label = `${span.plugin} (priority ${span.priority}, ${this._formatMs(span.duration)})`;
+        if (span.error) return stage(label, `${span.status === 'timeout' ? 'timed out' : 'threw'}: ${span.error}`, 'error');
+        return stage(label, span.returned ? span.output : 'unchanged', span.returned ? '' : 'unchanged');
+      }).join('')}
+      ${trace.total > trace.handlers.length ? stage('Skipped', `${trace.total - trace.handlers.length} handlers`, 'unchanged') : ''}
+      ${stage('Output', trace.output)}
+    `;
+  }
+
+  /**
+   * Place an emit tree's spans on rows, children under their parent and
+   * overlapping spans (parallel handlers) on separate rows
+   * @returns {object[]} Bars: {row, start, duration, label, title, kind}
+   */
+  _layoutFlame(tree) {
+    const rows = [];
+    const handlerRows = new Map();
+    const bars = [];
+
+    const place = (start, duration, minRow) => {
+      const end = start + duration;
+      let row = minRow;
+      while ((rows[row] || []).some(([s, e]) => start < e && s < end)) {
+        row++;
+      }
+      (rows[row] = rows[row] || []).push([start, end]);
+      return row;
+    };
+
+    tree.forEach(trace => {
+      const parentRow = trace.parent ? handlerRows.get(`${trace.parent.traceId}:${trace.parent.handler}`) : undefined;
+      const emitRow = place(trace.start, trace.duration, parentRow === undefined ? 0 : parentRow + 1);
+      const skipped = trace.total - trace.handlers.length;
+
+      bars.push({
+        row: emitRow,
+        start: trace.start,
+        duration: trace.duration,
+        label: trace.hook,
+        kind: trace.cancelled ? 'emit cancelled' : 'emit',
+        title: [
+          `${trace.hook} emitted by ${trace.emitter}`,
+          this._formatMs(trace.duration),
+          trace.parallel ? 'parallel' : 'sequential',
+          trace.cancelled ? `cancelled${skipped > 0 ? `, ${skipped} handlers skipped` : ''}` : null
+        ].filter(Boolean).join(' · ')
+      });
+
+      trace.handlers.forEach((span, index) => {
+        const row = place(span.start, span.duration, emitRow + 1);
+        handlerRows.set(`${trace.id}:${index}`, row);
+
+        bars.push({
+          row,
+          start: span.start,
+          duration: span.duration,
+          label: span.plugin,
+          kind: span.error ? 'handler error' : span.status === 'aborted' ? 'handler cancelled' : 'handler',
+          title: [
+            `${span.plugin} on ${trace.hook}`,
+            this._formatMs(span.duration),
+            `priority ${span.priority} (group ${span.group + 1})`,
+            span.returned ? 'returned data' : 'no result',
+            span.cancelled ? 'cancelled the hook' : null,
+            span.status === 'timeout' ? `timed out: ${span.error}` : null,
+            span.status === 'error' ? `threw: ${span.error}` : null,
+            span.status === 'aborted' ? 'abandoned when the emit was aborted' : null
+          ].filter(Boolean).join(' · ')
+        });
+      });
+    });
+
+    return bars;
+  }
+
+  _formatMs(ms) {
+    return `${ms < 10 ? ms.toFixed(2) : ms.toFixed(1)} ms`;
   }
 
   /**
@@ -440,7 +911,7 @@ class DebugPanel {
   show() {
     this.visible = true;
     this.panel.classList.add('visible');
-    this._refreshContent('plugins');
+    this._refreshContent(this.currentTab);
   }
 
   /**
@@ -0,0 +1,175 @@
+/**
+ * HookTracer - Ring buffer of hook traces for the debug panel's profiler
+ *
+ * Keeps the last traces HookSystem reports (see HookSystem.setTracer) and
+ * answers the Hooks tab's questions: which emits match a plugin or hook
+ * filter, what an emit called (nested emits included) and which handlers
+ * take the most time.
+ */
+
+class HookTracer {
+  /**
+   * @param {number} capacity - Traces kept before the oldest are overwritten
+   */
+  constructor(capacity = 500) {
+    this.capacity = capacity;
+    this.buffer = [];
+    // Next slot to overwrite once the buffer is full
+    this.head = 0;
+    this.paused = false;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Record a finished trace (ignored while paused)
+   * @param {object} trace - Trace from HookSystem
+   */
+  record(trace) {
+    if (this.paused) return;
+
+    if (this.buffer.length < this.capacity) {
+      this.buffer.push(trace);
+    } else {
+      this.buffer[this.head] = trace;
+      this.head = (this.head + 1) % this.capacity;
+    }
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(trace);
+      } catch (error) {
+        console.error('[HookTracer] Listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Get recorded traces, oldest first
+   * @param {object} filters - Optional filters
+   * @param {string} filters.plugin - Only emits by or handled by this plugin
+   * @param {string} filters.hook - Only hooks whose name contains this
+   * @returns {object[]} Traces
+   */
+  getTraces(filters = {}) {
+    const ordered = this.buffer.slice(this.head).concat(this.buffer.slice(0, this.head));
+    return ordered.filter(trace => this._matches(trace, filters));
+  }
+
+  /**
+   * Get a trace by ID
+   * @param {number} id - Trace ID
+   * @returns {object|null}
+   */
+  get(id) {
+    return this.buffer.find(trace => trace.id === id) || null;
+  }
+
+  /**
+   * Get a trace and every emit made from its handlers, recursively
+   * @param {number} id - Trace ID
+   * @returns {object[]} Traces, the requested one first (empty if it's gone)
+   */
+  getTree(id) {
+    const root = this.get(id);
+    if (!root) return [];
+
+    const tree = [root];
+    const ids = new Set([id]);
+    const traces = this.getTraces();
+    // Emits that weren't awaited can finish after their parent, so repeat until nothing is added
+    let added = true;
+    while (added) {
+      added = false;
+      traces.forEach(trace => {
+        if (trace.parent && ids.has(trace.parent.traceId) && !ids.has(trace.id)) {
+          ids.add(trace.id);
+          tree.push(trace);
+          added = true;
+        }
+      });
+    }
+    return tree;
+  }
+
+  /**
+   * Aggregate handler time per plugin and hook
+   * @param {object} filters - Same as getTraces
+   * @param {number} limit - Rows to return
+   * @returns {object[]} {plugin, hook, calls, total, max, average, errors}, most total time first
+   */
+  getSlowest(filters = {}, limit = 10) {
+    const rows = new Map();
+
+    this.getTraces(filters).forEach(trace => {
+      trace.handlers.forEach(span => {
+        if (filters.plugin && span.plugin !== filters.plugin) return;
+
+        const key = `${span.plugin}\n${trace.hook}`;
+        if (!rows.has(key)) {
+          rows.set(key, { plugin: span.plugin, hook: trace.hook, calls: 0, total: 0, max: 0, errors: 0 });
+        }
+        const row = rows.get(key);
+        row.calls++;
+        row.total += span.duration;
+        row.max = Math.max(row.max, span.duration);
+        if (span.error) row.errors++;
+      });
+    });
+
+    return Array.from(rows.values())
+      .map(row => ({ ...row, average: row.total / row.calls }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get every plugin that emitted or handled a recorded hook
+   * @returns {string[]} Plugin IDs, sorted
+   */
+  getPlugins() {
+    const plugins = new Set();
+    this.buffer.forEach(trace => {
+      plugins.add(trace.emitter);
+      trace.handlers.forEach(span => plugins.add(span.plugin));
+    });
+    return Array.from(plugins).sort();
+  }
+
+  /**
+   * Stop or resume recording
+   * @param {boolean} paused - Whether to ignore new traces
+   */
+  setPaused(paused) {
+    this.paused = !!paused;
+  }
+
+  /**
+   * Drop every recorded trace
+   */
+  clear() {
+    this.buffer = [];
+    this.head = 0;
+  }
+
+  /**
+   * Listen for recorded traces
+   * @param {Function} listener - Called with (trace)
+   * @returns {Function} Unsubscribe function
+   */
+  onRecord(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _matches(trace, { plugin, hook }) {
+    if (hook && !trace.hook.includes(hook)) return false;
+    if (plugin && trace.emitter !== plugin && !trace.handlers.some(span => span.plugin === plugin)) {
+      return false;
+    }
+    return true;
+  }
+}
+
+// Export singleton instance
+export default new HookTracer();
+export { HookTracer };
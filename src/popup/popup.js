@@ -5,19 +5,48 @@
  */
 
 import IPCManager from '../core/IPCManager.js';
+import HookSystem from '../core/HookSystem.js';
+import HookBridge from '../core/HookBridge.js';
+import StorageAdapter from '../core/StorageAdapter.js';
 import UIGenerator from '../core/UIGenerator.js';
 import SettingsStore from '../core/SettingsStore.js';
+import BackupManager from '../core/BackupManager.js';
+import PermissionManager from '../core/PermissionManager.js';
+import SiteMatcher from '../core/SiteMatcher.js';
+
+// Requests meant for the background reach the popup too; leave them to it.
+// Set while the module loads, before any message can arrive
+IPCManager.answerUnhandled = false;
 
 class PopupUI {
   constructor() {
     this.ipc = IPCManager;
+    this.hooks = HookSystem;
+    this.bridge = HookBridge;
     this.uiGenerator = UIGenerator;
     this.settings = SettingsStore;
+    this.storage = StorageAdapter;
+    this.backups = BackupManager;
+    this.permissions = PermissionManager;
+    this.sites = SiteMatcher;
     
     this.plugins = [];
+    this.pageUrl = null;
     this.currentFilter = 'all';
     this.currentPlugin = null;
     
+    // Marketplace state
+    this.catalog = [];
+    this.marketFilter = 'all';
+    this.pluginsChanged = false;
+    
+    // Backup being previewed in the restore view
+    this.pendingRestore = null;
+    
+    // Setting edits saved together once the user pauses (see _queueSettingEdit)
+    this.pendingEdits = null;
+    this.EDIT_GROUP_DELAY = 400;
+    
     this._bindElements();
     this._setupEventListeners();
     this.init();
@@ -30,11 +59,17 @@ class PopupUI {
     // Views
     this.dashboardView = document.getElementById('dashboardView');
     this.settingsView = document.getElementById('settingsView');
+    this.marketplaceView = document.getElementById('marketplaceView');
+    this.profilesView = document.getElementById('profilesView');
+    this.globalView = document.getElementById('globalView');
+    this.restoreView = document.getElementById('restoreView');
     
     // Dashboard elements
     this.searchInput = document.getElementById('searchInput');
     this.pluginGrid = document.getElementById('pluginGrid');
-    this.categoryButtons = document.querySelectorAll('.category-btn');
+    this.quarantineBanners = document.getElementById('quarantineBanners');
+    this.vaultBanner = document.getElementById('vaultBanner');
+    this.categoryButtons = this.dashboardView.querySelectorAll('.category-btn');
     
     // Settings elements
     this.backBtn = document.getElementById('backBtn');
@@ -44,9 +79,43 @@ class PopupUI {
     this.exportBtn = document.getElementById('exportBtn');
     this.importBtn = document.getElementById('importBtn');
     
+    // Marketplace elements
+    this.marketplaceBackBtn = document.getElementById('marketplaceBackBtn');
+    this.marketSearchInput = document.getElementById('marketSearchInput');
+    this.marketCategoryButtons = this.marketplaceView.querySelectorAll('.category-btn');
+    this.marketGrid = document.getElementById('marketGrid');
+    
+    // Global settings elements
+    this.globalBackBtn = document.getElementById('globalBackBtn');
+    this.globalContent = document.getElementById('globalContent');
+    this.storageBackendSelect = document.getElementById('storageBackendSelect');
+    this.storageUsage = document.getElementById('storageUsage');
+    this.vaultControls = document.getElementById('vaultControls');
+    this.backupBtn = document.getElementById('backupBtn');
+    this.restoreBtn = document.getElementById('restoreBtn');
+    this.resetAllBtn = document.getElementById('resetAllBtn');
+    
+    // Restore elements
+    this.restoreBackBtn = document.getElementById('restoreBackBtn');
+    this.restoreSummary = document.getElementById('restoreSummary');
+    this.restoreList = document.getElementById('restoreList');
+    this.restoreSelectedBtn = document.getElementById('restoreSelectedBtn');
+    
+    // Profiles elements
+    this.profileSelect = document.getElementById('profileSelect');
+    this.profilesBackBtn = document.getElementById('profilesBackBtn');
+    this.profileNameInput = document.getElementById('profileNameInput');
+    this.saveProfileBtn = document.getElementById('saveProfileBtn');
+    this.profileList = document.getElementById('profileList');
+    this.profileSchedule = document.getElementById('profileSchedule');
+    this.exportProfilesBtn = document.getElementById('exportProfilesBtn');
+    this.importProfilesBtn = document.getElementById('importProfilesBtn');
+    
     // Header elements
+    this.lockBtn = document.getElementById('lockBtn');
     this.refreshBtn = document.getElementById('refreshBtn');
     this.settingsBtn = document.getElementById('settingsBtn');
+    this.marketplaceBtn = document.getElementById('marketplaceBtn');
     
     // Footer elements
     this.pluginCount = document.getElementById('pluginCount');
@@ -74,6 +143,11 @@ class PopupUI {
       this._showDashboard();
     });
     
+    // Don't lose grouped edits when the popup closes
+    window.addEventListener('pagehide', () => {
+      this._flushSettingEdits();
+    });
+    
     // Settings actions
     this.resetBtn.addEventListener('click', () => {
       this._resetSettings();
@@ -91,6 +165,99 @@ class PopupUI {
     this.refreshBtn.addEventListener('click', () => {
       this.refresh();
     });
+    
+    this.marketplaceBtn.addEventListener('click', () => {
+      this._showMarketplace();
+    });
+    
+    // Marketplace
+    this.marketplaceBackBtn.addEventListener('click', () => {
+      this._showDashboard();
+    });
+    
+    this.marketSearchInput.addEventListener('input', () => {
+      this._renderMarketplace();
+    });
+    
+    this.marketCategoryButtons.forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.marketFilter = btn.dataset.category;
+        this.marketCategoryButtons.forEach(b => {
+          b.classList.toggle('active', b === btn);
+        });
+        this._renderMarketplace();
+      });
+    });
+    
+    // Encrypted storage
+    this.lockBtn.addEventListener('click', () => {
+      this._lockVault();
+    });
+    
+    // Global settings
+    this.settingsBtn.addEventListener('click', () => {
+      this._showGlobalSettings();
+    });
+    
+    this.globalBackBtn.addEventListener('click', () => {
+      this._showDashboard();
+    });
+    
+    this.storageBackendSelect.addEventListener('change', () => {
+      this._changeStorageBackend(this.storageBackendSelect.value);
+    });
+    
+    this.backupBtn.addEventListener('click', () => {
+      this._exportBackup();
+    });
+    
+    this.restoreBtn.addEventListener('click', () => {
+      this._restoreBackup();
+    });
+    
+    this.resetAllBtn.addEventListener('click', () => {
+      this._resetEverything();
+    });
+    
+    // Restore preview
+    this.restoreBackBtn.addEventListener('click', () => {
+      this._closeRestore();
+    });
+    
+    this.restoreSelectedBtn.addEventListener('click', () => {
+      this._restoreSelected();
+    });
+    
+    // Profiles
+    this.profileSelect.addEventListener('change', () => {
+      const value = this.profileSelect.value;
+      if (value === '__manage__') {
+        this._renderProfileSelect();
+        this._showProfiles();
+      } else if (value) {
+        this._switchProfile(value);
+      }
+    });
+    
+    this.profilesBackBtn.addEventListener('click', () => {
+      this._showDashboard();
+    });
+    
+    this.saveProfileBtn.addEventListener('click', () => {
+      this._saveProfile(this.profileNameInput.value);
+    });
+    
+    this.profileNameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this._saveProfile(this.profileNameInput.value);
+    });
+    
+    this.exportProfilesBtn.addEventListener('click', () => {
+      this._exportProfiles();
+    });
+    
+    this.importProfilesBtn.addEventListener('click', () => {
+      this._importProfiles();
+    });
   }
 
   /**
@@ -98,8 +265,23 @@ class PopupUI {
    */
   async init() {
     try {
+      // Receive shared hooks emitted in tabs and the background (before
+      // anything is awaited, so hooks relayed meanwhile aren't left unanswered)
+      this.bridge.init('popup');
+
+      // Show the banner for a plugin quarantined while the popup is open
+      this.hooks.register('plugin:quarantined', () => {
+        if (this.dashboardView.classList.contains('active')) {
+          this.refresh();
+        } else {
+          this.pluginsChanged = true;
+        }
+      }, { plugin: 'core', priority: 0 });
+
       // Initialize settings store
       await this.settings.init();
+      this.ipc.defaultTimeout = this.settings.get('core', 'ipcTimeout');
+      this._renderProfileSelect();
       
       // Load plugins
       await this.loadPlugins();
@@ -109,6 +291,8 @@ class PopupUI {
       
       // Update footer
       this._updateFooter();
+      
+      await this._refreshVault();
     } catch (error) {
       console.error('[Popup] Initialization failed:', error);
       this.pluginGrid.innerHTML = '<div class="loading">Failed to load plugins</div>';
@@ -132,13 +316,14 @@ class PopupUI {
       }
       
       const activeTab = tabs[0];
+      this.pageUrl = activeTab.url || null;
       console.log('[Popup] Active tab:', activeTab.id, activeTab.url);
       
       // Send message directly to the tab's content script
       this.plugins = await new Promise((resolve, reject) => {
         const timeout = setTimeout(() => {
           reject(new Error('Content script not responding. Try reloading the page.'));
-        }, 5000);
+        }, this.ipc.defaultTimeout);
         
         chrome.tabs.sendMessage(activeTab.id, {
           type: 'REQUEST',
@@ -186,6 +371,7 @@ class PopupUI {
    */
   _renderDashboard() {
     this.pluginGrid.innerHTML = '';
+    this._renderQuarantineBanners();
     
     const filtered = this._getFilteredPlugins();
     
@@ -196,8 +382,9 @@ class PopupUI {
     
     filtered.forEach(plugin => {
       const enabled = this.settings.isEnabled(plugin.id);
+      const runsOnPage = this.pageUrl ? this.sites.appliesTo(plugin, this.pageUrl) : true;
       const card = this.uiGenerator.generatePluginCard(
-        plugin,
+        { ...plugin, runsOnPage },
         enabled,
         (pluginId, shouldEnable) => this._togglePlugin(pluginId, shouldEnable),
         (pluginId) => this._showSettings(pluginId)
@@ -206,23 +393,76 @@ class PopupUI {
     });
   }
 
+  /**
+   * Render a banner for each quarantined plugin
+   */
+  _renderQuarantineBanners() {
+    this.quarantineBanners.innerHTML = '';
+    
+    this.plugins.forEach(plugin => {
+      const quarantine = this.settings.getQuarantine(plugin.id) ||
+        (plugin.state === 'QUARANTINED' ? {} : null);
+      if (!quarantine) return;
+      
+      const banner = this.uiGenerator.generateQuarantineBanner(
+        plugin,
+        quarantine,
+        (pluginId) => this._releasePlugin(pluginId)
+      );
+      this.quarantineBanners.appendChild(banner);
+    });
+  }
+
+  /**
+   * Lift a plugin's quarantine and restart it
+   */
+  async _releasePlugin(pluginId) {
+    try {
+      await this.settings.setQuarantine(pluginId, null);
+      
+      // Let the active tab's content script restart the plugin, then show its new state
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tabs && tabs.length > 0) {
+        await new Promise(resolve => {
+          chrome.tabs.sendMessage(tabs[0].id, {
+            type: 'REQUEST',
+            action: 'plugin:release',
+            data: { pluginId },
+            requestId: Date.now()
+          }, () => {
+            // Ignore a missing content script; the quarantine is lifted in storage
+            void chrome.runtime.lastError;
+            resolve();
+          });
+        });
+      }
+      
+      await this.refresh();
+    } catch (error) {
+      console.error(`[Popup] Failed to re-enable plugin ${pluginId}:`, error);
+      alert(`Failed to re-enable plugin: ${error.message}`);
+      this.refresh();
+    }
+  }
+
   /**
    * Get filtered plugins based on search and category
+   * Defaults to the dashboard's plugin list and filters
    */
-  _getFilteredPlugins() {
-    let filtered = this.plugins;
+  _getFilteredPlugins(plugins = this.plugins, search = this.searchInput.value, category = this.currentFilter) {
+    let filtered = plugins;
     
     // Filter by category
-    if (this.currentFilter !== 'all') {
-      filtered = filtered.filter(p => p.category === this.currentFilter);
+    if (category !== 'all') {
+      filtered = filtered.filter(p => p.category === category);
     }
     
     // Filter by search
-    const searchTerm = this.searchInput.value.toLowerCase();
+    const searchTerm = search.toLowerCase();
     if (searchTerm) {
       filtered = filtered.filter(p => 
         p.name.toLowerCase().includes(searchTerm) ||
-        p.description.toLowerCase().includes(searchTerm)
+        (p.description || '').toLowerCase().includes(searchTerm)
       );
     }
     
@@ -255,6 +495,15 @@ class PopupUI {
    */
   async _togglePlugin(pluginId, shouldEnable) {
     try {
+      // Ask for permissions the plugin hasn't been granted yet
+      if (shouldEnable) {
+        const allowed = await this._requestPermissions(pluginId);
+        if (!allowed) {
+          this._renderDashboard();
+          return;
+        }
+      }
+      
       // Update settings first
       if (shouldEnable) {
         await this.settings.enable(pluginId);
@@ -282,6 +531,48 @@ class PopupUI {
     }
   }
 
+  /**
+   * Prompt for a plugin's missing permissions and grant them
+   * @returns {Promise<boolean>} True if the plugin may be enabled
+   */
+  async _requestPermissions(pluginId) {
+    const plugin = this.plugins.find(p => p.id === pluginId);
+    if (!plugin) return true;
+    
+    const missing = this.permissions.getMissing(plugin);
+    if (missing.length === 0) {
+      // Record an empty grant so the plugin counts as reviewed
+      if (this.permissions.getGranted(pluginId) === null) {
+        await this.permissions.grant(pluginId, []);
+      }
+      return true;
+    }
+    
+    const allowed = await new Promise(resolve => {
+      const prompt = this.uiGenerator.generatePermissionPrompt(plugin, missing, (decision) => {
+        prompt.remove();
+        resolve(decision);
+      });
+      document.body.appendChild(prompt);
+    });
+    
+    if (!allowed) return false;
+    
+    await this.permissions.grant(pluginId, missing);
+    
+    // Let the active tab's content script apply the grant before enabling
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tabs && tabs.length > 0) {
+      chrome.tabs.sendMessage(tabs[0].id, {
+        type: 'EVENT',
+        event: 'plugin:permissions',
+        data: { pluginId, permissions: this.permissions.getGranted(pluginId) }
+      });
+    }
+    
+    return true;
+  }
+
   /**
    * Show plugin settings
    */
@@ -291,73 +582,349 @@ class PopupUI {
     
     // Use the manifest we already have from the plugins list
     const manifest = this.currentPlugin;
-    if (!manifest || !manifest.settings) {
-      alert('This plugin has no configurable settings');
-      return;
-    }
     
     // Update title
     this.settingsTitle.textContent = `${this.currentPlugin.name} Settings`;
     
-    // Get current values
-    const currentValues = this.settings.getAll(pluginId);
+    this.settingsContent.innerHTML = '';
+    
+    if (manifest.settings) {
+      // Get current values
+      const currentValues = this.settings.getAll(pluginId);
+      
+      // Generate settings panel
+      const panel = this.uiGenerator.generateSettingsPanel(
+        pluginId,
+        manifest.settings,
+        currentValues,
+        (key, value) => this._updateSetting(pluginId, key, value)
+      );
+      this.settingsContent.appendChild(panel);
+    }
     
-    // Generate settings panel
-    const panel = this.uiGenerator.generateSettingsPanel(
-      pluginId,
-      manifest.settings,
-      currentValues,
-      async (key, value) => {
-        await this._updateSetting(pluginId, key, value);
-      }
+    // Every plugin can be limited to some sites
+    const sites = this.uiGenerator.generateSiteRulesSection(
+      manifest,
+      this.settings.getSiteRules(pluginId),
+      (rules) => this._updateSiteRules(pluginId, rules)
     );
+    this.settingsContent.appendChild(sites);
     
-    // Clear and append
-    this.settingsContent.innerHTML = '';
-    this.settingsContent.appendChild(panel);
+    // Rules that turn the plugin on and off by time or context
+    const schedule = this.uiGenerator.generateActivationSection({
+      targets: [{ label: manifest.name, target: { plugin: pluginId } }],
+      rules: this.settings.getActivationRules().filter(rule => rule.target.plugin === pluginId),
+      status: await this._getActivationStatus(),
+      description: 'Turn this plugin on while a rule matches and off when it stops matching. ' +
+        'Switching it by hand in between sticks until the next change.',
+      onAdd: (rule) => this._addActivationRule(rule, () => this._showSettings(pluginId)),
+      onRemove: (id) => this._removeActivationRule(id, () => this._showSettings(pluginId))
+    });
+    this.settingsContent.appendChild(schedule);
+    
+    // Offer to undo the last settings migration
+    const backup = await this.settings.getMigrationBackup(pluginId);
+    if (backup) {
+      const migration = this.uiGenerator.generateMigrationSection(
+        manifest,
+        backup,
+        (id) => this._rollbackMigration(id)
+      );
+      this.settingsContent.appendChild(migration);
+    }
     
     // Show settings view
     this.dashboardView.classList.remove('active');
+    this.restoreView.classList.remove('active');
     this.settingsView.classList.add('active');
   }
 
+  /**
+   * Save a plugin's site rules
+   * Open tabs pick the change up from storage and start or stop the plugin
+   */
+  async _updateSiteRules(pluginId, rules) {
+    try {
+      await this.settings.setSiteRules(pluginId, rules);
+    } catch (error) {
+      console.error(`[Popup] Failed to save site rules for ${pluginId}:`, error);
+      alert(`Failed to save sites: ${error.message}`);
+    }
+  }
+
+  /**
+   * Which activation rules match right now, according to the background worker
+   * @returns {Promise<object>} Rule ID -> boolean
+   */
+  async _getActivationStatus() {
+    try {
+      const { rules } = await this.ipc.request('activation:status', null, { timeout: 3000 });
+      return Object.fromEntries(rules.map(rule => [rule.id, rule.active]));
+    } catch (error) {
+      console.warn('[Popup] Failed to get activation status:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Add an activation rule
+   * The background worker picks it up from storage and applies it right away
+   */
+  async _addActivationRule(rule, rerender) {
+    try {
+      await this.settings.reload();
+      const id = `rule-${Date.now().toString(36)}`;
+      await this.settings.setActivationRules([...this.settings.getActivationRules(), { id, ...rule }]);
+      await rerender();
+    } catch (error) {
+      console.error('[Popup] Failed to add activation rule:', error);
+      alert(`Failed to add rule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove an activation rule
+   */
+  async _removeActivationRule(id, rerender) {
+    try {
+      await this.settings.reload();
+      await this.settings.setActivationRules(this.settings.getActivationRules().filter(rule => rule.id !== id));
+      await rerender();
+    } catch (error) {
+      console.error('[Popup] Failed to remove activation rule:', error);
+      alert(`Failed to remove rule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore a plugin's settings and data from before its last migration
+   * Open tabs pick the change up from storage and re-initialize the plugin
+   */
+  async _rollbackMigration(pluginId) {
+    const plugin = this.plugins.find(p => p.id === pluginId);
+    const confirmed = confirm(`Restore ${plugin?.name || pluginId} settings and data from before the migration? Changes made since will be lost.`);
+    if (!confirmed) return;
+    
+    try {
+      await this.settings.rollbackMigration(pluginId);
+      await this._showSettings(pluginId);
+    } catch (error) {
+      console.error(`[Popup] Failed to roll back ${pluginId}:`, error);
+      alert(`Failed to roll back: ${error.message}`);
+    }
+  }
+
   /**
    * Show dashboard
    */
   _showDashboard() {
+    this._flushSettingEdits();
     this.settingsView.classList.remove('active');
+    this.marketplaceView.classList.remove('active');
+    this.profilesView.classList.remove('active');
+    this.globalView.classList.remove('active');
+    this.restoreView.classList.remove('active');
     this.dashboardView.classList.add('active');
     this.currentPlugin = null;
+    
+    // Pick up plugins installed or removed from the marketplace
+    if (this.pluginsChanged) {
+      this.pluginsChanged = false;
+      this.refresh();
+    }
+  }
+
+  /**
+   * Show plugin marketplace
+   */
+  async _showMarketplace() {
+    this.dashboardView.classList.remove('active');
+    this.settingsView.classList.remove('active');
+    this.profilesView.classList.remove('active');
+    this.globalView.classList.remove('active');
+    this.restoreView.classList.remove('active');
+    this.marketplaceView.classList.add('active');
+    
+    await this._loadCatalog();
+    this._renderMarketplace();
+  }
+
+  /**
+   * Load the catalog of plugins packaged with the extension
+   */
+  async _loadCatalog() {
+    this.marketGrid.innerHTML = '<div class="loading">Loading catalog...</div>';
+    
+    try {
+      const result = await this.ipc.request('marketplace:catalog');
+      this.catalog = result.catalog;
+    } catch (error) {
+      console.error('[Popup] Failed to load catalog:', error);
+      this.catalog = [];
+      this.marketGrid.innerHTML = `<div class="loading">⚠️ ${error.message}</div>`;
+    }
+  }
+
+  /**
+   * Render marketplace catalog
+   */
+  _renderMarketplace() {
+    this.marketGrid.innerHTML = '';
+    
+    const filtered = this._getFilteredPlugins(this.catalog, this.marketSearchInput.value, this.marketFilter);
+    
+    if (filtered.length === 0) {
+      this.marketGrid.innerHTML = this.catalog.length === 0
+        ? '<div class="loading">No plugins available</div>'
+        : '<div class="loading">No plugins found</div>';
+      return;
+    }
+    
+    filtered.forEach(entry => {
+      const card = this.uiGenerator.generateMarketplaceCard(entry, {
+        onInstall: (plugin) => this._installPlugin(plugin),
+        onUninstall: (plugin) => this._uninstallPlugin(plugin)
+      });
+      this.marketGrid.appendChild(card);
+    });
+  }
+
+  /**
+   * Install a plugin from the marketplace
+   * It shows up on the dashboard switched off; enabling it asks for its permissions
+   */
+  async _installPlugin(entry) {
+    try {
+      await this.ipc.request('marketplace:install', { pluginId: entry.id }, { timeout: 30000 });
+      this.pluginsChanged = true;
+    } catch (error) {
+      console.error(`[Popup] Failed to install ${entry.id}:`, error);
+      alert(`Failed to install ${entry.name}: ${error.message}`);
+    }
+    
+    await this._loadCatalog();
+    this._renderMarketplace();
+  }
+
+  /**
+   * Uninstall a plugin and delete its data
+   */
+  async _uninstallPlugin(entry) {
+    const confirmed = confirm(`Uninstall ${entry.name}? Its settings and stored data will be deleted.`);
+    if (!confirmed) return;
+    
+    try {
+      await this.ipc.request('marketplace:uninstall', { pluginId: entry.id });
+      await this.settings.removePlugin(entry.id);
+      this.pluginsChanged = true;
+    } catch (error) {
+      console.error(`[Popup] Failed to uninstall ${entry.id}:`, error);
+      alert(`Failed to uninstall ${entry.name}: ${error.message}`);
+    }
+    
+    await this._loadCatalog();
+    this._renderMarketplace();
   }
 
   /**
    * Update a setting
+   * The active tab checks the value against the full schema first (custom
+   * validators don't survive messaging), so rejected values aren't saved.
+   * Valid values are saved with the other edits made in quick succession.
+   * @returns {Promise<object[]|null>} Validation errors to show inline, or null
    */
   async _updateSetting(pluginId, key, value) {
     try {
-      await this.settings.set(pluginId, key, value);
+      const errors = await this._validateInTab(pluginId, key, value);
+      if (errors) {
+        return errors;
+      }
       
-      // Notify active tab's content script
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tabs && tabs.length > 0) {
-        chrome.tabs.sendMessage(tabs[0].id, {
-          type: 'EVENT',
-          event: 'settings:change',
-          data: { pluginId, key, value }
-        });
+      const { valid, errors: localErrors } = this.settings.validate(pluginId, key, value);
+      if (!valid) {
+        return localErrors;
       }
+      
+      this._queueSettingEdit(pluginId, key, value);
+      return null;
     } catch (error) {
       console.error(`[Popup] Failed to update setting ${key}:`, error);
-      alert(`Failed to update setting: ${error.message}`);
+      return error.errors || [{ path: key, message: error.message }];
+    }
+  }
+
+  /**
+   * Hold an edit until the user pauses, so tabs get the edits as one change
+   * and plugins watching several settings (watchMany) re-run once
+   */
+  _queueSettingEdit(pluginId, key, value) {
+    if (this.pendingEdits && this.pendingEdits.pluginId !== pluginId) {
+      this._flushSettingEdits();
+    }
+    if (!this.pendingEdits) {
+      this.pendingEdits = { pluginId, values: {}, timer: null };
+    }
+    
+    const edits = this.pendingEdits;
+    edits.values[key] = value;
+    clearTimeout(edits.timer);
+    edits.timer = setTimeout(() => this._flushSettingEdits(), this.EDIT_GROUP_DELAY);
+  }
+
+  /**
+   * Save the grouped edits in one write
+   */
+  async _flushSettingEdits() {
+    const edits = this.pendingEdits;
+    if (!edits) return;
+    
+    clearTimeout(edits.timer);
+    this.pendingEdits = null;
+    
+    try {
+      await this.settings.setMany(edits.pluginId, edits.values);
+      await this.settings.flush();
+    } catch (error) {
+      console.error(`[Popup] Failed to save settings for ${edits.pluginId}:`, error);
+      alert(`Failed to save settings: ${error.message}`);
     }
   }
 
+  /**
+   * Send a setting change to the active tab's content script
+   * @returns {Promise<object[]|null>} Errors if the tab rejected the value
+   */
+  async _validateInTab(pluginId, key, value) {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tabs || tabs.length === 0) return null;
+    
+    return new Promise(resolve => {
+      chrome.tabs.sendMessage(tabs[0].id, {
+        type: 'REQUEST',
+        action: 'settings:change',
+        data: { pluginId, key, value },
+        requestId: Date.now()
+      }, (response) => {
+        // Without a content script the value is only checked here
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        
+        const result = response?.data;
+        resolve(result && result.success === false ? result.errors : null);
+      });
+    });
+  }
+
   /**
    * Reset plugin settings to defaults
    */
   async _resetSettings() {
     if (!this.currentPlugin) return;
     
+    await this._flushSettingEdits();
+    
     const confirmed = confirm(`Reset ${this.currentPlugin.name} settings to defaults?`);
     if (!confirmed) return;
     
@@ -374,25 +941,34 @@ class PopupUI {
 
   /**
    * Export plugin settings
+   * Uses the backup format, so the plugin's data and enabled state come along
    */
-  _exportSettings() {
+  async _exportSettings() {
     if (!this.currentPlugin) return;
     
-    const settings = this.settings.getAll(this.currentPlugin.id);
-    const json = JSON.stringify(settings, null, 2);
+    await this._flushSettingEdits();
     
-    // Create download
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${this.currentPlugin.id}-settings.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    try {
+      const json = await this.backups.export([this.currentPlugin.id]);
+      
+      // Create download
+      const blob = new Blob([json], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${this.currentPlugin.id}-settings.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('[Popup] Failed to export settings:', error);
+      alert(`Failed to export settings: ${error.message}`);
+    }
   }
 
   /**
    * Import plugin settings
+   * Backups open the restore preview with just this plugin selected;
+   * plain settings objects (older exports) are applied directly.
    */
   _importSettings() {
     if (!this.currentPlugin) return;
@@ -409,6 +985,15 @@ class PopupUI {
         const text = await file.text();
         const settings = JSON.parse(text);
         
+        if (settings.type === this.backups.TYPE) {
+          const pluginId = this.currentPlugin.id;
+          await this._previewRestore(text, {
+            only: [`plugin:${pluginId}`],
+            onClose: () => this._showSettings(pluginId)
+          });
+          return;
+        }
+        
         // Update settings
         await this.settings.setMany(this.currentPlugin.id, settings);
         
@@ -425,6 +1010,783 @@ class PopupUI {
     input.click();
   }
 
+  /**
+   * Show global settings
+   */
+  async _showGlobalSettings() {
+    this.dashboardView.classList.remove('active');
+    this.settingsView.classList.remove('active');
+    this.marketplaceView.classList.remove('active');
+    this.profilesView.classList.remove('active');
+    this.restoreView.classList.remove('active');
+    this.globalView.classList.add('active');
+    this.currentPlugin = null;
+    
+    await this._renderGlobalSettings();
+  }
+
+  /**
+   * Render the global settings panel and storage info
+   */
+  async _renderGlobalSettings() {
+    const core = {};
+    Object.keys(this.settings.CORE_SCHEMA).forEach(key => {
+      core[key] = this.settings.get('core', key);
+    });
+    
+    const panel = this.uiGenerator.generateSettingsPanel(
+      'core',
+      this.settings.CORE_SCHEMA,
+      core,
+      (key, value) => this._updateCoreSetting(key, value)
+    );
+    this.globalContent.innerHTML = '';
+    this.globalContent.appendChild(panel);
+    
+    this._renderVaultControls();
+    
+    this.storageBackendSelect.value = this.storage.getBackend();
+    try {
+      const { bytesInUse, quota } = await this.storage.size();
+      this.storageUsage.textContent = `Using ${(bytesInUse / 1024).toFixed(1)} KB of ${Math.round(quota / 1024)} KB`;
+      
+      if (this.storage.getBackend() === 'sync') {
+        this.storageUsage.textContent += `\n${await this._describeSync()}`;
+      }
+    } catch (error) {
+      this.storageUsage.textContent = '';
+    }
+  }
+
+  /**
+   * Summarize the sync state kept by the background worker
+   * @returns {Promise<string>} Status line(s)
+   */
+  async _describeSync() {
+    const status = await this.ipc.request('sync:status', null, { timeout: 3000 });
+    const lines = [];
+    
+    const used = status.bytesInUse === null ? '' : ` • ${(status.bytesInUse / 1024).toFixed(1)} KB of ${Math.round(status.quota / 1024)} KB`;
+    const last = status.lastSync ? new Date(status.lastSync).toLocaleString() : 'not yet';
+    lines.push(`Synced: ${last}${used}`);
+    
+    if (status.lastError) {
+      lines.push(`Last sync failed: ${status.lastError}`);
+    }
+    if (status.skipped.length > 0) {
+      const keys = status.skipped.map(({ key }) => key).join(', ');
+      lines.push(`Only on this device (too large for sync): ${keys}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Save a global setting
+   * Open tabs and the background worker pick it up from storage
+   * @returns {Promise<object[]|null>} Errors, or null if saved
+   */
+  async _updateCoreSetting(key, value) {
+    try {
+      await this.settings.set('core', key, value);
+      await this.settings.flush();
+      
+      if (key === 'ipcTimeout') {
+        this.ipc.defaultTimeout = value;
+      }
+      return null;
+    } catch (error) {
+      console.error(`[Popup] Failed to update global setting ${key}:`, error);
+      return error.errors || [{ path: key, message: error.message }];
+    }
+  }
+
+  /**
+   * Turn syncing across devices on or off
+   */
+  async _changeStorageBackend(backend) {
+    const previous = this.storage.getBackend();
+    if (backend === previous) return;
+    
+    if (backend === 'sync') {
+      const confirmed = confirm('Sync settings and plugin data with your browser account? Where another device already synced something, its newer values replace the ones here.');
+      if (!confirmed) {
+        this.storageBackendSelect.value = previous;
+        return;
+      }
+    }
+    
+    this.storageBackendSelect.disabled = true;
+    try {
+      await this.ipc.request('storage:backend', { backend }, { timeout: 30000 });
+    } catch (error) {
+      console.error(`[Popup] Failed to switch storage to ${backend}:`, error);
+      alert(`Failed to switch storage: ${error.message}`);
+    } finally {
+      this.storageBackendSelect.disabled = false;
+      await this._renderGlobalSettings();
+    }
+  }
+
+  /**
+   * Ask the background worker whether encrypted storage is set up and unlocked,
+   * then update the unlock banner, lock button and global settings section
+   */
+  async _refreshVault() {
+    try {
+      this.vaultStatus = await this.ipc.request('vault:status', null, { timeout: 3000 });
+    } catch (error) {
+      console.warn('[Popup] Failed to get encrypted storage status:', error);
+      this.vaultStatus = null;
+    }
+    
+    const status = this.vaultStatus;
+    this.lockBtn.hidden = !status?.setUp || status.locked;
+    
+    this.vaultBanner.innerHTML = '';
+    if (status?.setUp && status.locked) {
+      this.vaultBanner.appendChild(
+        this.uiGenerator.generateVaultPrompt((passphrase) => this._unlockVault(passphrase))
+      );
+    }
+    
+    if (this.globalView.classList.contains('active')) {
+      this._renderVaultControls();
+    }
+  }
+
+  /**
+   * Render the encrypted storage section of the global settings
+   */
+  _renderVaultControls() {
+    const status = this.vaultStatus;
+    this.vaultControls.innerHTML = '';
+    
+    const note = document.createElement('div');
+    note.className = 'source-note';
+    this.vaultControls.appendChild(note);
+    
+    if (!status) {
+      note.textContent = 'Encrypted storage status is unavailable.';
+      return;
+    }
+    
+    if (!status.setUp) {
+      note.textContent = 'Set a passphrase to let plugins keep sensitive data encrypted. It can\'t be recovered if you forget it.';
+      
+      const form = document.createElement('form');
+      form.className = 'vault-form';
+      const passphrase = this._createPassphraseInput('New passphrase', 'new-password');
+      const confirmation = this._createPassphraseInput('Repeat passphrase', 'new-password');
+      const button = document.createElement('button');
+      button.type = 'submit';
+      button.className = 'btn';
+      button.textContent = 'Set Passphrase';
+      
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this._setUpVault(passphrase.value, confirmation.value);
+      });
+      
+      form.append(passphrase, confirmation, button);
+      this.vaultControls.appendChild(form);
+      return;
+    }
+    
+    const autoLock = status.autoLock > 0
+      ? `locks after ${status.autoLock} min without input`
+      : 'locks when the browser closes';
+    note.textContent = status.locked
+      ? 'Locked. Unlock it from the plugin list.'
+      : `Unlocked, ${autoLock}.`;
+    
+    const actions = document.createElement('div');
+    actions.className = 'vault-actions';
+    
+    if (!status.locked) {
+      const lockButton = document.createElement('button');
+      lockButton.className = 'btn';
+      lockButton.textContent = 'Lock Now';
+      lockButton.addEventListener('click', () => this._lockVault());
+      actions.appendChild(lockButton);
+    }
+    
+    const resetButton = document.createElement('button');
+    resetButton.className = 'btn';
+    resetButton.textContent = 'Forgot Passphrase';
+    resetButton.addEventListener('click', () => this._resetVault());
+    actions.appendChild(resetButton);
+    
+    this.vaultControls.appendChild(actions);
+  }
+
+  /**
+   * Create a password input for the encrypted storage forms
+   * @returns {HTMLInputElement} Input element
+   */
+  _createPassphraseInput(placeholder, autocomplete) {
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.className = 'text-input';
+    input.placeholder = placeholder;
+    input.autocomplete = autocomplete;
+    return input;
+  }
+
+  /**
+   * Set the passphrase for encrypted storage
+   */
+  async _setUpVault(passphrase, confirmation) {
+    if (passphrase !== confirmation) {
+      alert('The passphrases don\'t match.');
+      return;
+    }
+    
+    try {
+      await this.ipc.request('vault:setup', { passphrase }, { timeout: 30000 });
+    } catch (error) {
+      console.error('[Popup] Failed to set up encrypted storage:', error);
+      alert(`Failed to set up encrypted storage: ${error.message}`);
+    }
+    await this._refreshVault();
+  }
+
+  /**
+   * Unlock encrypted storage
+   * @returns {Promise<string|null>} Error message for the prompt, or null once unlocked
+   */
+  async _unlockVault(passphrase) {
+    try {
+      await this.ipc.request('vault:unlock', { passphrase }, { timeout: 30000 });
+    } catch (error) {
+      console.warn('[Popup] Failed to unlock encrypted storage:', error);
+      return error.message;
+    }
+    await this._refreshVault();
+    return null;
+  }
+
+  /**
+   * Lock encrypted storage everywhere
+   */
+  async _lockVault() {
+    try {
+      await this.ipc.request('vault:lock');
+    } catch (error) {
+      console.error('[Popup] Failed to lock encrypted storage:', error);
+      alert(`Failed to lock encrypted storage: ${error.message}`);
+    }
+    await this._refreshVault();
+  }
+
+  /**
+   * Delete the passphrase and all encrypted plugin data
+   */
+  async _resetVault() {
+    const confirmed = confirm('Delete the passphrase and all encrypted plugin data? Plugins lose the data they protected. This can\'t be undone.');
+    if (!confirmed) return;
+    
+    try {
+      const { deleted } = await this.ipc.request('vault:reset');
+      alert(`Encrypted storage was reset, ${deleted} value(s) deleted.`);
+    } catch (error) {
+      console.error('[Popup] Failed to reset encrypted storage:', error);
+      alert(`Failed to reset encrypted storage: ${error.message}`);
+    }
+    await this._refreshVault();
+  }
+
+  /**
+   * Download a backup of everything the extension stores
+   */
+  async _exportBackup() {
+    try {
+      const json = await this.backups.export();
+      
+      const blob = new Blob([json], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `betterlooksmax-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('[Popup] Failed to export backup:', error);
+      alert(`Failed to back up: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick a backup file and preview restoring it
+   */
+  _restoreBackup() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json';
+    
+    input.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      
+      try {
+        await this._previewRestore(await file.text(), {
+          onClose: () => this._showGlobalSettings()
+        });
+      } catch (error) {
+        console.error('[Popup] Failed to read backup:', error);
+        alert(`Failed to read backup: ${error.message}`);
+      }
+    });
+    
+    input.click();
+  }
+
+  /**
+   * Show what restoring a backup would change
+   * The active tab plans it against the settings schemas of its loaded
+   * plugins; without one the popup plans it (schemas unchecked).
+   * @param {string} json - Backup file contents
+   * @param {object} options - {only: item IDs to preselect (all if omitted), onClose}
+   */
+  async _previewRestore(json, options = {}) {
+    const backup = this.backups.parse(json);
+    await this.settings.reload();
+    
+    const plan = await this._planInTab(json) || await this.backups.plan(backup);
+    this.pendingRestore = { json, plan, onClose: options.onClose };
+    
+    const date = plan.createdAt ? new Date(plan.createdAt).toLocaleString() : 'an unknown date';
+    this.restoreSummary.textContent = `Backup from ${date}. Pick what to restore and how.`;
+    this.restoreList.innerHTML = '';
+    
+    plan.items.forEach(item => {
+      const selected = options.only ? options.only.includes(item.id) : item.status !== 'unchanged';
+      this.restoreList.appendChild(this._renderRestoreItem(item, selected));
+    });
+    
+    this.dashboardView.classList.remove('active');
+    this.settingsView.classList.remove('active');
+    this.globalView.classList.remove('active');
+    this.restoreView.classList.add('active');
+  }
+
+  /**
+   * Plan a restore in the active tab
+   * @returns {Promise<object|null>} Plan, or null without a content script
+   */
+  async _planInTab(json) {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tabs || tabs.length === 0) return null;
+    
+    return new Promise(resolve => {
+      chrome.tabs.sendMessage(tabs[0].id, {
+        type: 'REQUEST',
+        action: 'backup:plan',
+        data: { json },
+        requestId: Date.now()
+      }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          resolve(null);
+          return;
+        }
+        resolve(response.data);
+      });
+    });
+  }
+
+  /**
+   * Render one part of a backup in the restore preview
+   */
+  _renderRestoreItem(item, selected) {
+    const conflict = item.errors.length > 0 || item.notes.some(note => note.includes('newer version'));
+    
+    const element = document.createElement('div');
+    element.className = `restore-item ${conflict ? 'conflict' : ''}`;
+    element.dataset.itemId = item.id;
+    
+    const header = document.createElement('div');
+    header.className = 'restore-item-header';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `restore-${item.id}`;
+    checkbox.checked = selected;
+    checkbox.className = 'restore-select';
+    header.appendChild(checkbox);
+    
+    const label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.textContent = item.kind === 'plugin'
+      ? this.plugins.find(p => p.id === item.pluginId)?.name || item.label
+      : item.label;
+    header.appendChild(label);
+    
+    const strategy = document.createElement('select');
+    strategy.className = 'select-input restore-strategy';
+    [['merge', 'Merge'], ['keep', 'Keep mine'], ['replace', 'Replace']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      strategy.appendChild(option);
+    });
+    header.appendChild(strategy);
+    element.appendChild(header);
+    
+    const counts = { added: 0, changed: 0, removed: 0 };
+    item.changes.forEach(change => counts[change.type]++);
+    
+    const meta = document.createElement('div');
+    meta.className = 'restore-meta';
+    meta.textContent = item.status === 'new'
+      ? `New • ${counts.added} value${counts.added === 1 ? '' : 's'}`
+      : `${counts.changed} changed • ${counts.added} added • ${counts.removed} only here`;
+    element.appendChild(meta);
+    
+    item.notes.forEach(text => {
+      const note = document.createElement('div');
+      note.className = 'restore-note';
+      note.textContent = text;
+      element.appendChild(note);
+    });
+    
+    item.errors.forEach(({ path, message }) => {
+      const error = document.createElement('div');
+      error.className = 'restore-error';
+      error.textContent = `Skipped ${path}: ${message}`;
+      element.appendChild(error);
+    });
+    
+    if (item.changes.length > 0) {
+      const details = document.createElement('details');
+      details.className = 'restore-changes';
+      
+      const summary = document.createElement('summary');
+      summary.textContent = 'Show changes';
+      details.appendChild(summary);
+      
+      const list = document.createElement('ul');
+      const format = (value) => JSON.stringify(value)?.slice(0, 60);
+      item.changes.forEach(({ section, key, type, from, to }) => {
+        const entry = document.createElement('li');
+        const name = item.kind === 'plugin' && section !== 'enabled' ? `${section}.${key}` : key;
+        entry.textContent = type === 'added'
+          ? `+ ${name}: ${format(to)}`
+          : type === 'removed'
+            ? `− ${name} (only here, Replace deletes it)`
+            : `~ ${name}: ${format(from)} → ${format(to)}`;
+        list.appendChild(entry);
+      });
+      details.appendChild(list);
+      element.appendChild(details);
+    }
+    
+    return element;
+  }
+
+  /**
+   * Restore the parts picked in the preview
+   * The background worker restores them and tells every tab to reload settings
+   */
+  async _restoreSelected() {
+    if (!this.pendingRestore) return;
+    
+    const { json, plan } = this.pendingRestore;
+    const items = {};
+    const skipKeys = {};
+    
+    this.restoreList.querySelectorAll('.restore-item').forEach(element => {
+      if (!element.querySelector('.restore-select').checked) return;
+      
+      const item = plan.items.find(i => i.id === element.dataset.itemId);
+      items[item.id] = element.querySelector('.restore-strategy').value;
+      if (item.skipKeys.length > 0) skipKeys[item.id] = item.skipKeys;
+    });
+    
+    if (Object.keys(items).length === 0) {
+      alert('Nothing selected');
+      return;
+    }
+    
+    const replacing = Object.values(items).includes('replace');
+    const confirmed = confirm(replacing
+      ? `Restore ${Object.keys(items).length} item(s)? Replace deletes anything in those items that isn't in the backup.`
+      : `Restore ${Object.keys(items).length} item(s)?`);
+    if (!confirmed) return;
+    
+    this.restoreSelectedBtn.disabled = true;
+    try {
+      const { skipped } = await this.ipc.request('backup:restore', { json, selection: { items, skipKeys } }, { timeout: 30000 });
+      await this.settings.reload(true);
+      await this._afterGlobalChange();
+      
+      const skippedCount = Object.values(skipped).reduce((sum, keys) => sum + keys.length, 0);
+      alert(skippedCount > 0 ? `Backup restored (${skippedCount} invalid value(s) skipped)` : 'Backup restored');
+      this._closeRestore();
+    } catch (error) {
+      console.error('[Popup] Failed to restore backup:', error);
+      alert(`Failed to restore: ${error.message}`);
+    } finally {
+      this.restoreSelectedBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Leave the restore preview
+   */
+  _closeRestore() {
+    const onClose = this.pendingRestore?.onClose;
+    this.pendingRestore = null;
+    
+    if (onClose) {
+      onClose();
+    } else {
+      this._showDashboard();
+    }
+  }
+
+  /**
+   * Reset every setting and delete all data
+   */
+  async _resetEverything() {
+    const confirmed = confirm('Reset everything? All plugin settings and data, profiles, schedules and installed plugins are deleted. Consider backing up first.');
+    if (!confirmed) return;
+    
+    try {
+      await this.ipc.request('settings:reset-all', null, { timeout: 30000 });
+      await this.settings.resetAll(false);
+      await this._afterGlobalChange();
+    } catch (error) {
+      console.error('[Popup] Failed to reset everything:', error);
+      alert(`Failed to reset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-render after a reset or restore
+   */
+  async _afterGlobalChange() {
+    this.ipc.defaultTimeout = this.settings.get('core', 'ipcTimeout');
+    this.pluginsChanged = true;
+    this._renderProfileSelect();
+    await this._renderGlobalSettings();
+  }
+
+  /**
+   * Fill the header profile switcher
+   */
+  _renderProfileSelect() {
+    const active = this.settings.getActiveProfile();
+    this.profileSelect.innerHTML = '';
+    
+    const addOption = (value, label) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      this.profileSelect.appendChild(option);
+    };
+    
+    if (!active) {
+      addOption('', 'No profile');
+    }
+    this.settings.getProfiles().forEach(({ name }) => addOption(name, name));
+    addOption('__manage__', 'Manage profiles…');
+    
+    this.profileSelect.value = active || '';
+  }
+
+  /**
+   * Switch every tab to a profile
+   * The background worker stores it and broadcasts the switch
+   */
+  async _switchProfile(name) {
+    this.profileSelect.disabled = true;
+    try {
+      await this.ipc.request('profile:switch', { name }, { timeout: 15000 });
+      await this.settings.reload();
+      await this.refresh();
+      
+      if (this.profilesView.classList.contains('active')) {
+        this._renderProfiles();
+      }
+    } catch (error) {
+      console.error(`[Popup] Failed to switch to profile ${name}:`, error);
+      alert(`Failed to switch profile: ${error.message}`);
+    } finally {
+      this.profileSelect.disabled = false;
+      this._renderProfileSelect();
+    }
+  }
+
+  /**
+   * Show profile management
+   */
+  _showProfiles() {
+    this.dashboardView.classList.remove('active');
+    this.settingsView.classList.remove('active');
+    this.marketplaceView.classList.remove('active');
+    this.globalView.classList.remove('active');
+    this.restoreView.classList.remove('active');
+    this.profilesView.classList.add('active');
+    this.currentPlugin = null;
+    
+    this._renderProfiles();
+  }
+
+  /**
+   * Render saved profiles
+   */
+  _renderProfiles() {
+    const profiles = this.settings.getProfiles();
+    const active = this.settings.getActiveProfile();
+    this.profileList.innerHTML = '';
+    this.profileSchedule.innerHTML = '';
+    
+    if (profiles.length === 0) {
+      this.profileList.innerHTML = '<div class="loading">No profiles saved yet</div>';
+      return;
+    }
+    
+    this._renderProfileSchedule(profiles);
+    
+    profiles.forEach(profile => {
+      const item = document.createElement('div');
+      item.className = `profile-item ${profile.name === active ? 'active' : ''}`;
+      
+      const name = document.createElement('div');
+      name.className = 'profile-name';
+      name.textContent = profile.name === active ? `${profile.name} (active)` : profile.name;
+      item.appendChild(name);
+      
+      const meta = document.createElement('div');
+      meta.className = 'profile-meta';
+      meta.textContent = `${profile.enabled} of ${profile.plugins} plugins enabled • Saved ${new Date(profile.updatedAt).toLocaleString()}`;
+      item.appendChild(meta);
+      
+      const actions = document.createElement('div');
+      actions.className = 'profile-actions';
+      
+      const buttons = [
+        ['Switch', () => this._switchProfile(profile.name)],
+        ['Update', () => this._saveProfile(profile.name, true)],
+        ['Export', () => this._exportProfiles([profile.name])],
+        ['Delete', () => this._deleteProfile(profile.name)]
+      ];
+      buttons.forEach(([label, handler]) => {
+        const button = document.createElement('button');
+        button.className = 'btn';
+        button.textContent = label;
+        button.addEventListener('click', handler);
+        actions.appendChild(button);
+      });
+      
+      item.appendChild(actions);
+      this.profileList.appendChild(item);
+    });
+  }
+
+  /**
+   * Render the rules that switch profiles by time or context
+   */
+  async _renderProfileSchedule(profiles) {
+    const names = profiles.map(profile => profile.name);
+    const section = this.uiGenerator.generateActivationSection({
+      targets: names.map(name => ({ label: name, target: { profile: name } })),
+      rules: this.settings.getActivationRules().filter(rule => names.includes(rule.target.profile)),
+      status: await this._getActivationStatus(),
+      description: 'Switch to a profile while a rule matches, and back to the previous one when it stops matching.',
+      onAdd: (rule) => this._addActivationRule(rule, () => this._renderProfiles()),
+      onRemove: (id) => this._removeActivationRule(id, () => this._renderProfiles())
+    });
+    
+    this.profileSchedule.innerHTML = '';
+    this.profileSchedule.appendChild(section);
+  }
+
+  /**
+   * Save the current plugin setup as a profile
+   * @param {string} name - Profile name
+   * @param {boolean} overwrite - Replace an existing profile without asking
+   */
+  async _saveProfile(name, overwrite = false) {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    
+    if (!overwrite && this.settings.getProfile(trimmed)) {
+      const confirmed = confirm(`Replace the "${trimmed}" profile with the current setup?`);
+      if (!confirmed) return;
+    }
+    
+    try {
+      // Other tabs may have changed settings since the popup opened
+      await this.settings.reload();
+      await this.settings.saveProfile(trimmed);
+      this.profileNameInput.value = '';
+      this._renderProfiles();
+      this._renderProfileSelect();
+    } catch (error) {
+      console.error(`[Popup] Failed to save profile ${trimmed}:`, error);
+      alert(`Failed to save profile: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a profile
+   */
+  async _deleteProfile(name) {
+    const confirmed = confirm(`Delete the "${name}" profile? Plugin settings stay as they are.`);
+    if (!confirmed) return;
+    
+    try {
+      await this.settings.deleteProfile(name);
+      this._renderProfiles();
+      this._renderProfileSelect();
+    } catch (error) {
+      console.error(`[Popup] Failed to delete profile ${name}:`, error);
+      alert(`Failed to delete profile: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download profiles as JSON
+   * @param {string[]} names - Profiles to export (all if omitted)
+   */
+  _exportProfiles(names = null) {
+    const json = this.settings.exportProfiles(names);
+    
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = names?.length === 1 ? `profile-${names[0]}.json` : 'betterlooksmax-profiles.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Import profiles from a JSON file
+   */
+  _importProfiles() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json';
+    
+    input.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      
+      try {
+        const names = await this.settings.importProfiles(await file.text());
+        this._renderProfiles();
+        this._renderProfileSelect();
+        alert(`Imported ${names.length} profile${names.length !== 1 ? 's' : ''}: ${names.join(', ')}`);
+      } catch (error) {
+        console.error('[Popup] Failed to import profiles:', error);
+        alert(`Failed to import profiles: ${error.message}`);
+      }
+    });
+    
+    input.click();
+  }
+
   /**
    * Update footer statistics
    */
@@ -0,0 +1,137 @@
+/**
+ * ActivationScheduler tests - a fake clock and alarms drive the scheduler
+ * Run with `node --test tests/`
+ *
+ * Times are built with the local-time Date constructor, like the scheduler's
+ * windows, so the tests pass in any time zone. 2025-01-06 is a Monday.
+ */
+
+import { resetStorage } from '../helpers/chrome.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ActivationScheduler } from '../../src/core/ActivationScheduler.js';
+import StorageAdapter from '../../src/core/StorageAdapter.js';
+
+const at = (day, hour, minute = 0) => new Date(2025, 0, day, hour, minute).getTime();
+
+const WEEKDAYS = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+const OVERNIGHT = { days: [5], start: '22:00', end: '02:00' };
+
+function createClock(now) {
+  return { now: () => now, set: (time) => { now = time; } };
+}
+
+function createAlarms() {
+  const alarms = new Map();
+  return {
+    alarms,
+    create: async (name, info) => { alarms.set(name, info); },
+    clear: async (name) => alarms.delete(name),
+    onAlarm: { addListener() {} }
+  };
+}
+
+// Just enough of SettingsStore for rules that enable and disable a plugin
+function createSettings(rules) {
+  const enabled = { 'public-mode': false };
+  return {
+    settings: { plugins: { 'public-mode': {} } },
+    enabled,
+    reload: async () => {},
+    flush: async () => {},
+    getActivationRules: () => rules,
+    isEnabled: (id) => enabled[id],
+    enable: async (id) => { enabled[id] = true; },
+    disable: async (id) => { enabled[id] = false; }
+  };
+}
+
+function createScheduler(rules, now) {
+  const clock = createClock(now);
+  const alarms = createAlarms();
+  const settings = createSettings(rules);
+  const broadcasts = [];
+  const scheduler = new ActivationScheduler({
+    clock,
+    alarms,
+    settings,
+    storage: StorageAdapter,
+    ipc: { broadcast: async (event, data) => broadcasts.push({ event, data }) },
+    getContext: async () => ({ fullscreen: false })
+  });
+  return { scheduler, clock, alarms, settings, broadcasts };
+}
+
+beforeEach(() => resetStorage());
+
+test('a weekday window is open during working hours on weekdays only', () => {
+  const scheduler = new ActivationScheduler({ alarms: createAlarms() });
+
+  assert.equal(scheduler.isScheduled(WEEKDAYS, at(6, 8, 59)), false);
+  assert.equal(scheduler.isScheduled(WEEKDAYS, at(6, 9)), true);
+  assert.equal(scheduler.isScheduled(WEEKDAYS, at(10, 16, 59)), true);
+  assert.equal(scheduler.isScheduled(WEEKDAYS, at(10, 17)), false);
+  // Saturday and Sunday
+  assert.equal(scheduler.isScheduled(WEEKDAYS, at(11, 12)), false);
+  assert.equal(scheduler.isScheduled(WEEKDAYS, at(12, 12)), false);
+});
+
+test('an overnight window wraps past midnight into the next day', () => {
+  const scheduler = new ActivationScheduler({ alarms: createAlarms() });
+
+  // Opens Friday 22:00 and closes Saturday 02:00
+  assert.equal(scheduler.isScheduled(OVERNIGHT, at(10, 21, 59)), false);
+  assert.equal(scheduler.isScheduled(OVERNIGHT, at(10, 23)), true);
+  assert.equal(scheduler.isScheduled(OVERNIGHT, at(11, 1, 59)), true);
+  assert.equal(scheduler.isScheduled(OVERNIGHT, at(11, 2)), false);
+  // Saturday night isn't listed
+  assert.equal(scheduler.isScheduled(OVERNIGHT, at(11, 23)), false);
+
+  // Equal start and end means a whole day
+  assert.equal(scheduler.isScheduled({ days: [1], start: '06:00', end: '06:00' }, at(7, 5, 59)), true);
+});
+
+test('the next transition is the nearest window opening or closing', () => {
+  const scheduler = new ActivationScheduler({ alarms: createAlarms() });
+  const rules = [{ schedule: WEEKDAYS }, { schedule: OVERNIGHT }];
+
+  assert.equal(scheduler.getNextTransition(rules, at(6, 8)), at(6, 9));
+  assert.equal(scheduler.getNextTransition(rules, at(6, 9)), at(6, 17));
+  assert.equal(scheduler.getNextTransition(rules, at(10, 17)), at(10, 22));
+  assert.equal(scheduler.getNextTransition(rules, at(10, 22)), at(11, 2));
+  // Over the weekend to Monday morning
+  assert.equal(scheduler.getNextTransition(rules, at(11, 2)), at(13, 9));
+  // Context-only rules have no transition time
+  assert.equal(scheduler.getNextTransition([{ context: ['fullscreen'] }], at(6, 8)), null);
+});
+
+test('evaluations follow the fake clock and set the next alarm', async () => {
+  const rule = { id: 'work', target: { plugin: 'public-mode' }, schedule: WEEKDAYS };
+  const { scheduler, clock, alarms, settings, broadcasts } = createScheduler([rule], at(6, 8));
+
+  let run = await scheduler.evaluate('test');
+  assert.deepEqual(run.changes, []);
+  assert.equal(settings.enabled['public-mode'], false);
+  assert.deepEqual(alarms.alarms.get(scheduler.ALARM), { when: at(6, 9) });
+
+  clock.set(at(6, 9));
+  run = await scheduler.evaluate('alarm');
+  assert.equal(settings.enabled['public-mode'], true);
+  assert.deepEqual(broadcasts.pop(), {
+    event: 'activation:changed',
+    data: { changes: [{ pluginId: 'public-mode', enabled: true }] }
+  });
+  assert.deepEqual(alarms.alarms.get(scheduler.ALARM), { when: at(6, 17) });
+
+  // Turned off by hand: stays off until the next transition
+  settings.enabled['public-mode'] = false;
+  clock.set(at(6, 12));
+  run = await scheduler.evaluate('alarm');
+  assert.deepEqual(run.changes, []);
+  assert.equal(settings.enabled['public-mode'], false);
+
+  clock.set(at(10, 17));
+  await scheduler.evaluate('alarm');
+  assert.deepEqual(alarms.alarms.get(scheduler.ALARM), { when: at(13, 9) });
+  assert.equal(alarms.alarms.has(scheduler.POLL_ALARM), false);
+});
@@ -0,0 +1,163 @@
+/**
+ * BackupManager tests - planning and restoring backups against in-memory storage
+ * Run with `node --test tests/`
+ */
+
+import { resetStorage } from '../helpers/chrome.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import BackupManager from '../../src/core/BackupManager.js';
+import SettingsStore from '../../src/core/SettingsStore.js';
+
+const stored = () => chrome.storage.local.data;
+
+/**
+ * A backup with one plugin, as another browser would have written it
+ */
+function createBackup(plugin) {
+  return BackupManager.parse({
+    type: BackupManager.TYPE,
+    version: BackupManager.VERSION,
+    createdAt: Date.now(),
+    plugins: { example: { version: '1.0.0', enabled: true, settings: {}, storage: {}, ...plugin } }
+  });
+}
+
+/**
+ * An in-memory stand-in for IndexedDBStore's backup methods
+ */
+function createDatabase(items = {}, collections = {}) {
+  return {
+    items,
+    collections,
+    isAvailable: () => true,
+    async export() {
+      return structuredClone({ items: this.items, collections: this.collections });
+    },
+    async set(values) {
+      Object.assign(this.items, structuredClone(values));
+    },
+    async remove(keys) {
+      keys.forEach(key => delete this.items[key]);
+    },
+    async replaceCollection(store, spec, records) {
+      this.collections[store] = structuredClone({ spec, records });
+    }
+  };
+}
+
+const IndexedDB = BackupManager.db;
+
+beforeEach(async () => {
+  BackupManager.db = IndexedDB;
+  resetStorage();
+  await SettingsStore.init();
+});
+
+test('restoring never grants permissions and leaves ungranted plugins off', async () => {
+  const backup = createBackup({
+    permissions: ['dom:write', 'network'],
+    siteRules: { matches: ['https://example.com/*'], excludeMatches: [] }
+  });
+
+  const plan = await BackupManager.plan(backup);
+  const item = plan.items.find(entry => entry.id === 'plugin:example');
+  assert.ok(item.notes.some(note => note.includes('dom:write, network')));
+  assert.ok(item.notes.some(note => note.startsWith('Stays off')));
+  assert.ok(!item.changes.some(change => change.section === 'enabled'));
+  assert.ok(item.changes.some(change => change.section === 'siteRules' && change.key === 'matches'));
+
+  await BackupManager.restore(backup, { items: { 'plugin:example': 'replace' } });
+
+  const plugin = stored().settings.plugins.example;
+  assert.equal(plugin.enabled, false);
+  assert.equal(plugin.permissions, undefined);
+  assert.deepEqual(plugin.siteRules.matches, ['https://example.com/*']);
+});
+
+test('restoring keeps the permissions granted here', async () => {
+  await SettingsStore.setPermissions('example', ['dom:write']);
+  const backup = createBackup({ permissions: ['dom:write', 'network'] });
+
+  const plan = await BackupManager.plan(backup);
+  const item = plan.items.find(entry => entry.id === 'plugin:example');
+  assert.ok(item.notes.some(note => note.includes('(network)')));
+  assert.ok(item.changes.some(change => change.section === 'enabled' && change.to === true));
+
+  await BackupManager.restore(backup, { items: { 'plugin:example': 'replace' } });
+
+  const plugin = stored().settings.plugins.example;
+  assert.equal(plugin.enabled, true);
+  assert.deepEqual(plugin.permissions, ['dom:write']);
+});
+
+test('backups leave encrypted storage out and restoring keeps it', async () => {
+  const token = { $encrypted: 1, iv: 'aXY=', data: 'ZGF0YQ==' };
+  await new Promise(resolve => chrome.storage.local.set({
+    vault: { salt: 'c2FsdA==', wrapped: 'a2V5' },
+    'example.token': token,
+    'example.theme': 'dark'
+  }, resolve));
+  await SettingsStore.setPermissions('example', []);
+
+  const backup = await BackupManager.create();
+  assert.equal(backup.data.vault, undefined);
+  assert.deepEqual(backup.plugins.example.storage, { theme: 'dark' });
+
+  await BackupManager.restore(createBackup({ storage: {} }), { items: { 'plugin:example': 'replace' } });
+
+  assert.deepEqual(stored()['example.token'], token);
+  assert.equal(stored()['example.theme'], undefined);
+  assert.ok(stored().vault);
+});
+
+test('backups include IndexedDB keys and collections', async () => {
+  const spec = { keyPath: 'id', autoIncrement: true, indexes: [] };
+  const database = createDatabase(
+    { 'example.history': [1, 2], 'other.history': [3] },
+    { 'example/threads': { spec, records: [{ id: 1, title: 'a' }] } }
+  );
+  BackupManager.db = database;
+  await SettingsStore.setPermissions('example', []);
+
+  const backup = BackupManager.parse(await BackupManager.export(['example']));
+  assert.equal(backup.version, 3);
+  assert.deepEqual(backup.plugins.example.db, {
+    items: { history: [1, 2] },
+    collections: { threads: { spec, records: [{ id: 1, title: 'a' }] } }
+  });
+
+  database.items['example.history'] = [];
+  database.collections['example/threads'].records = [];
+  database.collections['example/drafts'] = { spec, records: [{ id: 7 }] };
+
+  const plan = await BackupManager.plan(backup);
+  const item = plan.items.find(entry => entry.id === 'plugin:example');
+  assert.deepEqual(item.changes.map(({ section, key, type }) => `${type} ${section}.${key}`).sort(), [
+    'changed collections.threads',
+    'changed db.history',
+    'removed collections.drafts'
+  ]);
+
+  await BackupManager.restore(backup, { items: { 'plugin:example': 'replace' } });
+
+  assert.deepEqual(database.items, { 'example.history': [1, 2], 'other.history': [3] });
+  assert.deepEqual(database.collections['example/threads'].records, [{ id: 1, title: 'a' }]);
+  assert.deepEqual(database.collections['example/drafts'].records, []);
+});
+
+test('version 2 backups restore without touching IndexedDB', async () => {
+  const database = createDatabase({ 'example.history': [1] });
+  BackupManager.db = database;
+  await SettingsStore.setPermissions('example', []);
+
+  const backup = BackupManager.parse({
+    type: BackupManager.TYPE,
+    version: 2,
+    plugins: { example: { version: '1.0.0', enabled: true, settings: {}, storage: {} } }
+  });
+  assert.equal(backup.version, 3);
+
+  await BackupManager.restore(backup, { items: { 'plugin:example': 'replace' } });
+  assert.deepEqual(database.items, { 'example.history': [1] });
+});
@@ -0,0 +1,102 @@
+/**
+ * HookSystem tests - run with `node --test tests/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HookSystem } from '../../src/core/HookSystem.js';
+
+// Handler failures are logged; keep the test output readable
+console.error = () => {};
+
+test('failFast emit rejects with a synchronously thrown error and nothing else', async () => {
+  const hooks = new HookSystem();
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+
+  try {
+    hooks.register('test:sync', () => {
+      throw new Error('sync boom');
+    }, { plugin: 'a' });
+    hooks.register('test:sync', () => 'fine', { plugin: 'b' });
+
+    await assert.rejects(hooks.emit('test:sync', null, { failFast: true }), /sync boom/);
+
+    // Unhandled rejections are reported after the microtask queue drains
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(unhandled, []);
+  } finally {
+    process.off('unhandledRejection', onUnhandled);
+  }
+});
+
+test('failFast emit rejects with a timed out handler', async () => {
+  const hooks = new HookSystem();
+  hooks.register('test:slow', () => new Promise(() => {}), { plugin: 'a' });
+
+  await assert.rejects(
+    hooks.emit('test:slow', null, { failFast: true, timeout: 20 }),
+    error => error.timeout === true
+  );
+});
+
+test('emitters are only recorded for hooks that can be emitted', async () => {
+  const hooks = new HookSystem();
+
+  await assert.rejects(hooks.emit('test:*', null, { plugin: 'a' }), /patterns are only for subscribing/);
+  await assert.rejects(hooks.emit('', null, { plugin: 'a' }), /Invalid hook name/);
+  await hooks.emit('test:real', null, { plugin: 'a' });
+
+  // getEmitters('test:*') would match test:real, so look at what was recorded
+  assert.deepEqual([...hooks.emitters.keys()], ['test:real']);
+});
+
+test('handlers have no time limit unless one is set, and no timer is started', async () => {
+  const hooks = new HookSystem();
+  const errors = [];
+  hooks.errorHandler = (pluginId, error) => errors.push(error);
+
+  let signal = null;
+  hooks.register('test:slow', async (context) => {
+    signal = context.signal;
+    await new Promise(resolve => setTimeout(resolve, 30));
+    return 'done';
+  }, { plugin: 'a' });
+
+  const realSetTimeout = globalThis.setTimeout;
+  let timers = 0;
+  globalThis.setTimeout = (...args) => {
+    timers++;
+    return realSetTimeout(...args);
+  };
+  try {
+    const result = await hooks.emit('test:slow', null, { parallel: false });
+    assert.equal(result.data, 'done');
+  } finally {
+    globalThis.setTimeout = realSetTimeout;
+  }
+
+  // The handler's own wait is the only timer
+  assert.equal(timers, 1);
+  assert.equal(signal.aborted, false);
+  assert.deepEqual(errors, []);
+});
+
+test('a registration timeout still applies without an emit timeout', async () => {
+  const hooks = new HookSystem();
+  const errors = [];
+  hooks.errorHandler = (pluginId, error) => errors.push(error);
+
+  let signal = null;
+  hooks.register('test:stuck', (context) => {
+    signal = context.signal;
+    return new Promise(() => {});
+  }, { plugin: 'a', timeout: 20 });
+
+  await hooks.emit('test:stuck');
+
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].timeout, true);
+  assert.equal(signal.aborted, true);
+});
@@ -0,0 +1,81 @@
+/**
+ * IPCManager tests - requests handled before and during startup
+ * Run with `node --test tests/`
+ */
+
+import '../helpers/chrome.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IPCManager } from '../../src/core/IPCManager.js';
+
+/**
+ * Deliver a message the way chrome.runtime.onMessage would
+ * @returns {object} {kept, response} - kept is the listener's return value
+ */
+function deliver(ipc, message) {
+  let respond;
+  const response = new Promise(resolve => { respond = resolve; });
+  const kept = ipc.messageListener(message, { id: 'test' }, respond);
+  return { kept, response };
+}
+
+const request = (action, data = null) => ({ type: 'REQUEST', action, data, requestId: 1 });
+
+test('requests without a handler get an error reply', async () => {
+  const ipc = new IPCManager();
+  try {
+    const { kept, response } = deliver(ipc, request('nothing:here'));
+    assert.equal(kept, true);
+    assert.deepEqual(await response, { success: false, error: 'No handler for action: nothing:here' });
+  } finally {
+    ipc.destroy();
+  }
+});
+
+test('requests without a handler are left to other contexts when answerUnhandled is off', () => {
+  const ipc = new IPCManager();
+  try {
+    ipc.answerUnhandled = false;
+    ipc.on('known', () => 'ok');
+
+    assert.equal(deliver(ipc, request('nothing:here')).kept, false);
+    assert.equal(deliver(ipc, request('known')).kept, true);
+  } finally {
+    ipc.destroy();
+  }
+});
+
+test('holdUntil delays requests until startup settles', async () => {
+  const ipc = new IPCManager();
+  try {
+    let finishStartup;
+    ipc.holdUntil(new Promise(resolve => { finishStartup = resolve; }));
+
+    let ready = false;
+    ipc.on('settings:get', () => ready ? 'loaded' : 'too early');
+
+    const { kept, response } = deliver(ipc, request('settings:get'));
+    assert.equal(kept, true);
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    ready = true;
+    finishStartup();
+
+    assert.deepEqual(await response, { success: true, data: 'loaded', requestId: 1 });
+  } finally {
+    ipc.destroy();
+  }
+});
+
+test('a failed startup still lets requests through', async () => {
+  const ipc = new IPCManager();
+  try {
+    ipc.holdUntil(Promise.reject(new Error('settings failed')));
+    ipc.on('ping', () => 'pong');
+
+    const { response } = deliver(ipc, request('ping'));
+    assert.equal((await response).data, 'pong');
+  } finally {
+    ipc.destroy();
+  }
+});
@@ -0,0 +1,115 @@
+/**
+ * LifecycleManager tests - hot reloading a plugin other plugins depend on
+ * Run with `node --test tests/`
+ */
+
+import '../helpers/chrome.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { LifecycleManager } from '../../src/core/LifecycleManager.js';
+import PluginRegistry from '../../src/core/PluginRegistry.js';
+
+const { STATES } = PluginRegistry;
+
+// Failed restarts are logged; keep the test output readable
+console.error = () => {};
+
+let log;
+let lifecycle;
+
+/**
+ * Register a plugin instance that logs its lifecycle calls
+ */
+function addPlugin(manifest, revision = 1) {
+  const instance = {
+    ...manifest,
+    revision,
+    start: () => log.push(`start ${manifest.id}@${revision}`),
+    stop: () => log.push(`stop ${manifest.id}@${revision}`)
+  };
+
+  PluginRegistry.updateManifest(manifest);
+  PluginRegistry.setInstance(manifest.id, instance);
+  PluginRegistry.setState(manifest.id, STATES.LOADED);
+  return instance;
+}
+
+const BASE = { id: 'base', version: '1.0.0' };
+const MIDDLE = { id: 'middle', version: '1.0.0', dependencies: ['base@^1.0'] };
+const TOP = { id: 'top', version: '1.0.0', dependencies: ['middle', 'base'] };
+
+beforeEach(async () => {
+  PluginRegistry.clear();
+  log = [];
+  lifecycle = new LifecycleManager();
+
+  // Stands in for re-importing the plugin's module
+  lifecycle.loader = {
+    reloadPlugin: async (pluginId) => addPlugin({ ...BASE, id: pluginId }, 2)
+  };
+
+  for (const manifest of [BASE, MIDDLE, TOP]) {
+    addPlugin(manifest);
+    await lifecycle.initPlugin(manifest.id, {});
+    await lifecycle.startPlugin(manifest.id, {});
+  }
+  log = [];
+});
+
+test('hot reload stops active dependents first and restarts them after', async () => {
+  const apis = { middle: { id: 'middle' }, top: { id: 'top' } };
+  const reloaded = await lifecycle.hotReloadPlugin('base', {}, (id) => apis[id]);
+
+  assert.equal(reloaded, true);
+  assert.deepEqual(log, [
+    'stop top@1',
+    'stop middle@1',
+    'stop base@1',
+    'start base@2',
+    'start middle@1',
+    'start top@1'
+  ]);
+  for (const id of ['base', 'middle', 'top']) {
+    assert.equal(PluginRegistry.getState(id), STATES.ACTIVE);
+  }
+});
+
+test('hot reload leaves stopped dependents stopped', async () => {
+  await lifecycle.stopPlugin('top', {});
+  log = [];
+
+  await lifecycle.hotReloadPlugin('base', {});
+
+  assert.deepEqual(log, ['stop middle@1', 'stop base@1', 'start base@2', 'start middle@1']);
+  assert.equal(PluginRegistry.getState('top'), STATES.STOPPED);
+});
+
+test('a dependent the new version no longer satisfies is not restarted', async () => {
+  lifecycle.loader.reloadPlugin = async () => addPlugin({ ...BASE, version: '2.0.0' }, 2);
+
+  assert.equal(await lifecycle.hotReloadPlugin('base', {}), true);
+
+  assert.equal(PluginRegistry.getState('base'), STATES.ACTIVE);
+  assert.equal(PluginRegistry.getState('middle'), STATES.ERROR);
+  assert.match(PluginRegistry.getError('middle').message, /Requires base@\^1\.0, found 2\.0\.0/);
+});
+
+test('dependents stopped by a failed reload restart after the next one succeeds', async () => {
+  const reload = lifecycle.loader.reloadPlugin;
+  lifecycle.loader.reloadPlugin = async () => {
+    throw new Error('SyntaxError in base');
+  };
+
+  assert.equal(await lifecycle.hotReloadPlugin('base', {}), false);
+  assert.deepEqual(log, ['stop top@1', 'stop middle@1', 'stop base@1']);
+  assert.equal(PluginRegistry.getState('base'), STATES.ERROR);
+  log = [];
+
+  lifecycle.loader.reloadPlugin = reload;
+  assert.equal(await lifecycle.hotReloadPlugin('base', {}), true);
+
+  assert.deepEqual(log, ['start base@2', 'start middle@1', 'start top@1']);
+  for (const id of ['base', 'middle', 'top']) {
+    assert.equal(PluginRegistry.getState(id), STATES.ACTIVE);
+  }
+});
@@ -0,0 +1,145 @@
+/**
+ * Marketplace tests - PluginCatalog and PluginLoader against a local static
+ * server standing in for the extension package
+ * Run with `node --test tests/`
+ */
+
+import { chrome, resetStorage } from '../helpers/chrome.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, normalize } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { PluginCatalog } from '../../src/core/PluginCatalog.js';
+import { PluginLoader } from '../../src/core/PluginLoader.js';
+import PluginRegistry from '../../src/core/PluginRegistry.js';
+
+const plugin = (id) => `export default {
+  id: '${id}',
+  name: '${id}',
+  version: '1.0.0',
+  description: 'Served by the test server',
+  state: { started: 0 },
+  start() { this.state.started++; }
+};
+`;
+
+const CATALOG = {
+  plugins: [
+    { id: 'default-plugin', path: 'plugins/default-plugin', enabled: true, version: '1.0.0', category: 'filter' },
+    { id: 'optional-plugin', path: 'plugins/optional-plugin', enabled: false, version: '1.0.0', tags: ['ui'] }
+  ]
+};
+
+let root;
+let server;
+
+before(async () => {
+  root = await mkdtemp(join(tmpdir(), 'plugin-catalog-'));
+  for (const { id } of CATALOG.plugins) {
+    await mkdir(join(root, 'plugins', id), { recursive: true });
+    await writeFile(join(root, 'plugins', id, 'index.js'), plugin(id));
+  }
+  await writeFile(join(root, 'plugins', 'plugins.json'), JSON.stringify(CATALOG));
+
+  server = createServer(async (request, response) => {
+    const path = normalize(decodeURIComponent(new URL(request.url, 'http://localhost').pathname));
+    try {
+      const body = await readFile(join(root, path));
+      response.writeHead(200, {
+        'Content-Type': path.endsWith('.json') ? 'application/json' : 'text/javascript'
+      });
+      response.end(body);
+    } catch (error) {
+      response.writeHead(404);
+      response.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // The server is the extension package
+  chrome.runtime.getURL = (path) => `${base}/${path}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(root, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  resetStorage();
+  PluginRegistry.clear();
+});
+
+function createLoader(catalog) {
+  const loader = new PluginLoader();
+  loader.catalog = catalog;
+  // Node can't import over http, so modules come from the same files on disk
+  loader.import = (path) => {
+    const [file, query] = path.split('?');
+    return import(pathToFileURL(join(root, file)).href + (query ? `?${query}` : ''));
+  };
+  return loader;
+}
+
+test('only installed plugins are discovered, by default those enabled in the catalog', async () => {
+  const catalog = new PluginCatalog();
+
+  const entries = await catalog.getCatalog();
+  assert.deepEqual(entries.map(({ id, installed }) => [id, installed]), [
+    ['default-plugin', true],
+    ['optional-plugin', false]
+  ]);
+  assert.equal(entries[1].category, 'other');
+
+  assert.deepEqual(await createLoader(catalog).discoverPlugins(), ['default-plugin']);
+});
+
+test('installing loads the plugin into a running page and marks it user installed', async () => {
+  const catalog = new PluginCatalog();
+  const loader = createLoader(catalog);
+  await loader.discoverPlugins();
+
+  await assert.rejects(loader.installPlugin('optional-plugin'), /not installed/);
+
+  await catalog.installPlugin('optional-plugin');
+  const instance = await loader.installPlugin('optional-plugin');
+
+  assert.equal(instance.id, 'optional-plugin');
+  assert.equal(PluginRegistry.getState('optional-plugin'), PluginRegistry.STATES.LOADED);
+  assert.equal(loader.isUserInstalled('optional-plugin'), true);
+  assert.equal(loader.isUserInstalled('default-plugin'), false);
+
+  await assert.rejects(catalog.installPlugin('optional-plugin'), /already installed/);
+  await assert.rejects(catalog.installPlugin('unknown-plugin'), /not in the catalog/);
+});
+
+test('uninstalling deletes the plugin data and a reinstall starts from a fresh module', async () => {
+  const catalog = new PluginCatalog();
+  const loader = createLoader(catalog);
+  await loader.discoverPlugins();
+
+  const first = await loader.loadPlugin('default-plugin');
+  first.start();
+  await new Promise(resolve => chrome.storage.local.set({ 'default-plugin.presets': [1], other: true }, resolve));
+  const cleared = [];
+  catalog.db = { namespace: (pluginId) => ({ clear: async () => cleared.push(pluginId) }) };
+
+  await catalog.uninstallPlugin('default-plugin');
+  PluginRegistry.unregister('default-plugin');
+  loader.forgetPlugin('default-plugin');
+
+  assert.equal(chrome.storage.local.data['default-plugin.presets'], undefined);
+  assert.equal(chrome.storage.local.data.other, true);
+  assert.deepEqual(cleared, ['default-plugin']);
+  assert.deepEqual(await createLoader(catalog).discoverPlugins(), []);
+
+  await catalog.installPlugin('default-plugin');
+  const second = await loader.installPlugin('default-plugin');
+
+  assert.notEqual(second, first);
+  assert.equal(second.state.started, 0);
+});
@@ -0,0 +1,154 @@
+/**
+ * SyncEngine tests - two devices syncing through one in-memory sync area
+ * Run with `node --test tests/`
+ */
+
+import { createEvent, createStorageArea } from '../helpers/chrome.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SyncEngine } from '../../src/core/SyncEngine.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Devices with their own local area and engine, sharing a sync area and a clock
+ */
+function createDevices(count, options = {}) {
+  const hub = createEvent();
+  const remote = createStorageArea('sync', { QUOTA_BYTES: 102400, QUOTA_BYTES_PER_ITEM: 8192, MAX_ITEMS: 512, onChanged: hub });
+  const clock = { time: Date.UTC(2025, 0, 1), now() { return this.time; } };
+
+  const devices = Array.from({ length: count }, () => {
+    const onChanged = createEvent();
+    hub.addListener((changes, areaName) => onChanged.dispatch(changes, areaName));
+    const local = createStorageArea('local', { onChanged });
+    // Pushes only happen through sync() below
+    const engine = new SyncEngine({ local, remote, onChanged, clock, flushDelay: 60000, ...options });
+    return { local, engine };
+  });
+
+  return { devices, remote, clock };
+}
+
+const call = (area, method, arg) => new Promise(resolve => area[method](arg, resolve));
+
+async function start(devices) {
+  for (const { local, engine } of devices) {
+    await call(local, 'set', { storageBackend: 'sync' });
+    await engine.init();
+  }
+}
+
+/**
+ * Push every device's changes and let the others pull them
+ */
+async function sync(devices) {
+  for (let round = 0; round < 2; round++) {
+    for (const { engine } of devices) {
+      await engine.queue;
+      await engine.flush();
+    }
+  }
+  await Promise.all(devices.map(({ engine }) => engine.queue));
+}
+
+const itemBytes = (key, value) => new TextEncoder().encode(key + JSON.stringify(value)).length;
+
+test('values larger than one sync item are chunked and reassembled', async () => {
+  const { devices, remote, clock } = createDevices(2);
+  const [a, b] = devices;
+  await start(devices);
+
+  const presets = Array.from({ length: 400 }, (_, i) => `Preset ${i}: ${'é'.repeat(i % 40)}`);
+  await call(a.local, 'set', { 'text-presets.presets': presets });
+  await sync(devices);
+
+  const chunks = Object.keys(remote.data).filter(key => key.startsWith('c:text-presets.presets:'));
+  assert.ok(chunks.length > 1, 'value was split');
+  Object.entries(remote.data).forEach(([key, value]) => {
+    assert.ok(itemBytes(key, value) <= 8192, `${key} fits one item`);
+  });
+  assert.equal(remote.data['i:text-presets.presets'].n, chunks.length);
+  assert.deepEqual(b.local.data['text-presets.presets'], presets);
+
+  // A new version replaces its chunks instead of adding to them
+  const shorter = presets.slice(0, 300);
+  clock.time += 1000;
+  await call(a.local, 'set', { 'text-presets.presets': shorter });
+  await sync(devices);
+
+  const current = remote.data['i:text-presets.presets'];
+  const remaining = Object.keys(remote.data).filter(key => key.startsWith('c:text-presets.presets:'));
+  assert.equal(remaining.length, current.n);
+  assert.deepEqual(b.local.data['text-presets.presets'], shorter);
+});
+
+test('keys that do not fit the quota stay local and are reported', async () => {
+  const { devices, remote } = createDevices(2, { quotaBytes: 5000, maxValueBytes: 5000 });
+  const [a, b] = devices;
+  await start(devices);
+
+  await call(a.local, 'set', {
+    'plugin.small': 'x'.repeat(1000),
+    'plugin.medium': 'y'.repeat(4500),
+    'plugin.huge': 'z'.repeat(6000)
+  });
+  await sync(devices);
+
+  // Smaller values go first; the medium one no longer fits the total
+  assert.equal(b.local.data['plugin.small'], 'x'.repeat(1000));
+  assert.equal('plugin.medium' in b.local.data, false);
+  assert.equal('plugin.huge' in b.local.data, false);
+  assert.equal('i:plugin.huge' in remote.data, false);
+
+  const { skipped } = await a.engine.getStatus();
+  assert.deepEqual(
+    skipped.sort((x, y) => x.key.localeCompare(y.key)),
+    [{ key: 'plugin.huge', reason: 'too-large' }, { key: 'plugin.medium', reason: 'quota' }]
+  );
+
+  // Machine-specific keys never sync
+  await call(a.local, 'set', { installedPlugins: { 'optional-plugin': true } });
+  await sync(devices);
+  assert.equal('i:installedPlugins' in remote.data, false);
+});
+
+test('deletions sync as tombstones that are pruned after they expire', async () => {
+  const { devices, remote, clock } = createDevices(2);
+  const [a, b] = devices;
+  await start(devices);
+
+  await call(a.local, 'set', { 'plugin.list': ['one'] });
+  await sync(devices);
+  assert.deepEqual(b.local.data['plugin.list'], ['one']);
+
+  clock.time += 1000;
+  await call(a.local, 'remove', 'plugin.list');
+  await sync(devices);
+
+  assert.equal(remote.data['i:plugin.list'].del, 1);
+  assert.equal('plugin.list' in b.local.data, false);
+
+  // Tombstones older than the TTL are dropped on the next push
+  clock.time += 31 * DAY;
+  await call(a.local, 'set', { 'plugin.other': 2 });
+  await sync(devices);
+  assert.equal('i:plugin.list' in remote.data, false);
+  assert.equal(b.local.data['plugin.other'], 2);
+});
+
+test('the last writer wins per key', async () => {
+  const { devices, clock } = createDevices(2);
+  const [a, b] = devices;
+  await start(devices);
+
+  await call(a.local, 'set', { 'plugin.mode': 'a' });
+  // Changes are stamped when the engine gets to them
+  await a.engine.queue;
+  clock.time += 1000;
+  await call(b.local, 'set', { 'plugin.mode': 'b' });
+  await sync(devices);
+
+  assert.equal(a.local.data['plugin.mode'], 'b');
+  assert.equal(b.local.data['plugin.mode'], 'b');
+});
@@ -0,0 +1,163 @@
+/**
+ * In-memory stand-ins for the chrome.* APIs the core uses
+ *
+ * Importing this module installs globalThis.chrome, so import it before the
+ * modules under test: singletons pick their storage up when they're created.
+ * Storage areas copy values like the browser does, fire storage.onChanged
+ * and, when given quotas, fail writes that exceed them the way
+ * chrome.storage.sync does (through chrome.runtime.lastError).
+ */
+
+/**
+ * Create a chrome.*.onX style event
+ * @returns {object} {addListener, removeListener, hasListener, dispatch}
+ */
+export function createEvent() {
+  const listeners = new Set();
+  return {
+    listeners,
+    addListener: (listener) => listeners.add(listener),
+    removeListener: (listener) => listeners.delete(listener),
+    hasListener: (listener) => listeners.has(listener),
+    dispatch: (...args) => listeners.forEach(listener => listener(...args))
+  };
+}
+
+/**
+ * Create a callback-style storage area
+ * @param {string} name - Area name passed to onChanged listeners
+ * @param {object} options - Quotas (QUOTA_BYTES, QUOTA_BYTES_PER_ITEM, MAX_ITEMS) and
+ *   onChanged, the event to fire (default: chrome.storage.onChanged)
+ * @returns {object} Storage area; its contents are in area.data
+ */
+export function createStorageArea(name, options = {}) {
+  const { onChanged = null, ...quotas } = options;
+  const data = {};
+  const size = (key, value) => key.length + JSON.stringify(value).length;
+  const total = () => Object.entries(data).reduce((sum, [key, value]) => sum + size(key, value), 0);
+  const fail = (message, callback) => {
+    chrome.runtime.lastError = { message };
+    try {
+      callback?.();
+    } finally {
+      chrome.runtime.lastError = undefined;
+    }
+  };
+  const notify = (changes) => {
+    if (Object.keys(changes).length > 0) (onChanged || chrome.storage.onChanged).dispatch(changes, name);
+  };
+
+  return {
+    ...quotas,
+    data,
+
+    get(keys, callback) {
+      let defaults = {};
+      let list;
+      if (keys === null || keys === undefined) {
+        list = Object.keys(data);
+      } else if (typeof keys === 'object' && !Array.isArray(keys)) {
+        defaults = keys;
+        list = Object.keys(keys);
+      } else {
+        list = [].concat(keys);
+      }
+
+      const result = {};
+      list.forEach(key => {
+        if (key in data) {
+          result[key] = structuredClone(data[key]);
+        } else if (key in defaults) {
+          result[key] = defaults[key];
+        }
+      });
+      callback(result);
+    },
+
+    set(items, callback) {
+      const after = { ...data, ...items };
+      if (quotas.QUOTA_BYTES_PER_ITEM &&
+          Object.entries(items).some(([key, value]) => size(key, value) > quotas.QUOTA_BYTES_PER_ITEM)) {
+        fail('QUOTA_BYTES_PER_ITEM quota exceeded', callback);
+        return;
+      }
+      if (quotas.MAX_ITEMS && Object.keys(after).length > quotas.MAX_ITEMS) {
+        fail('MAX_ITEMS quota exceeded', callback);
+        return;
+      }
+      if (quotas.QUOTA_BYTES &&
+          Object.entries(after).reduce((sum, [key, value]) => sum + size(key, value), 0) > quotas.QUOTA_BYTES) {
+        fail('QUOTA_BYTES quota exceeded', callback);
+        return;
+      }
+
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: data[key], newValue: structuredClone(value) };
+        data[key] = structuredClone(value);
+      });
+      callback?.();
+      notify(changes);
+    },
+
+    remove(keys, callback) {
+      const changes = {};
+      [].concat(keys).forEach(key => {
+        if (key in data) {
+          changes[key] = { oldValue: data[key] };
+          delete data[key];
+        }
+      });
+      callback?.();
+      notify(changes);
+    },
+
+    clear(callback) {
+      this.remove(Object.keys(data), callback);
+    },
+
+    getBytesInUse(keys, callback) {
+      if (keys === null || keys === undefined) {
+        callback(total());
+        return;
+      }
+      callback([].concat(keys).filter(key => key in data).reduce((sum, key) => sum + size(key, data[key]), 0));
+    }
+  };
+}
+
+export const chrome = {
+  runtime: {
+    id: 'test',
+    lastError: undefined,
+    onMessage: createEvent(),
+    getURL: (path) => `chrome-extension://test/${path}`,
+    sendMessage: async () => undefined
+  },
+  storage: {
+    onChanged: createEvent(),
+    local: null,
+    sync: null,
+    session: null
+  }
+};
+
+chrome.storage.local = createStorageArea('local');
+chrome.storage.sync = createStorageArea('sync', {
+  QUOTA_BYTES: 102400,
+  QUOTA_BYTES_PER_ITEM: 8192,
+  MAX_ITEMS: 512
+});
+chrome.storage.session = createStorageArea('session');
+
+globalThis.chrome = chrome;
+
+/**
+ * Empty every storage area
+ */
+export function resetStorage() {
+  ['local', 'sync', 'session'].forEach(name => {
+    const { data } = chrome.storage[name];
+    Object.keys(data).forEach(key => delete data[key]);
+  });
+}
@@ -0,0 +1,33 @@
+/**
+ * Semver tests - run with `node --test tests/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Semver from '../../utils/semver.js';
+
+test('prerelease identifiers compare per SemVer precedence', () => {
+  // Ascending order from the SemVer spec, plus numeric identifiers past 9
+  const ordered = [
+    '1.0.0-alpha',
+    '1.0.0-alpha.1',
+    '1.0.0-alpha.beta',
+    '1.0.0-beta',
+    '1.0.0-beta.2',
+    '1.0.0-beta.10',
+    '1.0.0-beta.11',
+    '1.0.0-rc.1',
+    '1.0.0'
+  ];
+
+  for (let i = 0; i < ordered.length - 1; i++) {
+    assert.equal(Semver.compare(ordered[i], ordered[i + 1]), -1, `${ordered[i]} < ${ordered[i + 1]}`);
+    assert.equal(Semver.compare(ordered[i + 1], ordered[i]), 1, `${ordered[i + 1]} > ${ordered[i]}`);
+  }
+  assert.equal(Semver.compare('1.0.0-beta.10', '1.0.0-beta.10'), 0);
+});
+
+test('prerelease ranges use numeric precedence', () => {
+  assert.equal(Semver.satisfies('1.0.0-beta.10', '>=1.0.0-beta.2'), true);
+  assert.equal(Semver.satisfies('1.0.0-beta.2', '>=1.0.0-beta.10'), false);
+});
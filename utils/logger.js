@@ -16,6 +16,9 @@ class Logger {
     };
     this.currentLevel = this.levels.INFO;
     this.enabled = true;
+    
+    // Child loggers follow this logger's level and enabled state
+    this.children = new Set();
   }
 
   /**
@@ -25,15 +28,25 @@ class Logger {
   setLevel(level) {
     if (this.levels[level] !== undefined) {
       this.currentLevel = this.levels[level];
+      this.children.forEach(child => child.setLevel(level));
     }
   }
 
+  /**
+   * Get the current log level name
+   * @returns {string} Log level
+   */
+  getLevel() {
+    return Object.keys(this.levels).find(key => this.levels[key] === this.currentLevel);
+  }
+
   /**
    * Enable/disable logging
    * @param {boolean} enabled - Enable logging
    */
   setEnabled(enabled) {
     this.enabled = enabled;
+    this.children.forEach(child => child.setEnabled(enabled));
   }
 
   /**
@@ -96,8 +109,9 @@ class Logger {
    */
   child(subNamespace) {
     const child = new Logger(`${this.namespace}:${subNamespace}`);
-    child.setLevel(Object.keys(this.levels).find(key => this.levels[key] === this.currentLevel));
+    child.setLevel(this.getLevel());
     child.setEnabled(this.enabled);
+    this.children.add(child);
     return child;
   }
 }
@@ -0,0 +1,150 @@
+/**
+ * Match Pattern Utility
+ *
+ * URL matching for plugin site rules. Supports browser extension match
+ * patterns ('*://*.looksmax.org/threads/*', '<all_urls>'), bare hosts
+ * ('looksmax.org', '*.looksmax.org') and path-only rules ('/threads/*')
+ * that apply on any site.
+ */
+
+export const MatchPattern = {
+  /**
+   * Compile a pattern into a matcher
+   * @param {string} pattern - Match pattern
+   * @returns {object|null} {scheme, host, path} regexes (null parts match anything), or null if invalid
+   */
+  parse(pattern) {
+    if (typeof pattern !== 'string') return null;
+
+    const trimmed = pattern.trim();
+    if (!trimmed) return null;
+
+    if (trimmed === '<all_urls>') {
+      return { scheme: /^(https?|file)$/, host: null, path: null };
+    }
+
+    // Path-only rule
+    if (trimmed.startsWith('/')) {
+      return { scheme: null, host: null, path: this._glob(trimmed) };
+    }
+
+    const full = trimmed.match(/^(\*|https?|file):\/\/([^/]*)(\/.*)$/);
+    if (full) {
+      const [, scheme, host, path] = full;
+      const hostRegex = this._host(host);
+      if (hostRegex === undefined || (scheme !== 'file' && !host)) return null;
+
+      return {
+        scheme: scheme === '*' ? /^https?$/ : new RegExp(`^${scheme}$`),
+        host: hostRegex,
+        path: path === '/*' ? null : this._glob(path)
+      };
+    }
+
+    // Bare host, optionally followed by a path
+    const bare = trimmed.match(/^([^/:]+)(\/.*)?$/);
+    if (bare) {
+      const hostRegex = this._host(bare[1]);
+      if (!hostRegex) return null;
+
+      return {
+        scheme: /^https?$/,
+        host: hostRegex,
+        path: bare[2] && bare[2] !== '/*' ? this._glob(bare[2]) : null
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Check if a pattern is valid
+   * @param {string} pattern - Match pattern
+   * @returns {boolean}
+   */
+  isValid(pattern) {
+    return this.parse(pattern) !== null;
+  },
+
+  /**
+   * Check if a URL matches a pattern
+   * @param {string|URL} url - URL to test
+   * @param {string} pattern - Match pattern
+   * @returns {boolean} False for invalid patterns or URLs
+   */
+  matches(url, pattern) {
+    const matcher = this.parse(pattern);
+    const parsed = this._url(url);
+    if (!matcher || !parsed) return false;
+
+    const scheme = parsed.protocol.slice(0, -1);
+    const path = parsed.pathname + parsed.search;
+
+    return (!matcher.scheme || matcher.scheme.test(scheme)) &&
+      (!matcher.host || matcher.host.test(parsed.hostname)) &&
+      (!matcher.path || matcher.path.test(path));
+  },
+
+  /**
+   * Check if a URL matches any of the patterns
+   * @param {string|URL} url - URL to test
+   * @param {string[]} patterns - Match patterns
+   * @returns {boolean}
+   */
+  matchesAny(url, patterns) {
+    return (patterns || []).some(pattern => this.matches(url, pattern));
+  },
+
+  /**
+   * Check if a URL passes include/exclude rules
+   * An empty include list matches every page.
+   * @param {string|URL} url - URL to test
+   * @param {string[]} matches - Patterns the URL must match (any)
+   * @param {string[]} excludeMatches - Patterns the URL must not match
+   * @returns {boolean}
+   */
+  test(url, matches = [], excludeMatches = []) {
+    if (matches.length > 0 && !this.matchesAny(url, matches)) {
+      return false;
+    }
+
+    return !this.matchesAny(url, excludeMatches);
+  },
+
+  /**
+   * Compile a host pattern ('*', '*.example.com' or 'example.com')
+   * @returns {RegExp|null|undefined} null for any host, undefined if invalid
+   */
+  _host(host) {
+    if (host === '*') return null;
+    if (host === '') return /^$/;
+
+    const wildcard = host.startsWith('*.');
+    const name = wildcard ? host.slice(2) : host;
+    if (!/^[a-z0-9.-]+$/i.test(name) || name.includes('*')) return undefined;
+
+    const escaped = this._escape(name.toLowerCase());
+    return new RegExp(wildcard ? `^(.+\\.)?${escaped}$` : `^${escaped}$`, 'i');
+  },
+
+  /**
+   * Compile a path glob where '*' matches any characters
+   */
+  _glob(path) {
+    return new RegExp(`^${path.split('*').map(part => this._escape(part)).join('.*')}$`);
+  },
+
+  _escape(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  },
+
+  _url(url) {
+    try {
+      return url instanceof URL ? url : new URL(url);
+    } catch (error) {
+      return null;
+    }
+  }
+};
+
+export default MatchPattern;
@@ -0,0 +1,282 @@
+/**
+ * Semver Utility
+ *
+ * Version parsing, comparison, and range matching for plugin dependencies.
+ * Supports exact versions, x-ranges (1.x, 1.2.*), caret (^), tilde (~),
+ * comparison operators (>, >=, <, <=, =) and || alternatives.
+ */
+
+export const Semver = {
+  /**
+   * Parse a version string
+   * @param {string} version - Version string (e.g. '1.2.3' or '1.2.3-beta.1')
+   * @returns {object|null} {major, minor, patch, prerelease} or null if invalid
+   */
+  parse(version) {
+    if (typeof version !== 'string') return null;
+
+    const match = version.trim().replace(/^[=v]+/, '')
+      .match(/^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/);
+    if (!match) return null;
+
+    return {
+      major: parseInt(match[1], 10),
+      minor: parseInt(match[2], 10),
+      patch: parseInt(match[3], 10),
+      prerelease: match[4] || null
+    };
+  },
+
+  /**
+   * Compare two versions
+   * @param {string|object} a - First version
+   * @param {string|object} b - Second version
+   * @returns {number} -1 if a < b, 0 if equal, 1 if a > b
+   */
+  compare(a, b) {
+    const va = typeof a === 'string' ? this.parse(a) : a;
+    const vb = typeof b === 'string' ? this.parse(b) : b;
+
+    if (!va || !vb) {
+      throw new Error(`Invalid version: ${!va ? a : b}`);
+    }
+
+    for (const part of ['major', 'minor', 'patch']) {
+      if (va[part] !== vb[part]) {
+        return va[part] < vb[part] ? -1 : 1;
+      }
+    }
+
+    // A prerelease sorts before its release
+    if (va.prerelease === vb.prerelease) return 0;
+    if (!va.prerelease) return 1;
+    if (!vb.prerelease) return -1;
+    return this._comparePrerelease(va.prerelease, vb.prerelease);
+  },
+
+  /**
+   * Check if a version satisfies a range
+   * @param {string} version - Version to test
+   * @param {string} range - Range expression (e.g. '^1.2', '>=1.0.0 <2.0.0')
+   * @returns {boolean} Does the version satisfy the range
+   */
+  satisfies(version, range) {
+    const parsed = this.parse(version);
+    const sets = this._parseRange(range);
+    if (!parsed || !sets) return false;
+
+    return sets.some(comparators =>
+      this._allowsPrerelease(parsed, comparators) &&
+      comparators.every(({ op, version: bound }) => {
+        const cmp = this.compare(parsed, bound);
+        switch (op) {
+          case '>': return cmp > 0;
+          case '>=': return cmp >= 0;
+          case '<': return cmp < 0;
+          case '<=': return cmp <= 0;
+          default: return cmp === 0;
+        }
+      })
+    );
+  },
+
+  /**
+   * Check if a range expression is valid
+   * @param {string} range - Range expression
+   * @returns {boolean} Is valid
+   */
+  validRange(range) {
+    return this._parseRange(range) !== null;
+  },
+
+  /**
+   * Parse a dependency specifier ('plugin-id' or 'plugin-id@^1.2')
+   * @param {string} spec - Dependency specifier
+   * @returns {object} {id, range}
+   */
+  parseDependency(spec) {
+    const index = spec.indexOf('@');
+    if (index === -1) {
+      return { id: spec.trim(), range: '*' };
+    }
+
+    return {
+      id: spec.substring(0, index).trim(),
+      range: spec.substring(index + 1).trim() || '*'
+    };
+  },
+
+  /**
+   * Normalize a manifest dependency list
+   * Accepts an array of specifiers or an object mapping plugin ID to range
+   * @param {string[]|object} dependencies - Dependency declaration
+   * @returns {object[]} Array of {id, range}
+   */
+  parseDependencies(dependencies) {
+    if (!dependencies) return [];
+
+    if (Array.isArray(dependencies)) {
+      return dependencies.map(spec => this.parseDependency(spec));
+    }
+
+    return Object.entries(dependencies).map(([id, range]) => ({
+      id,
+      range: range || '*'
+    }));
+  },
+
+  /**
+   * Compare prerelease tags identifier by identifier (SemVer 11.4): numeric
+   * identifiers compare as numbers and sort before alphanumeric ones, and a
+   * shorter tag sorts first when all its identifiers are equal
+   * ('beta.2' < 'beta.10' < 'beta.10.1' < 'beta.x')
+   */
+  _comparePrerelease(a, b) {
+    const ids = [a.split('.'), b.split('.')];
+    const length = Math.max(ids[0].length, ids[1].length);
+
+    for (let i = 0; i < length; i++) {
+      const [x, y] = [ids[0][i], ids[1][i]];
+      if (x === undefined) return -1;
+      if (y === undefined) return 1;
+      if (x === y) continue;
+
+      const [xNumeric, yNumeric] = [/^\d+$/.test(x), /^\d+$/.test(y)];
+      if (xNumeric && yNumeric) {
+        return Number(x) < Number(y) ? -1 : 1;
+      }
+      if (xNumeric !== yNumeric) {
+        return xNumeric ? -1 : 1;
+      }
+      return x < y ? -1 : 1;
+    }
+    return 0;
+  },
+
+  /**
+   * Prereleases only match when the range names a prerelease of the same version,
+   * so '^1.0.0' never resolves to '2.0.0-beta'
+   */
+  _allowsPrerelease(parsed, comparators) {
+    if (!parsed.prerelease) return true;
+
+    return comparators.some(({ version }) =>
+      version.prerelease &&
+      version.major === parsed.major &&
+      version.minor === parsed.minor &&
+      version.patch === parsed.patch
+    );
+  },
+
+  /**
+   * Parse a range into comparator sets (OR of ANDs)
+   * @returns {Array<Array<{op: string, version: object}>>|null}
+   */
+  _parseRange(range) {
+    if (typeof range !== 'string') return null;
+
+    const sets = [];
+    for (const part of range.split('||')) {
+      const tokens = part.trim()
+        .replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1')
+        .split(/\s+/)
+        .filter(Boolean);
+
+      const comparators = [];
+      for (const token of (tokens.length ? tokens : ['*'])) {
+        const expanded = this._expandComparator(token);
+        if (!expanded) return null;
+        comparators.push(...expanded);
+      }
+      sets.push(comparators);
+    }
+
+    return sets;
+  },
+
+  /**
+   * Expand a single range token into primitive comparators
+   */
+  _expandComparator(token) {
+    const match = token.match(/^(\^|~|>=|<=|>|<|=)?v?(.*)$/);
+    const op = match[1] || '';
+    const partial = this._parsePartial(match[2]);
+    if (!partial) return null;
+
+    const { major, minor, patch, prerelease } = partial;
+    const version = (M, m, p, pre = null) => ({ major: M, minor: m, patch: p, prerelease: pre });
+    const lower = version(major ?? 0, minor ?? 0, patch ?? 0, prerelease);
+
+    // Wildcard
+    if (major === null) {
+      return (op === '<' || op === '>') ? [{ op: '<', version: version(0, 0, 0, '0') }] : [];
+    }
+
+    // Upper bound of an x-range (exclusive)
+    const xUpper = minor === null
+      ? version(major + 1, 0, 0)
+      : version(major, minor + 1, 0);
+
+    switch (op) {
+      case '^': {
+        let upper;
+        if (major > 0 || minor === null) {
+          upper = version(major + 1, 0, 0);
+        } else if (minor > 0 || patch === null) {
+          upper = version(0, minor + 1, 0);
+        } else {
+          upper = version(0, 0, patch + 1);
+        }
+        return [{ op: '>=', version: lower }, { op: '<', version: upper }];
+      }
+      case '~': {
+        const upper = minor === null ? version(major + 1, 0, 0) : version(major, minor + 1, 0);
+        return [{ op: '>=', version: lower }, { op: '<', version: upper }];
+      }
+      case '>':
+        return patch === null
+          ? [{ op: '>=', version: xUpper }]
+          : [{ op: '>', version: lower }];
+      case '>=':
+        return [{ op: '>=', version: lower }];
+      case '<':
+        return [{ op: '<', version: lower }];
+      case '<=':
+        return patch === null
+          ? [{ op: '<', version: xUpper }]
+          : [{ op: '<=', version: lower }];
+      default:
+        return patch === null
+          ? [{ op: '>=', version: lower }, { op: '<', version: xUpper }]
+          : [{ op: '=', version: lower }];
+    }
+  },
+
+  /**
+   * Parse a possibly partial version ('1', '1.2', '1.x', '*')
+   * Missing or wildcard parts are returned as null
+   */
+  _parsePartial(text) {
+    const match = text.match(/^(\d+|[xX*])?(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/);
+    if (!match) return null;
+
+    const parts = [match[1], match[2], match[3]].map(part =>
+      part === undefined || /^[xX*]$/.test(part) ? null : parseInt(part, 10)
+    );
+
+    // A wildcard cannot be followed by a concrete part (e.g. '1.x.3')
+    const firstWild = parts.indexOf(null);
+    if (firstWild !== -1 && parts.slice(firstWild).some(part => part !== null)) {
+      return null;
+    }
+
+    return {
+      major: parts[0],
+      minor: parts[1],
+      patch: parts[2],
+      prerelease: parts[2] !== null ? match[4] || null : null
+    };
+  }
+};
+
+export default Semver;
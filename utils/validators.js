@@ -122,6 +122,9 @@ export const Validators = {
 
   /**
    * Sanitize HTML string
+   * Parsed in an inert document, so nothing in it loads or runs while it's
+   * inspected. Text and attribute values are escaped again on the way out,
+   * and href/src values that aren't http(s), mailto or relative are dropped.
    * @param {string} html - HTML to sanitize
    * @param {object} options - Sanitization options
    * @returns {string} Sanitized HTML
@@ -132,12 +135,21 @@ export const Validators = {
       allowedAttributes = { a: ['href'] }
     } = options;
 
-    const div = document.createElement('div');
-    div.innerHTML = html;
+    const div = document.implementation.createHTMLDocument('').createElement('div');
+    div.innerHTML = String(html ?? '');
+
+    const escape = (text) => text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const isSafeURL = (url) => /^(?:(?:https?|mailto):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i
+      .test(url.replace(/[\u0000-\u0020]/g, ''));
+    const voidTags = ['br', 'hr', 'img'];
 
     const sanitize = (node) => {
       if (node.nodeType === Node.TEXT_NODE) {
-        return node.textContent;
+        return escape(node.textContent);
       }
 
       if (node.nodeType !== Node.ELEMENT_NODE) {
@@ -145,6 +157,10 @@ export const Validators = {
       }
 
       const tagName = node.tagName.toLowerCase();
+
+      if (['script', 'style'].includes(tagName)) {
+        return '';
+      }
       
       if (!allowedTags.includes(tagName)) {
         return Array.from(node.childNodes).map(sanitize).join('');
@@ -153,12 +169,18 @@ export const Validators = {
       const attributes = allowedAttributes[tagName] || [];
       const sanitizedAttrs = Array.from(node.attributes)
         .filter(attr => attributes.includes(attr.name))
-        .map(attr => `${attr.name}="${attr.value}"`)
+        .filter(attr => !['href', 'src'].includes(attr.name) || isSafeURL(attr.value))
+        .map(attr => `${attr.name}="${escape(attr.value)}"`)
         .join(' ');
 
+      const open = `<${tagName}${sanitizedAttrs ? ' ' + sanitizedAttrs : ''}>`;
+      if (voidTags.includes(tagName)) {
+        return open;
+      }
+
       const children = Array.from(node.childNodes).map(sanitize).join('');
       
-      return `<${tagName}${sanitizedAttrs ? ' ' + sanitizedAttrs : ''}>${children}</${tagName}>`;
+      return `${open}${children}</${tagName}>`;
     };
 
     return Array.from(div.childNodes).map(sanitize).join('');
@@ -178,66 +200,145 @@ export const Validators = {
   /**
    * Validate object against schema
    * @param {object} obj - Object to validate
-   * @param {object} schema - Schema definition
-   * @returns {object} {valid: boolean, errors: string[]}
+   * @param {object} schema - Schema definition (key -> definition, as in plugin settings)
+   * @returns {object} {valid: boolean, errors: {path, message}[]}
    */
   validateSchema(obj, schema) {
+    const errors = this.validateValue(obj, { type: 'object', properties: schema });
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  },
+
+  /**
+   * Validate a value against a definition
+   *
+   * The engine behind plugin settings, validateSchema and the settings UI.
+   * Definitions use the setting schema keywords:
+   * - type: boolean, string, number, array, object, color, select/enum
+   * - enum (select options), min/max (numbers), minLength/maxLength and
+   *   pattern (strings), items (arrays), properties and required (objects)
+   * - validator: function returning false or an error message when invalid
+   * @param {*} value - Value to validate
+   * @param {object} definition - Definition to validate against
+   * @param {string} path - Path of the value, used in errors (e.g. 'gradient.colors[1]')
+   * @returns {object[]} Errors as {path, message}; empty if valid
+   */
+  validateValue(value, definition = {}, path = '') {
     const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at, message });
+    const { type, enum: enumValues, min, max, pattern, items, properties, validator } = definition;
+
+    // Type
+    const typeError = this._checkType(value, type);
+    if (typeError) {
+      fail(typeError);
+      return errors;
+    }
 
-    Object.entries(schema).forEach(([key, definition]) => {
-      const value = obj[key];
-      const { type, required, min, max, enum: enumValues, pattern, validator } = definition;
+    // Allowed values
+    if (enumValues && type !== 'array' && !this.validateEnum(value, enumValues)) {
+      fail(`Must be one of: ${enumValues.join(', ')}`);
+    }
 
-      // Check required
-      if (required && value === undefined) {
-        errors.push(`Missing required field: ${key}`);
-        return;
-      }
+    // Numbers
+    if (typeof value === 'number') {
+      if (min !== undefined && value < min) fail(`Must be at least ${min}`);
+      if (max !== undefined && value > max) fail(`Must be at most ${max}`);
+    }
 
-      // Skip if not required and undefined
-      if (value === undefined) {
-        return;
-      }
+    // Strings (maxlength is what the settings UI used to read; min/max are legacy aliases)
+    if (typeof value === 'string') {
+      const minLength = definition.minLength ?? (type === 'string' ? min : undefined);
+      const maxLength = definition.maxLength ?? definition.maxlength ?? (type === 'string' ? max : undefined);
 
-      // Type validation
-      if (type && !this.validateType(value, type)) {
-        errors.push(`Invalid type for ${key}: expected ${type}`);
-        return;
+      if (minLength !== undefined && value.length < minLength) {
+        fail(`Must be at least ${minLength} character${minLength === 1 ? '' : 's'}`);
       }
-
-      // Range validation for numbers
-      if (type === 'number' && !this.validateRange(value, min, max)) {
-        errors.push(`Value for ${key} out of range (${min}-${max})`);
+      if (maxLength !== undefined && value.length > maxLength) {
+        fail(`Must be at most ${maxLength} character${maxLength === 1 ? '' : 's'}`);
       }
 
-      // Length validation for strings
-      if (type === 'string' && !this.validateLength(value, min, max)) {
-        errors.push(`Length for ${key} invalid (${min}-${max})`);
+      const regex = pattern instanceof RegExp ? pattern : typeof pattern === 'string' ? new RegExp(pattern) : null;
+      if (regex && !this.validatePattern(value, regex)) {
+        fail(definition.patternMessage || `Must match ${regex}`);
       }
+    }
 
-      // Enum validation
-      if (enumValues && !this.validateEnum(value, enumValues)) {
-        errors.push(`Invalid value for ${key}: must be one of ${enumValues.join(', ')}`);
-      }
+    // Arrays
+    if (Array.isArray(value)) {
+      const allowed = definition.options || (type === 'array' ? enumValues : null);
+      value.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        if (allowed && !allowed.includes(item)) {
+          fail(`Must be one of: ${allowed.join(', ')}`, itemPath);
+        }
+        if (items) {
+          errors.push(...this.validateValue(item, items, itemPath));
+        }
+      });
 
-      // Pattern validation
-      if (pattern && !this.validatePattern(value, pattern)) {
-        errors.push(`Value for ${key} does not match pattern`);
+      if (definition.minItems !== undefined && value.length < definition.minItems) {
+        fail(`Must have at least ${definition.minItems} item${definition.minItems === 1 ? '' : 's'}`);
+      }
+      if (definition.maxItems !== undefined && value.length > definition.maxItems) {
+        fail(`Must have at most ${definition.maxItems} item${definition.maxItems === 1 ? '' : 's'}`);
       }
+    }
+
+    // Objects
+    if (properties && this.validateType(value, 'object')) {
+      const required = Array.isArray(definition.required) ? definition.required : [];
 
-      // Custom validator
-      if (validator && typeof validator === 'function') {
-        const result = validator(value);
-        if (!result) {
-          errors.push(`Custom validation failed for ${key}`);
+      Object.entries(properties).forEach(([key, propertyDefinition]) => {
+        const propertyPath = path ? `${path}.${key}` : key;
+
+        if (value[key] === undefined) {
+          if (required.includes(key) || propertyDefinition.required === true) {
+            fail('Missing required field', propertyPath);
+          }
+          return;
         }
+
+        errors.push(...this.validateValue(value[key], propertyDefinition, propertyPath));
+      });
+    }
+
+    // Custom validator (only once the built-in checks pass)
+    if (errors.length === 0 && typeof validator === 'function') {
+      const result = validator(value);
+      if (result === false || typeof result === 'string') {
+        fail(typeof result === 'string' ? result : 'Invalid value');
       }
-    });
+    }
 
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+    return errors;
+  },
+
+  /**
+   * Check a value's type for validateValue
+   * @returns {string|null} Error message, or null if the type matches
+   */
+  _checkType(value, type) {
+    switch (type) {
+      case 'color':
+        return typeof value === 'string' && this.validateColor(value)
+          ? null
+          : 'Must be a color (#rrggbb, rgb() or rgba())';
+      case 'select':
+      case 'enum':
+        return null; // Checked against enum
+      case 'boolean':
+      case 'string':
+      case 'number':
+      case 'array':
+      case 'object':
+        return this.validateType(value, type) ? null : `Expected ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}`;
+      default:
+        return null;
+    }
   },
 
   /**